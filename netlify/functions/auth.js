@@ -0,0 +1,4 @@
+import { createNetlifyHandler } from '../../server/adapters/netlify.js';
+import { authRoutes } from '../../server/routes/index.js';
+
+export const handler = createNetlifyHandler(authRoutes);
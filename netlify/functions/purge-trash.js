@@ -0,0 +1,4 @@
+import { createScheduledHandler } from '../../server/adapters/netlify.js';
+import { purgeExpiredTrash } from '../../server/jobs/purgeTrash.js';
+
+export const handler = createScheduledHandler(purgeExpiredTrash, 'Trash purge');
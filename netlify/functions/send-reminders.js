@@ -0,0 +1,4 @@
+import { createScheduledHandler } from '../../server/adapters/netlify.js';
+import { sendReminders } from '../../server/jobs/sendReminders.js';
+
+export const handler = createScheduledHandler(sendReminders, 'Reminders');
@@ -0,0 +1,22 @@
+import { handleRequest } from '../http/router.js';
+
+// Registers shared routes on an Express app. `context` (e.g. `{ db }`) is merged into
+// every request passed to the route handlers.
+export function mountRoutes(app, routes, context) {
+  for (const route of routes) {
+    app[route.method.toLowerCase()](route.path, async (req, res) => {
+      const result = await handleRequest(route, {
+        params: req.params,
+        query: req.query,
+        body: req.body || {},
+        headers: req.headers,
+        ...context,
+      });
+      if (result.contentType) {
+        res.status(result.status).type(result.contentType).send(result.body);
+      } else {
+        res.status(result.status).json(result.body);
+      }
+    });
+  }
+}
@@ -0,0 +1,118 @@
+import { createPool } from '../db/pool.js';
+import { createRouter, handleRequest } from '../http/router.js';
+import { isAllowedOrigin } from '../http/cors.js';
+
+// Adapts shared routes to a Netlify Function handler. Requests arrive either on the
+// original /api/... path (through the redirects in netlify.toml) or directly on
+// /.netlify/functions/...; both are mapped onto the /api/... route paths.
+
+let pool;
+
+// CORS headers are only sent to origins listed in CORS_ORIGINS
+function responseHeaders(event) {
+  const origin = (event.headers || {}).origin;
+  const headers = {
+    'Content-Type': 'application/json',
+    'Vary': 'Origin',
+  };
+
+  if (isAllowedOrigin(origin)) {
+    headers['Access-Control-Allow-Origin'] = origin;
+    headers['Access-Control-Allow-Headers'] = 'Content-Type, Authorization';
+    headers['Access-Control-Allow-Methods'] = 'GET, POST, PUT, PATCH, DELETE, OPTIONS';
+  }
+
+  return headers;
+}
+
+function normalizePath(path) {
+  return path.replace(/^\/\.netlify\/functions(?=\/)/, '/api');
+}
+
+function parseBody(event) {
+  if (!event.body) return {};
+  const raw = event.isBase64Encoded ? Buffer.from(event.body, 'base64').toString('utf8') : event.body;
+  return JSON.parse(raw);
+}
+
+// Initialize pool lazily to ensure environment variables are available
+function getPool() {
+  if (!pool) {
+    if (!process.env.DATABASE_URL) {
+      console.error('DATABASE_URL is not set');
+      return null;
+    }
+    pool = createPool({
+      ssl: {
+        rejectUnauthorized: false
+      }
+    });
+  }
+  return pool;
+}
+
+export function createNetlifyHandler(routes) {
+  const router = createRouter(routes);
+
+  return async (event) => {
+    const headers = responseHeaders(event);
+    const jsonResponse = (statusCode, body) => ({ statusCode, headers, body: JSON.stringify(body) });
+
+    // Handle preflight requests
+    if (event.httpMethod === 'OPTIONS') {
+      return { statusCode: 200, headers, body: '' };
+    }
+
+    const matched = router.match(event.httpMethod, normalizePath(event.path));
+    if (!matched) {
+      return jsonResponse(404, { error: 'Not found' });
+    }
+    if (!matched.route) {
+      return jsonResponse(405, { error: 'Method not allowed' });
+    }
+
+    const db = getPool();
+    if (!db) {
+      return jsonResponse(500, { error: 'Database configuration error' });
+    }
+
+    let body;
+    try {
+      body = parseBody(event);
+    } catch (error) {
+      return jsonResponse(400, { error: 'Invalid JSON body' });
+    }
+
+    const result = await handleRequest(matched.route, {
+      params: matched.params,
+      query: event.queryStringParameters || {},
+      body,
+      headers: event.headers || {},
+      db,
+    });
+    if (result.contentType) {
+      return { statusCode: result.status, headers: { ...headers, 'Content-Type': result.contentType }, body: result.body };
+    }
+    return jsonResponse(result.status, result.body);
+  };
+}
+
+// Adapts a background job, e.g. `purgeExpiredTrash(pool)`, to a Netlify scheduled function
+// (see the schedules in netlify.toml)
+export function createScheduledHandler(job, name) {
+  return async () => {
+    const db = getPool();
+    if (!db) {
+      return { statusCode: 500 };
+    }
+
+    try {
+      const result = await job(db);
+      console.log(`${name}:`, result);
+      return { statusCode: 200 };
+    } catch (error) {
+      console.error(`Error running ${name}:`, error);
+      return { statusCode: 500 };
+    }
+  };
+}
@@ -0,0 +1,28 @@
+// The fields recorded in the audit log for each kind of record
+export const AUDITED_FIELDS = {
+  tender: ['tender_number', 'description', 'closing_date', 'status', 'submitted_at', 'outcome_reason'],
+  site_visit: ['visit_date', 'visit_time', 'location', 'contact', 'attendee', 'completed', 'notes'],
+  document: ['title', 'url'],
+  task: ['description', 'assigned_to', 'due_date', 'status', 'tender_id'],
+  comment: ['body'],
+};
+
+// The audited Date values all come from DATE columns, which pg reads as local midnight
+function normalize(value) {
+  if (value instanceof Date) {
+    return `${value.getFullYear()}-${String(value.getMonth() + 1).padStart(2, '0')}-${String(value.getDate()).padStart(2, '0')}`;
+  }
+  return value === undefined ? null : value;
+}
+
+// Compares two rows of the same record (either may be null for a create or delete) and
+// returns { field: { from, to } } for every audited field whose value differs
+export function diffRecords(entityType, before, after) {
+  const changes = {};
+  for (const field of AUDITED_FIELDS[entityType]) {
+    const from = before ? normalize(before[field]) : null;
+    const to = after ? normalize(after[field]) : null;
+    if (from !== to) changes[field] = { from, to };
+  }
+  return changes;
+}
@@ -0,0 +1,27 @@
+import { diffRecords } from './diff.js';
+import { insertAuditEvent } from '../repositories/audit.js';
+import { notifyChange } from '../realtime/changes.js';
+
+// Records a change made by `user` (null for changes the system makes by itself). Pass the
+// record as it was (`before`, null for a create) and as it is now (`after`, null for a
+// delete). `action` defaults to create, update or delete accordingly; 'restore' and 'purge'
+// must be given. `tenderId` / `taskId` name the tender or task the record belongs to.
+// Updates that changed no audited field are not recorded. Open clients are told about every
+// recorded event once the transaction commits (see realtime/changes.js).
+export async function logChange(db, user, { entity, action, before, after, tenderId, taskId }) {
+  const record = after || before;
+  const kind = action || (!before ? 'create' : !after ? 'delete' : 'update');
+  const changes = diffRecords(entity, before, after);
+  if (kind === 'update' && Object.keys(changes).length === 0) return;
+
+  await insertAuditEvent(db, {
+    actor: user,
+    entity_type: entity,
+    entity_id: record.id,
+    action: kind,
+    changes,
+    tender_id: tenderId,
+    task_id: taskId,
+  });
+  await notifyChange(db);
+}
@@ -0,0 +1,40 @@
+// Role-based permissions. Routes name the permission they need and the router rejects
+// users whose role doesn't grant it; the client receives the same list to hide controls.
+
+export const ROLES = ['admin', 'tender_manager', 'staff', 'read_only'];
+
+const PERMISSIONS = {
+  'tenders:create': ['admin', 'tender_manager'],
+  'tenders:update': ['admin', 'tender_manager'],
+  'tenders:delete': ['admin'],
+  // Ticking off a site visit, without editing its details
+  'siteVisits:complete': ['admin', 'tender_manager', 'staff'],
+  'tasks:create': ['admin', 'tender_manager'],
+  // Editing any field of any task, including reassigning it
+  'tasks:update': ['admin', 'tender_manager'],
+  // Changing only the status of a task assigned to yourself
+  'tasks:update-own-status': ['admin', 'tender_manager', 'staff'],
+  'tasks:delete': ['admin', 'tender_manager'],
+  // Commenting on tenders and tasks, and deleting your own comments
+  'comments:create': ['admin', 'tender_manager', 'staff'],
+  // Deleting anyone's comment
+  'comments:delete': ['admin'],
+};
+
+export function can(user, permission) {
+  return Boolean(user) && (PERMISSIONS[permission] || []).includes(user.role);
+}
+
+// The roles granted `permission`
+export function rolesWith(permission) {
+  return PERMISSIONS[permission] || [];
+}
+
+export function permissionsFor(role) {
+  return Object.keys(PERMISSIONS).filter(permission => PERMISSIONS[permission].includes(role));
+}
+
+// Tasks are assigned by name, so ownership is a case-insensitive name match
+export function isAssignedTo(task, user) {
+  return Boolean(task.assigned_to) && task.assigned_to.trim().toLowerCase() === user.name.trim().toLowerCase();
+}
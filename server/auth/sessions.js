@@ -0,0 +1,52 @@
+import crypto from 'crypto';
+import { HttpError } from '../http/errors.js';
+import { signToken, verifyToken } from './tokens.js';
+import { createSession, findSessionUser } from '../repositories/users.js';
+import { permissionsFor } from './permissions.js';
+
+const DEFAULT_SESSION_TTL_HOURS = 12;
+
+// Strips the password hash and other internals before a user is sent to a client
+export function publicUser(user) {
+  return {
+    id: user.id,
+    email: user.email,
+    name: user.name,
+    role: user.role,
+    permissions: permissionsFor(user.role),
+  };
+}
+
+export async function startSession(db, user) {
+  const ttlHours = Number(process.env.SESSION_TTL_HOURS) || DEFAULT_SESSION_TTL_HOURS;
+  const expiresAt = new Date(Date.now() + ttlHours * 60 * 60 * 1000);
+  const session = await createSession(db, {
+    id: crypto.randomUUID(),
+    user_id: user.id,
+    expires_at: expiresAt,
+  });
+
+  return {
+    token: signToken({ sub: user.id, sid: session.id }, expiresAt),
+    expiresAt,
+    user: publicUser(user),
+  };
+}
+
+// Resolves the `Authorization: Bearer <token>` header to the signed-in user.
+// Throws a 401 HttpError when the token is missing, invalid, expired or revoked.
+export async function authenticate({ headers, db }) {
+  const header = headers.authorization || headers.Authorization || '';
+  const [scheme, token] = header.split(' ');
+  if (scheme !== 'Bearer' || !token) {
+    throw new HttpError(401, 'Authentication required');
+  }
+
+  const claims = verifyToken(token);
+  const user = claims && await findSessionUser(db, claims.sid);
+  if (!user || user.id !== claims.sub) {
+    throw new HttpError(401, 'Session expired, please log in again');
+  }
+
+  return user;
+}
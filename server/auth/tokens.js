@@ -0,0 +1,40 @@
+import crypto from 'crypto';
+
+// Minimal HS256 JSON Web Tokens signed with AUTH_SECRET
+
+const HEADER = Buffer.from(JSON.stringify({ alg: 'HS256', typ: 'JWT' })).toString('base64url');
+
+function getSecret() {
+  if (!process.env.AUTH_SECRET) {
+    throw new Error('AUTH_SECRET is not set');
+  }
+  return process.env.AUTH_SECRET;
+}
+
+function sign(data) {
+  return crypto.createHmac('sha256', getSecret()).update(data).digest('base64url');
+}
+
+// `expiresAt` is a Date; it becomes the standard `exp` claim
+export function signToken(payload, expiresAt) {
+  const claims = { ...payload, iat: Math.floor(Date.now() / 1000), exp: Math.floor(expiresAt.getTime() / 1000) };
+  const body = `${HEADER}.${Buffer.from(JSON.stringify(claims)).toString('base64url')}`;
+  return `${body}.${sign(body)}`;
+}
+
+// Returns the token's claims, or null if it is malformed, tampered with or expired
+export function verifyToken(token) {
+  const [header, payload, signature] = (token || '').split('.');
+  if (!header || !payload || !signature) return null;
+
+  const expected = Buffer.from(sign(`${header}.${payload}`));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+
+  try {
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    return claims.exp && claims.exp * 1000 > Date.now() ? claims : null;
+  } catch (error) {
+    return null;
+  }
+}
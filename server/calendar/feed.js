@@ -0,0 +1,153 @@
+// Builds the iCalendar (RFC 5545) feed served by routes/calendar.js from the rows in
+// repositories/calendar.js: one event per tender closing date, dated site visit and task due
+// date. Each event's UID comes from its record's id alone, so a calendar subscribed to the
+// feed updates the event when the record changes and removes it once the record is gone.
+
+const DEFAULT_APP_URL = 'http://localhost:5173';
+const UID_DOMAIN = 'elsport-tender-tracker';
+// Visits only have a start time; they show as an hour long
+const SITE_VISIT_DURATION = 'PT1H';
+// Tenders that won't be bid for keep their closing date, but as a cancelled event
+const CANCELLED_TENDER_STATUSES = ['CANCELLED', 'NO_BID'];
+const TASK_STATUS_LABELS = { PENDING: 'Pending', SENT: 'Sent', COMPLETED: 'Completed' };
+
+function appLink(path) {
+  return `${(process.env.APP_URL || DEFAULT_APP_URL).replace(/\/$/, '')}${path}`;
+}
+
+function escapeText(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// Lines longer than 75 octets continue on the next line after a space, without splitting a
+// multi-byte character
+function foldLine(line) {
+  const parts = [];
+  let current = '';
+  let octets = 0;
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    // Continuation lines start with the space, which counts towards their 75
+    if (octets + size > (parts.length === 0 ? 75 : 74)) {
+      parts.push(current);
+      current = '';
+      octets = 0;
+    }
+    current += char;
+    octets += size;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+// YYYY-MM-DD (or HH:MM, or an ISO date-time) in iCalendar's basic format, e.g. 20261101
+function basic(value) {
+  return value.replace(/[-:]/g, '');
+}
+
+// All-day events end on the following day
+function nextDay(date) {
+  const [year, month, day] = date.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day + 1)).toISOString().slice(0, 10);
+}
+
+function humanize(status) {
+  const words = status.toLowerCase().replace(/_/g, ' ');
+  return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+// `event` is { uid, modified?, date, time?, summary, description?, location?, url, sequence?,
+// cancelled? } with values as the repository returns them; empty properties are left out.
+// `stamp` is when the feed was generated, which is what DTSTAMP means in a published feed.
+function eventLines(event, stamp) {
+  const lines = ['BEGIN:VEVENT', `UID:${event.uid}@${UID_DOMAIN}`, `DTSTAMP:${stamp}`];
+  // updated_at is nullable, so not every record knows when it last changed
+  if (event.modified) lines.push(`LAST-MODIFIED:${basic(event.modified)}`);
+
+  // A time without a zone is "floating": the visit is at that time wherever the viewer is
+  if (event.time) {
+    lines.push(`DTSTART:${basic(event.date)}T${basic(event.time)}00`, `DURATION:${SITE_VISIT_DURATION}`);
+  } else {
+    lines.push(`DTSTART;VALUE=DATE:${basic(event.date)}`, `DTEND;VALUE=DATE:${basic(nextDay(event.date))}`);
+  }
+
+  if (event.sequence) lines.push(`SEQUENCE:${event.sequence}`);
+  lines.push(`SUMMARY:${escapeText(event.summary)}`);
+  if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+  if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+  lines.push(`URL:${event.url}`);
+  if (event.cancelled) lines.push('STATUS:CANCELLED');
+  lines.push('TRANSP:TRANSPARENT', 'END:VEVENT');
+  return lines;
+}
+
+function tenderEvent(tender) {
+  return {
+    uid: `tender-${tender.id}-closing`,
+    modified: tender.modified,
+    date: tender.due_on,
+    summary: `Tender ${tender.tender_number} closes`,
+    description: `${tender.description}\nStatus: ${humanize(tender.status)}`,
+    url: appLink(`/tenders/${tender.id}`),
+    // Versions start at 1, sequences at 0
+    sequence: tender.version - 1,
+    cancelled: CANCELLED_TENDER_STATUSES.includes(tender.status),
+  };
+}
+
+function siteVisitEvent(visit) {
+  return {
+    uid: `site-visit-${visit.id}`,
+    modified: visit.modified,
+    date: visit.visit_on,
+    time: visit.visit_at,
+    summary: `${visit.completed ? 'Done: ' : ''}Site visit for tender ${visit.tender_number}`,
+    description: [
+      visit.tender_description,
+      visit.contact ? `Contact: ${visit.contact}` : null,
+      visit.attendee ? `Attending: ${visit.attendee}` : null,
+      visit.notes,
+    ].filter(Boolean).join('\n'),
+    location: visit.location,
+    url: appLink(`/tenders/${visit.tender_id}`),
+  };
+}
+
+function taskEvent(task) {
+  return {
+    uid: `task-${task.id}-due`,
+    modified: task.modified,
+    date: task.due_on,
+    summary: `${task.status === 'COMPLETED' ? 'Done: ' : 'Due: '}${task.description}`,
+    description: [
+      task.assigned_to ? `Assigned to ${task.assigned_to}` : 'Not assigned',
+      task.tender_number ? `For tender ${task.tender_number}` : null,
+      `Status: ${TASK_STATUS_LABELS[task.status] || task.status}`,
+    ].filter(Boolean).join('\n'),
+    url: appLink(`/tasks/${task.id}`),
+    sequence: task.version - 1,
+  };
+}
+
+export function calendarFeed({ tenders, siteVisits, tasks }, now = new Date()) {
+  const stamp = basic(now.toISOString().replace(/\.\d+/, ''));
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//ELSPORT Enterprise//Tender Tracker//EN',
+    'CALSCALE:GREGORIAN',
+    'X-WR-CALNAME:ELSPORT tenders and tasks',
+    // How often calendar apps should check for changes (most check less often regardless)
+    'REFRESH-INTERVAL;VALUE=DURATION:PT1H',
+    'X-PUBLISHED-TTL:PT1H',
+    ...tenders.flatMap(tender => eventLines(tenderEvent(tender), stamp)),
+    ...siteVisits.flatMap(visit => eventLines(siteVisitEvent(visit), stamp)),
+    ...tasks.flatMap(task => eventLines(taskEvent(task), stamp)),
+    'END:VCALENDAR',
+  ];
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+}
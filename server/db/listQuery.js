@@ -0,0 +1,136 @@
+import { badRequest } from '../http/errors.js';
+import { isRealDate } from '../validation/validate.js';
+
+// Turns list endpoint query parameters into SQL clauses. A spec describes what a
+// resource supports:
+//
+//   {
+//     where: ['t.deleted_at IS NULL', ...],                    // conditions that always apply
+//     filters: { name: (value, param) => 'SQL condition' },  // `param(v)` returns a $n placeholder
+//     search: ['t.description', ...],                           // columns matched by `q`
+//     sortable: { name: 'SQL expression' },
+//     defaultSort: 'name',
+//     defaultOrder: 'asc' | 'desc',
+//     tieBreaker: 't.id',                                      // keeps pages stable
+//   }
+//
+// Filters throw an Error with a user-facing message for bad values; those are
+// collected and reported as a 400 with per-parameter details.
+
+export const DEFAULT_PAGE_SIZE = 50;
+export const MAX_PAGE_SIZE = 200;
+
+const DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+// Splits a comma-separated parameter and checks every value is allowed
+export function listOf(value, allowed) {
+  const items = value.split(',').map(item => item.trim()).filter(Boolean);
+  const invalid = items.filter(item => !allowed.includes(item));
+  if (invalid.length > 0) {
+    throw new Error(`must be one of ${allowed.join(', ')}`);
+  }
+  return items;
+}
+
+export function dateValue(value) {
+  if (!DATE.test(value) || !isRealDate(value)) {
+    throw new Error('must be a date (YYYY-MM-DD)');
+  }
+  return value;
+}
+
+export function positiveInteger(value, max) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1 || (max && number > max)) {
+    throw new Error(max ? `must be a whole number from 1 to ${max}` : 'must be a whole number of at least 1');
+  }
+  return number;
+}
+
+export function buildListQuery(query, spec) {
+  const errors = {};
+  const conditions = [...(spec.where || [])];
+  const params = [];
+  const param = (value) => {
+    params.push(value);
+    return `$${params.length}`;
+  };
+
+  // Repeated parameters (?status=a&status=b) behave like a comma-separated list
+  const read = (name) => {
+    const value = query[name];
+    if (value === undefined || value === null || value === '') return null;
+    return Array.isArray(value) ? value.join(',') : String(value);
+  };
+
+  for (const [name, filter] of Object.entries(spec.filters || {})) {
+    const value = read(name);
+    if (value === null) continue;
+    try {
+      conditions.push(filter(value, param));
+    } catch (error) {
+      errors[name] = `${name} ${error.message}`;
+    }
+  }
+
+  const q = (read('q') || '').trim();
+  if (q && spec.search) {
+    const placeholder = param(`%${q.replace(/[\\%_]/g, char => `\\${char}`)}%`);
+    conditions.push(`(${spec.search.map(column => `${column} ILIKE ${placeholder}`).join(' OR ')})`);
+  }
+
+  const sort = read('sort') || spec.defaultSort;
+  // Own keys only, so ?sort=constructor isn't taken for a column
+  if (!Object.hasOwn(spec.sortable, sort)) {
+    errors.sort = `sort must be one of ${Object.keys(spec.sortable).join(', ')}`;
+  }
+
+  const order = (read('order') || spec.defaultOrder).toLowerCase();
+  if (order !== 'asc' && order !== 'desc') {
+    errors.order = 'order must be asc or desc';
+  }
+
+  let page = 1;
+  let pageSize = DEFAULT_PAGE_SIZE;
+  try {
+    if (read('page')) page = positiveInteger(read('page'));
+  } catch (error) {
+    errors.page = `page ${error.message}`;
+  }
+  try {
+    if (read('page_size')) pageSize = positiveInteger(read('page_size'), MAX_PAGE_SIZE);
+  } catch (error) {
+    errors.page_size = `page_size ${error.message}`;
+  }
+
+  if (Object.keys(errors).length > 0) {
+    throw badRequest('Invalid query parameters', errors);
+  }
+
+  const direction = order.toUpperCase();
+  return {
+    where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+    orderBy: `ORDER BY ${spec.sortable[sort]} ${direction} NULLS LAST, ${spec.tieBreaker} ${direction}`,
+    params,
+    page,
+    pageSize,
+    limit: `LIMIT ${pageSize} OFFSET ${(page - 1) * pageSize}`,
+  };
+}
+
+// Runs the count and page queries and wraps the rows with pagination details
+export async function paginate(db, { select, count, list }) {
+  const rows = await db.query(`${select} ${list.where} ${list.orderBy} ${list.limit}`, list.params);
+  const total = await db.query(`${count} ${list.where}`, list.params);
+  const totalCount = Number(total.rows[0].count);
+
+  return {
+    data: rows.rows,
+    pagination: {
+      page: list.page,
+      pageSize: list.pageSize,
+      total: totalCount,
+      totalPages: Math.ceil(totalCount / list.pageSize),
+    },
+  };
+}
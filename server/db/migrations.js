@@ -0,0 +1,152 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+
+// Migration runner. Migrations live in server/migrations as NNN_name.sql or NNN_name.js:
+//   - .sql files hold a `-- migrate:up` section and an optional `-- migrate:down` section
+//   - .js files export async `up(client)` and optional `down(client)` functions
+// Applied versions are recorded in the schema_migrations table. Each migration runs in
+// its own transaction, so a failure leaves the database at the last good version.
+
+const MIGRATIONS_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../migrations');
+const MIGRATION_FILE = /^(\d+)_([\w-]+)\.(sql|js)$/;
+
+// Arbitrary constant used with pg_advisory_lock so two deploys cannot migrate at once
+const MIGRATION_LOCK_ID = 72817301;
+
+function parseSqlMigration(source) {
+  const [, up = '', down = ''] = source.split(/^--\s*migrate:(?:up|down)\s*$/m);
+  return {
+    up: (client) => client.query(up),
+    down: down.trim() ? (client) => client.query(down) : null,
+  };
+}
+
+export async function loadMigrations() {
+  const files = await fs.readdir(MIGRATIONS_DIR);
+  const migrations = [];
+
+  for (const file of files) {
+    const match = file.match(MIGRATION_FILE);
+    if (!match) continue;
+
+    const [, version, name, extension] = match;
+    const filePath = path.join(MIGRATIONS_DIR, file);
+    const steps = extension === 'sql'
+      ? parseSqlMigration(await fs.readFile(filePath, 'utf8'))
+      : await import(pathToFileURL(filePath).href);
+
+    if (typeof steps.up !== 'function') {
+      throw new Error(`Migration ${file} has no up step`);
+    }
+
+    migrations.push({ version: Number(version), name, file, up: steps.up, down: steps.down || null });
+  }
+
+  migrations.sort((a, b) => a.version - b.version);
+
+  for (let i = 1; i < migrations.length; i++) {
+    if (migrations[i].version === migrations[i - 1].version) {
+      throw new Error(`Duplicate migration version ${migrations[i].version}`);
+    }
+  }
+
+  return migrations;
+}
+
+async function ensureMigrationsTable(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+}
+
+async function getAppliedVersions(client) {
+  const result = await client.query('SELECT version FROM schema_migrations ORDER BY version');
+  return new Set(result.rows.map(row => row.version));
+}
+
+async function withMigrationLock(pool, fn) {
+  const client = await pool.connect();
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_ID]);
+    await ensureMigrationsTable(client);
+    return await fn(client);
+  } finally {
+    await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_ID]).catch(() => {});
+    client.release();
+  }
+}
+
+async function runInTransaction(client, fn) {
+  await client.query('BEGIN');
+  try {
+    await fn();
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  }
+}
+
+// Applies every pending migration, or those up to and including `to`
+export async function migrateUp(pool, { to = Infinity, log = console.log } = {}) {
+  const migrations = await loadMigrations();
+
+  return withMigrationLock(pool, async (client) => {
+    const applied = await getAppliedVersions(client);
+    const pending = migrations.filter(m => !applied.has(m.version) && m.version <= to);
+
+    for (const migration of pending) {
+      log(`Applying ${migration.file}`);
+      await runInTransaction(client, async () => {
+        await migration.up(client);
+        await client.query(
+          'INSERT INTO schema_migrations (version, name) VALUES ($1, $2)',
+          [migration.version, migration.name]
+        );
+      });
+    }
+
+    return pending.map(m => m.file);
+  });
+}
+
+// Reverts the most recently applied `steps` migrations
+export async function migrateDown(pool, { steps = 1, log = console.log } = {}) {
+  const migrations = await loadMigrations();
+
+  return withMigrationLock(pool, async (client) => {
+    const applied = await getAppliedVersions(client);
+    const toRevert = migrations
+      .filter(m => applied.has(m.version))
+      .reverse()
+      .slice(0, steps);
+
+    for (const migration of toRevert) {
+      if (!migration.down) {
+        throw new Error(`Migration ${migration.file} cannot be reverted`);
+      }
+
+      log(`Reverting ${migration.file}`);
+      await runInTransaction(client, async () => {
+        await migration.down(client);
+        await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+      });
+    }
+
+    return toRevert.map(m => m.file);
+  });
+}
+
+export async function migrationStatus(pool) {
+  const migrations = await loadMigrations();
+
+  return withMigrationLock(pool, async (client) => {
+    const applied = await getAppliedVersions(client);
+    return migrations.map(m => ({ file: m.file, version: m.version, applied: applied.has(m.version) }));
+  });
+}
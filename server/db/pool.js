@@ -0,0 +1,11 @@
+import pg from 'pg';
+const { Pool } = pg;
+
+// Creates a PostgreSQL connection pool for DATABASE_URL. Extra options (e.g. `ssl`) are
+// passed straight to pg.
+export function createPool(options = {}) {
+  return new Pool({
+    connectionString: process.env.DATABASE_URL,
+    ...options,
+  });
+}
@@ -0,0 +1,30 @@
+// Runs `fn(client, afterCommit)` inside a transaction on a client checked out of `pool`,
+// committing if it resolves and rolling back if it throws.
+//
+// `afterCommit(task)` queues `task(pool)` to run once the transaction has committed, for
+// work that shouldn't hold the transaction open or happen at all if it rolls back (such as
+// calling another service). A task that fails is logged: its change is saved regardless.
+export async function withTransaction(pool, fn) {
+  const client = await pool.connect();
+  const committed = [];
+  let result;
+  try {
+    await client.query('BEGIN');
+    result = await fn(client, task => committed.push(task));
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  for (const task of committed) {
+    try {
+      await task(pool);
+    } catch (error) {
+      console.error('Error after commit:', error);
+    }
+  }
+  return result;
+}
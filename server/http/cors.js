@@ -0,0 +1,16 @@
+// Origins allowed to call the API from a browser, from CORS_ORIGINS (comma separated).
+// Defaults to the Vite dev server. Same-origin requests (e.g. through the Netlify
+// redirects) don't need to be listed.
+const DEFAULT_ORIGINS = ['http://localhost:5173'];
+
+export function allowedOrigins() {
+  const configured = (process.env.CORS_ORIGINS || '')
+    .split(',')
+    .map(origin => origin.trim())
+    .filter(Boolean);
+  return configured.length > 0 ? configured : DEFAULT_ORIGINS;
+}
+
+export function isAllowedOrigin(origin) {
+  return Boolean(origin) && allowedOrigins().includes(origin);
+}
@@ -0,0 +1,28 @@
+// Error carrying an HTTP status. Route handlers throw these and the adapters turn them
+// into `{ error: message }` responses with the given status. `details` maps fields to
+// messages; `current` is the record as it is now, sent with version conflicts.
+export class HttpError extends Error {
+  constructor(status, message, details, current) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+    this.details = details;
+    this.current = current;
+  }
+}
+
+export function notFound(message = 'Not found') {
+  return new HttpError(404, message);
+}
+
+export function forbidden(message = 'You do not have permission to do that') {
+  return new HttpError(403, message);
+}
+
+export function conflict(message = 'The record was changed by someone else', current) {
+  return new HttpError(409, message, undefined, current);
+}
+
+export function badRequest(message = 'Bad request', details) {
+  return new HttpError(400, message, details);
+}
@@ -0,0 +1,108 @@
+import { HttpError, forbidden, badRequest } from './errors.js';
+import { authenticate } from '../auth/sessions.js';
+import { can } from '../auth/permissions.js';
+import { withTransaction } from '../db/transaction.js';
+
+// Transport-agnostic routing shared by the Express server and the Netlify functions.
+//
+// A route is `{ method, path, handler, status?, error?, public?, permission?, transaction?, contentType? }`:
+//   - `path` uses Express-style params, e.g. '/api/tenders/:id/site-visits/:visitId'. Every
+//     param is a row id, so anything but a whole number gets a 400 before the handler runs
+//   - `handler({ params, query, body, headers, db, user })` returns the JSON response body
+//   - `status` is the success status code (default 200)
+//   - `error` is the message sent when the handler fails unexpectedly
+//   - `public` skips authentication; every other route requires a signed-in `user`
+//   - `permission` is checked against the user's role (see auth/permissions.js)
+//   - `transaction` runs the handler inside a transaction, with `db` set to its client,
+//     so a change and its audit event are saved together or not at all. The handler also
+//     gets `afterCommit` for work to do once it has committed (see db/transaction.js)
+//   - `contentType` sends the handler's result (a string) as-is with that type instead of
+//     as JSON; errors are still sent as JSON
+//
+// The adapters build a request object, call `handleRequest` and translate the
+// `{ status, body, contentType? }` result back into their own response format.
+
+// Params are INTEGER ids, so they stop at Postgres's largest integer
+const MAX_ID = 2147483647;
+
+function isId(value) {
+  return /^\d+$/.test(value) && Number(value) >= 1 && Number(value) <= MAX_ID;
+}
+
+function compilePath(path) {
+  const keys = [];
+  const pattern = path.replace(/:(\w+)/g, (_, key) => {
+    keys.push(key);
+    return '([^/]+)';
+  });
+  return { regex: new RegExp(`^${pattern}/?$`), keys };
+}
+
+// A path segment with its %-escapes decoded, or null if they are malformed (e.g. %E0)
+function decodeParam(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    return null;
+  }
+}
+
+export function createRouter(routes) {
+  const compiled = routes.map(route => ({ ...route, ...compilePath(route.path) }));
+
+  // Finds the route for a method and path. Returns `{ route, params }`, or
+  // `{ allowed: false }` when the path exists but not for this method. A path that can't
+  // be decoded matches nothing.
+  function match(method, path) {
+    let pathMatched = false;
+
+    for (const route of compiled) {
+      const result = route.regex.exec(path);
+      if (!result) continue;
+
+      pathMatched = true;
+      if (route.method !== method) continue;
+
+      const params = {};
+      const values = result.slice(1).map(decodeParam);
+      if (values.includes(null)) return null;
+      route.keys.forEach((key, index) => {
+        params[key] = values[index];
+      });
+      return { route, params };
+    }
+
+    return pathMatched ? { allowed: false } : null;
+  }
+
+  return { routes, match };
+}
+
+export async function handleRequest(route, request) {
+  try {
+    const user = route.public ? null : await authenticate(request);
+    if (route.permission && !can(user, route.permission)) {
+      throw forbidden();
+    }
+    const invalid = Object.keys(request.params || {}).filter(key => !isId(request.params[key]));
+    if (invalid.length > 0) {
+      throw badRequest('Invalid id', Object.fromEntries(invalid.map(key => [key, `${key} must be a whole number`])));
+    }
+    const body = route.transaction
+      ? await withTransaction(request.db, (db, afterCommit) => route.handler({ ...request, db, user, afterCommit }))
+      : await route.handler({ ...request, user });
+    const result = { status: route.status || 200, body };
+    if (route.contentType) result.contentType = route.contentType;
+    return result;
+  } catch (error) {
+    if (error instanceof HttpError) {
+      const body = { error: error.message };
+      if (error.details) body.details = error.details;
+      if (error.current) body.current = error.current;
+      return { status: error.status, body };
+    }
+
+    console.error(`${route.error || 'Error handling request'}:`, error);
+    return { status: 500, body: { error: route.error || 'Internal server error' } };
+  }
+}
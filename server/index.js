@@ -1,8 +1,14 @@
 import express from 'express';
 import cors from 'cors';
 import dotenv from 'dotenv';
-import pg from 'pg';
-const { Pool } = pg;
+import { createPool } from './db/pool.js';
+import { mountRoutes } from './adapters/express.js';
+import { isAllowedOrigin } from './http/cors.js';
+import routes from './routes/index.js';
+import { purgeExpiredTrash } from './jobs/purgeTrash.js';
+import { sendReminders } from './jobs/sendReminders.js';
+import { createChangeFeed } from './realtime/changes.js';
+import { mountEventStream } from './realtime/eventStream.js';
 
 // Load environment variables
 dotenv.config({ path: './server/.env' });
@@ -11,13 +17,14 @@ const app = express();
 const port = process.env.PORT || 3001;
 
 // PostgreSQL connection pool
-const pool = new Pool({
-  connectionString: process.env.DATABASE_URL,
-});
+const pool = createPool();
 
 // Middleware
-app.use(cors());
-app.use(express.json());
+app.use(cors({
+  origin: (origin, callback) => callback(null, isAllowedOrigin(origin)),
+}));
+// PATCH bodies are sent as JSON Merge Patch (application/merge-patch+json)
+app.use(express.json({ type: ['application/json', 'application/merge-patch+json'] }));
 
 // Test database connection
 pool.connect((err, client, release) => {
@@ -28,149 +35,54 @@ pool.connect((err, client, release) => {
   release();
 });
 
-// Health check endpoint
-app.get('/api/health', (req, res) => {
-  res.json({ status: 'ok', message: 'Server is running' });
-});
+// Health, auth, tender and task endpoints (shared with the Netlify functions)
+mountRoutes(app, routes, { db: pool });
 
-// Tender endpoints
-app.get('/api/tenders', async (req, res) => {
-  try {
-    const result = await pool.query('SELECT * FROM tenders ORDER BY created_at DESC');
-    res.json(result.rows);
-  } catch (error) {
-    console.error('Error fetching tenders:', error);
-    res.status(500).json({ error: 'Failed to fetch tenders' });
-  }
-});
-
-app.post('/api/tenders', async (req, res) => {
-  const { description, closing_date, site_visits } = req.body;
-  
-  try {
-    // tender_number will be auto-generated by the database
-    const result = await pool.query(
-      'INSERT INTO tenders (description, closing_date, site_visits) VALUES ($1, $2, $3) RETURNING *',
-      [description, closing_date, site_visits]
-    );
-    res.status(201).json(result.rows[0]);
-  } catch (error) {
-    console.error('Error creating tender:', error);
-    res.status(500).json({ error: 'Failed to create tender' });
-  }
-});
+// Live tender and task changes for open clients
+const changeFeed = createChangeFeed(pool);
+mountEventStream(app, { db: pool, feed: changeFeed });
 
-app.put('/api/tenders/:id', async (req, res) => {
-  const { id } = req.params;
-  const { description, closing_date, site_visits } = req.body;
-  
+// Empty the trash of anything past its retention period, on startup and then daily
+const PURGE_INTERVAL_MS = 24 * 60 * 60 * 1000;
+async function purgeTrash() {
   try {
-    // Only update the fields that can be changed, preserve tender_number
-    const result = await pool.query(
-      'UPDATE tenders SET description = $1, closing_date = $2, site_visits = $3, updated_at = CURRENT_TIMESTAMP WHERE id = $4 RETURNING *',
-      [description, closing_date, site_visits, id]
-    );
-    
-    if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'Tender not found' });
+    const purged = await purgeExpiredTrash(pool);
+    if (purged.tenders || purged.tasks) {
+      console.log(`Purged ${purged.tenders} tender(s) and ${purged.tasks} task(s) from the trash`);
     }
-    
-    res.json(result.rows[0]);
   } catch (error) {
-    console.error('Error updating tender:', error);
-    res.status(500).json({ error: 'Failed to update tender' });
+    console.error('Error purging trash:', error);
   }
-});
+}
+const purgeTimer = setInterval(purgeTrash, PURGE_INTERVAL_MS);
 
-app.delete('/api/tenders/:id', async (req, res) => {
-  const { id } = req.params;
-  
+// Email closing-date and due-date reminders, on startup and then hourly
+const REMINDER_INTERVAL_MS = 60 * 60 * 1000;
+async function remind() {
   try {
-    const result = await pool.query('DELETE FROM tenders WHERE id = $1 RETURNING *', [id]);
-    
-    if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'Tender not found' });
+    const sent = await sendReminders(pool);
+    if (sent.emails || sent.failed) {
+      console.log(`Sent ${sent.reminders} reminder(s) in ${sent.emails} email(s), ${sent.failed} failed`);
     }
-    
-    res.json({ message: 'Tender deleted successfully' });
   } catch (error) {
-    console.error('Error deleting tender:', error);
-    res.status(500).json({ error: 'Failed to delete tender' });
+    console.error('Error sending reminders:', error);
   }
-});
-
-// Task endpoints
-app.get('/api/tasks', async (req, res) => {
-  try {
-    const result = await pool.query('SELECT * FROM tasks ORDER BY created_at DESC');
-    res.json(result.rows);
-  } catch (error) {
-    console.error('Error fetching tasks:', error);
-    res.status(500).json({ error: 'Failed to fetch tasks' });
-  }
-});
-
-app.post('/api/tasks', async (req, res) => {
-  const { description, assigned_to, due_date, status } = req.body;
-  
-  try {
-    const result = await pool.query(
-      'INSERT INTO tasks (description, assigned_to, due_date, status) VALUES ($1, $2, $3, $4) RETURNING *',
-      [description, assigned_to, due_date, status || 'PENDING']
-    );
-    res.status(201).json(result.rows[0]);
-  } catch (error) {
-    console.error('Error creating task:', error);
-    res.status(500).json({ error: 'Failed to create task' });
-  }
-});
-
-app.put('/api/tasks/:id', async (req, res) => {
-  const { id } = req.params;
-  const { description, assigned_to, due_date, status } = req.body;
-  
-  try {
-    const result = await pool.query(
-      'UPDATE tasks SET description = $1, assigned_to = $2, due_date = $3, status = $4, updated_at = CURRENT_TIMESTAMP WHERE id = $5 RETURNING *',
-      [description, assigned_to, due_date, status, id]
-    );
-    
-    if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'Task not found' });
-    }
-    
-    res.json(result.rows[0]);
-  } catch (error) {
-    console.error('Error updating task:', error);
-    res.status(500).json({ error: 'Failed to update task' });
-  }
-});
-
-app.delete('/api/tasks/:id', async (req, res) => {
-  const { id } = req.params;
-  
-  try {
-    const result = await pool.query('DELETE FROM tasks WHERE id = $1 RETURNING *', [id]);
-    
-    if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'Task not found' });
-    }
-    
-    res.json({ message: 'Task deleted successfully' });
-  } catch (error) {
-    console.error('Error deleting task:', error);
-    res.status(500).json({ error: 'Failed to delete task' });
-  }
-});
+}
+const reminderTimer = setInterval(remind, REMINDER_INTERVAL_MS);
 
 // Start server
 app.listen(port, () => {
   console.log(`Server running at http://localhost:${port}`);
+  purgeTrash();
+  remind();
 });
 
 // Graceful shutdown
 process.on('SIGINT', async () => {
   console.log('Shutting down server...');
+  clearInterval(purgeTimer);
+  clearInterval(reminderTimer);
+  changeFeed.close();
   await pool.end();
   process.exit(0);
 });
@@ -0,0 +1,35 @@
+import { withTransaction } from '../db/transaction.js';
+import { purgeExpiredTenders } from '../repositories/tenders.js';
+import { purgeExpiredTasks } from '../repositories/tasks.js';
+import { logChange } from '../audit/log.js';
+
+const DEFAULT_RETENTION_DAYS = 30;
+
+// How long deleted tenders and tasks stay in the trash before they are purged
+export function trashRetentionDays() {
+  return Number(process.env.TRASH_RETENTION_DAYS) || DEFAULT_RETENTION_DAYS;
+}
+
+// When a record in the trash will be purged
+export function purgeDate(deletedAt) {
+  return new Date(new Date(deletedAt).getTime() + trashRetentionDays() * 24 * 60 * 60 * 1000);
+}
+
+// Purges everything that has been in the trash longer than the retention period. Run daily
+// by the Express server and by the purge-trash scheduled function on Netlify.
+export async function purgeExpiredTrash(pool) {
+  return withTransaction(pool, async (db) => {
+    const days = trashRetentionDays();
+    const tasks = await purgeExpiredTasks(db, days);
+    const tenders = await purgeExpiredTenders(db, days);
+
+    for (const task of tasks) {
+      await logChange(db, null, { entity: 'task', action: 'purge', before: task, taskId: task.id, tenderId: task.tender_id });
+    }
+    for (const tender of tenders) {
+      await logChange(db, null, { entity: 'tender', action: 'purge', before: tender, tenderId: tender.id });
+    }
+
+    return { tenders: tenders.length, tasks: tasks.length };
+  });
+}
@@ -0,0 +1,130 @@
+import { withTransaction } from '../db/transaction.js';
+import { rolesWith } from '../auth/permissions.js';
+import { listUsersWithRoles } from '../repositories/users.js';
+import {
+  findClosingTenders, findTendersClosingWithin, findDueTasks, recordReminder,
+} from '../repositories/reminders.js';
+import { createMailTransport } from '../notifications/mail.js';
+import { reminderEmail } from '../notifications/reminderEmails.js';
+import { notifyTenderClosing, pushTenderClosing } from '../notifications/notify.js';
+
+// Days before the date that reminders go out: tenders a week, two days and on the day they
+// close, tasks the day before and on the day they are due. Set with REMINDER_TENDER_DAYS and
+// REMINDER_TASK_DAYS (comma separated, e.g. 7,2,0).
+const DEFAULT_TENDER_DAYS = [7, 2, 0];
+const DEFAULT_TASK_DAYS = [1, 0];
+
+// Owners are sent a push notification once their tender closes within this many hours
+const PUSH_CLOSING_HOURS = 24;
+
+// Overdue tasks are reminded about once. Tasks further overdue than this when the job first
+// sees them (e.g. when reminders are first turned on) are left alone.
+const OVERDUE_CATCH_UP_DAYS = 7;
+
+function reminderDays(value, defaults) {
+  const days = (value || '')
+    .split(',')
+    .filter(day => day.trim() !== '')
+    .map(Number)
+    .filter(day => Number.isInteger(day) && day >= 0);
+  return (days.length > 0 ? days : defaults).sort((a, b) => a - b);
+}
+
+// The reminder a date `daysLeft` away has reached: the nearest of `days` not before it. With
+// 7, 2 and 0, a tender closing in 5 days is in its 7 day reminder until it is 2 days away.
+function reminderWindow(daysLeft, days) {
+  return days.find(day => day >= daysLeft);
+}
+
+// Tenders closing within the reminder days, each with the reminder it has reached
+async function closingTenders(db) {
+  const tenderDays = reminderDays(process.env.REMINDER_TENDER_DAYS, DEFAULT_TENDER_DAYS);
+  const tenders = await findClosingTenders(db, tenderDays[tenderDays.length - 1]);
+  return tenders.map(tender => ({ tender, reminder: `closing:${reminderWindow(tender.days_left, tenderDays)}` }));
+}
+
+// Every reminder currently due, sent or not: closing tenders to everyone who manages tenders,
+// due and overdue tasks to whoever they are assigned to
+async function dueReminders(db) {
+  const taskDays = reminderDays(process.env.REMINDER_TASK_DAYS, DEFAULT_TASK_DAYS);
+  const reminders = [];
+
+  const managers = await listUsersWithRoles(db, rolesWith('tenders:update'));
+  for (const { tender, reminder } of await closingTenders(db)) {
+    for (const user of managers) {
+      reminders.push({ user, entity_type: 'tender', reminder, record: tender, days_left: tender.days_left });
+    }
+  }
+
+  for (const task of await findDueTasks(db, taskDays[taskDays.length - 1], OVERDUE_CATCH_UP_DAYS)) {
+    const reminder = task.days_left < 0 ? 'overdue' : `due:${reminderWindow(task.days_left, taskDays)}`;
+    const user = { id: task.user_id, name: task.user_name, email: task.user_email };
+    reminders.push({ user, entity_type: 'task', reminder, record: task, days_left: task.days_left });
+  }
+
+  return reminders;
+}
+
+// Emails each user the reminders due to them that haven't been sent yet: one email for a
+// single reminder, a digest for several. Followers of a closing tender are also told in the
+// app, and its owner is pushed a notification in the last 24 hours before it closes (see
+// notifications/notify.js). Run hourly by the Express server and by the send-reminders
+// scheduled function on Netlify.
+//
+// Reminders are recorded as sent in the same transaction that sends their email, so a failed
+// send is tried again next time, and two runs at once can't both send the same reminder.
+export async function sendReminders(pool, { transport = createMailTransport() } = {}) {
+  const byUser = new Map();
+  for (const reminder of await dueReminders(pool)) {
+    if (!byUser.has(reminder.user.id)) byUser.set(reminder.user.id, []);
+    byUser.get(reminder.user.id).push(reminder);
+  }
+
+  const result = { emails: 0, reminders: 0, failed: 0, notifications: 0, pushed: 0 };
+  for (const reminders of byUser.values()) {
+    const { user } = reminders[0];
+    try {
+      const sent = await withTransaction(pool, async (db) => {
+        const unsent = [];
+        for (const reminder of reminders) {
+          const recorded = await recordReminder(db, {
+            user_id: user.id,
+            entity_type: reminder.entity_type,
+            entity_id: reminder.record.id,
+            reminder: reminder.reminder,
+            due_on: reminder.record.due_on,
+          });
+          if (recorded) unsent.push(reminder);
+        }
+
+        if (unsent.length > 0) {
+          await transport.send({ to: user.email, ...reminderEmail(user, unsent) });
+        }
+        return unsent.length;
+      });
+
+      if (sent > 0) {
+        result.emails += 1;
+        result.reminders += sent;
+      }
+    } catch (error) {
+      // One bad address shouldn't hold up everyone else's reminders
+      console.error(`Error sending reminders to ${user.email}:`, error);
+      result.failed += 1;
+    }
+  }
+
+  Object.assign(result, await withTransaction(pool, async (db, afterCommit) => {
+    let notifications = 0;
+    let pushed = 0;
+    for (const { tender, reminder } of await closingTenders(db)) {
+      notifications += await notifyTenderClosing(db, tender, reminder, tender.days_left);
+    }
+    for (const tender of await findTendersClosingWithin(db, PUSH_CLOSING_HOURS)) {
+      if (await pushTenderClosing(db, afterCommit, tender)) pushed += 1;
+    }
+    return { notifications, pushed };
+  }));
+
+  return result;
+}
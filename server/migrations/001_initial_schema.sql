@@ -0,0 +1,32 @@
+-- Baseline schema for tenders and tasks, matching the tables the app was first deployed against.
+-- Uses IF NOT EXISTS so it can be recorded against a database that predates migrations.
+
+-- migrate:up
+CREATE SEQUENCE IF NOT EXISTS tender_number_seq;
+
+CREATE TABLE IF NOT EXISTS tenders (
+  id SERIAL PRIMARY KEY,
+  tender_number TEXT NOT NULL UNIQUE DEFAULT ('TND-' || LPAD(nextval('tender_number_seq')::text, 5, '0')),
+  description TEXT NOT NULL,
+  closing_date DATE NOT NULL,
+  site_visits TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+ALTER SEQUENCE tender_number_seq OWNED BY tenders.tender_number;
+
+CREATE TABLE IF NOT EXISTS tasks (
+  id SERIAL PRIMARY KEY,
+  description TEXT NOT NULL,
+  assigned_to TEXT,
+  due_date DATE,
+  status VARCHAR(20) NOT NULL DEFAULT 'PENDING',
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- migrate:down
+DROP TABLE IF EXISTS tasks;
+DROP TABLE IF EXISTS tenders;
+DROP SEQUENCE IF EXISTS tender_number_seq;
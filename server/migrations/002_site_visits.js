@@ -0,0 +1,100 @@
+// Converts the legacy `tenders.site_visits` text column ("15/01/2025; ✓16/01/2025 north gate")
+// into rows in the `site_visits` table, then drops the old column.
+
+// Matches dd/MM/yyyy (also with . or - separators) or yyyy-MM-dd at the start of a visit,
+// optionally followed by a HH:mm time
+const LEGACY_DATE = /^(?:(\d{1,2})[/.-](\d{1,2})[/.-](\d{4}|\d{2})|(\d{4})-(\d{2})-(\d{2}))(?:\s+(?:at\s+)?(\d{1,2}):(\d{2}))?\s*/i;
+
+function parseLegacySiteVisits(text) {
+  if (!text) return [];
+
+  return text
+    .split(';')
+    .map(visit => visit.trim())
+    .filter(visit => visit !== '')
+    .map(visit => {
+      const completed = visit.startsWith('✓');
+      const rest = completed ? visit.substring(1).trim() : visit;
+      const match = rest.match(LEGACY_DATE);
+
+      if (!match) {
+        return { visit_date: null, visit_time: null, completed, notes: rest };
+      }
+
+      const [, day, month, shortYear, isoYear, isoMonth, isoDay, hours, minutes] = match;
+      const year = isoYear || (shortYear.length === 2 ? `20${shortYear}` : shortYear);
+      const visitDate = isoYear
+        ? `${isoYear}-${isoMonth}-${isoDay}`
+        : `${year}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`;
+      const visitTime = hours ? `${hours.padStart(2, '0')}:${minutes}` : null;
+      const notes = rest.substring(match[0].length).trim();
+
+      // Keep the original text if the "date" is not a real calendar date (e.g. 31/02/2025)
+      const parsed = new Date(`${visitDate}T00:00:00Z`);
+      if (Number.isNaN(parsed.getTime()) || parsed.toISOString().slice(0, 10) !== visitDate) {
+        return { visit_date: null, visit_time: null, completed, notes: rest };
+      }
+
+      return { visit_date: visitDate, visit_time: visitTime, completed, notes: notes || null };
+    });
+}
+
+export async function up(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS site_visits (
+      id SERIAL PRIMARY KEY,
+      tender_id INTEGER NOT NULL REFERENCES tenders(id) ON DELETE CASCADE,
+      visit_date DATE,
+      visit_time TIME,
+      location TEXT,
+      contact TEXT,
+      attendee TEXT,
+      completed BOOLEAN NOT NULL DEFAULT FALSE,
+      notes TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+    CREATE INDEX IF NOT EXISTS site_visits_tender_id_idx ON site_visits (tender_id);
+  `);
+
+  // Databases converted by the old one-off script no longer have the column
+  const column = await client.query(
+    `SELECT 1 FROM information_schema.columns WHERE table_name = 'tenders' AND column_name = 'site_visits'`
+  );
+  if (column.rows.length === 0) return;
+
+  const tenders = await client.query(
+    `SELECT id, site_visits FROM tenders WHERE site_visits IS NOT NULL AND TRIM(site_visits) <> ''`
+  );
+
+  for (const tender of tenders.rows) {
+    for (const visit of parseLegacySiteVisits(tender.site_visits)) {
+      await client.query(
+        'INSERT INTO site_visits (tender_id, visit_date, visit_time, completed, notes) VALUES ($1, $2, $3, $4, $5)',
+        [tender.id, visit.visit_date, visit.visit_time, visit.completed, visit.notes]
+      );
+    }
+  }
+
+  await client.query('ALTER TABLE tenders DROP COLUMN site_visits');
+}
+
+// Rebuilds the semicolon-separated text column. Contacts, attendees and locations have no
+// place in the old format, so they are folded into the visit text.
+export async function down(client) {
+  await client.query('ALTER TABLE tenders ADD COLUMN site_visits TEXT');
+  await client.query(`
+    UPDATE tenders t SET site_visits = visits.text
+    FROM (
+      SELECT tender_id, STRING_AGG(
+        (CASE WHEN completed THEN '✓' ELSE '' END) ||
+        CONCAT_WS(' ', TO_CHAR(visit_date, 'DD/MM/YYYY'), TO_CHAR(visit_time, 'HH24:MI'), location, contact, attendee, notes),
+        '; ' ORDER BY visit_date NULLS LAST, visit_time NULLS LAST, id
+      ) AS text
+      FROM site_visits
+      GROUP BY tender_id
+    ) visits
+    WHERE visits.tender_id = t.id
+  `);
+  await client.query('DROP TABLE site_visits');
+}
@@ -0,0 +1,9 @@
+-- Roles controlling what each user may change (see server/auth/permissions.js)
+
+-- migrate:up
+ALTER TABLE users
+  ADD COLUMN role TEXT NOT NULL DEFAULT 'staff'
+  CHECK (role IN ('admin', 'tender_manager', 'staff', 'read_only'));
+
+-- migrate:down
+ALTER TABLE users DROP COLUMN role;
@@ -0,0 +1,17 @@
+-- Tender lifecycle status (see server/validation/tenderLifecycle.js for the allowed transitions).
+-- Existing tenders start as IDENTIFIED; managers move them on from the tender list.
+
+-- migrate:up
+ALTER TABLE tenders
+  ADD COLUMN status VARCHAR(20) NOT NULL DEFAULT 'IDENTIFIED'
+    CHECK (status IN ('IDENTIFIED', 'PREPARING', 'SUBMITTED', 'WON', 'LOST', 'CANCELLED', 'NO_BID')),
+  ADD COLUMN submitted_at DATE,
+  ADD COLUMN outcome_reason TEXT;
+
+CREATE INDEX IF NOT EXISTS tenders_status_idx ON tenders (status);
+
+-- migrate:down
+ALTER TABLE tenders
+  DROP COLUMN outcome_reason,
+  DROP COLUMN submitted_at,
+  DROP COLUMN status;
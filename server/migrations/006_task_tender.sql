@@ -0,0 +1,9 @@
+-- Optional link from a task to the tender it helps prepare. Deleting a tender keeps its
+-- tasks but unlinks them.
+
+-- migrate:up
+ALTER TABLE tasks ADD COLUMN tender_id INTEGER REFERENCES tenders(id) ON DELETE SET NULL;
+CREATE INDEX IF NOT EXISTS tasks_tender_id_idx ON tasks (tender_id);
+
+-- migrate:down
+ALTER TABLE tasks DROP COLUMN tender_id;
@@ -0,0 +1,29 @@
+-- Links to tender documents (stored elsewhere, e.g. a shared drive) and discussion
+-- comments on tenders and tasks. A comment belongs to exactly one tender or one task.
+
+-- migrate:up
+CREATE TABLE IF NOT EXISTS tender_documents (
+  id SERIAL PRIMARY KEY,
+  tender_id INTEGER NOT NULL REFERENCES tenders(id) ON DELETE CASCADE,
+  title TEXT NOT NULL,
+  url TEXT NOT NULL,
+  added_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+CREATE INDEX IF NOT EXISTS tender_documents_tender_id_idx ON tender_documents (tender_id);
+
+CREATE TABLE IF NOT EXISTS comments (
+  id SERIAL PRIMARY KEY,
+  tender_id INTEGER REFERENCES tenders(id) ON DELETE CASCADE,
+  task_id INTEGER REFERENCES tasks(id) ON DELETE CASCADE,
+  author_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  body TEXT NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  CHECK ((tender_id IS NULL) <> (task_id IS NULL))
+);
+CREATE INDEX IF NOT EXISTS comments_tender_id_idx ON comments (tender_id);
+CREATE INDEX IF NOT EXISTS comments_task_id_idx ON comments (task_id);
+
+-- migrate:down
+DROP TABLE comments;
+DROP TABLE tender_documents;
@@ -0,0 +1,19 @@
+-- Every status a task has been in, with who moved it there and when. Existing tasks get
+-- a single entry for their current status, dated when the task was created.
+
+-- migrate:up
+CREATE TABLE IF NOT EXISTS task_status_history (
+  id SERIAL PRIMARY KEY,
+  task_id INTEGER NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+  from_status VARCHAR(20),
+  to_status VARCHAR(20) NOT NULL,
+  changed_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  changed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+CREATE INDEX IF NOT EXISTS task_status_history_task_id_idx ON task_status_history (task_id);
+
+INSERT INTO task_status_history (task_id, from_status, to_status, changed_at)
+SELECT id, NULL, status, COALESCE(created_at, CURRENT_TIMESTAMP) FROM tasks;
+
+-- migrate:down
+DROP TABLE task_status_history;
@@ -0,0 +1,26 @@
+-- Who changed what and when. One row per create, update or delete of a tender, site visit,
+-- document, task or comment. `changes` maps each field that changed to { "from", "to" }.
+-- tender_id / task_id say which tender or task the event belongs to (e.g. a site visit's
+-- tender), so a record's full history is one query. There are deliberately no foreign
+-- keys: the history of a deleted record must outlive it.
+
+-- migrate:up
+CREATE TABLE IF NOT EXISTS audit_events (
+  id BIGSERIAL PRIMARY KEY,
+  actor_id INTEGER,
+  actor_name TEXT,
+  entity_type VARCHAR(20) NOT NULL,
+  entity_id INTEGER NOT NULL,
+  action VARCHAR(10) NOT NULL CHECK (action IN ('create', 'update', 'delete')),
+  changes JSONB NOT NULL DEFAULT '{}'::jsonb,
+  tender_id INTEGER,
+  task_id INTEGER,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+CREATE INDEX IF NOT EXISTS audit_events_entity_idx ON audit_events (entity_type, entity_id);
+CREATE INDEX IF NOT EXISTS audit_events_tender_id_idx ON audit_events (tender_id);
+CREATE INDEX IF NOT EXISTS audit_events_task_id_idx ON audit_events (task_id);
+CREATE INDEX IF NOT EXISTS audit_events_created_at_idx ON audit_events (created_at);
+
+-- migrate:down
+DROP TABLE audit_events;
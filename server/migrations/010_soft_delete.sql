@@ -0,0 +1,34 @@
+-- Deleting a tender or task now moves it to the trash: deleted_at is set and the row is
+-- hidden from the app until it is restored or purged (removed for good, either by hand or
+-- once it has been in the trash longer than TRASH_RETENTION_DAYS).
+-- The audit log gains 'restore' and 'purge' actions for those two steps.
+
+-- migrate:up
+ALTER TABLE tenders
+  ADD COLUMN deleted_at TIMESTAMP,
+  ADD COLUMN deleted_by INTEGER REFERENCES users(id) ON DELETE SET NULL;
+ALTER TABLE tasks
+  ADD COLUMN deleted_at TIMESTAMP,
+  ADD COLUMN deleted_by INTEGER REFERENCES users(id) ON DELETE SET NULL;
+CREATE INDEX IF NOT EXISTS tenders_deleted_at_idx ON tenders (deleted_at) WHERE deleted_at IS NOT NULL;
+CREATE INDEX IF NOT EXISTS tasks_deleted_at_idx ON tasks (deleted_at) WHERE deleted_at IS NOT NULL;
+
+ALTER TABLE audit_events DROP CONSTRAINT audit_events_action_check;
+ALTER TABLE audit_events ADD CONSTRAINT audit_events_action_check
+  CHECK (action IN ('create', 'update', 'delete', 'restore', 'purge'));
+
+-- migrate:down
+DELETE FROM audit_events WHERE action IN ('restore', 'purge');
+ALTER TABLE audit_events DROP CONSTRAINT audit_events_action_check;
+ALTER TABLE audit_events ADD CONSTRAINT audit_events_action_check
+  CHECK (action IN ('create', 'update', 'delete'));
+
+-- Anything still in the trash would reappear, so it goes for good
+DELETE FROM tasks WHERE deleted_at IS NOT NULL;
+DELETE FROM tenders WHERE deleted_at IS NOT NULL;
+ALTER TABLE tasks
+  DROP COLUMN deleted_by,
+  DROP COLUMN deleted_at;
+ALTER TABLE tenders
+  DROP COLUMN deleted_by,
+  DROP COLUMN deleted_at;
@@ -0,0 +1,11 @@
+-- Optimistic concurrency for tenders and tasks. Every update bumps version, and an update
+-- only applies if the client sends the version it last read, so two people editing the
+-- same record can't silently overwrite each other.
+
+-- migrate:up
+ALTER TABLE tenders ADD COLUMN version INTEGER NOT NULL DEFAULT 1;
+ALTER TABLE tasks ADD COLUMN version INTEGER NOT NULL DEFAULT 1;
+
+-- migrate:down
+ALTER TABLE tasks DROP COLUMN version;
+ALTER TABLE tenders DROP COLUMN version;
@@ -0,0 +1,19 @@
+-- Closing-date and due-date reminders that have been emailed (see server/jobs/sendReminders.js).
+-- One row per reminder per recipient; the unique key is what stops a reminder going out twice.
+-- `due_on` is the closing or due date the reminder was about, so moving the date starts the
+-- reminders again.
+
+-- migrate:up
+CREATE TABLE sent_reminders (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  entity_type TEXT NOT NULL CHECK (entity_type IN ('tender', 'task')),
+  entity_id INTEGER NOT NULL,
+  reminder TEXT NOT NULL,
+  due_on DATE NOT NULL,
+  sent_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (user_id, entity_type, entity_id, reminder, due_on)
+);
+
+-- migrate:down
+DROP TABLE IF EXISTS sent_reminders;
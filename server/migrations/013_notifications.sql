@@ -0,0 +1,34 @@
+-- In-app notifications, shown in the bell in the app header, and the tenders each user
+-- follows (so they hear when one is nearing its closing date).
+-- `message` is the sentence shown to the user. `dedupe_key` is set for notifications that
+-- must only ever be made once (e.g. one per closing reminder), and is unique per user.
+
+-- migrate:up
+CREATE TABLE tender_followers (
+  tender_id INTEGER NOT NULL REFERENCES tenders(id) ON DELETE CASCADE,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (tender_id, user_id)
+);
+CREATE INDEX tender_followers_user_id_idx ON tender_followers (user_id);
+
+CREATE TABLE notifications (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  type TEXT NOT NULL CHECK (type IN ('task_assigned', 'task_status', 'tender_closing', 'comment_mention')),
+  message TEXT NOT NULL,
+  tender_id INTEGER REFERENCES tenders(id) ON DELETE CASCADE,
+  task_id INTEGER REFERENCES tasks(id) ON DELETE CASCADE,
+  actor_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  actor_name TEXT,
+  dedupe_key TEXT,
+  read_at TIMESTAMP,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (user_id, dedupe_key)
+);
+CREATE INDEX notifications_user_id_idx ON notifications (user_id, created_at DESC);
+CREATE INDEX notifications_unread_idx ON notifications (user_id) WHERE read_at IS NULL;
+
+-- migrate:down
+DROP TABLE IF EXISTS notifications;
+DROP TABLE IF EXISTS tender_followers;
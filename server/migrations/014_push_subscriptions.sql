@@ -0,0 +1,18 @@
+-- Browsers that have opted in to push notifications (see server/notifications/push.js). A
+-- subscription belongs to whoever last registered it, so a shared phone follows whoever is
+-- signed in.
+
+-- migrate:up
+CREATE TABLE push_subscriptions (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  endpoint TEXT NOT NULL UNIQUE,
+  p256dh TEXT NOT NULL,
+  auth TEXT NOT NULL,
+  user_agent TEXT,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+CREATE INDEX push_subscriptions_user_id_idx ON push_subscriptions (user_id);
+
+-- migrate:down
+DROP TABLE IF EXISTS push_subscriptions;
@@ -0,0 +1,11 @@
+-- Personal calendar feed links (see server/routes/calendar.js). Calendar apps can't sign in,
+-- so each user's feed is found by a random token in its URL. Resetting the token breaks the
+-- old link; clearing it turns the feed off.
+
+-- migrate:up
+ALTER TABLE users ADD COLUMN calendar_token TEXT;
+CREATE UNIQUE INDEX users_calendar_token_idx ON users (calendar_token);
+
+-- migrate:down
+DROP INDEX IF EXISTS users_calendar_token_idx;
+ALTER TABLE users DROP COLUMN calendar_token;
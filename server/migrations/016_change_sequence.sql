@@ -0,0 +1,34 @@
+-- Numbers audit events in the order their transactions commit, for the change feed (see
+-- server/realtime/changes.js). Event ids are handed out on insert, so when two transactions
+-- overlap the one with the higher id can commit first; a client that had already moved
+-- past that id would never see the other change. `change_seq` is only set at commit, under
+-- a lock, so every change a reader can see is numbered below any it can't see yet.
+-- Existing events keep their id as their number, so cursors held by open clients still work.
+
+-- migrate:up
+CREATE SEQUENCE audit_events_change_seq;
+ALTER TABLE audit_events ADD COLUMN change_seq BIGINT;
+UPDATE audit_events SET change_seq = id;
+SELECT setval('audit_events_change_seq', COALESCE((SELECT MAX(id) FROM audit_events), 0) + 1, false);
+CREATE UNIQUE INDEX audit_events_change_seq_idx ON audit_events (change_seq);
+
+-- Runs as the transaction commits. The lock is held until the commit is visible, so the
+-- next transaction to number its events waits for this one.
+CREATE FUNCTION number_audit_event() RETURNS trigger AS $$
+BEGIN
+  PERFORM pg_advisory_xact_lock(72817302);
+  UPDATE audit_events SET change_seq = nextval('audit_events_change_seq') WHERE id = NEW.id;
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE CONSTRAINT TRIGGER audit_events_number AFTER INSERT ON audit_events
+  DEFERRABLE INITIALLY DEFERRED
+  FOR EACH ROW EXECUTE FUNCTION number_audit_event();
+
+-- migrate:down
+DROP TRIGGER IF EXISTS audit_events_number ON audit_events;
+DROP FUNCTION IF EXISTS number_audit_event();
+DROP INDEX IF EXISTS audit_events_change_seq_idx;
+ALTER TABLE audit_events DROP COLUMN change_seq;
+DROP SEQUENCE IF EXISTS audit_events_change_seq;
@@ -0,0 +1,13 @@
+-- Who a tender belongs to: whoever added it. Owners are pushed a notification when their
+-- tender is about to close (see server/jobs/sendReminders.js). Tenders added before this are
+-- given to whoever the audit log says created them, where it knows.
+
+-- migrate:up
+ALTER TABLE tenders ADD COLUMN owner_id INTEGER REFERENCES users(id) ON DELETE SET NULL;
+UPDATE tenders t SET owner_id = a.actor_id
+FROM audit_events a
+WHERE a.entity_type = 'tender' AND a.action = 'create' AND a.entity_id = t.id
+  AND EXISTS (SELECT 1 FROM users u WHERE u.id = a.actor_id);
+
+-- migrate:down
+ALTER TABLE tenders DROP COLUMN owner_id;
@@ -0,0 +1,63 @@
+import nodemailer from 'nodemailer';
+import { mkdir, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+
+// Outgoing email. MAIL_TRANSPORT picks how messages are delivered:
+//
+//   smtp     through SMTP_HOST and SMTP_PORT, signing in with SMTP_USER and SMTP_PASSWORD if
+//            set. SMTP_SECURE=true uses TLS from the start (port 465); otherwise STARTTLS is
+//            used when the server offers it.
+//   file     written to MAIL_DIR as .eml files, for development and tests
+//   console  logged (the default)
+//
+// A transport is `{ send({ to, subject, text }) }`; jobs accept any object of that shape.
+
+const DEFAULT_FROM = 'ELSPORT Enterprise <no-reply@localhost>';
+const DEFAULT_MAIL_DIR = path.join(tmpdir(), 'elsport-mail');
+
+export function createMailTransport(env = process.env) {
+  const from = env.MAIL_FROM || DEFAULT_FROM;
+
+  switch (env.MAIL_TRANSPORT || 'console') {
+    case 'smtp': {
+      if (!env.SMTP_HOST) {
+        throw new Error('SMTP_HOST must be set to send email over SMTP');
+      }
+      const transporter = nodemailer.createTransport({
+        host: env.SMTP_HOST,
+        port: Number(env.SMTP_PORT) || 587,
+        secure: env.SMTP_SECURE === 'true',
+        auth: env.SMTP_USER ? { user: env.SMTP_USER, pass: env.SMTP_PASSWORD } : undefined,
+      });
+      return {
+        send: message => transporter.sendMail({ from, ...message }),
+      };
+    }
+
+    case 'file': {
+      const dir = env.MAIL_DIR || DEFAULT_MAIL_DIR;
+      const transporter = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+      return {
+        async send(message) {
+          const info = await transporter.sendMail({ from, ...message });
+          await mkdir(dir, { recursive: true });
+          const file = path.join(dir, `${Date.now()}-${info.messageId.replace(/[^\w.-]/g, '')}.eml`);
+          await writeFile(file, info.message);
+          return { ...info, file };
+        },
+      };
+    }
+
+    case 'console':
+      return {
+        async send(message) {
+          console.log(`Email to ${message.to}: ${message.subject}\n\n${message.text}`);
+          return { to: message.to };
+        },
+      };
+
+    default:
+      throw new Error(`Unknown MAIL_TRANSPORT "${env.MAIL_TRANSPORT}", expected smtp, file or console`);
+  }
+}
@@ -0,0 +1,113 @@
+import {
+  insertNotification, findUsersNamed, findMentionedUsers, listTenderFollowers,
+} from '../repositories/notifications.js';
+import { recordReminder } from '../repositories/reminders.js';
+import { sendPush } from './push.js';
+
+// Creates in-app notifications (shown in the bell in the app header) for what happens to
+// records people care about, and for the most pressing of them pushes a notification to the
+// user's phone too (see push.js). Nobody is notified about their own actions. Call these
+// inside the transaction making the change, so a rolled back change notifies nobody. Pushes
+// can't be taken back, so they are queued with the transaction's `afterCommit` (see
+// db/transaction.js) and only sent once the change is saved.
+
+const TASK_STATUS_LABELS = { PENDING: 'Pending', SENT: 'Sent', COMPLETED: 'Completed' };
+
+// Comments are quoted in notifications up to this length
+const EXCERPT_LENGTH = 80;
+
+function sameName(a, b) {
+  return (a || '').trim().toLowerCase() === (b || '').trim().toLowerCase();
+}
+
+function excerpt(text) {
+  const flat = text.replace(/\s+/g, ' ').trim();
+  return flat.length > EXCERPT_LENGTH ? `${flat.slice(0, EXCERPT_LENGTH - 1)}…` : flat;
+}
+
+// After a task is created (`before` null) or updated by `actor`: tells whoever it is now
+// assigned to, or if it wasn't reassigned but its status changed, tells them that
+export async function notifyTaskChange(db, afterCommit, actor, before, after) {
+  const assigned = !before || !sameName(before.assigned_to, after.assigned_to);
+  if (!assigned && before.status === after.status) return;
+
+  const message = assigned
+    ? `${actor.name} assigned you a task: ${after.description}`
+    : `${actor.name} marked your task "${after.description}" as ${TASK_STATUS_LABELS[after.status]}`;
+
+  for (const user of await findUsersNamed(db, after.assigned_to)) {
+    if (user.id === actor.id) continue;
+    await insertNotification(db, {
+      user_id: user.id,
+      type: assigned ? 'task_assigned' : 'task_status',
+      message,
+      task_id: after.id,
+      tender_id: after.tender_id,
+      actor,
+    });
+    if (assigned) {
+      const payload = { title: 'New task', body: message, url: `/tasks/${after.id}`, tag: `task-${after.id}` };
+      afterCommit(pool => sendPush(pool, user.id, payload));
+    }
+  }
+}
+
+// Tells everyone @mentioned in a new comment on a tender or task
+export async function notifyMentions(db, actor, comment) {
+  for (const user of await findMentionedUsers(db, comment.body)) {
+    if (user.id === actor.id) continue;
+    await insertNotification(db, {
+      user_id: user.id,
+      type: 'comment_mention',
+      message: `${actor.name} mentioned you: "${excerpt(comment.body)}"`,
+      tender_id: comment.tender_id,
+      task_id: comment.task_id,
+      actor,
+    });
+  }
+}
+
+function closesIn(daysLeft) {
+  return daysLeft === 0 ? 'today' : daysLeft === 1 ? 'tomorrow' : `in ${daysLeft} days`;
+}
+
+// Tells a tender's followers it closes in `daysLeft` days. `reminder` names the reminder
+// (e.g. 'closing:2', see jobs/sendReminders.js); each follower gets each reminder once per
+// closing date. Returns how many notifications were made.
+export async function notifyTenderClosing(db, tender, reminder, daysLeft) {
+  let created = 0;
+
+  for (const user of await listTenderFollowers(db, tender.id)) {
+    const notification = await insertNotification(db, {
+      user_id: user.id,
+      type: 'tender_closing',
+      message: `Tender ${tender.tender_number} closes ${closesIn(daysLeft)}`,
+      tender_id: tender.id,
+      dedupe_key: `${reminder}:${tender.id}:${tender.due_on}`,
+    });
+    if (notification) created += 1;
+  }
+  return created;
+}
+
+// Pushes a notification to the owner of a tender that is about to close, once per closing
+// date (recorded alongside the email reminders). Returns whether one was queued.
+export async function pushTenderClosing(db, afterCommit, tender) {
+  const first = await recordReminder(db, {
+    user_id: tender.owner_id,
+    entity_type: 'tender',
+    entity_id: tender.id,
+    reminder: 'push:closing',
+    due_on: tender.due_on,
+  });
+  if (!first) return false;
+
+  const payload = {
+    title: `Tender ${tender.tender_number} closes ${closesIn(tender.days_left)}`,
+    body: tender.description,
+    url: `/tenders/${tender.id}`,
+    tag: `tender-${tender.id}`,
+  };
+  afterCommit(pool => sendPush(pool, tender.owner_id, payload));
+  return true;
+}
@@ -0,0 +1,57 @@
+import webpush from 'web-push';
+import { listSubscriptions, deleteExpiredSubscription } from '../repositories/pushSubscriptions.js';
+
+// Web Push notifications, signed with the VAPID key pair in VAPID_PUBLIC_KEY and
+// VAPID_PRIVATE_KEY (generate one with `npm run push:keys`). VAPID_SUBJECT is a mailto: or
+// https: address push services can contact about our traffic. Without keys, push is off and
+// sendPush does nothing.
+//
+// A payload is { title, body, url, tag }; the service worker shows it and opens `url` when
+// it is clicked (see src/service-worker.js).
+
+// Undelivered notifications are dropped by the push service after this long
+const PUSH_TTL_SECONDS = 24 * 60 * 60;
+const PUSH_TIMEOUT_MS = 10000;
+
+export function vapidPublicKey() {
+  return process.env.VAPID_PUBLIC_KEY || null;
+}
+
+export function pushConfigured() {
+  return Boolean(process.env.VAPID_PUBLIC_KEY && process.env.VAPID_PRIVATE_KEY);
+}
+
+function vapidDetails() {
+  return {
+    subject: process.env.VAPID_SUBJECT || 'mailto:admin@localhost',
+    publicKey: process.env.VAPID_PUBLIC_KEY,
+    privateKey: process.env.VAPID_PRIVATE_KEY,
+  };
+}
+
+// Sends `payload` to every browser `userId` has subscribed. Failures are logged rather than
+// thrown: a push is a courtesy, and the change that caused it has already been made.
+// Returns how many browsers it reached.
+export async function sendPush(db, userId, payload) {
+  if (!pushConfigured()) return 0;
+
+  let delivered = 0;
+  for (const subscription of await listSubscriptions(db, userId)) {
+    try {
+      await webpush.sendNotification(
+        { endpoint: subscription.endpoint, keys: { p256dh: subscription.p256dh, auth: subscription.auth } },
+        JSON.stringify(payload),
+        { vapidDetails: vapidDetails(), TTL: PUSH_TTL_SECONDS, timeout: PUSH_TIMEOUT_MS }
+      );
+      delivered += 1;
+    } catch (error) {
+      // The browser unsubscribed or the subscription expired
+      if (error.statusCode === 404 || error.statusCode === 410) {
+        await deleteExpiredSubscription(db, subscription.endpoint);
+      } else {
+        console.error('Error sending push notification:', error);
+      }
+    }
+  }
+  return delivered;
+}
@@ -0,0 +1,79 @@
+// Wording of the reminder emails sent by jobs/sendReminders.js. A reminder is
+// { entity_type: 'tender' | 'task', record, days_left } with the record as returned by
+// repositories/reminders.js. One reminder gets an email of its own; several are sent together
+// as a digest.
+
+const DEFAULT_APP_URL = 'http://localhost:5173';
+
+// Links in emails point at the app, at APP_URL
+function appLink(reminder) {
+  const base = (process.env.APP_URL || DEFAULT_APP_URL).replace(/\/$/, '');
+  return `${base}/${reminder.entity_type === 'tender' ? 'tenders' : 'tasks'}/${reminder.record.id}`;
+}
+
+// YYYY-MM-DD as dd/MM/yyyy, the way the app shows dates
+function formatDate(value) {
+  const [year, month, day] = value.split('-');
+  return `${day}/${month}/${year}`;
+}
+
+function inDays(days) {
+  if (days === 0) return 'today';
+  if (days === 1) return 'tomorrow';
+  return `in ${days} days`;
+}
+
+function title({ entity_type, record }) {
+  return entity_type === 'tender' ? `Tender ${record.tender_number}` : `Task "${record.description}"`;
+}
+
+// e.g. "closes tomorrow (21/10/2026)" or "is overdue (was due 14/10/2026)"
+function when({ entity_type, record, days_left }) {
+  const date = formatDate(record.due_on);
+  if (entity_type === 'tender') return `closes ${inDays(days_left)} (${date})`;
+  if (days_left < 0) return `is overdue (was due ${date})`;
+  return `is due ${inDays(days_left)} (${date})`;
+}
+
+function details({ entity_type, record }) {
+  if (entity_type === 'tender') return record.description;
+  return record.tender_number ? `For tender ${record.tender_number}` : null;
+}
+
+function describe(reminder) {
+  const extra = details(reminder);
+  return [`${title(reminder)} ${when(reminder)}`, extra, appLink(reminder)].filter(Boolean);
+}
+
+const SIGNATURE = ['', '-- ', 'ELSPORT Enterprise tender & task management'];
+
+// The email for `user` about `reminders`, as { subject, text }
+export function reminderEmail(user, reminders) {
+  if (reminders.length === 1) {
+    const [reminder] = reminders;
+    return {
+      subject: `${title(reminder)} ${when(reminder).replace(/ \(.*\)$/, '')}`,
+      text: [`Hi ${user.name},`, '', ...describe(reminder), ...SIGNATURE].join('\n'),
+    };
+  }
+
+  const sections = [
+    ['Tenders closing soon', reminders.filter(r => r.entity_type === 'tender')],
+    ['Tasks due soon', reminders.filter(r => r.entity_type === 'task' && r.days_left >= 0)],
+    ['Overdue tasks', reminders.filter(r => r.entity_type === 'task' && r.days_left < 0)],
+  ].filter(([, items]) => items.length > 0);
+
+  const lines = [`Hi ${user.name},`, '', `${reminders.length} tenders and tasks need your attention.`];
+  for (const [heading, items] of sections) {
+    lines.push('', heading, '');
+    for (const reminder of items) {
+      const [first, ...rest] = describe(reminder);
+      lines.push(`- ${first}`, ...rest.map(line => `  ${line}`));
+    }
+  }
+
+  return {
+    subject: `ELSPORT reminders: ${reminders.length} tenders and tasks need your attention`,
+    text: [...lines, ...SIGNATURE].join('\n'),
+  };
+}
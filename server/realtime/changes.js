@@ -0,0 +1,132 @@
+// Changes to tenders, tasks and the records under them, as pushed to open clients. Every
+// audit event becomes one change:
+//
+//   { id, entity, entity_id, action, tender_id, task_id, actor_id }
+//
+// `id` is the event's `change_seq`, which numbers events in the order their transactions
+// committed (see migration 016), so a client that lost its connection can ask for
+// everything after the last change it saw without missing one that committed late. The
+// column is a BIGINT, which pg hands back as a string; ids are compared, so they go out as
+// numbers.
+
+import { listEventsAfter, latestChangeSeq } from '../repositories/audit.js';
+
+const CHANNEL = 'record_changes';
+const RECONNECT_DELAY_MS = 5000;
+const FETCH_LIMIT = 500;
+
+export function toChange(event) {
+  return {
+    id: Number(event.change_seq),
+    entity: event.entity_type,
+    entity_id: event.entity_id,
+    action: event.action,
+    tender_id: event.tender_id,
+    task_id: event.task_id,
+    actor_id: event.actor_id,
+  };
+}
+
+// Tells the change feed there is something new. Postgres holds the notification back until
+// the transaction commits (by which time its events are numbered), drops it if the
+// transaction rolls back, and sends one per transaction however many events it logged.
+export async function notifyChange(db) {
+  await db.query('SELECT pg_notify($1, $2)', [CHANNEL, '']);
+}
+
+// Listens for changes on a connection of its own. Each notification is a prompt to read the
+// committed events after the last one handed out, which go to every subscriber in order.
+// A lost connection is re-established after a short delay and then catches up the same way,
+// so changes made in the meantime are not lost.
+export function createChangeFeed(pool) {
+  const subscribers = new Set();
+  let client = null;
+  let closed = false;
+  let retryTimer = null;
+  let cursor = null;
+  let fetching = null;
+  let fetchAgain = false;
+
+  async function fetchChanges() {
+    do {
+      fetchAgain = false;
+      let events;
+      do {
+        events = await listEventsAfter(pool, cursor, FETCH_LIMIT);
+        events.map(toChange).forEach((change) => {
+          cursor = change.id;
+          subscribers.forEach(subscriber => subscriber(change));
+        });
+      } while (events.length === FETCH_LIMIT && !closed);
+    } while (fetchAgain && !closed);
+  }
+
+  // Notifications arriving during a fetch are folded into one more fetch after it
+  function catchUp() {
+    if (fetching) {
+      fetchAgain = true;
+      return;
+    }
+    fetching = fetchChanges()
+      .catch(error => console.error('Error reading changes:', error))
+      .finally(() => { fetching = null; });
+  }
+
+  async function connect() {
+    try {
+      client = await pool.connect();
+      client.on('notification', (message) => {
+        if (message.channel === CHANNEL) catchUp();
+      });
+      client.on('error', (error) => {
+        console.error('Change feed connection lost:', error);
+        reconnect(error);
+      });
+      await client.query(`LISTEN ${CHANNEL}`);
+      if (cursor === null) {
+        cursor = await latestChangeSeq(pool);
+      } else {
+        catchUp();
+      }
+    } catch (error) {
+      console.error('Error listening for changes:', error);
+      reconnect(error);
+    }
+  }
+
+  function reconnect(error) {
+    if (client) {
+      client.removeAllListeners();
+      client.release(error);
+      client = null;
+    }
+    if (!closed && !retryTimer) {
+      retryTimer = setTimeout(() => {
+        retryTimer = null;
+        connect();
+      }, RECONNECT_DELAY_MS);
+    }
+  }
+
+  connect();
+
+  return {
+    // Returns a function that stops the subscription
+    subscribe(subscriber) {
+      subscribers.add(subscriber);
+      return () => subscribers.delete(subscriber);
+    },
+
+    close() {
+      closed = true;
+      clearTimeout(retryTimer);
+      subscribers.clear();
+      if (client) {
+        client.removeAllListeners();
+        // Destroyed rather than returned to the pool, where it would still be listening
+        client.release(true);
+        client = null;
+      }
+    },
+  };
+}
@@ -0,0 +1,64 @@
+import { HttpError } from '../http/errors.js';
+import { authenticate } from '../auth/sessions.js';
+import { listEventsAfter } from '../repositories/audit.js';
+import { toChange } from './changes.js';
+
+const HEARTBEAT_MS = 25000;
+const REPLAY_LIMIT = 500;
+
+// GET /api/events: a Server-Sent Events stream of changes from `feed` (see changes.js), one
+// `change` event each. Only the Express server serves this; the Netlify functions can't
+// hold a connection open, so clients there poll /api/changes instead.
+//
+// EventSource can't send an Authorization header, so the session token comes in the
+// `access_token` query parameter. A client reconnecting with Last-Event-ID (or the
+// `last_event_id` parameter, for a new EventSource) is first sent the changes it missed.
+export function mountEventStream(app, { db, feed }) {
+  app.get('/api/events', async (req, res) => {
+    try {
+      await authenticate({ headers: { authorization: `Bearer ${req.query.access_token || ''}` }, db });
+    } catch (error) {
+      if (error instanceof HttpError) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      console.error('Error opening event stream:', error);
+      return res.status(500).json({ error: 'Failed to open event stream' });
+    }
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no',
+    });
+
+    let lastSent = Number(req.headers['last-event-id'] || req.query.last_event_id) || 0;
+    const send = (change) => {
+      if (change.id <= lastSent) return;
+      lastSent = change.id;
+      res.write(`id: ${change.id}\nevent: change\ndata: ${JSON.stringify(change)}\n\n`);
+    };
+
+    // Changes arriving during the replay wait until it is done, so they go out in order
+    let held = lastSent ? [] : null;
+    const unsubscribe = feed.subscribe(change => (held ? held.push(change) : send(change)));
+
+    // Comments keep proxies from closing a quiet connection
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+    });
+
+    res.write('retry: 5000\n\n');
+    if (held) {
+      try {
+        (await listEventsAfter(db, lastSent, REPLAY_LIMIT)).map(toChange).forEach(send);
+      } catch (error) {
+        console.error('Error replaying changes:', error);
+      }
+      held.forEach(send);
+      held = null;
+    }
+  });
+}
@@ -0,0 +1,71 @@
+import { buildListQuery, paginate, listOf, dateValue, positiveInteger } from '../db/listQuery.js';
+
+// SQL for the audit_events table. Events are only ever inserted, never changed.
+
+const ENTITY_TYPES = ['tender', 'site_visit', 'document', 'task', 'comment'];
+const ACTIONS = ['create', 'update', 'delete', 'restore', 'purge'];
+
+const AUDIT_LIST = {
+  filters: {
+    entity_type: (value, param) => `a.entity_type = ANY(${param(listOf(value, ENTITY_TYPES))})`,
+    entity_id: (value, param) => `a.entity_id = ${param(positiveInteger(value))}`,
+    tender_id: (value, param) => `a.tender_id = ${param(positiveInteger(value))}`,
+    task_id: (value, param) => `a.task_id = ${param(positiveInteger(value))}`,
+    actor_id: (value, param) => `a.actor_id = ${param(positiveInteger(value))}`,
+    action: (value, param) => `a.action = ANY(${param(listOf(value, ACTIONS))})`,
+    from: (value, param) => `a.created_at >= ${param(dateValue(value))}::date`,
+    to: (value, param) => `a.created_at < ${param(dateValue(value))}::date + 1`,
+  },
+  sortable: {
+    created_at: 'a.created_at',
+  },
+  defaultSort: 'created_at',
+  defaultOrder: 'desc',
+  tieBreaker: 'a.id',
+};
+
+export async function insertAuditEvent(db, { actor, entity_type, entity_id, action, changes, tender_id, task_id }) {
+  const result = await db.query(
+    `INSERT INTO audit_events (actor_id, actor_name, entity_type, entity_id, action, changes, tender_id, task_id)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8) RETURNING *`,
+    [actor ? actor.id : null, actor ? actor.name : null, entity_type, entity_id, action, JSON.stringify(changes), tender_id || null, task_id || null]
+  );
+  return result.rows[0];
+}
+
+// Committed events numbered after `after`, in commit order (see realtime/changes.js and
+// migration 016)
+export async function listEventsAfter(db, after, limit) {
+  const result = await db.query(
+    'SELECT * FROM audit_events WHERE change_seq > $1 ORDER BY change_seq LIMIT $2',
+    [after, limit]
+  );
+  return result.rows;
+}
+
+export async function latestChangeSeq(db) {
+  const result = await db.query('SELECT COALESCE(MAX(change_seq), 0) AS change_seq FROM audit_events');
+  return Number(result.rows[0].change_seq);
+}
+
+// The latest change to a tender's status, if it was made in the last `seconds` seconds
+export async function findRecentStatusChange(db, tenderId, seconds) {
+  const result = await db.query(
+    `SELECT * FROM audit_events
+     WHERE entity_type = 'tender' AND entity_id = $1 AND action = 'update' AND changes ? 'status'
+       AND created_at > CURRENT_TIMESTAMP - make_interval(secs => $2)
+     ORDER BY id DESC
+     LIMIT 1`,
+    [tenderId, seconds]
+  );
+  return result.rows[0] || null;
+}
+
+// Lists audit events matching the query parameters described by AUDIT_LIST, newest first
+export async function listAuditEvents(db, query = {}) {
+  return paginate(db, {
+    select: 'SELECT a.* FROM audit_events a',
+    count: 'SELECT COUNT(*) FROM audit_events a',
+    list: buildListQuery(query, AUDIT_LIST),
+  });
+}
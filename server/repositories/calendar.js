@@ -0,0 +1,56 @@
+// SQL for the dates shown on calendars: the in-app calendar (routes/calendar.js) and the
+// iCalendar feed (calendar/feed.js). Dates come back as YYYY-MM-DD, times as HH:MM and
+// `modified` (when the record last changed) as a UTC date-time. `range` is an optional
+// { from, to } (YYYY-MM-DD, both included); without it, every date is returned.
+
+const MODIFIED = alias => `to_char(${alias}.updated_at::timestamptz AT TIME ZONE 'UTC', 'YYYY-MM-DD"T"HH24:MI:SS"Z"') AS modified`;
+
+const IN_RANGE = column => `($1::date IS NULL OR ${column} >= $1::date) AND ($2::date IS NULL OR ${column} <= $2::date)`;
+
+function rangeParams({ from, to } = {}) {
+  return [from || null, to || null];
+}
+
+export async function listTenderClosingDates(db, range) {
+  const result = await db.query(
+    `SELECT t.id, t.tender_number, t.description, t.status, t.version,
+            to_char(t.closing_date, 'YYYY-MM-DD') AS due_on,
+            ${MODIFIED('t')}
+     FROM tenders t
+     WHERE t.deleted_at IS NULL AND ${IN_RANGE('t.closing_date')}
+     ORDER BY t.closing_date, t.id`,
+    rangeParams(range)
+  );
+  return result.rows;
+}
+
+// Visits with a date, for tenders that aren't in the trash
+export async function listScheduledSiteVisits(db, range) {
+  const result = await db.query(
+    `SELECT v.id, v.tender_id, v.location, v.contact, v.attendee, v.completed, v.notes,
+            t.tender_number, t.description AS tender_description,
+            to_char(v.visit_date, 'YYYY-MM-DD') AS visit_on,
+            to_char(v.visit_time, 'HH24:MI') AS visit_at,
+            ${MODIFIED('v')}
+     FROM site_visits v
+     JOIN tenders t ON t.id = v.tender_id
+     WHERE t.deleted_at IS NULL AND v.visit_date IS NOT NULL AND ${IN_RANGE('v.visit_date')}
+     ORDER BY v.visit_date, v.visit_time NULLS FIRST, v.id`,
+    rangeParams(range)
+  );
+  return result.rows;
+}
+
+export async function listTaskDueDates(db, range) {
+  const result = await db.query(
+    `SELECT t.id, t.description, t.assigned_to, t.status, t.version, t.tender_id, tn.tender_number,
+            to_char(t.due_date, 'YYYY-MM-DD') AS due_on,
+            ${MODIFIED('t')}
+     FROM tasks t
+     LEFT JOIN tenders tn ON tn.id = t.tender_id
+     WHERE t.deleted_at IS NULL AND t.due_date IS NOT NULL AND ${IN_RANGE('t.due_date')}
+     ORDER BY t.due_date, t.id`,
+    rangeParams(range)
+  );
+  return result.rows;
+}
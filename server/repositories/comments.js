@@ -0,0 +1,48 @@
+// SQL for the comments table. A comment belongs to a tender or a task; `entity` picks which
+// ('tender' or 'task') and `entityId` is that row's id.
+
+const ENTITY_COLUMNS = { tender: 'tender_id', task: 'task_id' };
+
+const COMMENT_SELECT = `
+  SELECT c.*, u.name AS author_name
+  FROM comments c
+  LEFT JOIN users u ON u.id = c.author_id
+`;
+
+function columnFor(entity) {
+  const column = ENTITY_COLUMNS[entity];
+  if (!column) throw new Error(`Unknown comment entity "${entity}"`);
+  return column;
+}
+
+export async function listComments(db, entity, entityId) {
+  const result = await db.query(
+    `${COMMENT_SELECT} WHERE c.${columnFor(entity)} = $1 ORDER BY c.created_at, c.id`,
+    [entityId]
+  );
+  return result.rows;
+}
+
+export async function findComment(db, entity, entityId, id) {
+  const result = await db.query(
+    `${COMMENT_SELECT} WHERE c.id = $1 AND c.${columnFor(entity)} = $2`,
+    [id, entityId]
+  );
+  return result.rows[0] || null;
+}
+
+export async function createComment(db, entity, entityId, { body }, userId) {
+  const result = await db.query(
+    `INSERT INTO comments (${columnFor(entity)}, author_id, body) VALUES ($1, $2, $3) RETURNING id`,
+    [entityId, userId, body]
+  );
+  return findComment(db, entity, entityId, result.rows[0].id);
+}
+
+export async function deleteComment(db, entity, entityId, id) {
+  const result = await db.query(
+    `DELETE FROM comments WHERE id = $1 AND ${columnFor(entity)} = $2 RETURNING *`,
+    [id, entityId]
+  );
+  return result.rows[0] || null;
+}
@@ -0,0 +1,29 @@
+// SQL for the tender_documents table. Documents are always scoped to their tender.
+
+const DOCUMENT_SELECT = `
+  SELECT d.*, u.name AS added_by_name
+  FROM tender_documents d
+  LEFT JOIN users u ON u.id = d.added_by
+`;
+
+export async function listDocuments(db, tenderId) {
+  const result = await db.query(`${DOCUMENT_SELECT} WHERE d.tender_id = $1 ORDER BY d.created_at, d.id`, [tenderId]);
+  return result.rows;
+}
+
+export async function createDocument(db, tenderId, { title, url }, userId) {
+  const result = await db.query(
+    'INSERT INTO tender_documents (tender_id, title, url, added_by) VALUES ($1, $2, $3, $4) RETURNING id',
+    [tenderId, title, url, userId]
+  );
+  const created = await db.query(`${DOCUMENT_SELECT} WHERE d.id = $1`, [result.rows[0].id]);
+  return created.rows[0];
+}
+
+export async function deleteDocument(db, tenderId, id) {
+  const result = await db.query(
+    'DELETE FROM tender_documents WHERE id = $1 AND tender_id = $2 RETURNING *',
+    [id, tenderId]
+  );
+  return result.rows[0] || null;
+}
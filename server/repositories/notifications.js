@@ -0,0 +1,130 @@
+import { buildListQuery, paginate, listOf } from '../db/listQuery.js';
+
+// SQL for notifications and tender followers. Every notification belongs to one user, and
+// the functions reading or changing them take that user's id so nobody sees anyone else's.
+
+export const NOTIFICATION_TYPES = ['task_assigned', 'task_status', 'tender_closing', 'comment_mention'];
+
+const NOTIFICATION_SELECT = `
+  SELECT n.*, tn.tender_number, tk.description AS task_description
+  FROM notifications n
+  LEFT JOIN tenders tn ON tn.id = n.tender_id
+  LEFT JOIN tasks tk ON tk.id = n.task_id
+`;
+
+const NOTIFICATION_LIST = {
+  filters: {
+    // Always set by listNotifications, never taken from the query string
+    user_id: (value, param) => `n.user_id = ${param(value)}`,
+    unread: (value) => {
+      const [unread, ...rest] = listOf(value, ['true', 'false']);
+      if (!unread || rest.length > 0) throw new Error('must be true or false');
+      return unread === 'true' ? 'n.read_at IS NULL' : 'n.read_at IS NOT NULL';
+    },
+    type: (value, param) => `n.type = ANY(${param(listOf(value, NOTIFICATION_TYPES))})`,
+  },
+  sortable: {
+    created_at: 'n.created_at',
+  },
+  defaultSort: 'created_at',
+  defaultOrder: 'desc',
+  tieBreaker: 'n.id',
+};
+
+// Creates a notification. One with a `dedupe_key` the user already has isn't made again;
+// null is returned instead.
+export async function insertNotification(db, { user_id, type, message, tender_id, task_id, actor, dedupe_key }) {
+  const result = await db.query(
+    `INSERT INTO notifications (user_id, type, message, tender_id, task_id, actor_id, actor_name, dedupe_key)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+     ON CONFLICT (user_id, dedupe_key) DO NOTHING
+     RETURNING *`,
+    [user_id, type, message, tender_id || null, task_id || null, actor ? actor.id : null, actor ? actor.name : null, dedupe_key || null]
+  );
+  return result.rows[0] || null;
+}
+
+// The user's notifications, newest first. Query parameters: unread (true or false), type,
+// page, page_size.
+export async function listNotifications(db, userId, query = {}) {
+  return paginate(db, {
+    select: NOTIFICATION_SELECT,
+    count: 'SELECT COUNT(*) FROM notifications n',
+    list: buildListQuery({ ...query, user_id: userId }, NOTIFICATION_LIST),
+  });
+}
+
+export async function countUnreadNotifications(db, userId) {
+  const result = await db.query('SELECT COUNT(*) FROM notifications WHERE user_id = $1 AND read_at IS NULL', [userId]);
+  return Number(result.rows[0].count);
+}
+
+// Marks one of the user's notifications read (or unread again). Returns null if they have no such notification.
+export async function markNotificationRead(db, userId, id, read) {
+  const result = await db.query(
+    `UPDATE notifications SET read_at = CASE WHEN $3 THEN COALESCE(read_at, CURRENT_TIMESTAMP) END
+     WHERE id = $1 AND user_id = $2 RETURNING id`,
+    [id, userId, read]
+  );
+  if (result.rows.length === 0) return null;
+
+  const notification = await db.query(`${NOTIFICATION_SELECT} WHERE n.id = $1`, [id]);
+  return notification.rows[0];
+}
+
+// Returns how many notifications were marked
+export async function markAllNotificationsRead(db, userId) {
+  const result = await db.query(
+    'UPDATE notifications SET read_at = CURRENT_TIMESTAMP WHERE user_id = $1 AND read_at IS NULL',
+    [userId]
+  );
+  return result.rowCount;
+}
+
+// Users whose name matches `name` the way task assignment does (see auth/permissions.js)
+export async function findUsersNamed(db, name) {
+  if (!name || !name.trim()) return [];
+  const result = await db.query('SELECT * FROM users WHERE LOWER(TRIM(name)) = LOWER(TRIM($1))', [name]);
+  return result.rows;
+}
+
+// Users whose name appears in `text` after an @, e.g. "@Jane Smith". Names can contain
+// spaces, so candidates are found by the database and then checked for a whole-name match.
+export async function findMentionedUsers(db, text) {
+  const result = await db.query(
+    "SELECT * FROM users WHERE POSITION(LOWER('@' || TRIM(name)) IN LOWER($1)) > 0",
+    [text]
+  );
+  const lower = text.toLowerCase();
+  return result.rows.filter((user) => {
+    const mention = `@${user.name.trim().toLowerCase()}`;
+    for (let index = lower.indexOf(mention); index >= 0; index = lower.indexOf(mention, index + 1)) {
+      if (!/[\p{L}\p{N}_]/u.test(lower.charAt(index + mention.length))) return true;
+    }
+    return false;
+  });
+}
+
+export async function followTender(db, tenderId, userId) {
+  await db.query(
+    'INSERT INTO tender_followers (tender_id, user_id) VALUES ($1, $2) ON CONFLICT DO NOTHING',
+    [tenderId, userId]
+  );
+}
+
+export async function unfollowTender(db, tenderId, userId) {
+  await db.query('DELETE FROM tender_followers WHERE tender_id = $1 AND user_id = $2', [tenderId, userId]);
+}
+
+export async function isFollowingTender(db, tenderId, userId) {
+  const result = await db.query('SELECT 1 FROM tender_followers WHERE tender_id = $1 AND user_id = $2', [tenderId, userId]);
+  return result.rows.length > 0;
+}
+
+export async function listTenderFollowers(db, tenderId) {
+  const result = await db.query(
+    'SELECT u.* FROM tender_followers f JOIN users u ON u.id = f.user_id WHERE f.tender_id = $1 ORDER BY u.id',
+    [tenderId]
+  );
+  return result.rows;
+}
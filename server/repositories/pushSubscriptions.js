@@ -0,0 +1,30 @@
+// SQL for push_subscriptions: one row per browser that accepts push notifications
+
+// Saves a browser's subscription for `userId`, taking it over from whoever had it before
+export async function saveSubscription(db, userId, { endpoint, p256dh, auth, user_agent }) {
+  const result = await db.query(
+    `INSERT INTO push_subscriptions (user_id, endpoint, p256dh, auth, user_agent)
+     VALUES ($1, $2, $3, $4, $5)
+     ON CONFLICT (endpoint) DO UPDATE
+       SET user_id = EXCLUDED.user_id, p256dh = EXCLUDED.p256dh, auth = EXCLUDED.auth, user_agent = EXCLUDED.user_agent
+     RETURNING id, endpoint, created_at`,
+    [userId, endpoint, p256dh, auth, user_agent || null]
+  );
+  return result.rows[0];
+}
+
+export async function listSubscriptions(db, userId) {
+  const result = await db.query('SELECT * FROM push_subscriptions WHERE user_id = $1 ORDER BY id', [userId]);
+  return result.rows;
+}
+
+// Removes one of the user's subscriptions. Returns false if they have no such subscription.
+export async function deleteSubscription(db, userId, endpoint) {
+  const result = await db.query('DELETE FROM push_subscriptions WHERE user_id = $1 AND endpoint = $2', [userId, endpoint]);
+  return result.rowCount > 0;
+}
+
+// For subscriptions the push service says have expired or been withdrawn
+export async function deleteExpiredSubscription(db, endpoint) {
+  await db.query('DELETE FROM push_subscriptions WHERE endpoint = $1', [endpoint]);
+}
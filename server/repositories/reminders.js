@@ -0,0 +1,70 @@
+// SQL for closing-date and due-date reminders (see jobs/sendReminders.js). Dates come back
+// both as YYYY-MM-DD (`due_on`) and as the number of days from today (`days_left`, negative
+// once passed), worked out by the database so everything uses the same "today".
+
+// Tenders still being worked on that close between today and `days` days from now
+export async function findClosingTenders(db, days) {
+  const result = await db.query(
+    `SELECT t.id, t.tender_number, t.description, t.status,
+            to_char(t.closing_date, 'YYYY-MM-DD') AS due_on,
+            t.closing_date - CURRENT_DATE AS days_left
+     FROM tenders t
+     WHERE t.deleted_at IS NULL
+       AND t.status IN ('IDENTIFIED', 'PREPARING')
+       AND t.closing_date BETWEEN CURRENT_DATE AND CURRENT_DATE + $1::int
+     ORDER BY t.closing_date, t.id`,
+    [days]
+  );
+  return result.rows;
+}
+
+// Open tenders with an owner that close within `hours` hours, taking a tender to close as
+// its closing date begins
+export async function findTendersClosingWithin(db, hours) {
+  const result = await db.query(
+    `SELECT t.id, t.tender_number, t.description, t.owner_id,
+            to_char(t.closing_date, 'YYYY-MM-DD') AS due_on,
+            t.closing_date - CURRENT_DATE AS days_left
+     FROM tenders t
+     WHERE t.deleted_at IS NULL
+       AND t.owner_id IS NOT NULL
+       AND t.status IN ('IDENTIFIED', 'PREPARING')
+       AND t.closing_date >= CURRENT_DATE
+       AND t.closing_date::timestamptz - now() <= make_interval(hours => $1)
+     ORDER BY t.closing_date, t.id`,
+    [hours]
+  );
+  return result.rows;
+}
+
+// Unfinished tasks due within `days` days, or overdue by at most `overdueDays`, one row per
+// user they are assigned to (tasks are assigned by name, see auth/permissions.js)
+export async function findDueTasks(db, days, overdueDays) {
+  const result = await db.query(
+    `SELECT t.id, t.description, t.status, tn.tender_number,
+            to_char(t.due_date, 'YYYY-MM-DD') AS due_on,
+            t.due_date - CURRENT_DATE AS days_left,
+            u.id AS user_id, u.name AS user_name, u.email AS user_email
+     FROM tasks t
+     JOIN users u ON LOWER(TRIM(u.name)) = LOWER(TRIM(t.assigned_to))
+     LEFT JOIN tenders tn ON tn.id = t.tender_id
+     WHERE t.deleted_at IS NULL
+       AND t.status <> 'COMPLETED'
+       AND t.due_date BETWEEN CURRENT_DATE - $2::int AND CURRENT_DATE + $1::int
+     ORDER BY t.due_date, t.id`,
+    [days, overdueDays]
+  );
+  return result.rows;
+}
+
+// Records a reminder as sent. Returns false if it already had been.
+export async function recordReminder(db, { user_id, entity_type, entity_id, reminder, due_on }) {
+  const result = await db.query(
+    `INSERT INTO sent_reminders (user_id, entity_type, entity_id, reminder, due_on)
+     VALUES ($1, $2, $3, $4, $5)
+     ON CONFLICT (user_id, entity_type, entity_id, reminder, due_on) DO NOTHING
+     RETURNING id`,
+    [user_id, entity_type, entity_id, reminder, due_on]
+  );
+  return result.rows.length > 0;
+}
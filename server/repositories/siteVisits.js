@@ -0,0 +1,41 @@
+// SQL for the site_visits table. Visits are always scoped to their tender.
+
+export async function listSiteVisits(db, tenderId) {
+  const result = await db.query(
+    'SELECT * FROM site_visits WHERE tender_id = $1 ORDER BY visit_date NULLS LAST, visit_time NULLS LAST, id',
+    [tenderId]
+  );
+  return result.rows;
+}
+
+export async function findSiteVisit(db, tenderId, id) {
+  const result = await db.query('SELECT * FROM site_visits WHERE id = $1 AND tender_id = $2', [id, tenderId]);
+  return result.rows[0] || null;
+}
+
+export async function createSiteVisit(db, tenderId, visit) {
+  const result = await db.query(
+    `INSERT INTO site_visits (tender_id, visit_date, visit_time, location, contact, attendee, completed, notes)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8) RETURNING *`,
+    [tenderId, visit.visit_date || null, visit.visit_time || null, visit.location, visit.contact, visit.attendee, Boolean(visit.completed), visit.notes]
+  );
+  return result.rows[0];
+}
+
+export async function updateSiteVisit(db, tenderId, id, visit) {
+  const result = await db.query(
+    `UPDATE site_visits SET visit_date = $1, visit_time = $2, location = $3, contact = $4, attendee = $5,
+       completed = $6, notes = $7, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $8 AND tender_id = $9 RETURNING *`,
+    [visit.visit_date || null, visit.visit_time || null, visit.location, visit.contact, visit.attendee, Boolean(visit.completed), visit.notes, id, tenderId]
+  );
+  return result.rows[0] || null;
+}
+
+export async function deleteSiteVisit(db, tenderId, id) {
+  const result = await db.query(
+    'DELETE FROM site_visits WHERE id = $1 AND tender_id = $2 RETURNING *',
+    [id, tenderId]
+  );
+  return result.rows[0] || null;
+}
@@ -0,0 +1,158 @@
+import { buildListQuery, paginate, listOf, dateValue, positiveInteger } from '../db/listQuery.js';
+import { TASK_STATUSES } from '../validation/schemas.js';
+
+// SQL for the tasks table. Deleted tasks stay in the table, with deleted_at set, until they
+// are purged; apart from the *Deleted* and purge functions everything here ignores them.
+
+// Tasks are returned with the number of the tender they belong to, if any
+const TASK_SELECT = `
+  SELECT t.*, tn.tender_number
+  FROM tasks t
+  LEFT JOIN tenders tn ON tn.id = t.tender_id
+`;
+
+const DELETED_TASK_SELECT = `
+  SELECT t.*, tn.tender_number, u.name AS deleted_by_name
+  FROM tasks t
+  LEFT JOIN tenders tn ON tn.id = t.tender_id
+  LEFT JOIN users u ON u.id = t.deleted_by
+`;
+
+const TASK_LIST = {
+  where: ['t.deleted_at IS NULL'],
+  filters: {
+    id: (value, param) => `t.id = ${param(positiveInteger(value))}`,
+    status: (value, param) => `t.status = ANY(${param(listOf(value, TASK_STATUSES))})`,
+    assigned_to: (value, param) => `LOWER(t.assigned_to) = LOWER(${param(value.trim())})`,
+    tender_id: (value, param) => `t.tender_id = ${param(positiveInteger(value))}`,
+    due_from: (value, param) => `t.due_date >= ${param(dateValue(value))}`,
+    due_to: (value, param) => `t.due_date <= ${param(dateValue(value))}`,
+  },
+  search: ['t.description', 't.assigned_to'],
+  sortable: {
+    created_at: 't.created_at',
+    due_date: 't.due_date',
+    status: 't.status',
+  },
+  defaultSort: 'created_at',
+  defaultOrder: 'desc',
+  tieBreaker: 't.id',
+};
+
+// The trash: the same filters and search, most recently deleted first
+const DELETED_TASK_LIST = {
+  ...TASK_LIST,
+  where: ['t.deleted_at IS NOT NULL'],
+  sortable: { ...TASK_LIST.sortable, deleted_at: 't.deleted_at' },
+  defaultSort: 'deleted_at',
+};
+
+// Lists tasks matching the query parameters described by TASK_LIST, one page at a time
+export async function listTasks(db, query = {}) {
+  return paginate(db, {
+    select: TASK_SELECT,
+    count: 'SELECT COUNT(*) FROM tasks t',
+    list: buildListQuery(query, TASK_LIST),
+  });
+}
+
+export async function listDeletedTasks(db, query = {}) {
+  return paginate(db, {
+    select: DELETED_TASK_SELECT,
+    count: 'SELECT COUNT(*) FROM tasks t',
+    list: buildListQuery(query, DELETED_TASK_LIST),
+  });
+}
+
+export async function findTask(db, id) {
+  const result = await db.query(`${TASK_SELECT} WHERE t.id = $1 AND t.deleted_at IS NULL`, [id]);
+  return result.rows[0] || null;
+}
+
+export async function taskExists(db, id) {
+  const result = await db.query('SELECT 1 FROM tasks WHERE id = $1 AND deleted_at IS NULL', [id]);
+  return result.rows.length > 0;
+}
+
+// Status changes are written to task_status_history in the same statement as the task
+// itself, so the history can't miss a change. `userId` is who made the change.
+export async function createTask(db, { description, assigned_to, due_date, status, tender_id }, userId) {
+  const result = await db.query(
+    `WITH created AS (
+       INSERT INTO tasks (description, assigned_to, due_date, status, tender_id)
+       VALUES ($1, $2, $3, $4, $5) RETURNING id, status
+     ), history AS (
+       INSERT INTO task_status_history (task_id, from_status, to_status, changed_by)
+       SELECT id, NULL, status, $6 FROM created
+     )
+     SELECT id FROM created`,
+    [description, assigned_to, due_date, status || 'PENDING', tender_id || null, userId]
+  );
+  return findTask(db, result.rows[0].id);
+}
+
+// Updates a task if it is still at `version`. Returns null if it isn't (or doesn't exist).
+export async function updateTask(db, id, version, { description, assigned_to, due_date, status, tender_id }, userId) {
+  const result = await db.query(
+    `WITH previous AS (
+       SELECT status FROM tasks WHERE id = $6 AND deleted_at IS NULL
+     ), updated AS (
+       UPDATE tasks SET description = $1, assigned_to = $2, due_date = $3, status = $4, tender_id = $5,
+         version = version + 1, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $6 AND version = $8 AND deleted_at IS NULL RETURNING id, status
+     ), history AS (
+       INSERT INTO task_status_history (task_id, from_status, to_status, changed_by)
+       SELECT updated.id, previous.status, updated.status, $7 FROM updated, previous
+       WHERE previous.status IS DISTINCT FROM updated.status
+     )
+     SELECT id FROM updated`,
+    [description, assigned_to, due_date, status, tender_id || null, id, userId, version]
+  );
+  return result.rows.length > 0 ? findTask(db, id) : null;
+}
+
+// Oldest first; the first entry is the status the task was created with
+export async function listTaskStatusHistory(db, taskId) {
+  const result = await db.query(
+    `SELECT h.*, u.name AS changed_by_name
+     FROM task_status_history h
+     LEFT JOIN users u ON u.id = h.changed_by
+     WHERE h.task_id = $1
+     ORDER BY h.changed_at, h.id`,
+    [taskId]
+  );
+  return result.rows;
+}
+
+// Moves a task to the trash
+export async function deleteTask(db, id, userId) {
+  const result = await db.query(
+    `UPDATE tasks SET deleted_at = CURRENT_TIMESTAMP, deleted_by = $2
+     WHERE id = $1 AND deleted_at IS NULL RETURNING *`,
+    [id, userId]
+  );
+  return result.rows[0] || null;
+}
+
+export async function restoreTask(db, id) {
+  const result = await db.query(
+    'UPDATE tasks SET deleted_at = NULL, deleted_by = NULL WHERE id = $1 AND deleted_at IS NOT NULL RETURNING id',
+    [id]
+  );
+  return result.rows.length > 0 ? findTask(db, id) : null;
+}
+
+// Removes a task in the trash for good, along with its status history and comments
+export async function purgeTask(db, id) {
+  const result = await db.query('DELETE FROM tasks WHERE id = $1 AND deleted_at IS NOT NULL RETURNING *', [id]);
+  return result.rows[0] || null;
+}
+
+// Purges every task that has been in the trash for more than `days` days
+export async function purgeExpiredTasks(db, days) {
+  const result = await db.query(
+    'DELETE FROM tasks WHERE deleted_at < CURRENT_TIMESTAMP - make_interval(days => $1) RETURNING *',
+    [days]
+  );
+  return result.rows;
+}
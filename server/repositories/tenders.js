@@ -0,0 +1,156 @@
+import { buildListQuery, paginate, listOf, dateValue, positiveInteger } from '../db/listQuery.js';
+import { TENDER_STATUSES } from '../validation/tenderLifecycle.js';
+
+// SQL for the tenders table. Every function takes a `db` (pool or client) as its first argument.
+// Deleted tenders stay in the table, with deleted_at set, until they are purged; apart from
+// the *Deleted* and purge functions everything here ignores them.
+
+// Tenders are always returned with their site visits embedded and a count of linked tasks
+const TENDER_SELECT = `
+  SELECT t.*, COALESCE(
+    (SELECT json_agg(sv ORDER BY sv.visit_date NULLS LAST, sv.visit_time NULLS LAST, sv.id)
+     FROM site_visits sv WHERE sv.tender_id = t.id),
+    '[]'::json
+  ) AS site_visits,
+  (SELECT COUNT(*) FROM tasks tk WHERE tk.tender_id = t.id AND tk.deleted_at IS NULL)::int AS task_count,
+  (SELECT COUNT(*) FROM tasks tk WHERE tk.tender_id = t.id AND tk.deleted_at IS NULL AND tk.status = 'COMPLETED')::int AS tasks_completed
+  FROM tenders t
+`;
+
+const DELETED_TENDER_SELECT = `
+  SELECT t.*, u.name AS deleted_by_name
+  FROM tenders t
+  LEFT JOIN users u ON u.id = t.deleted_by
+`;
+
+// Whether a tender's deadline has passed is derived from its closing date
+const CLOSING_STATUS = {
+  open: 't.closing_date > CURRENT_DATE',
+  closing_today: 't.closing_date = CURRENT_DATE',
+  closed: 't.closing_date < CURRENT_DATE',
+};
+
+const TENDER_LIST = {
+  where: ['t.deleted_at IS NULL'],
+  filters: {
+    id: (value, param) => `t.id = ${param(positiveInteger(value))}`,
+    status: (value, param) => `t.status = ANY(${param(listOf(value, TENDER_STATUSES))})`,
+    closing: (value) => `(${listOf(value, Object.keys(CLOSING_STATUS)).map(status => CLOSING_STATUS[status]).join(' OR ')})`,
+    closing_from: (value, param) => `t.closing_date >= ${param(dateValue(value))}`,
+    closing_to: (value, param) => `t.closing_date <= ${param(dateValue(value))}`,
+  },
+  search: ['t.description', 't.tender_number'],
+  sortable: {
+    created_at: 't.created_at',
+    closing_date: 't.closing_date',
+    tender_number: 't.tender_number',
+  },
+  defaultSort: 'created_at',
+  defaultOrder: 'desc',
+  tieBreaker: 't.id',
+};
+
+// The trash: the same filters and search, most recently deleted first
+const DELETED_TENDER_LIST = {
+  ...TENDER_LIST,
+  where: ['t.deleted_at IS NOT NULL'],
+  sortable: { ...TENDER_LIST.sortable, deleted_at: 't.deleted_at' },
+  defaultSort: 'deleted_at',
+};
+
+// Lists tenders matching the query parameters described by TENDER_LIST, one page at a time
+export async function listTenders(db, query = {}) {
+  return paginate(db, {
+    select: TENDER_SELECT,
+    count: 'SELECT COUNT(*) FROM tenders t',
+    list: buildListQuery(query, TENDER_LIST),
+  });
+}
+
+export async function listDeletedTenders(db, query = {}) {
+  return paginate(db, {
+    select: DELETED_TENDER_SELECT,
+    count: 'SELECT COUNT(*) FROM tenders t',
+    list: buildListQuery(query, DELETED_TENDER_LIST),
+  });
+}
+
+export async function findTender(db, id) {
+  const result = await db.query(`${TENDER_SELECT} WHERE t.id = $1 AND t.deleted_at IS NULL`, [id]);
+  return result.rows[0] || null;
+}
+
+export async function tenderExists(db, id) {
+  const result = await db.query('SELECT 1 FROM tenders WHERE id = $1 AND deleted_at IS NULL', [id]);
+  return result.rows.length > 0;
+}
+
+export async function createTender(db, { description, closing_date }, ownerId) {
+  // tender_number will be auto-generated by the database
+  const result = await db.query(
+    'INSERT INTO tenders (description, closing_date, owner_id) VALUES ($1, $2, $3) RETURNING *',
+    [description, closing_date, ownerId]
+  );
+  return { ...result.rows[0], site_visits: [], task_count: 0, tasks_completed: 0 };
+}
+
+// Updates a tender if it is still at `version`. Returns null if it isn't (or doesn't exist).
+export async function updateTender(db, id, version, { description, closing_date }) {
+  // Only update the fields that can be changed, preserve tender_number
+  const result = await db.query(
+    `UPDATE tenders SET description = $1, closing_date = $2, version = version + 1, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $3 AND version = $4 AND deleted_at IS NULL RETURNING id`,
+    [description, closing_date, id, version]
+  );
+  return result.rows.length > 0 ? findTender(db, id) : null;
+}
+
+// Moves a tender to a new status. `expectedStatus` guards against two people changing the
+// status at once: nothing is updated (and null returned) if the tender has moved on since.
+export async function updateTenderStatus(db, id, expectedStatus, { status, submitted_at, outcome_reason }) {
+  const result = await db.query(
+    `UPDATE tenders SET
+       status = $1,
+       submitted_at = CASE WHEN $1 = 'SUBMITTED' THEN COALESCE($2::date, CURRENT_DATE) ELSE $2::date END,
+       outcome_reason = $3,
+       version = version + 1,
+       updated_at = CURRENT_TIMESTAMP
+     WHERE id = $4 AND status = $5 AND deleted_at IS NULL
+     RETURNING id`,
+    [status, submitted_at, outcome_reason, id, expectedStatus]
+  );
+  return result.rows.length > 0 ? findTender(db, id) : null;
+}
+
+// Moves a tender to the trash
+export async function deleteTender(db, id, userId) {
+  const result = await db.query(
+    `UPDATE tenders SET deleted_at = CURRENT_TIMESTAMP, deleted_by = $2
+     WHERE id = $1 AND deleted_at IS NULL RETURNING *`,
+    [id, userId]
+  );
+  return result.rows[0] || null;
+}
+
+export async function restoreTender(db, id) {
+  const result = await db.query(
+    'UPDATE tenders SET deleted_at = NULL, deleted_by = NULL WHERE id = $1 AND deleted_at IS NOT NULL RETURNING id',
+    [id]
+  );
+  return result.rows.length > 0 ? findTender(db, id) : null;
+}
+
+// Removes a tender in the trash for good, along with its site visits, documents and comments
+export async function purgeTender(db, id) {
+  const result = await db.query('DELETE FROM tenders WHERE id = $1 AND deleted_at IS NOT NULL RETURNING *', [id]);
+  return result.rows[0] || null;
+}
+
+// Purges every tender that has been in the trash for more than `days` days
+export async function purgeExpiredTenders(db, days) {
+  const result = await db.query(
+    'DELETE FROM tenders WHERE deleted_at < CURRENT_TIMESTAMP - make_interval(days => $1) RETURNING *',
+    [days]
+  );
+  return result.rows;
+}
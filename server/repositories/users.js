@@ -0,0 +1,52 @@
+// SQL for users and their login sessions
+
+export async function findUserByEmail(db, email) {
+  const result = await db.query('SELECT * FROM users WHERE LOWER(email) = LOWER($1)', [email]);
+  return result.rows[0] || null;
+}
+
+export async function createUser(db, { email, name, password_hash, role }) {
+  const result = await db.query(
+    'INSERT INTO users (email, name, password_hash, role) VALUES ($1, $2, $3, $4) RETURNING *',
+    [email, name, password_hash, role || 'staff']
+  );
+  return result.rows[0];
+}
+
+export async function createSession(db, { id, user_id, expires_at }) {
+  const result = await db.query(
+    'INSERT INTO sessions (id, user_id, expires_at) VALUES ($1, $2, $3) RETURNING *',
+    [id, user_id, expires_at]
+  );
+  return result.rows[0];
+}
+
+// Returns the session's user (with `session_id`) if the session is still valid
+export async function findSessionUser(db, sessionId) {
+  const result = await db.query(
+    `SELECT u.*, s.id AS session_id FROM sessions s
+     JOIN users u ON u.id = s.user_id
+     WHERE s.id = $1 AND s.revoked_at IS NULL AND s.expires_at > CURRENT_TIMESTAMP`,
+    [sessionId]
+  );
+  return result.rows[0] || null;
+}
+
+export async function revokeSession(db, sessionId) {
+  await db.query('UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP WHERE id = $1', [sessionId]);
+}
+
+export async function listUsersWithRoles(db, roles) {
+  const result = await db.query('SELECT * FROM users WHERE role = ANY($1) ORDER BY id', [roles]);
+  return result.rows;
+}
+
+export async function findUserByCalendarToken(db, token) {
+  const result = await db.query('SELECT * FROM users WHERE calendar_token = $1', [token]);
+  return result.rows[0] || null;
+}
+
+// Sets (or with null, clears) the token in the user's calendar feed link
+export async function setCalendarToken(db, userId, token) {
+  await db.query('UPDATE users SET calendar_token = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2', [token, userId]);
+}
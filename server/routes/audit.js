@@ -0,0 +1,10 @@
+import { listAuditEvents } from '../repositories/audit.js';
+
+export default [
+  {
+    method: 'GET',
+    path: '/api/audit',
+    error: 'Failed to fetch audit events',
+    handler: ({ db, query }) => listAuditEvents(db, query),
+  },
+];
@@ -0,0 +1,47 @@
+import { HttpError, badRequest } from '../http/errors.js';
+import { hashPassword, verifyPassword } from '../auth/passwords.js';
+import { startSession, publicUser } from '../auth/sessions.js';
+import { findUserByEmail, revokeSession } from '../repositories/users.js';
+
+// Compared against when the email is unknown so both failure paths take the same time
+const DUMMY_HASH = hashPassword('not-a-real-password');
+
+export default [
+  {
+    method: 'POST',
+    path: '/api/auth/login',
+    public: true,
+    error: 'Failed to log in',
+    handler: async ({ db, body }) => {
+      const { email, password } = body || {};
+      if (!email || !password) {
+        throw badRequest('Email and password are required');
+      }
+      if (typeof email !== 'string' || typeof password !== 'string') {
+        throw badRequest('Email and password must be text');
+      }
+
+      const user = await findUserByEmail(db, email);
+      const valid = await verifyPassword(password, user ? user.password_hash : await DUMMY_HASH);
+      if (!user || !valid) {
+        throw new HttpError(401, 'Invalid email or password');
+      }
+
+      return startSession(db, user);
+    },
+  },
+  {
+    method: 'POST',
+    path: '/api/auth/logout',
+    error: 'Failed to log out',
+    handler: async ({ db, user }) => {
+      await revokeSession(db, user.session_id);
+      return { message: 'Logged out successfully' };
+    },
+  },
+  {
+    method: 'GET',
+    path: '/api/auth/me',
+    handler: ({ user }) => publicUser(user),
+  },
+];
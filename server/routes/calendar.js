@@ -0,0 +1,85 @@
+import crypto from 'crypto';
+import { badRequest, notFound } from '../http/errors.js';
+import { validate } from '../validation/validate.js';
+import { calendarRangeSchema } from '../validation/schemas.js';
+import { findUserByCalendarToken, setCalendarToken } from '../repositories/users.js';
+import { listTenderClosingDates, listScheduledSiteVisits, listTaskDueDates } from '../repositories/calendar.js';
+import { calendarFeed } from '../calendar/feed.js';
+
+// Longest stretch the in-app calendar can ask for at once (a month view shows up to six weeks)
+const MAX_RANGE_DAYS = 92;
+
+// Tender closing dates, site visits and task due dates, for the calendar in the app and as
+// each user's calendar feed: an iCalendar file that Outlook, Google Calendar and the like
+// can subscribe to. Calendar apps can't sign in, so the feed's URL carries a token of its
+// own, managed through /api/calendar/feed by the signed-in user.
+export default [
+  // Everything dated between `from` and `to`, as { tenders, site_visits, tasks }
+  {
+    method: 'GET',
+    path: '/api/calendar/events',
+    error: 'Failed to fetch calendar',
+    handler: async ({ db, query }) => {
+      const range = validate(calendarRangeSchema, query);
+      const days = (new Date(range.to) - new Date(range.from)) / (24 * 60 * 60 * 1000);
+      if (days < 0 || days > MAX_RANGE_DAYS) {
+        throw badRequest('Invalid query parameters', { to: `To must be within ${MAX_RANGE_DAYS} days after From` });
+      }
+
+      const [tenders, siteVisits, tasks] = await Promise.all([
+        listTenderClosingDates(db, range),
+        listScheduledSiteVisits(db, range),
+        listTaskDueDates(db, range),
+      ]);
+      return { tenders, site_visits: siteVisits, tasks };
+    },
+  },
+  {
+    method: 'GET',
+    path: '/api/calendar.ics',
+    public: true,
+    contentType: 'text/calendar; charset=utf-8',
+    error: 'Failed to build calendar',
+    handler: async ({ db, query }) => {
+      const user = typeof query.token === 'string' && query.token !== ''
+        ? await findUserByCalendarToken(db, query.token)
+        : null;
+      if (!user) throw notFound('Calendar feed not found');
+
+      const [tenders, siteVisits, tasks] = await Promise.all([
+        listTenderClosingDates(db),
+        listScheduledSiteVisits(db),
+        listTaskDueDates(db),
+      ]);
+      return calendarFeed({ tenders, siteVisits, tasks });
+    },
+  },
+  // The signed-in user's feed token, or null while the feed is off
+  {
+    method: 'GET',
+    path: '/api/calendar/feed',
+    error: 'Failed to fetch calendar feed',
+    handler: ({ user }) => ({ token: user.calendar_token || null }),
+  },
+  // Turns the feed on, or gives it a new link (the old one stops working)
+  {
+    method: 'POST',
+    path: '/api/calendar/feed',
+    status: 201,
+    error: 'Failed to create calendar feed',
+    handler: async ({ db, user }) => {
+      const token = crypto.randomBytes(24).toString('base64url');
+      await setCalendarToken(db, user.id, token);
+      return { token };
+    },
+  },
+  {
+    method: 'DELETE',
+    path: '/api/calendar/feed',
+    error: 'Failed to turn off calendar feed',
+    handler: async ({ db, user }) => {
+      await setCalendarToken(db, user.id, null);
+      return { message: 'Calendar feed turned off' };
+    },
+  },
+];
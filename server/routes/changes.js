@@ -0,0 +1,32 @@
+import { badRequest } from '../http/errors.js';
+import { listEventsAfter, latestChangeSeq } from '../repositories/audit.js';
+import { toChange } from '../realtime/changes.js';
+
+const CHANGES_PAGE_SIZE = 200;
+
+// Polling counterpart to the /api/events stream, for deployments that can't hold a
+// connection open (the Netlify functions). Without `after` only the cursor to start
+// from is returned.
+export default [
+  {
+    method: 'GET',
+    path: '/api/changes',
+    error: 'Failed to fetch changes',
+    handler: async ({ db, query }) => {
+      if (query.after === undefined || query.after === '') {
+        return { data: [], cursor: await latestChangeSeq(db) };
+      }
+
+      const after = Number(query.after);
+      if (!Number.isInteger(after) || after < 0) {
+        throw badRequest('Invalid query parameters', { after: 'after must be a whole number' });
+      }
+
+      const changes = (await listEventsAfter(db, after, CHANGES_PAGE_SIZE)).map(toChange);
+      return {
+        data: changes,
+        cursor: changes.length > 0 ? changes[changes.length - 1].id : after,
+      };
+    },
+  },
+];
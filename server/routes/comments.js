@@ -0,0 +1,67 @@
+import { notFound, forbidden } from '../http/errors.js';
+import { can } from '../auth/permissions.js';
+import { validate } from '../validation/validate.js';
+import { commentSchema } from '../validation/schemas.js';
+import { listComments, findComment, createComment, deleteComment } from '../repositories/comments.js';
+import { logChange } from '../audit/log.js';
+import { notifyMentions } from '../notifications/notify.js';
+
+// Comment routes nested under a tender or task, e.g. commentRoutes({ entity: 'tender',
+// path: '/api/tenders/:id', label: 'Tender', exists: tenderExists }).
+export function commentRoutes({ entity, path, label, exists }) {
+  const requireParent = async (db, id) => {
+    if (!(await exists(db, id))) throw notFound(`${label} not found`);
+  };
+  const context = (comment) => (
+    entity === 'tender' ? { tenderId: comment.tender_id } : { taskId: comment.task_id }
+  );
+
+  return [
+    {
+      method: 'GET',
+      path: `${path}/comments`,
+      error: 'Failed to fetch comments',
+      handler: async ({ db, params }) => {
+        await requireParent(db, params.id);
+        return listComments(db, entity, params.id);
+      },
+    },
+    {
+      method: 'POST',
+      path: `${path}/comments`,
+      status: 201,
+      permission: 'comments:create',
+      error: 'Failed to add comment',
+      transaction: true,
+      handler: async ({ db, params, body, user }) => {
+        const values = validate(commentSchema, body);
+        await requireParent(db, params.id);
+
+        const comment = await createComment(db, entity, params.id, values, user.id);
+        await logChange(db, user, { entity: 'comment', after: comment, ...context(comment) });
+        await notifyMentions(db, user, comment);
+        return comment;
+      },
+    },
+    {
+      method: 'DELETE',
+      path: `${path}/comments/:commentId`,
+      permission: 'comments:create',
+      error: 'Failed to delete comment',
+      transaction: true,
+      handler: async ({ db, params, user }) => {
+        const comment = await findComment(db, entity, params.id, params.commentId);
+        if (!comment) throw notFound('Comment not found');
+
+        // Authors may remove their own comments; moderators may remove any
+        if (comment.author_id !== user.id && !can(user, 'comments:delete')) {
+          throw forbidden('You can only delete your own comments');
+        }
+
+        await deleteComment(db, entity, params.id, params.commentId);
+        await logChange(db, user, { entity: 'comment', before: comment, ...context(comment) });
+        return { message: 'Comment deleted successfully' };
+      },
+    },
+  ];
+}
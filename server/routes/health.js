@@ -0,0 +1,8 @@
+export default [
+  {
+    method: 'GET',
+    path: '/api/health',
+    public: true,
+    handler: () => ({ status: 'ok', message: 'Server is running' }),
+  },
+];
@@ -0,0 +1,19 @@
+import healthRoutes from './health.js';
+import authRoutes from './auth.js';
+import tenderRoutes from './tenders.js';
+import taskRoutes from './tasks.js';
+import auditRoutes from './audit.js';
+import changeRoutes from './changes.js';
+import notificationRoutes from './notifications.js';
+import pushRoutes from './push.js';
+import calendarRoutes from './calendar.js';
+
+export {
+  healthRoutes, authRoutes, tenderRoutes, taskRoutes, auditRoutes, changeRoutes, notificationRoutes, pushRoutes,
+  calendarRoutes,
+};
+
+export default [
+  ...healthRoutes, ...authRoutes, ...tenderRoutes, ...taskRoutes, ...auditRoutes, ...changeRoutes, ...notificationRoutes,
+  ...pushRoutes, ...calendarRoutes,
+];
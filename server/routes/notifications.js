@@ -0,0 +1,41 @@
+import { notFound } from '../http/errors.js';
+import { validate } from '../validation/validate.js';
+import { notificationSchema, markAllReadSchema } from '../validation/schemas.js';
+import {
+  listNotifications, countUnreadNotifications, markNotificationRead, markAllNotificationsRead,
+} from '../repositories/notifications.js';
+
+// The signed-in user's notifications (see notifications/notify.js for what makes them)
+export default [
+  {
+    method: 'GET',
+    path: '/api/notifications',
+    error: 'Failed to fetch notifications',
+    handler: async ({ db, query, user }) => {
+      const result = await listNotifications(db, user.id, query);
+      return { ...result, unread: await countUnreadNotifications(db, user.id) };
+    },
+  },
+  // Marks every notification read; `{ "read": true }` is the only change allowed
+  {
+    method: 'PATCH',
+    path: '/api/notifications',
+    error: 'Failed to update notifications',
+    handler: async ({ db, body, user }) => {
+      validate(markAllReadSchema, body);
+      const updated = await markAllNotificationsRead(db, user.id);
+      return { updated, unread: 0 };
+    },
+  },
+  {
+    method: 'PATCH',
+    path: '/api/notifications/:id',
+    error: 'Failed to update notification',
+    handler: async ({ db, params, body, user }) => {
+      const { read } = validate(notificationSchema, body);
+      const notification = await markNotificationRead(db, user.id, params.id, read);
+      if (!notification) throw notFound('Notification not found');
+      return notification;
+    },
+  },
+];
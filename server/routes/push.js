@@ -0,0 +1,36 @@
+import { notFound } from '../http/errors.js';
+import { validate } from '../validation/validate.js';
+import { pushSubscriptionSchema, pushEndpointSchema } from '../validation/schemas.js';
+import { saveSubscription, deleteSubscription } from '../repositories/pushSubscriptions.js';
+import { pushConfigured, vapidPublicKey } from '../notifications/push.js';
+
+// Opting browsers in and out of push notifications (see notifications/push.js)
+export default [
+  // The key browsers subscribe with; null when push isn't set up on this server
+  {
+    method: 'GET',
+    path: '/api/push/key',
+    error: 'Failed to fetch push key',
+    handler: () => ({ publicKey: pushConfigured() ? vapidPublicKey() : null }),
+  },
+  {
+    method: 'POST',
+    path: '/api/push/subscriptions',
+    status: 201,
+    error: 'Failed to save push subscription',
+    handler: async ({ db, body, headers, user }) => {
+      const values = validate(pushSubscriptionSchema, body);
+      return saveSubscription(db, user.id, { ...values, user_agent: headers['user-agent'] });
+    },
+  },
+  {
+    method: 'DELETE',
+    path: '/api/push/subscriptions',
+    error: 'Failed to remove push subscription',
+    handler: async ({ db, body, user }) => {
+      const { endpoint } = validate(pushEndpointSchema, body);
+      if (!(await deleteSubscription(db, user.id, endpoint))) throw notFound('Push subscription not found');
+      return { message: 'Push notifications turned off' };
+    },
+  },
+];
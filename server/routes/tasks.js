@@ -0,0 +1,168 @@
+import { notFound, forbidden, badRequest, conflict } from '../http/errors.js';
+import { can, isAssignedTo } from '../auth/permissions.js';
+import { validate } from '../validation/validate.js';
+import { taskSchema, versionSchema, patchVersionSchema } from '../validation/schemas.js';
+import { applyMergePatch } from '../validation/mergePatch.js';
+import {
+  listTasks, listDeletedTasks, findTask, taskExists, createTask, updateTask, deleteTask, restoreTask, purgeTask,
+  listTaskStatusHistory,
+} from '../repositories/tasks.js';
+import { tenderExists } from '../repositories/tenders.js';
+import { commentRoutes } from './comments.js';
+import { logChange } from '../audit/log.js';
+import { notifyTaskChange } from '../notifications/notify.js';
+import { purgeDate } from '../jobs/purgeTrash.js';
+
+// Validates a task body, including that the tender it links to exists. A task being updated
+// may keep the tender it already has even if that tender has since been deleted.
+async function validateTask(db, body, existing) {
+  const task = validate(taskSchema, body);
+  const unchanged = existing && existing.tender_id === task.tender_id;
+  if (task.tender_id && !unchanged && !(await tenderExists(db, task.tender_id))) {
+    throw badRequest('Validation failed', { tender_id: 'Tender not found' });
+  }
+  return task;
+}
+
+// Shared by PUT and PATCH; `changes` is the whole task. The current copy goes back with a
+// 409 so the client can show what changed.
+async function saveTask(db, afterCommit, user, existing, version, changes) {
+  let allowed = changes;
+  if (!can(user, 'tasks:update')) {
+    // Staff may only move their own tasks between statuses
+    if (!isAssignedTo(existing, user)) {
+      throw forbidden('You can only change the status of tasks assigned to you');
+    }
+    allowed = { ...existing, status: changes.status };
+  }
+
+  const task = await updateTask(db, existing.id, version, await validateTask(db, allowed, existing), user.id);
+  if (!task) throw conflict('This task was changed by someone else while you were editing it.', existing);
+  await logChange(db, user, { entity: 'task', before: existing, after: task, taskId: task.id, tenderId: task.tender_id });
+  await notifyTaskChange(db, afterCommit, user, existing, task);
+  return task;
+}
+
+export default [
+  {
+    method: 'GET',
+    path: '/api/tasks',
+    error: 'Failed to fetch tasks',
+    handler: ({ db, query }) => listTasks(db, query),
+  },
+  {
+    method: 'POST',
+    path: '/api/tasks',
+    status: 201,
+    permission: 'tasks:create',
+    error: 'Failed to create task',
+    transaction: true,
+    handler: async ({ db, body, user, afterCommit }) => {
+      const task = await createTask(db, await validateTask(db, body), user.id);
+      await logChange(db, user, { entity: 'task', after: task, taskId: task.id, tenderId: task.tender_id });
+      await notifyTaskChange(db, afterCommit, user, null, task);
+      return task;
+    },
+  },
+  // Trash (declared before /api/tasks/:id so 'trash' isn't taken for an id)
+  {
+    method: 'GET',
+    path: '/api/tasks/trash',
+    permission: 'tasks:delete',
+    error: 'Failed to fetch deleted tasks',
+    handler: async ({ db, query }) => {
+      const result = await listDeletedTasks(db, query);
+      return { ...result, data: result.data.map(task => ({ ...task, purge_at: purgeDate(task.deleted_at) })) };
+    },
+  },
+  {
+    method: 'POST',
+    path: '/api/tasks/:id/restore',
+    permission: 'tasks:delete',
+    error: 'Failed to restore task',
+    transaction: true,
+    handler: async ({ db, params, user }) => {
+      const task = await restoreTask(db, params.id);
+      if (!task) throw notFound('Task not found in the trash');
+      await logChange(db, user, { entity: 'task', action: 'restore', after: task, taskId: task.id, tenderId: task.tender_id });
+      return task;
+    },
+  },
+  {
+    method: 'DELETE',
+    path: '/api/tasks/trash/:id',
+    permission: 'tasks:delete',
+    error: 'Failed to purge task',
+    transaction: true,
+    handler: async ({ db, params, user }) => {
+      const task = await purgeTask(db, params.id);
+      if (!task) throw notFound('Task not found in the trash');
+      await logChange(db, user, { entity: 'task', action: 'purge', before: task, taskId: task.id, tenderId: task.tender_id });
+      return { message: 'Task permanently deleted' };
+    },
+  },
+
+  {
+    method: 'GET',
+    path: '/api/tasks/:id',
+    error: 'Failed to fetch task',
+    handler: async ({ db, params }) => {
+      const task = await findTask(db, params.id);
+      if (!task) throw notFound('Task not found');
+      return task;
+    },
+  },
+  {
+    method: 'GET',
+    path: '/api/tasks/:id/history',
+    error: 'Failed to fetch task history',
+    handler: async ({ db, params }) => {
+      if (!(await taskExists(db, params.id))) throw notFound('Task not found');
+      return listTaskStatusHistory(db, params.id);
+    },
+  },
+  {
+    method: 'PUT',
+    path: '/api/tasks/:id',
+    permission: 'tasks:update-own-status',
+    error: 'Failed to update task',
+    transaction: true,
+    handler: async ({ db, params, body, user, afterCommit }) => {
+      const { version } = validate(versionSchema, body);
+      const existing = await findTask(db, params.id);
+      if (!existing) throw notFound('Task not found');
+
+      return saveTask(db, afterCommit, user, existing, version, body);
+    },
+  },
+  {
+    method: 'PATCH',
+    path: '/api/tasks/:id',
+    permission: 'tasks:update-own-status',
+    error: 'Failed to update task',
+    transaction: true,
+    handler: async ({ db, params, body, user, afterCommit }) => {
+      const existing = await findTask(db, params.id);
+      if (!existing) throw notFound('Task not found');
+
+      const changes = applyMergePatch(taskSchema, existing, body, ['version']);
+      const { version } = validate(patchVersionSchema, body);
+      return saveTask(db, afterCommit, user, existing, version || existing.version, changes);
+    },
+  },
+  {
+    method: 'DELETE',
+    path: '/api/tasks/:id',
+    permission: 'tasks:delete',
+    error: 'Failed to delete task',
+    transaction: true,
+    handler: async ({ db, params, user }) => {
+      const task = await deleteTask(db, params.id, user.id);
+      if (!task) throw notFound('Task not found');
+      await logChange(db, user, { entity: 'task', before: task, taskId: task.id, tenderId: task.tender_id });
+      return { message: 'Task moved to the trash' };
+    },
+  },
+
+  ...commentRoutes({ entity: 'task', path: '/api/tasks/:id', label: 'Task', exists: taskExists }),
+];
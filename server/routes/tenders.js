@@ -0,0 +1,327 @@
+import { notFound, conflict, forbidden } from '../http/errors.js';
+import { can } from '../auth/permissions.js';
+import { validate } from '../validation/validate.js';
+import {
+  tenderSchema, versionSchema, patchVersionSchema, siteVisitSchema, documentSchema,
+} from '../validation/schemas.js';
+import { applyMergePatch } from '../validation/mergePatch.js';
+import {
+  tenderStatusSchema, applyTransition, revertTransition, STATUS_UNDO_SECONDS,
+} from '../validation/tenderLifecycle.js';
+import {
+  listTenders, listDeletedTenders, findTender, tenderExists, createTender, updateTender, updateTenderStatus,
+  deleteTender, restoreTender, purgeTender,
+} from '../repositories/tenders.js';
+import { listSiteVisits, findSiteVisit, createSiteVisit, updateSiteVisit, deleteSiteVisit } from '../repositories/siteVisits.js';
+import { listDocuments, createDocument, deleteDocument } from '../repositories/documents.js';
+import { findRecentStatusChange } from '../repositories/audit.js';
+import { followTender, unfollowTender, isFollowingTender } from '../repositories/notifications.js';
+import { commentRoutes } from './comments.js';
+import { logChange } from '../audit/log.js';
+import { purgeDate } from '../jobs/purgeTrash.js';
+
+// Shared by PUT and PATCH. The current copy goes back with a 409 so the client can show
+// what changed.
+async function saveTender(db, user, existing, version, values) {
+  const tender = await updateTender(db, existing.id, version, values);
+  if (!tender) throw conflict('This tender was changed by someone else while you were editing it.', existing);
+  await logChange(db, user, { entity: 'tender', before: existing, after: tender, tenderId: tender.id });
+  return tender;
+}
+
+// Shared by PUT and PATCH; `changes` is the whole site visit and `body` what was sent.
+// Without tender edit rights only the completed flag may be sent.
+async function saveSiteVisit(db, user, existing, changes, body) {
+  let allowed = changes;
+  if (!can(user, 'tenders:update')) {
+    if (Object.keys(body || {}).some(field => field in siteVisitSchema && field !== 'completed')) {
+      throw forbidden('You can only mark site visits as completed');
+    }
+    allowed = { ...existing, completed: changes.completed };
+  }
+  const visit = await updateSiteVisit(db, existing.tender_id, existing.id, validate(siteVisitSchema, allowed));
+  await logChange(db, user, { entity: 'site_visit', before: existing, after: visit, tenderId: visit.tender_id });
+  return visit;
+}
+
+export default [
+  {
+    method: 'GET',
+    path: '/api/tenders',
+    error: 'Failed to fetch tenders',
+    handler: ({ db, query }) => listTenders(db, query),
+  },
+  {
+    method: 'POST',
+    path: '/api/tenders',
+    status: 201,
+    permission: 'tenders:create',
+    error: 'Failed to create tender',
+    transaction: true,
+    handler: async ({ db, body, user }) => {
+      const tender = await createTender(db, validate(tenderSchema, body), user.id);
+      await logChange(db, user, { entity: 'tender', after: tender, tenderId: tender.id });
+      // Whoever adds a tender follows it until they say otherwise
+      await followTender(db, tender.id, user.id);
+      return { ...tender, following: true };
+    },
+  },
+  // Trash (declared before /api/tenders/:id so 'trash' isn't taken for an id)
+  {
+    method: 'GET',
+    path: '/api/tenders/trash',
+    permission: 'tenders:delete',
+    error: 'Failed to fetch deleted tenders',
+    handler: async ({ db, query }) => {
+      const result = await listDeletedTenders(db, query);
+      return { ...result, data: result.data.map(tender => ({ ...tender, purge_at: purgeDate(tender.deleted_at) })) };
+    },
+  },
+  {
+    method: 'POST',
+    path: '/api/tenders/:id/restore',
+    permission: 'tenders:delete',
+    error: 'Failed to restore tender',
+    transaction: true,
+    handler: async ({ db, params, user }) => {
+      const tender = await restoreTender(db, params.id);
+      if (!tender) throw notFound('Tender not found in the trash');
+      await logChange(db, user, { entity: 'tender', action: 'restore', after: tender, tenderId: tender.id });
+      return tender;
+    },
+  },
+  {
+    method: 'DELETE',
+    path: '/api/tenders/trash/:id',
+    permission: 'tenders:delete',
+    error: 'Failed to purge tender',
+    transaction: true,
+    handler: async ({ db, params, user }) => {
+      const tender = await purgeTender(db, params.id);
+      if (!tender) throw notFound('Tender not found in the trash');
+      await logChange(db, user, { entity: 'tender', action: 'purge', before: tender, tenderId: tender.id });
+      return { message: 'Tender permanently deleted' };
+    },
+  },
+
+  {
+    method: 'GET',
+    path: '/api/tenders/:id',
+    error: 'Failed to fetch tender',
+    handler: async ({ db, params, user }) => {
+      const tender = await findTender(db, params.id);
+      if (!tender) throw notFound('Tender not found');
+      return { ...tender, following: await isFollowingTender(db, tender.id, user.id) };
+    },
+  },
+  {
+    method: 'PUT',
+    path: '/api/tenders/:id',
+    permission: 'tenders:update',
+    error: 'Failed to update tender',
+    transaction: true,
+    handler: async ({ db, params, body, user }) => {
+      const values = validate(tenderSchema, body);
+      const { version } = validate(versionSchema, body);
+      const existing = await findTender(db, params.id);
+      if (!existing) throw notFound('Tender not found');
+
+      return saveTender(db, user, existing, version, values);
+    },
+  },
+  {
+    method: 'PATCH',
+    path: '/api/tenders/:id',
+    permission: 'tenders:update',
+    error: 'Failed to update tender',
+    transaction: true,
+    handler: async ({ db, params, body, user }) => {
+      const existing = await findTender(db, params.id);
+      if (!existing) throw notFound('Tender not found');
+
+      const values = validate(tenderSchema, applyMergePatch(tenderSchema, existing, body, ['version']));
+      const { version } = validate(patchVersionSchema, body);
+      return saveTender(db, user, existing, version || existing.version, values);
+    },
+  },
+  {
+    method: 'PUT',
+    path: '/api/tenders/:id/status',
+    permission: 'tenders:update',
+    error: 'Failed to update tender status',
+    transaction: true,
+    handler: async ({ db, params, body, user }) => {
+      const change = validate(tenderStatusSchema, body);
+      const tender = await findTender(db, params.id);
+      if (!tender) throw notFound('Tender not found');
+
+      const updated = await updateTenderStatus(db, params.id, tender.status, applyTransition(tender, change));
+      if (!updated) throw conflict('The tender status was changed by someone else. Please reload and try again.');
+      await logChange(db, user, { entity: 'tender', before: tender, after: updated, tenderId: updated.id });
+      return updated;
+    },
+  },
+  {
+    method: 'POST',
+    path: '/api/tenders/:id/status/undo',
+    permission: 'tenders:update',
+    error: 'Failed to undo tender status change',
+    transaction: true,
+    handler: async ({ db, params, user }) => {
+      const tender = await findTender(db, params.id);
+      if (!tender) throw notFound('Tender not found');
+
+      const event = await findRecentStatusChange(db, tender.id, STATUS_UNDO_SECONDS);
+      const updated = await updateTenderStatus(db, params.id, tender.status, revertTransition(tender, event, user));
+      if (!updated) throw conflict('The tender status was changed by someone else. Please reload and try again.');
+      await logChange(db, user, { entity: 'tender', before: tender, after: updated, tenderId: updated.id });
+      return updated;
+    },
+  },
+  {
+    method: 'DELETE',
+    path: '/api/tenders/:id',
+    permission: 'tenders:delete',
+    error: 'Failed to delete tender',
+    transaction: true,
+    handler: async ({ db, params, user }) => {
+      const tender = await deleteTender(db, params.id, user.id);
+      if (!tender) throw notFound('Tender not found');
+      await logChange(db, user, { entity: 'tender', before: tender, tenderId: tender.id });
+      return { message: 'Tender moved to the trash' };
+    },
+  },
+
+  // Following a tender, to be notified as it nears its closing date
+  {
+    method: 'PUT',
+    path: '/api/tenders/:id/follow',
+    error: 'Failed to follow tender',
+    handler: async ({ db, params, user }) => {
+      if (!(await tenderExists(db, params.id))) throw notFound('Tender not found');
+      await followTender(db, params.id, user.id);
+      return { following: true };
+    },
+  },
+  {
+    method: 'DELETE',
+    path: '/api/tenders/:id/follow',
+    error: 'Failed to unfollow tender',
+    handler: async ({ db, params, user }) => {
+      if (!(await tenderExists(db, params.id))) throw notFound('Tender not found');
+      await unfollowTender(db, params.id, user.id);
+      return { following: false };
+    },
+  },
+
+  // Site visits
+  {
+    method: 'GET',
+    path: '/api/tenders/:id/site-visits',
+    error: 'Failed to fetch site visits',
+    handler: async ({ db, params }) => {
+      if (!(await tenderExists(db, params.id))) throw notFound('Tender not found');
+      return listSiteVisits(db, params.id);
+    },
+  },
+  {
+    method: 'POST',
+    path: '/api/tenders/:id/site-visits',
+    status: 201,
+    permission: 'tenders:update',
+    error: 'Failed to create site visit',
+    transaction: true,
+    handler: async ({ db, params, body, user }) => {
+      const values = validate(siteVisitSchema, body);
+      if (!(await tenderExists(db, params.id))) throw notFound('Tender not found');
+
+      const visit = await createSiteVisit(db, params.id, values);
+      await logChange(db, user, { entity: 'site_visit', after: visit, tenderId: visit.tender_id });
+      return visit;
+    },
+  },
+  {
+    method: 'PUT',
+    path: '/api/tenders/:id/site-visits/:visitId',
+    permission: 'siteVisits:complete',
+    error: 'Failed to update site visit',
+    transaction: true,
+    handler: async ({ db, params, body, user }) => {
+      if (!(await tenderExists(db, params.id))) throw notFound('Tender not found');
+      const existing = await findSiteVisit(db, params.id, params.visitId);
+      if (!existing) throw notFound('Site visit not found');
+
+      return saveSiteVisit(db, user, existing, body, body);
+    },
+  },
+  {
+    method: 'PATCH',
+    path: '/api/tenders/:id/site-visits/:visitId',
+    permission: 'siteVisits:complete',
+    error: 'Failed to update site visit',
+    transaction: true,
+    handler: async ({ db, params, body, user }) => {
+      if (!(await tenderExists(db, params.id))) throw notFound('Tender not found');
+      const existing = await findSiteVisit(db, params.id, params.visitId);
+      if (!existing) throw notFound('Site visit not found');
+
+      return saveSiteVisit(db, user, existing, applyMergePatch(siteVisitSchema, existing, body), body);
+    },
+  },
+  {
+    method: 'DELETE',
+    path: '/api/tenders/:id/site-visits/:visitId',
+    permission: 'tenders:update',
+    error: 'Failed to delete site visit',
+    transaction: true,
+    handler: async ({ db, params, user }) => {
+      if (!(await tenderExists(db, params.id))) throw notFound('Tender not found');
+      const visit = await deleteSiteVisit(db, params.id, params.visitId);
+      if (!visit) throw notFound('Site visit not found');
+      await logChange(db, user, { entity: 'site_visit', before: visit, tenderId: visit.tender_id });
+      return { message: 'Site visit deleted successfully' };
+    },
+  },
+
+  // Documents
+  {
+    method: 'GET',
+    path: '/api/tenders/:id/documents',
+    error: 'Failed to fetch documents',
+    handler: async ({ db, params }) => {
+      if (!(await tenderExists(db, params.id))) throw notFound('Tender not found');
+      return listDocuments(db, params.id);
+    },
+  },
+  {
+    method: 'POST',
+    path: '/api/tenders/:id/documents',
+    status: 201,
+    permission: 'tenders:update',
+    error: 'Failed to add document',
+    transaction: true,
+    handler: async ({ db, params, body, user }) => {
+      const values = validate(documentSchema, body);
+      if (!(await tenderExists(db, params.id))) throw notFound('Tender not found');
+
+      const document = await createDocument(db, params.id, values, user.id);
+      await logChange(db, user, { entity: 'document', after: document, tenderId: document.tender_id });
+      return document;
+    },
+  },
+  {
+    method: 'DELETE',
+    path: '/api/tenders/:id/documents/:documentId',
+    permission: 'tenders:update',
+    error: 'Failed to delete document',
+    transaction: true,
+    handler: async ({ db, params, user }) => {
+      const document = await deleteDocument(db, params.id, params.documentId);
+      if (!document) throw notFound('Document not found');
+      await logChange(db, user, { entity: 'document', before: document, tenderId: document.tender_id });
+      return { message: 'Document deleted successfully' };
+    },
+  },
+
+  ...commentRoutes({ entity: 'tender', path: '/api/tenders/:id', label: 'Tender', exists: tenderExists }),
+];
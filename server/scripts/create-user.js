@@ -0,0 +1,46 @@
+import dotenv from 'dotenv';
+import readline from 'readline/promises';
+import { createPool } from '../db/pool.js';
+import { hashPassword } from '../auth/passwords.js';
+import { ROLES } from '../auth/permissions.js';
+import { createUser } from '../repositories/users.js';
+
+// Load environment variables
+dotenv.config({ path: './server/.env' });
+
+// Usage: node server/scripts/create-user.js <email> "<name>" [role]
+// Role is one of admin, tender_manager, staff (default) or read_only.
+// The password is read from USER_PASSWORD or prompted for.
+
+async function main() {
+  const [email, name, role = 'staff'] = process.argv.slice(2);
+  if (!email || !name) {
+    throw new Error('Usage: npm run user:create -- <email> "<name>" [role]');
+  }
+  if (!ROLES.includes(role)) {
+    throw new Error(`Role must be one of ${ROLES.join(', ')}`);
+  }
+
+  let password = process.env.USER_PASSWORD;
+  if (!password) {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+    password = await rl.question('Password: ');
+    rl.close();
+  }
+  if (!password || password.length < 8) {
+    throw new Error('Password must be at least 8 characters');
+  }
+
+  const pool = createPool();
+  try {
+    const user = await createUser(pool, { email, name, role, password_hash: await hashPassword(password) });
+    console.log(`Created ${user.role} user ${user.email} (id ${user.id})`);
+  } finally {
+    await pool.end();
+  }
+}
+
+main().catch(error => {
+  console.error('Failed to create user:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,9 @@
+import webpush from 'web-push';
+
+// Usage: node server/scripts/generate-vapid-keys.js
+// Prints a new VAPID key pair for push notifications, to put in server/.env (and the Netlify
+// environment). Changing the keys invalidates every existing push subscription.
+
+const { publicKey, privateKey } = webpush.generateVAPIDKeys();
+console.log(`VAPID_PUBLIC_KEY=${publicKey}`);
+console.log(`VAPID_PRIVATE_KEY=${privateKey}`);
@@ -0,0 +1,50 @@
+import dotenv from 'dotenv';
+import { createPool } from '../db/pool.js';
+import { migrateUp, migrateDown, migrationStatus } from '../db/migrations.js';
+
+// Load environment variables
+dotenv.config({ path: './server/.env' });
+
+// Usage:
+//   node server/scripts/migrate.js up [version]   apply pending migrations (optionally up to a version)
+//   node server/scripts/migrate.js down [steps]   revert the last migration (or the last N)
+//   node server/scripts/migrate.js status         list migrations and whether they are applied
+
+async function main() {
+  const [command = 'up', arg] = process.argv.slice(2);
+  const pool = createPool();
+
+  try {
+    switch (command) {
+      case 'up': {
+        const applied = await migrateUp(pool, { to: arg ? Number(arg) : Infinity });
+        console.log(applied.length ? `Applied ${applied.length} migration(s)` : 'Database is up to date');
+        break;
+      }
+
+      case 'down': {
+        const reverted = await migrateDown(pool, { steps: arg ? Number(arg) : 1 });
+        console.log(reverted.length ? `Reverted ${reverted.length} migration(s)` : 'Nothing to revert');
+        break;
+      }
+
+      case 'status': {
+        const migrations = await migrationStatus(pool);
+        for (const migration of migrations) {
+          console.log(`${migration.applied ? '[x]' : '[ ]'} ${migration.file}`);
+        }
+        break;
+      }
+
+      default:
+        throw new Error(`Unknown command "${command}", expected up, down or status`);
+    }
+  } finally {
+    await pool.end();
+  }
+}
+
+main().catch(error => {
+  console.error('Migration failed:', error);
+  process.exit(1);
+});
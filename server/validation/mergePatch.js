@@ -0,0 +1,24 @@
+import { badRequest } from '../http/errors.js';
+
+// JSON Merge Patch (RFC 7396) for the flat records behind PATCH routes. Each field in
+// `patch` replaces the record's value and null clears it; fields left out keep the value
+// the record already has. The result is the full record, ready for `validate(schema, ...)`.
+//
+// Only the schema's fields (plus any listed in `extra`, e.g. 'version') may be sent, so a
+// misspelt field is refused instead of being silently dropped.
+export function applyMergePatch(schema, record, patch, extra = []) {
+  if (!patch || typeof patch !== 'object' || Array.isArray(patch)) {
+    throw badRequest('The request body must be a JSON object');
+  }
+
+  const unknown = Object.keys(patch).filter(field => !(field in schema) && !extra.includes(field));
+  if (unknown.length > 0) {
+    throw badRequest('Validation failed', Object.fromEntries(unknown.map(field => [field, 'This field cannot be changed'])));
+  }
+
+  const merged = { ...record };
+  for (const field of Object.keys(schema)) {
+    if (field in patch) merged[field] = patch[field];
+  }
+  return merged;
+}
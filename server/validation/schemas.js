@@ -0,0 +1,72 @@
+// Request body schemas for tenders, site visits, tasks, documents and comments
+// (see validate.js for the rule format)
+
+export const TASK_STATUSES = ['PENDING', 'SENT', 'COMPLETED'];
+
+// Updates to tenders and tasks carry the version of the record they were based on
+export const versionSchema = {
+  version: { type: 'id', label: 'Version', required: true },
+};
+
+// A PATCH may leave the version out to apply its fields to whatever is current
+export const patchVersionSchema = {
+  version: { type: 'id', label: 'Version' },
+};
+
+export const tenderSchema = {
+  description: { type: 'string', label: 'Description', required: true, maxLength: 2000 },
+  closing_date: { type: 'date', label: 'Closing date', required: true },
+};
+
+export const siteVisitSchema = {
+  visit_date: { type: 'date', label: 'Visit date' },
+  visit_time: { type: 'time', label: 'Visit time' },
+  location: { type: 'string', label: 'Location', maxLength: 200 },
+  contact: { type: 'string', label: 'Contact', maxLength: 200 },
+  attendee: { type: 'string', label: 'Attendee', maxLength: 200 },
+  completed: { type: 'boolean', label: 'Completed', default: false },
+  notes: { type: 'string', label: 'Notes', maxLength: 2000 },
+};
+
+export const documentSchema = {
+  title: { type: 'string', label: 'Title', required: true, maxLength: 200 },
+  url: { type: 'url', label: 'Link', required: true, maxLength: 2000 },
+};
+
+export const commentSchema = {
+  body: { type: 'string', label: 'Comment', required: true, maxLength: 5000 },
+};
+
+export const taskSchema = {
+  description: { type: 'string', label: 'Description', required: true, maxLength: 2000 },
+  assigned_to: { type: 'string', label: 'Assigned to', required: true, maxLength: 100 },
+  due_date: { type: 'date', label: 'Due date', required: true },
+  status: { type: 'enum', label: 'Status', values: TASK_STATUSES, default: 'PENDING' },
+  tender_id: { type: 'id', label: 'Tender' },
+};
+
+export const notificationSchema = {
+  read: { type: 'boolean', label: 'Read', required: true },
+};
+
+// Notifications can be marked unread one at a time, but only marked read all at once
+export const markAllReadSchema = {
+  read: { type: 'enum', label: 'Read', values: [true], required: true },
+};
+
+// A browser's push subscription, flattened from PushSubscription.toJSON()
+export const pushSubscriptionSchema = {
+  endpoint: { type: 'url', label: 'Endpoint', required: true, maxLength: 2000 },
+  p256dh: { type: 'string', label: 'Public key', required: true, maxLength: 200 },
+  auth: { type: 'string', label: 'Auth secret', required: true, maxLength: 100 },
+};
+
+export const pushEndpointSchema = {
+  endpoint: { type: 'url', label: 'Endpoint', required: true, maxLength: 2000 },
+};
+
+// The dates the in-app calendar asks for, both included
+export const calendarRangeSchema = {
+  from: { type: 'date', label: 'From', required: true },
+  to: { type: 'date', label: 'To', required: true },
+};
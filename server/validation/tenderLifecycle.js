@@ -0,0 +1,77 @@
+import { badRequest, conflict } from '../http/errors.js';
+
+// Tender lifecycle. A tender starts as IDENTIFIED and moves forward through the statuses
+// below; WON, LOST, CANCELLED and NO_BID are final.
+
+export const TENDER_STATUSES = ['IDENTIFIED', 'PREPARING', 'SUBMITTED', 'WON', 'LOST', 'CANCELLED', 'NO_BID'];
+
+export const TENDER_TRANSITIONS = {
+  IDENTIFIED: ['PREPARING', 'NO_BID', 'CANCELLED'],
+  PREPARING: ['SUBMITTED', 'NO_BID', 'CANCELLED'],
+  SUBMITTED: ['WON', 'LOST', 'CANCELLED'],
+  WON: [],
+  LOST: [],
+  CANCELLED: [],
+  NO_BID: [],
+};
+
+// Final statuses that record why the tender ended; all but WON must give a reason
+const OUTCOME_STATUSES = ['WON', 'LOST', 'CANCELLED', 'NO_BID'];
+const REASON_REQUIRED = ['LOST', 'CANCELLED', 'NO_BID'];
+
+// How long after changing a tender's status the same user may undo it
+export const STATUS_UNDO_SECONDS = 60;
+
+const LABELS = {
+  IDENTIFIED: 'Identified',
+  PREPARING: 'Preparing',
+  SUBMITTED: 'Submitted',
+  WON: 'Won',
+  LOST: 'Lost',
+  CANCELLED: 'Cancelled',
+  NO_BID: 'No-bid',
+};
+
+export const tenderStatusSchema = {
+  status: { type: 'enum', label: 'Status', values: TENDER_STATUSES, required: true },
+  submitted_at: { type: 'date', label: 'Submission date' },
+  outcome_reason: { type: 'string', label: 'Outcome reason', maxLength: 2000 },
+};
+
+// Checks a validated status change against the tender's current status and returns the
+// column values to store. A missing submission date means "today" (see updateTenderStatus).
+export function applyTransition(tender, { status, submitted_at, outcome_reason }) {
+  if (!TENDER_TRANSITIONS[tender.status].includes(status)) {
+    const message = status === tender.status
+      ? `Tender is already ${LABELS[status]}`
+      : `A ${LABELS[tender.status]} tender cannot be marked ${LABELS[status]}`;
+    throw badRequest('Validation failed', { status: message });
+  }
+
+  if (REASON_REQUIRED.includes(status) && !outcome_reason) {
+    throw badRequest('Validation failed', { outcome_reason: `A reason is required to mark a tender ${LABELS[status]}` });
+  }
+
+  return {
+    status,
+    submitted_at: status === 'SUBMITTED' ? submitted_at : tender.submitted_at,
+    outcome_reason: OUTCOME_STATUSES.includes(status) ? outcome_reason : tender.outcome_reason,
+  };
+}
+
+// Undoing a status change is the one way a tender may move backwards. `event` is the audit
+// event that recorded the change (see findRecentStatusChange); it must be the latest change
+// to the tender's status and have been made by `user`. Returns the column values to store,
+// taken from the event's "from" side.
+export function revertTransition(tender, event, user) {
+  if (!event || event.actor_id !== user.id || event.changes.status.to !== tender.status) {
+    throw conflict('This status change can no longer be undone.');
+  }
+
+  const previous = (field, current) => (event.changes[field] ? event.changes[field].from : current);
+  return {
+    status: event.changes.status.from,
+    submitted_at: previous('submitted_at', tender.submitted_at),
+    outcome_reason: previous('outcome_reason', tender.outcome_reason),
+  };
+}
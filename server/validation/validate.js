@@ -0,0 +1,107 @@
+import { badRequest } from '../http/errors.js';
+
+// Declarative request body validation. A schema maps field names to rules:
+//
+//   { type: 'string' | 'url' | 'date' | 'time' | 'boolean' | 'enum' | 'id', label, required?, maxLength?, values?, default? }
+//
+// `validate` returns a new object holding only the schema's fields (strings trimmed,
+// blanks turned into null, defaults applied), or throws a 400 HttpError whose
+// `details` map each invalid field to a message.
+
+const DATE = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
+const TIME = /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/;
+
+// Rejects dates that match the pattern but don't exist, such as 2024-02-31
+export function isRealDate(value) {
+  const date = new Date(value.length === 10 ? `${value}T00:00:00Z` : value);
+  return !Number.isNaN(date.getTime()) &&
+    (value.length !== 10 || date.toISOString().slice(0, 10) === value);
+}
+
+function isWebUrl(value) {
+  try {
+    const url = new URL(value);
+    return url.protocol === 'http:' || url.protocol === 'https:';
+  } catch {
+    return false;
+  }
+}
+
+function checkField(rule, value) {
+  switch (rule.type) {
+    case 'string':
+      if (typeof value !== 'string') return `${rule.label} must be text`;
+      if (rule.maxLength && value.length > rule.maxLength) {
+        return `${rule.label} must be at most ${rule.maxLength} characters`;
+      }
+      return null;
+
+    case 'url':
+      if (typeof value !== 'string' || !isWebUrl(value)) return `${rule.label} must be a web address (http:// or https://)`;
+      if (rule.maxLength && value.length > rule.maxLength) {
+        return `${rule.label} must be at most ${rule.maxLength} characters`;
+      }
+      return null;
+
+    case 'date':
+      // Dates read back from Postgres arrive as Date objects
+      if (value instanceof Date) return Number.isNaN(value.getTime()) ? `${rule.label} is not a valid date` : null;
+      if (typeof value !== 'string' || !DATE.test(value) || !isRealDate(value)) {
+        return `${rule.label} must be a valid date (YYYY-MM-DD)`;
+      }
+      return null;
+
+    case 'time':
+      if (typeof value !== 'string' || !TIME.test(value)) return `${rule.label} must be a valid time (HH:MM)`;
+      return null;
+
+    case 'boolean':
+      if (typeof value !== 'boolean') return `${rule.label} must be true or false`;
+      return null;
+
+    case 'id':
+      // References to other rows, e.g. a task's tender
+      if (!Number.isInteger(value) || value < 1) return `${rule.label} must be a valid id`;
+      return null;
+
+    case 'enum':
+      if (!rule.values.includes(value)) return `${rule.label} must be one of ${rule.values.join(', ')}`;
+      return null;
+
+    default:
+      throw new Error(`Unknown validation type "${rule.type}"`);
+  }
+}
+
+export function validate(schema, body) {
+  const values = {};
+  const errors = {};
+
+  for (const [field, rule] of Object.entries(schema)) {
+    let value = body ? body[field] : undefined;
+    if (typeof value === 'string') value = value.trim();
+    if (value === '' || value === undefined) value = null;
+
+    if (value === null) {
+      if (rule.required) {
+        errors[field] = `${rule.label} is required`;
+      } else {
+        values[field] = rule.default !== undefined ? rule.default : null;
+      }
+      continue;
+    }
+
+    const error = checkField(rule, value);
+    if (error) {
+      errors[field] = error;
+    } else {
+      values[field] = value;
+    }
+  }
+
+  if (Object.keys(errors).length > 0) {
+    throw badRequest('Validation failed', errors);
+  }
+
+  return values;
+}
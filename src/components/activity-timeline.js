@@ -0,0 +1,292 @@
+import { LitElement, html, css } from 'lit';
+import { format, parseISO } from 'date-fns';
+import { auditAPI, transformAuditEvent } from '../services/api';
+import { TENDER_STATUS_LABELS } from '../utils/tenderStatus';
+
+const PAGE_SIZE = 20;
+
+const ENTITY_LABELS = {
+  tender: 'tender',
+  site_visit: 'site visit',
+  document: 'document',
+  task: 'task',
+  comment: 'comment',
+};
+
+const TRASHABLE = ['tender', 'task'];
+
+const FIELD_LABELS = {
+  tender_number: 'Tender number',
+  description: 'Description',
+  closing_date: 'Closing date',
+  status: 'Status',
+  submitted_at: 'Submitted on',
+  outcome_reason: 'Reason',
+  visit_date: 'Date',
+  visit_time: 'Time',
+  location: 'Location',
+  contact: 'Contact',
+  attendee: 'Attendee',
+  completed: 'Completed',
+  notes: 'Notes',
+  title: 'Title',
+  url: 'Link',
+  assigned_to: 'Assigned to',
+  due_date: 'Due date',
+  tender_id: 'Tender',
+  body: 'Comment',
+};
+
+function formatValue(event, field, value) {
+  if (value === null || value === '') return 'none';
+  if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+  if (field === 'status' && event.entityType === 'tender') return TENDER_STATUS_LABELS[value] || value;
+  if (field === 'tender_id') return `#${value}`;
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value)) return format(parseISO(value), 'dd/MM/yyyy');
+  return String(value);
+}
+
+// Newest-first list of audit events for a tender or task, loaded from /api/audit.
+// Set `tenderId` to include everything recorded against a tender (its site visits,
+// documents, comments and linked tasks too) or `taskId` for one task. The owner can
+// call `reload()` after making a change of its own.
+class ActivityTimeline extends LitElement {
+  static properties = {
+    tenderId: { type: Number },
+    taskId: { type: Number },
+    events: { type: Array },
+    loading: { type: Boolean },
+    error: { type: String },
+    hasMore: { type: Boolean },
+  };
+
+  constructor() {
+    super();
+    this.tenderId = null;
+    this.taskId = null;
+    this.events = [];
+    this.loading = false;
+    this.error = null;
+    this.hasMore = false;
+    this._page = 1;
+  }
+
+  updated(changed) {
+    if (changed.has('tenderId') || changed.has('taskId')) {
+      this.reload();
+    }
+  }
+
+  async reload() {
+    this._page = 1;
+    this.events = [];
+    await this._loadPage();
+  }
+
+  async _loadPage() {
+    if (!this.tenderId && !this.taskId) return;
+
+    try {
+      this.loading = true;
+      this.error = null;
+      const filter = this.taskId ? { taskId: this.taskId } : { tenderId: this.tenderId };
+      const result = await auditAPI.getAll({ ...filter, page: this._page, pageSize: PAGE_SIZE });
+      this.events = [...this.events, ...result.data.map(transformAuditEvent)];
+      this.hasMore = result.pagination.page < result.pagination.totalPages;
+    } catch (error) {
+      console.error('Error loading activity:', error);
+      this.error = 'Failed to load activity. Please try again.';
+    } finally {
+      this.loading = false;
+    }
+  }
+
+  async _loadMore() {
+    this._page += 1;
+    await this._loadPage();
+  }
+
+  render() {
+    if (this.error) {
+      return html`<p class="error">${this.error}</p>`;
+    }
+    if (this.loading && this.events.length === 0) {
+      return html`<p class="empty">Loading activity...</p>`;
+    }
+    if (this.events.length === 0) {
+      return html`<p class="empty">No activity recorded yet.</p>`;
+    }
+
+    return html`
+      <ol class="timeline">
+        ${this.events.map(event => this._renderEvent(event))}
+      </ol>
+      ${this.hasMore ? html`
+        <button type="button" class="more" ?disabled="${this.loading}" @click="${this._loadMore}">
+          ${this.loading ? 'Loading...' : 'Show older activity'}
+        </button>
+      ` : ''}
+    `;
+  }
+
+  _renderEvent(event) {
+    const changes = Object.entries(event.changes);
+
+    return html`
+      <li class="event">
+        <span class="dot ${event.action}"></span>
+        <span class="event-main">
+          <span class="summary">${this._summary(event)}</span>
+          ${event.action === 'update' ? html`
+            <ul class="changes">
+              ${changes.map(([field, change]) => html`
+                <li>
+                  <span class="field">${FIELD_LABELS[field] || field}:</span>
+                  <span class="from">${formatValue(event, field, change.from)}</span>
+                  &rarr; ${formatValue(event, field, change.to)}
+                </li>
+              `)}
+            </ul>
+          ` : ''}
+          <span class="meta">${format(new Date(event.createdAt), 'dd/MM/yyyy HH:mm')}</span>
+        </span>
+      </li>
+    `;
+  }
+
+  _summary(event) {
+    const actor = event.actorName || 'Someone';
+    const entity = ENTITY_LABELS[event.entityType] || event.entityType;
+    // Creates and deletes record every field, so the record can still be named after it is gone
+    const snapshot = ['delete', 'purge'].includes(event.action)
+      ? (field) => event.changes[field] && event.changes[field].from
+      : (field) => event.changes[field] && event.changes[field].to;
+    const name = snapshot('tender_number') || snapshot('title') || snapshot('description');
+    const label = name ? `${entity} "${name}"` : entity;
+
+    if (event.entityType === 'comment') {
+      return event.action === 'create' ? `${actor} commented` : `${actor} deleted a comment`;
+    }
+    if (event.action === 'create') return `${actor} created ${label}`;
+    if (event.action === 'delete') {
+      // Tenders and tasks go to the trash; everything else is deleted outright
+      return TRASHABLE.includes(event.entityType) ? `${actor} moved ${label} to the trash` : `${actor} deleted ${label}`;
+    }
+    if (event.action === 'restore') return `${actor} restored ${label} from the trash`;
+    if (event.action === 'purge') {
+      return event.actorName
+        ? `${actor} permanently deleted ${label}`
+        : `${label.charAt(0).toUpperCase()}${label.slice(1)} was removed from the trash automatically`;
+    }
+
+    const statusOnly = Object.keys(event.changes).every(field => ['status', 'submitted_at', 'outcome_reason'].includes(field));
+    return statusOnly ? `${actor} changed the ${entity} status` : `${actor} updated the ${entity}`;
+  }
+
+  static styles = css`
+    :host {
+      display: block;
+    }
+
+    .timeline, .changes {
+      list-style: none;
+      margin: 0;
+      padding: 0;
+    }
+
+    .event {
+      position: relative;
+      display: flex;
+      gap: 12px;
+      padding: 0 0 14px;
+    }
+
+    .event:not(:last-child)::before {
+      content: '';
+      position: absolute;
+      left: 4px;
+      top: 14px;
+      bottom: 0;
+      width: 2px;
+      background: var(--ios-gray5, #E5E5EA);
+    }
+
+    .dot {
+      width: 10px;
+      height: 10px;
+      margin-top: 4px;
+      border-radius: 5px;
+      background: var(--ios-blue, #007AFF);
+      flex-shrink: 0;
+    }
+
+    .dot.create {
+      background: var(--ios-green, #34C759);
+    }
+
+    .dot.delete {
+      background: var(--ios-red, #FF3B30);
+    }
+
+    .event-main {
+      display: flex;
+      flex-direction: column;
+      gap: 2px;
+      min-width: 0;
+    }
+
+    .summary {
+      font-size: 15px;
+      color: var(--ios-text, #000);
+    }
+
+    .changes {
+      font-size: 13px;
+      color: var(--ios-text-secondary, #3C3C43);
+      overflow-wrap: anywhere;
+    }
+
+    .field {
+      font-weight: 600;
+    }
+
+    .from {
+      text-decoration: line-through;
+      color: var(--ios-gray, #8E8E93);
+    }
+
+    .meta {
+      font-size: 13px;
+      color: var(--ios-gray, #8E8E93);
+    }
+
+    .empty {
+      margin: 0;
+      color: var(--ios-gray, #8E8E93);
+      font-size: 15px;
+    }
+
+    .error {
+      margin: 0;
+      color: var(--ios-red, #FF3B30);
+      font-size: 15px;
+    }
+
+    .more {
+      padding: 0;
+      border: none;
+      background: none;
+      color: var(--ios-blue, #007AFF);
+      font-size: 15px;
+      font-family: inherit;
+      cursor: pointer;
+    }
+
+    .more:disabled {
+      opacity: 0.6;
+      cursor: default;
+    }
+  `;
+}
+
+customElements.define('activity-timeline', ActivityTimeline);
@@ -0,0 +1,291 @@
+import { LitElement, html, css } from 'lit';
+import { calendarAPI } from '../services/api';
+
+const COPIED_MESSAGE_MS = 2000;
+
+// Calendar button in the app header, with a panel for the signed-in user's calendar feed:
+// the link that Outlook, Google Calendar and the like subscribe to for tender closing dates,
+// site visits and task due dates. Anyone with the link can read the feed, so it can be reset
+// (the old link stops working) or turned off.
+class CalendarFeed extends LitElement {
+  static properties = {
+    open: { type: Boolean, reflect: true },
+    url: { type: String },
+    loading: { type: Boolean },
+    updating: { type: Boolean },
+    copied: { type: Boolean },
+    error: { type: String },
+  };
+
+  constructor() {
+    super();
+    this.open = false;
+    this.url = null;
+    this.loading = false;
+    this.updating = false;
+    this.copied = false;
+    this.error = null;
+    this._copiedTimer = null;
+    this._handleDocumentClick = this._handleDocumentClick.bind(this);
+  }
+
+  connectedCallback() {
+    super.connectedCallback();
+    document.addEventListener('click', this._handleDocumentClick);
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+    clearTimeout(this._copiedTimer);
+    document.removeEventListener('click', this._handleDocumentClick);
+  }
+
+  _handleDocumentClick(e) {
+    if (this.open && !e.composedPath().includes(this)) {
+      this.open = false;
+    }
+  }
+
+  _toggle() {
+    this.open = !this.open;
+    if (this.open) this._load();
+  }
+
+  async _load() {
+    try {
+      this.loading = true;
+      this.error = null;
+      this.url = await calendarAPI.getFeedUrl();
+    } catch (error) {
+      console.error('Error loading calendar feed:', error);
+      this.error = 'Failed to load your calendar link. Please try again.';
+    } finally {
+      this.loading = false;
+    }
+  }
+
+  async _reset() {
+    if (this.url && !confirm('Calendars subscribed to the current link will stop updating. Make a new link?')) {
+      return;
+    }
+
+    try {
+      this.updating = true;
+      this.error = null;
+      this.url = await calendarAPI.resetFeed();
+    } catch (error) {
+      console.error('Error creating calendar feed:', error);
+      this.error = 'Failed to create your calendar link. Please try again.';
+    } finally {
+      this.updating = false;
+    }
+  }
+
+  async _turnOff() {
+    if (!confirm('Calendars subscribed to this link will stop updating. Turn off the calendar feed?')) {
+      return;
+    }
+
+    try {
+      this.updating = true;
+      this.error = null;
+      await calendarAPI.turnOffFeed();
+      this.url = null;
+    } catch (error) {
+      console.error('Error turning off calendar feed:', error);
+      this.error = 'Failed to turn off the calendar feed. Please try again.';
+    } finally {
+      this.updating = false;
+    }
+  }
+
+  async _copy() {
+    try {
+      await navigator.clipboard.writeText(this.url);
+      this.copied = true;
+      clearTimeout(this._copiedTimer);
+      this._copiedTimer = setTimeout(() => { this.copied = false; }, COPIED_MESSAGE_MS);
+    } catch (error) {
+      console.error('Error copying calendar link:', error);
+      this.error = 'Failed to copy the link. Select it and copy it instead.';
+    }
+  }
+
+  // webcal:// links open straight in the device's calendar app
+  _subscribeUrl() {
+    return this.url.replace(/^https?:/, 'webcal:');
+  }
+
+  render() {
+    return html`
+      <button class="toggle" @click="${this._toggle}" aria-label="Calendar feed" aria-expanded="${this.open}">
+        <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+          <rect x="3" y="4" width="18" height="18" rx="2" />
+          <path d="M16 2v4M8 2v4M3 10h18" />
+        </svg>
+      </button>
+
+      ${this.open ? html`
+        <div class="panel" role="dialog" aria-label="Calendar feed">
+          <h3>Calendar Feed</h3>
+          <p class="hint">Subscribe to this link in Outlook, Google Calendar or your phone to see tender
+            closing dates, site visits and task due dates. It keeps itself up to date.</p>
+
+          ${this.error ? html`<div class="error-message">${this.error}</div>` : ''}
+
+          ${this.loading ? html`<p class="hint">Loading...</p>` : this.url ? html`
+            <input class="link" type="text" readonly .value="${this.url}" @focus="${(e) => e.target.select()}" />
+            <div class="actions">
+              <a class="action" href="${this._subscribeUrl()}">Subscribe</a>
+              <button class="action secondary" @click="${this._copy}">${this.copied ? 'Copied' : 'Copy Link'}</button>
+            </div>
+            <p class="hint">Anyone with this link can see these dates. If it has been shared by mistake,
+              make a new one.</p>
+            <div class="actions">
+              <button class="link-button" ?disabled="${this.updating}" @click="${this._reset}">New Link</button>
+              <button class="link-button destructive" ?disabled="${this.updating}" @click="${this._turnOff}">Turn Off</button>
+            </div>
+          ` : html`
+            <div class="actions">
+              <button class="action" ?disabled="${this.updating}" @click="${this._reset}">
+                ${this.updating ? 'Creating...' : 'Create Link'}
+              </button>
+            </div>
+          `}
+        </div>
+      ` : ''}
+    `;
+  }
+
+  static styles = css`
+    :host {
+      position: relative;
+      display: inline-block;
+    }
+
+    .toggle {
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      width: 32px;
+      height: 32px;
+      border: none;
+      border-radius: 50%;
+      background: rgba(255, 255, 255, 0.2);
+      color: white;
+      cursor: pointer;
+      transition: all 0.2s cubic-bezier(0.25, 0.46, 0.45, 0.94);
+    }
+
+    .toggle:active {
+      transform: scale(0.95);
+      opacity: 0.7;
+    }
+
+    .panel {
+      position: absolute;
+      top: calc(100% + 10px);
+      left: 50%;
+      transform: translateX(-50%);
+      z-index: 200;
+      display: flex;
+      flex-direction: column;
+      gap: 10px;
+      width: 340px;
+      box-sizing: border-box;
+      padding: 14px 16px;
+      border-radius: 14px;
+      background: var(--ios-card, #FFFFFF);
+      color: var(--ios-text, #000000);
+      text-align: left;
+      box-shadow: 0 8px 32px rgba(0, 0, 0, 0.2);
+    }
+
+    h3 {
+      margin: 0;
+      font-size: 17px;
+    }
+
+    .hint {
+      margin: 0;
+      color: var(--ios-gray, #8E8E93);
+      font-size: 13px;
+    }
+
+    .link {
+      width: 100%;
+      box-sizing: border-box;
+      padding: 8px 10px;
+      border: 0.5px solid var(--ios-separator, rgba(60, 60, 67, 0.29));
+      border-radius: 8px;
+      background: var(--ios-gray6, #F2F2F7);
+      color: var(--ios-text, #000000);
+      font-size: 13px;
+      font-family: inherit;
+    }
+
+    .actions {
+      display: flex;
+      gap: 8px;
+    }
+
+    .action {
+      padding: 6px 12px;
+      border: none;
+      border-radius: 8px;
+      background: var(--ios-blue, #007AFF);
+      color: white;
+      font-size: 14px;
+      font-weight: 600;
+      font-family: inherit;
+      text-decoration: none;
+      cursor: pointer;
+    }
+
+    .action.secondary {
+      background: var(--ios-gray5, #E5E5EA);
+      color: var(--ios-blue, #007AFF);
+    }
+
+    .link-button {
+      padding: 0;
+      border: none;
+      background: transparent;
+      color: var(--ios-blue, #007AFF);
+      font-size: 14px;
+      font-weight: 600;
+      font-family: inherit;
+      cursor: pointer;
+    }
+
+    .link-button.destructive {
+      color: var(--ios-red, #FF3B30);
+    }
+
+    .action:disabled, .link-button:disabled {
+      opacity: 0.6;
+      cursor: default;
+    }
+
+    .error-message {
+      padding: 8px 12px;
+      border-radius: 10px;
+      background: rgba(255, 59, 48, 0.1);
+      color: var(--ios-red, #FF3B30);
+      font-size: 14px;
+    }
+
+    @media (max-width: 480px) {
+      .panel {
+        position: fixed;
+        top: calc(env(safe-area-inset-top, 0px) + 120px);
+        left: 16px;
+        right: 16px;
+        width: auto;
+        transform: none;
+      }
+    }
+  `;
+}
+
+customElements.define('calendar-feed', CalendarFeed);
@@ -0,0 +1,737 @@
+import { LitElement, html, css } from 'lit';
+import { Router } from '@vaadin/router';
+import {
+  format, parseISO, isValid, isToday, isSameMonth, startOfDay, startOfMonth, endOfMonth, startOfWeek, endOfWeek,
+  addDays, addWeeks, addMonths, eachDayOfInterval,
+} from 'date-fns';
+import { ApiError, authAPI, calendarAPI, tenderAPI, siteVisitAPI, taskAPI, transformCalendar, isOffline } from '../services/api';
+import { LiveUpdatesController } from '../controllers/live-updates';
+import { isActiveStatus } from '../utils/tenderStatus';
+import './undo-toast';
+
+const VIEWS = [
+  { value: 'month', label: 'Month' },
+  { value: 'week', label: 'Week' },
+  { value: 'agenda', label: 'Agenda' },
+];
+
+const WEEK_OPTIONS = { weekStartsOn: 1 };
+const AGENDA_DAYS = 30;
+// Entries shown in a day of the month view before it offers "+n more"
+const MONTH_CELL_ENTRIES = 3;
+
+const TYPE_ORDER = { tender: 0, siteVisit: 1, task: 2 };
+
+const LEGEND = [
+  { type: 'tender', label: 'Tender closing' },
+  { type: 'siteVisit', label: 'Site visit' },
+  { type: 'task', label: 'Task due' },
+];
+
+// Tenders that won't go ahead, and finished visits and tasks, are struck through
+const DONE_STATUSES = { tender: ['CANCELLED', 'NO_BID'], siteVisit: ['COMPLETED'], task: ['COMPLETED'] };
+
+function toDateString(date) {
+  return format(date, 'yyyy-MM-dd');
+}
+
+// Tender closing dates, site visits and task due dates at /calendar, by month, week or as an
+// agenda of the coming days. Entries are colored by type, faded once they no longer need
+// doing and red when overdue; clicking one opens its tender or task. Users who may edit them
+// can drag entries onto another day to reschedule them. The view and date are kept in the
+// URL (?view=week&date=2026-10-19).
+class CalendarView extends LitElement {
+  static properties = {
+    view: { type: String },
+    anchor: { type: Object },
+    entries: { type: Array },
+    loading: { type: Boolean },
+    error: { type: String },
+    dropDate: { type: String },
+    movingKey: { type: String },
+  };
+
+  constructor() {
+    super();
+    const params = new URLSearchParams(window.location.search);
+    const date = params.get('date') ? parseISO(params.get('date')) : null;
+    this.view = VIEWS.some(view => view.value === params.get('view')) ? params.get('view') : 'month';
+    this.anchor = date && isValid(date) ? date : startOfDay(new Date());
+    this.entries = [];
+    this.loading = true;
+    this.error = null;
+    this.dropDate = null;
+    this.movingKey = null;
+    this._dragging = null;
+    this._request = 0;
+    // Which entries can be dragged depends on the signed-in user's permissions, so it
+    // re-renders when they change
+    this._live = new LiveUpdatesController(this, {
+      onChanges: () => this._load(),
+      onSync: () => this._load(),
+    });
+  }
+
+  // Called by Vaadin Router when navigating to this component
+  async onAfterEnter() {
+    await this._load();
+  }
+
+  // The first and last day shown
+  _range() {
+    if (this.view === 'month') {
+      return { start: startOfWeek(startOfMonth(this.anchor), WEEK_OPTIONS), end: endOfWeek(endOfMonth(this.anchor), WEEK_OPTIONS) };
+    }
+    if (this.view === 'week') {
+      return { start: startOfWeek(this.anchor, WEEK_OPTIONS), end: endOfWeek(this.anchor, WEEK_OPTIONS) };
+    }
+    return { start: this.anchor, end: addDays(this.anchor, AGENDA_DAYS - 1) };
+  }
+
+  async _load() {
+    const { start, end } = this._range();
+    const request = ++this._request;
+
+    try {
+      this.error = null;
+      const result = await calendarAPI.getEvents(toDateString(start), toDateString(end));
+      // A later request (the user moved on to another month) wins
+      if (request !== this._request) return;
+      this.entries = transformCalendar(result);
+    } catch (error) {
+      if (request !== this._request) return;
+      console.error('Error loading calendar:', error);
+      this.error = isOffline(error)
+        ? 'You are offline. The calendar will load when you reconnect.'
+        : 'Failed to load the calendar. Please try again.';
+    } finally {
+      if (request === this._request) this.loading = false;
+    }
+  }
+
+  _show(view, anchor) {
+    this.view = view;
+    this.anchor = anchor;
+    const params = new URLSearchParams({ view, date: toDateString(anchor) });
+    window.history.replaceState(window.history.state, '', `${window.location.pathname}?${params}`);
+    this.loading = true;
+    this._load();
+  }
+
+  _step(direction) {
+    const step = { month: addMonths, week: addWeeks, agenda: (date, amount) => addDays(date, amount * AGENDA_DAYS) }[this.view];
+    this._show(this.view, step(this.anchor, direction));
+  }
+
+  _title() {
+    const { start, end } = this._range();
+    if (this.view === 'month') return format(this.anchor, 'MMMM yyyy');
+    return `${format(start, 'd MMM')} – ${format(end, 'd MMM yyyy')}`;
+  }
+
+  // Entries by date, all-day ones first, then by time and type
+  _entriesByDate() {
+    const byDate = new Map();
+    const sorted = [...this.entries].sort((a, b) => (
+      (a.time || '').localeCompare(b.time || '') || TYPE_ORDER[a.type] - TYPE_ORDER[b.type] || a.id - b.id
+    ));
+    for (const entry of sorted) {
+      if (!byDate.has(entry.date)) byDate.set(entry.date, []);
+      byDate.get(entry.date).push(entry);
+    }
+    return byDate;
+  }
+
+  _isDone(entry) {
+    return DONE_STATUSES[entry.type].includes(entry.status);
+  }
+
+  // Submitted, won and lost tenders keep their closing date, but it no longer needs acting on
+  _isInactive(entry) {
+    return this._isDone(entry) || (entry.type === 'tender' && !isActiveStatus(entry.status));
+  }
+
+  _isOverdue(entry) {
+    return !this._isInactive(entry) && entry.date < toDateString(new Date());
+  }
+
+  _canMove(entry) {
+    return authAPI.can(entry.type === 'task' ? 'tasks:update' : 'tenders:update');
+  }
+
+  _open(entry) {
+    Router.go(entry.type === 'task' ? `/tasks/${entry.id}` : `/tenders/${entry.tenderId}`);
+  }
+
+  _handleDragStart(e, entry) {
+    this._dragging = entry;
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData('text/plain', entry.key);
+  }
+
+  _handleDragEnd() {
+    this._dragging = null;
+    this.dropDate = null;
+  }
+
+  _handleDragOver(e, date) {
+    if (!this._dragging) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'move';
+    this.dropDate = date;
+  }
+
+  _handleDrop(e, date) {
+    e.preventDefault();
+    const entry = this._dragging;
+    this._handleDragEnd();
+    if (entry && entry.date !== date) this._reschedule(entry, date);
+  }
+
+  async _reschedule(entry, date) {
+    const moved = await this._move(entry, date);
+    if (!moved) return;
+
+    this._toast().show({
+      message: `${entry.type === 'task' ? 'Task' : entry.tenderNumber} moved to ${format(parseISO(date), 'd MMM')}`,
+      undo: () => this._move(moved, entry.date),
+    });
+  }
+
+  // Saves the entry's new date, showing it there straight away. Resolves to the moved entry,
+  // or null if the change was refused.
+  async _move(entry, date) {
+    const moved = { ...entry, date };
+    this._replaceEntry(moved);
+
+    try {
+      this.movingKey = entry.key;
+      this.error = null;
+      let saved;
+      if (entry.type === 'tender') {
+        saved = await tenderAPI.patch(entry.id, { closingDate: date, version: entry.version });
+      } else if (entry.type === 'siteVisit') {
+        saved = await siteVisitAPI.patch(entry.tenderId, entry.id, { visitDate: date });
+      } else {
+        saved = await taskAPI.patch(entry.id, { dueDate: date, version: entry.version });
+      }
+      const updated = { ...moved, version: saved.version != null ? saved.version : moved.version };
+      this._replaceEntry(updated);
+      return updated;
+    } catch (error) {
+      console.error('Error rescheduling:', error);
+      this._replaceEntry(entry);
+      // Concurrent changes (409), invalid dates (400) and lost connections carry a message worth showing
+      if (error instanceof ApiError && error.status === 409) {
+        this.error = error.message;
+        this._load();
+      } else if (error instanceof ApiError && Object.keys(error.fields).length > 0) {
+        this.error = Object.values(error.fields).join(' ');
+      } else {
+        this.error = isOffline(error) ? error.message : 'Failed to reschedule. Please try again.';
+      }
+      return null;
+    } finally {
+      this.movingKey = null;
+    }
+  }
+
+  _replaceEntry(entry) {
+    this.entries = this.entries.map(other => other.key === entry.key ? entry : other);
+  }
+
+  _toast() {
+    return this.shadowRoot.querySelector('undo-toast');
+  }
+
+  render() {
+    const byDate = this._entriesByDate();
+
+    return html`
+      <div class="container">
+        <div class="header">
+          <h2>${this._title()}</h2>
+          <div class="navigation">
+            <button class="nav-button" @click="${() => this._step(-1)}" aria-label="Previous">‹</button>
+            <button class="nav-button today" @click="${() => this._show(this.view, startOfDay(new Date()))}">Today</button>
+            <button class="nav-button" @click="${() => this._step(1)}" aria-label="Next">›</button>
+          </div>
+        </div>
+
+        <div class="toolbar">
+          <div class="segmented" role="tablist">
+            ${VIEWS.map(view => html`
+              <button
+                role="tab"
+                class="${this.view === view.value ? 'active' : ''}"
+                aria-selected="${this.view === view.value}"
+                @click="${() => this._show(view.value, this.anchor)}"
+              >${view.label}</button>
+            `)}
+          </div>
+          <ul class="legend">
+            ${LEGEND.map(item => html`<li><span class="swatch ${item.type}"></span>${item.label}</li>`)}
+            <li><span class="swatch overdue"></span>Overdue</li>
+          </ul>
+        </div>
+
+        ${this.error ? html`<div class="error-message">${this.error}</div>` : ''}
+
+        ${this.loading && this.entries.length === 0
+          ? html`<p class="loading-message">Loading calendar...</p>`
+          : this.view === 'agenda'
+          ? this._renderAgenda(byDate)
+          : this._renderGrid(byDate)
+        }
+
+        <undo-toast></undo-toast>
+      </div>
+    `;
+  }
+
+  // Month and week views: a column per weekday, a cell per day
+  _renderGrid(byDate) {
+    const { start, end } = this._range();
+    const days = eachDayOfInterval({ start, end });
+
+    return html`
+      <div class="grid ${this.view}">
+        ${days.slice(0, 7).map(day => html`<div class="weekday">${format(day, 'EEE')}</div>`)}
+        ${days.map((day) => {
+          const date = toDateString(day);
+          const entries = byDate.get(date) || [];
+          const limit = this.view === 'month' && entries.length > MONTH_CELL_ENTRIES ? MONTH_CELL_ENTRIES - 1 : entries.length;
+          return html`
+            <div
+              class="day ${this.view === 'month' && !isSameMonth(day, this.anchor) ? 'outside' : ''} ${this.dropDate === date ? 'drop-target' : ''}"
+              @dragover="${(e) => this._handleDragOver(e, date)}"
+              @drop="${(e) => this._handleDrop(e, date)}"
+            >
+              <button
+                class="day-number ${isToday(day) ? 'today' : ''}"
+                @click="${() => this._show('agenda', day)}"
+                aria-label="${format(day, 'EEEE d MMMM')}"
+              >${this.view === 'week' ? format(day, 'EEE d MMM') : format(day, 'd')}</button>
+              ${entries.slice(0, limit).map(entry => this._renderEntry(entry))}
+              ${limit < entries.length ? html`
+                <button class="more" @click="${() => this._show('agenda', day)}">+${entries.length - limit} more</button>
+              ` : ''}
+            </div>
+          `;
+        })}
+      </div>
+    `;
+  }
+
+  // The coming days that have something on, each with its entries in full
+  _renderAgenda(byDate) {
+    const { start, end } = this._range();
+    const days = eachDayOfInterval({ start, end }).filter(day => byDate.has(toDateString(day)));
+
+    if (days.length === 0) {
+      return html`<p class="empty-message">Nothing scheduled in the next ${AGENDA_DAYS} days.</p>`;
+    }
+
+    return html`
+      <div class="agenda">
+        ${days.map(day => html`
+          <section class="agenda-day">
+            <h3 class="${isToday(day) ? 'today' : ''}">${isToday(day) ? 'Today' : format(day, 'EEEE d MMMM')}</h3>
+            ${byDate.get(toDateString(day)).map(entry => this._renderEntry(entry, true))}
+          </section>
+        `)}
+      </div>
+    `;
+  }
+
+  _renderEntry(entry, full = false) {
+    const classes = [
+      'entry',
+      entry.type,
+      this._isInactive(entry) ? 'inactive' : '',
+      this._isDone(entry) ? 'done' : '',
+      this._isOverdue(entry) ? 'overdue' : '',
+      this.movingKey === entry.key ? 'moving' : '',
+    ].filter(Boolean).join(' ');
+    const movable = this._canMove(entry) && this.view !== 'agenda';
+
+    return html`
+      <button
+        class="${classes}"
+        draggable="${movable ? 'true' : 'false'}"
+        title="${[entry.title, entry.detail].filter(Boolean).join('\n')}"
+        @click="${() => this._open(entry)}"
+        @dragstart="${(e) => this._handleDragStart(e, entry)}"
+        @dragend="${this._handleDragEnd}"
+      >
+        ${entry.time ? html`<span class="time">${entry.time}</span>` : ''}
+        <span class="label">${entry.title}</span>
+        ${full && entry.detail ? html`<span class="detail">${entry.detail}</span>` : ''}
+      </button>
+    `;
+  }
+
+  static styles = css`
+    .container {
+      padding: 20px;
+      max-width: 1100px;
+      margin: 0 auto;
+      animation: fadeIn 0.5s cubic-bezier(0.25, 0.46, 0.45, 0.94);
+    }
+
+    @keyframes fadeIn {
+      from {
+        opacity: 0;
+        transform: translateY(10px);
+        filter: blur(5px);
+      }
+      to {
+        opacity: 1;
+        transform: translateY(0);
+        filter: blur(0);
+      }
+    }
+
+    .header, .toolbar {
+      display: flex;
+      align-items: center;
+      justify-content: space-between;
+      flex-wrap: wrap;
+      gap: 12px;
+      margin-bottom: 16px;
+    }
+
+    h2 {
+      margin: 0 4px;
+      color: var(--ios-text, #000);
+      font-size: 28px;
+      font-weight: 700;
+      letter-spacing: -0.5px;
+    }
+
+    .navigation {
+      display: flex;
+      gap: 6px;
+    }
+
+    .nav-button {
+      min-width: 36px;
+      height: 36px;
+      padding: 0 12px;
+      border: none;
+      border-radius: 10px;
+      background: var(--ios-card, #FFFFFF);
+      color: var(--ios-blue, #007AFF);
+      font-size: 17px;
+      font-weight: 600;
+      font-family: inherit;
+      cursor: pointer;
+      box-shadow: 0 1px 4px rgba(0, 0, 0, 0.06);
+    }
+
+    .nav-button.today {
+      font-size: 15px;
+    }
+
+    .nav-button:active {
+      transform: scale(0.97);
+      opacity: 0.8;
+    }
+
+    .segmented {
+      display: flex;
+      padding: 2px;
+      border-radius: 9px;
+      background: var(--ios-gray5, #E5E5EA);
+    }
+
+    .segmented button {
+      padding: 6px 16px;
+      border: none;
+      border-radius: 7px;
+      background: transparent;
+      color: var(--ios-text, #000);
+      font-size: 14px;
+      font-weight: 500;
+      font-family: inherit;
+      cursor: pointer;
+    }
+
+    .segmented button.active {
+      background: var(--ios-card, #FFFFFF);
+      font-weight: 600;
+      box-shadow: 0 1px 3px rgba(0, 0, 0, 0.12);
+    }
+
+    .legend {
+      display: flex;
+      flex-wrap: wrap;
+      gap: 12px;
+      margin: 0;
+      padding: 0;
+      list-style: none;
+      color: var(--ios-text-secondary, #3C3C43);
+      font-size: 13px;
+    }
+
+    .legend li {
+      display: flex;
+      align-items: center;
+      gap: 6px;
+    }
+
+    .swatch {
+      width: 10px;
+      height: 10px;
+      border-radius: 3px;
+    }
+
+    .swatch.tender, .entry.tender {
+      --entry-color: var(--ios-blue, #007AFF);
+    }
+
+    .swatch.siteVisit, .entry.siteVisit {
+      --entry-color: var(--ios-purple, #AF52DE);
+    }
+
+    .swatch.task, .entry.task {
+      --entry-color: var(--ios-orange, #FF9500);
+    }
+
+    .swatch.overdue, .entry.overdue {
+      --entry-color: var(--ios-red, #FF3B30);
+    }
+
+    .swatch {
+      background: var(--entry-color);
+    }
+
+    .grid {
+      display: grid;
+      grid-template-columns: repeat(7, minmax(0, 1fr));
+      gap: 1px;
+      overflow: hidden;
+      border-radius: 16px;
+      background: var(--ios-separator, rgba(60, 60, 67, 0.12));
+      box-shadow: 0 2px 12px rgba(0, 0, 0, 0.06);
+    }
+
+    .weekday {
+      padding: 8px;
+      background: var(--ios-card, #FFFFFF);
+      color: var(--ios-gray, #8E8E93);
+      font-size: 12px;
+      font-weight: 600;
+      text-align: center;
+      text-transform: uppercase;
+    }
+
+    .day {
+      display: flex;
+      flex-direction: column;
+      gap: 3px;
+      min-height: 96px;
+      padding: 4px;
+      background: var(--ios-card, #FFFFFF);
+      transition: background 0.15s ease;
+    }
+
+    .grid.week .day {
+      min-height: 320px;
+    }
+
+    .day.outside {
+      background: var(--ios-gray6, #F2F2F7);
+    }
+
+    .day.outside .day-number {
+      color: var(--ios-gray, #8E8E93);
+    }
+
+    .day.drop-target {
+      background: rgba(0, 122, 255, 0.12);
+    }
+
+    .day-number {
+      align-self: flex-end;
+      min-width: 26px;
+      height: 26px;
+      padding: 0 6px;
+      border: none;
+      border-radius: 13px;
+      background: transparent;
+      color: var(--ios-text, #000);
+      font-size: 14px;
+      font-family: inherit;
+      cursor: pointer;
+    }
+
+    .day-number.today {
+      background: var(--ios-red, #FF3B30);
+      color: white;
+      font-weight: 600;
+    }
+
+    .entry {
+      display: flex;
+      flex-wrap: wrap;
+      align-items: baseline;
+      gap: 0 4px;
+      width: 100%;
+      padding: 3px 6px;
+      border: none;
+      border-left: 3px solid var(--entry-color);
+      border-radius: 6px;
+      background: var(--ios-gray6, #F2F2F7);
+      background: color-mix(in srgb, var(--entry-color) 14%, transparent);
+      color: var(--ios-text, #000);
+      font-size: 12px;
+      font-family: inherit;
+      text-align: left;
+      cursor: pointer;
+    }
+
+    .entry[draggable='true'] {
+      cursor: grab;
+    }
+
+    .entry.inactive {
+      opacity: 0.5;
+    }
+
+    .entry.done .label {
+      text-decoration: line-through;
+    }
+
+    .entry.moving {
+      opacity: 0.6;
+    }
+
+    .label {
+      overflow: hidden;
+      text-overflow: ellipsis;
+      white-space: nowrap;
+      min-width: 0;
+      max-width: 100%;
+    }
+
+    .time {
+      color: var(--ios-text-secondary, #3C3C43);
+      font-variant-numeric: tabular-nums;
+    }
+
+    .more {
+      padding: 2px 6px;
+      border: none;
+      background: transparent;
+      color: var(--ios-blue, #007AFF);
+      font-size: 12px;
+      font-weight: 600;
+      font-family: inherit;
+      text-align: left;
+      cursor: pointer;
+    }
+
+    .agenda {
+      display: flex;
+      flex-direction: column;
+      gap: 12px;
+    }
+
+    .agenda-day {
+      display: flex;
+      flex-direction: column;
+      gap: 6px;
+      padding: 16px 20px;
+      border-radius: 16px;
+      background: var(--ios-card, #FFFFFF);
+      box-shadow: 0 2px 12px rgba(0, 0, 0, 0.06);
+    }
+
+    .agenda-day h3 {
+      margin: 0 0 4px;
+      color: var(--ios-text, #000);
+      font-size: 17px;
+      font-weight: 600;
+    }
+
+    .agenda-day h3.today {
+      color: var(--ios-red, #FF3B30);
+    }
+
+    .agenda .entry {
+      padding: 8px 10px;
+      font-size: 15px;
+    }
+
+    .agenda .label {
+      white-space: normal;
+      font-weight: 600;
+    }
+
+    .detail {
+      flex-basis: 100%;
+      color: var(--ios-text-secondary, #3C3C43);
+      font-size: 13px;
+      overflow-wrap: anywhere;
+    }
+
+    .error-message {
+      background: var(--ios-red, #FF3B30);
+      color: white;
+      padding: 12px 16px;
+      border-radius: 12px;
+      margin-bottom: 16px;
+      font-size: 15px;
+    }
+
+    .empty-message, .loading-message {
+      text-align: center;
+      color: var(--ios-gray, #8E8E93);
+      padding: 40px 20px;
+      font-size: 17px;
+    }
+
+    /* On phones the month shows a colored bar per entry; tapping the day lists them */
+    @media (max-width: 480px) {
+      .container {
+        padding: 16px;
+      }
+
+      .grid.month .day {
+        min-height: 64px;
+        padding: 2px;
+      }
+
+      .grid.month .entry {
+        height: 5px;
+        padding: 0;
+        border-left: none;
+        background: var(--entry-color);
+        pointer-events: none;
+      }
+
+      .grid.month .entry > span, .grid.month .more {
+        display: none;
+      }
+
+      .grid.week {
+        grid-template-columns: 1fr;
+      }
+
+      .grid.week .weekday {
+        display: none;
+      }
+
+      .grid.week .day {
+        min-height: 0;
+      }
+
+      .grid.week .day-number {
+        align-self: flex-start;
+      }
+    }
+  `;
+}
+
+customElements.define('calendar-view', CalendarView);
@@ -0,0 +1,271 @@
+import { LitElement, html, css } from 'lit';
+
+function sameValue(a, b) {
+  return String(a ?? '') === String(b ?? '');
+}
+
+// Merges an edit with the copy someone else saved meanwhile. `base` holds the values the
+// form was opened with, `mine` the form's values now and `theirs` the saved copy's. Fields
+// only they changed take their value and fields only the user changed keep the user's.
+// Returns the merged `values` and, for the dialog, the `fields` both sides changed to
+// different values.
+export function mergeEdits(fields, base, mine, theirs) {
+  const values = { ...mine };
+  const conflicts = [];
+
+  for (const field of fields) {
+    const mineChanged = !sameValue(mine[field.key], base[field.key]);
+    const theirsChanged = !sameValue(theirs[field.key], base[field.key]);
+    if (theirsChanged && !mineChanged) {
+      values[field.key] = theirs[field.key];
+    } else if (theirsChanged && !sameValue(mine[field.key], theirs[field.key])) {
+      conflicts.push({ ...field, mine: mine[field.key], theirs: theirs[field.key] });
+    }
+  }
+  return { values, fields: conflicts };
+}
+
+// Shown when saving an edit fails because someone else saved the same record first.
+// `fields` lists the fields both the user and the other save changed (see mergeEdits):
+//
+//   [{ key: 'closingDate', label: 'Closing Date', mine: '2025-03-01', theirs: '2025-03-08', display? }]
+//
+// where the optional `display(value)` formats a value for reading. For each field the user
+// keeps their value or the saved one. Fires `conflict-resolved` with `detail.values` (key to
+// chosen value) or `conflict-discarded` if they give up their changes.
+class ConflictDialog extends LitElement {
+  static properties = {
+    heading: { type: String },
+    fields: { type: Array },
+    choices: { type: Object },
+  };
+
+  constructor() {
+    super();
+    this.heading = 'Someone else saved changes';
+    this.fields = [];
+    this.choices = {};
+  }
+
+  willUpdate(changed) {
+    // Keep the user's own values unless they choose otherwise
+    if (changed.has('fields')) {
+      this.choices = Object.fromEntries(this.fields.map(field => [field.key, 'mine']));
+    }
+  }
+
+  render() {
+    return html`
+      <div class="overlay">
+        <div class="dialog" role="dialog" aria-modal="true" aria-labelledby="conflict-heading">
+          <div class="header">
+            <h3 id="conflict-heading">${this.heading}</h3>
+            <p>This was changed while you were editing it. Choose which value to keep for each field.</p>
+          </div>
+
+          <div class="fields">
+            ${this.fields.map(field => html`
+              <fieldset class="field">
+                <legend>${field.label}</legend>
+                ${this._renderOption(field, 'mine', 'Your version')}
+                ${this._renderOption(field, 'theirs', 'Saved version')}
+              </fieldset>
+            `)}
+          </div>
+
+          <div class="actions">
+            <button type="button" class="btn-primary" @click="${this._resolve}">Save</button>
+            <button type="button" class="btn-secondary" @click="${this._discard}">Discard My Changes</button>
+          </div>
+        </div>
+      </div>
+    `;
+  }
+
+  _renderOption(field, side, label) {
+    const value = field[side];
+    const shown = field.display ? field.display(value) : value;
+    const selected = this.choices[field.key] === side;
+
+    return html`
+      <label class="option ${selected ? 'selected' : ''}">
+        <input
+          type="radio"
+          name="${field.key}"
+          .checked="${selected}"
+          @change="${() => this.choices = { ...this.choices, [field.key]: side }}"
+        />
+        <span class="option-text">
+          <span class="option-label">${label}</span>
+          <span class="option-value ${shown ? '' : 'empty'}">${shown || 'Empty'}</span>
+        </span>
+      </label>
+    `;
+  }
+
+  _resolve() {
+    const values = Object.fromEntries(this.fields.map(field => [field.key, field[this.choices[field.key]]]));
+    this.dispatchEvent(new CustomEvent('conflict-resolved', { detail: { values }, bubbles: true, composed: true }));
+  }
+
+  _discard() {
+    this.dispatchEvent(new CustomEvent('conflict-discarded', { bubbles: true, composed: true }));
+  }
+
+  static styles = css`
+    .overlay {
+      position: fixed;
+      inset: 0;
+      z-index: 10001;
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      padding: 20px;
+      background: rgba(0, 0, 0, 0.5);
+      backdrop-filter: blur(20px);
+      -webkit-backdrop-filter: blur(20px);
+    }
+
+    .dialog {
+      width: 100%;
+      max-width: 540px;
+      max-height: 95vh;
+      overflow-y: auto;
+      background: var(--ios-card, #FFFFFF);
+      border-radius: 20px;
+      box-shadow: 0 20px 60px rgba(0, 0, 0, 0.3);
+    }
+
+    .header {
+      padding: 24px 24px 16px;
+      border-bottom: 1px solid var(--ios-separator, rgba(60, 60, 67, 0.12));
+    }
+
+    h3 {
+      margin: 0 0 6px;
+      color: var(--ios-text, #000);
+      font-size: 22px;
+      font-weight: 600;
+      letter-spacing: -0.3px;
+    }
+
+    .header p {
+      margin: 0;
+      color: var(--ios-gray, #8E8E93);
+      font-size: 15px;
+    }
+
+    .fields {
+      display: flex;
+      flex-direction: column;
+      gap: 16px;
+      padding: 20px 24px;
+    }
+
+    .field {
+      display: flex;
+      flex-direction: column;
+      gap: 8px;
+      margin: 0;
+      padding: 0;
+      border: none;
+    }
+
+    legend {
+      margin-bottom: 8px;
+      padding: 0;
+      color: var(--ios-text, #000);
+      font-size: 15px;
+      font-weight: 600;
+    }
+
+    .option {
+      display: flex;
+      align-items: flex-start;
+      gap: 10px;
+      padding: 12px;
+      border: 1px solid var(--ios-gray4, #D1D1D6);
+      border-radius: 12px;
+      cursor: pointer;
+      transition: all 0.2s cubic-bezier(0.25, 0.46, 0.45, 0.94);
+    }
+
+    .option.selected {
+      border-color: var(--ios-blue, #007AFF);
+      background: rgba(0, 122, 255, 0.06);
+    }
+
+    .option input {
+      margin: 2px 0 0;
+      accent-color: var(--ios-blue, #007AFF);
+    }
+
+    .option-text {
+      display: flex;
+      flex-direction: column;
+      gap: 2px;
+      min-width: 0;
+    }
+
+    .option-label {
+      color: var(--ios-gray, #8E8E93);
+      font-size: 13px;
+      font-weight: 600;
+    }
+
+    .option-value {
+      color: var(--ios-text, #000);
+      font-size: 15px;
+      white-space: pre-wrap;
+      overflow-wrap: anywhere;
+    }
+
+    .option-value.empty {
+      color: var(--ios-gray, #8E8E93);
+      font-style: italic;
+    }
+
+    .actions {
+      display: flex;
+      gap: 12px;
+      padding: 20px;
+      background-color: var(--ios-gray6, #F2F2F7);
+      border-top: 1px solid var(--ios-separator, rgba(60, 60, 67, 0.12));
+    }
+
+    .btn-primary, .btn-secondary {
+      flex: 1;
+      padding: 14px 20px;
+      border: none;
+      border-radius: 12px;
+      font-size: 17px;
+      font-weight: 600;
+      font-family: inherit;
+      cursor: pointer;
+      transition: all 0.2s cubic-bezier(0.25, 0.46, 0.45, 0.94);
+    }
+
+    .btn-primary {
+      background-color: var(--ios-blue, #007AFF);
+      color: white;
+    }
+
+    .btn-secondary {
+      background-color: var(--ios-gray5, #E5E5EA);
+      color: var(--ios-text, #000);
+    }
+
+    .btn-primary:active, .btn-secondary:active {
+      transform: scale(0.97);
+      opacity: 0.8;
+    }
+
+    @media (max-width: 480px) {
+      .actions {
+        flex-direction: column-reverse;
+      }
+    }
+  `;
+}
+
+customElements.define('conflict-dialog', ConflictDialog);
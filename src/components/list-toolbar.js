@@ -0,0 +1,253 @@
+import { LitElement, html, css } from 'lit';
+
+// Filter state lives in the page URL (?q=&status=a,b&assigned_to=&sort=&order=) so a
+// filtered list can be bookmarked or shared. The names match the list API's parameters.
+const URL_PARAMS = {
+  q: 'q',
+  status: 'status',
+  closing: 'closing',
+  assignedTo: 'assigned_to',
+  tenderId: 'tender_id',
+  sort: 'sort',
+  order: 'order',
+};
+const LIST_PARAMS = ['status', 'closing'];
+
+// Reads filters from the current URL, falling back to `defaults` for anything missing
+export function filtersFromUrl(defaults) {
+  const params = new URLSearchParams(window.location.search);
+  const filters = { q: '', status: [], closing: [], assignedTo: '', tenderId: '', ...defaults };
+
+  for (const [key, name] of Object.entries(URL_PARAMS)) {
+    const value = params.get(name);
+    if (!value) continue;
+    filters[key] = LIST_PARAMS.includes(key) ? value.split(',').filter(Boolean) : value;
+  }
+
+  return filters;
+}
+
+export function hasActiveFilters(filters) {
+  return Boolean((filters.q && filters.q.trim()) || filters.assignedTo || filters.tenderId ||
+    LIST_PARAMS.some(key => filters[key] && filters[key].length > 0));
+}
+
+// Writes filters to the URL without adding a history entry; values equal to `defaults` are left out
+export function filtersToUrl(filters, defaults = {}) {
+  const params = new URLSearchParams();
+
+  for (const [key, name] of Object.entries(URL_PARAMS)) {
+    const value = Array.isArray(filters[key]) ? filters[key].join(',') : filters[key];
+    if (value && value !== defaults[key]) params.set(name, value);
+  }
+
+  const query = params.toString();
+  window.history.replaceState(window.history.state, '', `${window.location.pathname}${query ? `?${query}` : ''}`);
+}
+
+// Search, status chips, assignee and sort controls shown above the tender and task lists.
+// The owning list passes the current `filters` and listens for `filters-changed`, whose
+// detail is the complete new filter object: { q, status: [], closing: [], assignedTo, tenderId, sort, order }.
+// The status chips toggle values in `filters[chipKey]`.
+class ListToolbar extends LitElement {
+  static properties = {
+    filters: { type: Object },
+    statusOptions: { type: Array },
+    chipKey: { type: String },
+    sortOptions: { type: Array },
+    assignees: { type: Array },
+    showAssignee: { type: Boolean },
+    searchPlaceholder: { type: String },
+  };
+
+  constructor() {
+    super();
+    this.filters = { q: '', status: [], closing: [], assignedTo: '', tenderId: '', sort: '', order: '' };
+    this.statusOptions = [];
+    this.chipKey = 'status';
+    this.sortOptions = [];
+    this.assignees = [];
+    this.showAssignee = false;
+    this.searchPlaceholder = 'Search';
+    this._searchTimer = null;
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+    clearTimeout(this._searchTimer);
+  }
+
+  render() {
+    const selected = this.filters[this.chipKey] || [];
+    const sortValue = `${this.filters.sort}:${this.filters.order}`;
+
+    return html`
+      <div class="toolbar">
+        <div class="toolbar-row">
+          <input
+            type="search"
+            class="search-input"
+            .value="${this.filters.q || ''}"
+            @input="${this._handleSearchInput}"
+            placeholder="${this.searchPlaceholder}"
+            aria-label="Search"
+          />
+          <select class="sort-select" .value="${sortValue}" @change="${this._handleSortChange}" aria-label="Sort">
+            ${this.sortOptions.map(option => html`
+              <option value="${option.sort}:${option.order}" ?selected="${sortValue === `${option.sort}:${option.order}`}">
+                ${option.label}
+              </option>
+            `)}
+          </select>
+        </div>
+
+        <div class="toolbar-row chips">
+          ${this.statusOptions.map(option => html`
+            <button
+              type="button"
+              class="chip ${selected.includes(option.value) ? 'active' : ''}"
+              aria-pressed="${selected.includes(option.value)}"
+              @click="${() => this._toggleStatus(option.value)}"
+            >
+              ${option.label}
+            </button>
+          `)}
+          ${this.showAssignee ? html`
+            <input
+              type="text"
+              class="assignee-input"
+              list="assignee-options"
+              .value="${this.filters.assignedTo || ''}"
+              @change="${(e) => this._emit({ assignedTo: e.target.value.trim() })}"
+              placeholder="Assignee"
+              aria-label="Filter by assignee"
+            />
+            <datalist id="assignee-options">
+              ${this.assignees.map(name => html`<option value="${name}"></option>`)}
+            </datalist>
+          ` : ''}
+          ${hasActiveFilters(this.filters) ? html`
+            <button type="button" class="chip clear" @click="${this._clearFilters}">Clear</button>
+          ` : ''}
+        </div>
+      </div>
+    `;
+  }
+
+  _handleSearchInput(e) {
+    const q = e.target.value;
+    // Wait for a pause in typing before reloading the list
+    clearTimeout(this._searchTimer);
+    this._searchTimer = setTimeout(() => this._emit({ q }), 300);
+  }
+
+  _handleSortChange(e) {
+    const [sort, order] = e.target.value.split(':');
+    this._emit({ sort, order });
+  }
+
+  _toggleStatus(value) {
+    const selected = this.filters[this.chipKey] || [];
+    this._emit({
+      [this.chipKey]: selected.includes(value) ? selected.filter(v => v !== value) : [...selected, value],
+    });
+  }
+
+  _clearFilters() {
+    this._emit({ q: '', status: [], closing: [], assignedTo: '', tenderId: '' });
+  }
+
+  _emit(changes) {
+    this.dispatchEvent(new CustomEvent('filters-changed', {
+      detail: { ...this.filters, ...changes },
+      bubbles: true,
+      composed: true,
+    }));
+  }
+
+  static styles = css`
+    .toolbar {
+      display: flex;
+      flex-direction: column;
+      gap: 10px;
+      margin-bottom: 16px;
+    }
+
+    .toolbar-row {
+      display: flex;
+      gap: 8px;
+      align-items: center;
+    }
+
+    .chips {
+      flex-wrap: wrap;
+    }
+
+    .search-input, .sort-select, .assignee-input {
+      padding: 10px 14px;
+      font-size: 15px;
+      font-family: inherit;
+      border: 1px solid var(--ios-gray4, #D1D1D6);
+      border-radius: 10px;
+      background-color: var(--ios-card, #FFFFFF);
+      color: var(--ios-text, #000);
+      box-sizing: border-box;
+      -webkit-appearance: none;
+      transition: all 0.2s cubic-bezier(0.25, 0.46, 0.45, 0.94);
+    }
+
+    .search-input {
+      flex: 1;
+      min-width: 0;
+    }
+
+    .sort-select {
+      flex-shrink: 0;
+      cursor: pointer;
+      background-image: url("data:image/svg+xml;charset=US-ASCII,%3Csvg%20width%3D%2714%27%20height%3D%278%27%20viewBox%3D%270%200%2014%208%27%20xmlns%3D%27http%3A//www.w3.org/2000/svg%27%3E%3Cpath%20d%3D%27M1%201l6%206%206-6%27%20stroke%3D%27%238E8E93%27%20stroke-width%3D%272%27%20fill%3D%27none%27%20fill-rule%3D%27evenodd%27/%3E%3C/svg%3E");
+      background-repeat: no-repeat;
+      background-position: right 12px center;
+      padding-right: 34px;
+    }
+
+    .assignee-input {
+      width: 140px;
+      padding: 6px 12px;
+      border-radius: 16px;
+      font-size: 13px;
+    }
+
+    .search-input:focus, .sort-select:focus, .assignee-input:focus {
+      outline: none;
+      border-color: var(--ios-blue, #007AFF);
+    }
+
+    .chip {
+      padding: 6px 14px;
+      border: none;
+      border-radius: 16px;
+      background: var(--ios-gray5, #E5E5EA);
+      color: var(--ios-text, #000);
+      font-size: 13px;
+      font-weight: 600;
+      cursor: pointer;
+      transition: all 0.2s cubic-bezier(0.25, 0.46, 0.45, 0.94);
+    }
+
+    .chip:active {
+      transform: scale(0.95);
+    }
+
+    .chip.active {
+      background: var(--ios-blue, #007AFF);
+      color: white;
+    }
+
+    .chip.clear {
+      background: transparent;
+      color: var(--ios-blue, #007AFF);
+    }
+  `;
+}
+
+customElements.define('list-toolbar', ListToolbar);
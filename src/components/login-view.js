@@ -0,0 +1,208 @@
+import { LitElement, html, css } from 'lit';
+import { Router } from '@vaadin/router';
+import { authAPI } from '../services/api';
+
+class LoginView extends LitElement {
+  static properties = {
+    email: { type: String },
+    password: { type: String },
+    submitting: { type: Boolean },
+    error: { type: String },
+  };
+
+  constructor() {
+    super();
+    this.email = '';
+    this.password = '';
+    this.submitting = false;
+    this.error = null;
+  }
+
+  render() {
+    return html`
+      <div class="container">
+        <div class="form-container">
+          <div class="form-header">
+            <h3>Sign In</h3>
+          </div>
+          ${this.error ? html`<div class="error-message">${this.error}</div>` : ''}
+          <form @submit="${this._handleSubmit}">
+            <div class="form-group">
+              <label>Email</label>
+              <input
+                type="email"
+                .value="${this.email}"
+                @input="${(e) => this.email = e.target.value}"
+                required
+                autocomplete="username"
+                placeholder="name@company.com"
+              />
+            </div>
+
+            <div class="form-group">
+              <label>Password</label>
+              <input
+                type="password"
+                .value="${this.password}"
+                @input="${(e) => this.password = e.target.value}"
+                required
+                autocomplete="current-password"
+                placeholder="Enter your password"
+              />
+            </div>
+
+            <div class="form-actions">
+              <button type="submit" class="btn-primary" ?disabled="${this.submitting}">
+                ${this.submitting ? 'Signing In...' : 'Sign In'}
+              </button>
+            </div>
+          </form>
+        </div>
+      </div>
+    `;
+  }
+
+  async _handleSubmit(e) {
+    e.preventDefault();
+
+    try {
+      this.submitting = true;
+      this.error = null;
+      await authAPI.login(this.email, this.password);
+      this.password = '';
+
+      // Return to the page that redirected here, if any (set by Vaadin Router)
+      const redirectFrom = this.location && this.location.redirectFrom;
+      Router.go(redirectFrom && redirectFrom !== '/login' ? redirectFrom : '/');
+    } catch (error) {
+      console.error('Error logging in:', error);
+      this.error = error.message === 'Invalid email or password'
+        ? error.message
+        : 'Failed to sign in. Please try again.';
+    } finally {
+      this.submitting = false;
+    }
+  }
+
+  static styles = css`
+    .container {
+      padding: 20px;
+      max-width: 420px;
+      margin: 40px auto 0;
+      animation: fadeIn 0.5s cubic-bezier(0.25, 0.46, 0.45, 0.94);
+    }
+
+    @keyframes fadeIn {
+      from {
+        opacity: 0;
+        transform: translateY(10px);
+        filter: blur(5px);
+      }
+      to {
+        opacity: 1;
+        transform: translateY(0);
+        filter: blur(0);
+      }
+    }
+
+    .form-container {
+      background: var(--ios-card, #FFFFFF);
+      border-radius: 20px;
+      box-shadow: 0 4px 24px rgba(0, 0, 0, 0.06);
+      overflow: hidden;
+    }
+
+    .form-header {
+      padding: 24px 24px 16px;
+      border-bottom: 1px solid var(--ios-separator, rgba(60, 60, 67, 0.12));
+    }
+
+    .form-header h3 {
+      margin: 0;
+      color: var(--ios-text, #000);
+      font-size: 22px;
+      font-weight: 600;
+      letter-spacing: -0.3px;
+    }
+
+    .error-message {
+      background: var(--ios-red, #FF3B30);
+      color: white;
+      padding: 12px 16px;
+      margin: 16px 20px 0;
+      border-radius: 12px;
+      font-size: 15px;
+    }
+
+    .form-group {
+      border-bottom: 1px solid var(--ios-separator, rgba(60, 60, 67, 0.12));
+    }
+
+    .form-group:last-of-type {
+      border-bottom: none;
+    }
+
+    label {
+      display: block;
+      padding: 16px 20px 6px;
+      font-weight: 600;
+      color: var(--ios-text-secondary, #3C3C43);
+      font-size: 13px;
+      text-transform: uppercase;
+      letter-spacing: -0.08px;
+    }
+
+    input {
+      width: 100%;
+      padding: 12px 20px 16px;
+      border: none;
+      font-size: 17px;
+      font-family: inherit;
+      background: transparent;
+      color: var(--ios-text, #000);
+      box-sizing: border-box;
+      -webkit-appearance: none;
+    }
+
+    input::placeholder {
+      color: var(--ios-gray3, #C7C7CC);
+    }
+
+    input:focus {
+      outline: none;
+      background-color: var(--ios-gray6, #F2F2F7);
+    }
+
+    .form-actions {
+      display: flex;
+      padding: 20px;
+      background-color: var(--ios-gray6, #F2F2F7);
+      border-top: 1px solid var(--ios-separator, rgba(60, 60, 67, 0.12));
+    }
+
+    .btn-primary {
+      flex: 1;
+      padding: 14px 20px;
+      border: none;
+      border-radius: 12px;
+      font-size: 17px;
+      font-weight: 600;
+      cursor: pointer;
+      background-color: var(--ios-blue, #007AFF);
+      color: white;
+      transition: all 0.2s cubic-bezier(0.25, 0.46, 0.45, 0.94);
+    }
+
+    .btn-primary:active {
+      transform: scale(0.97);
+      opacity: 0.8;
+    }
+
+    .btn-primary:disabled {
+      opacity: 0.6;
+      cursor: default;
+    }
+  `;
+}
+
+customElements.define('login-view', LoginView);
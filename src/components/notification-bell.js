@@ -0,0 +1,446 @@
+import { LitElement, html, css } from 'lit';
+import { Router } from '@vaadin/router';
+import { formatDistanceToNow } from 'date-fns';
+import { notificationAPI, transformNotification } from '../services/api';
+import { LiveUpdatesController } from '../controllers/live-updates';
+import { PushUnavailableError, pushSupported, currentPushSubscription, enablePush, disablePush } from '../services/push';
+
+const PAGE_SIZE = 20;
+// Closing-date notifications are made by a scheduled job rather than by anyone's change, so
+// the count is also checked now and then
+const REFRESH_INTERVAL_MS = 5 * 60 * 1000;
+
+// Bell in the app header showing how many unread notifications the signed-in user has, with
+// a panel listing them. Opening a notification marks it read and goes to its tender or task.
+class NotificationBell extends LitElement {
+  static properties = {
+    open: { type: Boolean, reflect: true },
+    notifications: { type: Array },
+    pagination: { type: Object },
+    unread: { type: Number },
+    loading: { type: Boolean },
+    error: { type: String },
+    pushEnabled: { type: Boolean },
+    updatingPush: { type: Boolean },
+  };
+
+  constructor() {
+    super();
+    this.open = false;
+    this.notifications = [];
+    this.pagination = null;
+    this.unread = 0;
+    this.loading = false;
+    this.error = null;
+    this.pushEnabled = false;
+    this.updatingPush = false;
+    this._refreshTimer = null;
+    this._handleDocumentClick = this._handleDocumentClick.bind(this);
+    this._live = new LiveUpdatesController(this, { onChanges: () => this._load() });
+  }
+
+  connectedCallback() {
+    super.connectedCallback();
+    this._load();
+    this._refreshTimer = setInterval(() => this._load(), REFRESH_INTERVAL_MS);
+    document.addEventListener('click', this._handleDocumentClick);
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+    clearInterval(this._refreshTimer);
+    document.removeEventListener('click', this._handleDocumentClick);
+  }
+
+  // Loads the first page (and the unread count) again
+  async _load() {
+    try {
+      this.error = null;
+      const { data, pagination, unread } = await notificationAPI.getAll({ pageSize: PAGE_SIZE });
+      this.notifications = data.map(transformNotification);
+      this.pagination = pagination;
+      this.unread = unread;
+    } catch (error) {
+      console.error('Error loading notifications:', error);
+      this.error = 'Failed to load notifications. Please try again.';
+    }
+  }
+
+  async _loadMore() {
+    try {
+      this.loading = true;
+      this.error = null;
+      const { data, pagination, unread } = await notificationAPI.getAll({ pageSize: PAGE_SIZE, page: this.pagination.page + 1 });
+      const shown = new Set(this.notifications.map(item => item.id));
+      this.notifications = [...this.notifications, ...data.map(transformNotification).filter(item => !shown.has(item.id))];
+      this.pagination = pagination;
+      this.unread = unread;
+    } catch (error) {
+      console.error('Error loading more notifications:', error);
+      this.error = 'Failed to load more notifications. Please try again.';
+    } finally {
+      this.loading = false;
+    }
+  }
+
+  _toggle() {
+    this.open = !this.open;
+    if (this.open) {
+      this._load();
+      this._checkPush();
+    }
+  }
+
+  async _checkPush() {
+    try {
+      this.pushEnabled = Boolean(await currentPushSubscription());
+    } catch (error) {
+      console.error('Error checking push notifications:', error);
+    }
+  }
+
+  async _togglePush() {
+    try {
+      this.updatingPush = true;
+      this.error = null;
+      if (this.pushEnabled) {
+        await disablePush();
+      } else {
+        await enablePush();
+      }
+      this.pushEnabled = !this.pushEnabled;
+    } catch (error) {
+      console.error('Error updating push notifications:', error);
+      this.error = error instanceof PushUnavailableError
+        ? error.message
+        : 'Failed to update phone notifications. Please try again.';
+    } finally {
+      this.updatingPush = false;
+    }
+  }
+
+  _handleDocumentClick(e) {
+    if (this.open && !e.composedPath().includes(this)) {
+      this.open = false;
+    }
+  }
+
+  _openNotification(notification) {
+    this.open = false;
+    if (!notification.read) {
+      this._replace({ ...notification, read: true });
+      this.unread = Math.max(0, this.unread - 1);
+      notificationAPI.markRead(notification.id).catch((error) => {
+        console.error('Error marking notification read:', error);
+      });
+    }
+
+    if (notification.taskId) {
+      Router.go(`/tasks/${notification.taskId}`);
+    } else if (notification.tenderId) {
+      Router.go(`/tenders/${notification.tenderId}`);
+    }
+  }
+
+  async _toggleRead(e, notification) {
+    e.stopPropagation();
+    try {
+      this.error = null;
+      const updated = transformNotification(await notificationAPI.markRead(notification.id, !notification.read));
+      this._replace(updated);
+      this.unread = Math.max(0, this.unread + (updated.read ? -1 : 1));
+    } catch (error) {
+      console.error('Error updating notification:', error);
+      this.error = 'Failed to update notification. Please try again.';
+    }
+  }
+
+  async _markAllRead() {
+    try {
+      this.error = null;
+      await notificationAPI.markAllRead();
+      this.notifications = this.notifications.map(notification => ({ ...notification, read: true }));
+      this.unread = 0;
+    } catch (error) {
+      console.error('Error marking notifications read:', error);
+      this.error = 'Failed to mark notifications read. Please try again.';
+    }
+  }
+
+  _replace(notification) {
+    this.notifications = this.notifications.map(other => other.id === notification.id ? notification : other);
+  }
+
+  render() {
+    const hasMore = this.pagination && this.pagination.page < this.pagination.totalPages;
+
+    return html`
+      <button
+        class="bell"
+        @click="${this._toggle}"
+        aria-label="${this.unread > 0 ? `Notifications, ${this.unread} unread` : 'Notifications'}"
+        aria-expanded="${this.open}"
+      >
+        <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+          <path d="M18 8a6 6 0 0 0-12 0c0 7-3 9-3 9h18s-3-2-3-9" />
+          <path d="M13.73 21a2 2 0 0 1-3.46 0" />
+        </svg>
+        ${this.unread > 0 ? html`<span class="count">${this.unread > 99 ? '99+' : this.unread}</span>` : ''}
+      </button>
+
+      ${this.open ? html`
+        <div class="panel" role="dialog" aria-label="Notifications">
+          <div class="panel-header">
+            <h3>Notifications</h3>
+            ${this.unread > 0 ? html`
+              <button class="link-button" @click="${this._markAllRead}">Mark All Read</button>
+            ` : ''}
+          </div>
+
+          ${this.error ? html`<div class="error-message">${this.error}</div>` : ''}
+
+          ${this.notifications.length === 0 && !this.error ? html`
+            <p class="empty-message">Nothing new. You'll be told here about tasks assigned to you,
+              tenders you follow closing soon and comments mentioning you.</p>
+          ` : html`
+            <ul class="list">
+              ${this.notifications.map(notification => html`
+                <li class="item ${notification.read ? '' : 'unread'}" @click="${() => this._openNotification(notification)}">
+                  <span class="item-main">
+                    <span class="message">${notification.message}</span>
+                    <span class="meta">
+                      ${[
+                        notification.tenderNumber && !notification.taskId ? `Tender ${notification.tenderNumber}` : null,
+                        notification.taskDescription && notification.type === 'comment_mention' ? `Task: ${notification.taskDescription}` : null,
+                        formatDistanceToNow(new Date(notification.createdAt), { addSuffix: true }),
+                      ].filter(Boolean).join(' · ')}
+                    </span>
+                  </span>
+                  <button
+                    class="read-toggle"
+                    @click="${(e) => this._toggleRead(e, notification)}"
+                    aria-label="${notification.read ? 'Mark unread' : 'Mark read'}"
+                    title="${notification.read ? 'Mark unread' : 'Mark read'}"
+                  ></button>
+                </li>
+              `)}
+            </ul>
+            ${hasMore ? html`
+              <button class="link-button load-more" ?disabled="${this.loading}" @click="${this._loadMore}">
+                ${this.loading ? 'Loading...' : 'Show Older'}
+              </button>
+            ` : ''}
+          `}
+
+          ${pushSupported() ? html`
+            <div class="push-setting">
+              <span>
+                Phone notifications
+                <span class="meta">New tasks for you, and your tenders in the day before they close</span>
+              </span>
+              <button class="link-button" ?disabled="${this.updatingPush}" @click="${this._togglePush}">
+                ${this.updatingPush ? 'Updating...' : this.pushEnabled ? 'Turn Off' : 'Turn On'}
+              </button>
+            </div>
+          ` : ''}
+        </div>
+      ` : ''}
+    `;
+  }
+
+  static styles = css`
+    :host {
+      position: relative;
+      display: inline-block;
+    }
+
+    .bell {
+      position: relative;
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      width: 32px;
+      height: 32px;
+      border: none;
+      border-radius: 50%;
+      background: rgba(255, 255, 255, 0.2);
+      color: white;
+      cursor: pointer;
+      transition: all 0.2s cubic-bezier(0.25, 0.46, 0.45, 0.94);
+    }
+
+    .bell:active {
+      transform: scale(0.95);
+      opacity: 0.7;
+    }
+
+    .count {
+      position: absolute;
+      top: -4px;
+      right: -6px;
+      min-width: 18px;
+      height: 18px;
+      padding: 0 5px;
+      box-sizing: border-box;
+      border-radius: 9px;
+      background: var(--ios-red, #FF3B30);
+      color: white;
+      font-size: 11px;
+      font-weight: 700;
+      line-height: 18px;
+      text-align: center;
+    }
+
+    .panel {
+      position: absolute;
+      top: calc(100% + 10px);
+      left: 50%;
+      transform: translateX(-50%);
+      z-index: 200;
+      width: 340px;
+      max-height: 60vh;
+      overflow-y: auto;
+      border-radius: 14px;
+      background: var(--ios-card, #FFFFFF);
+      color: var(--ios-text, #000000);
+      text-align: left;
+      box-shadow: 0 8px 32px rgba(0, 0, 0, 0.2);
+    }
+
+    .panel-header {
+      display: flex;
+      align-items: center;
+      justify-content: space-between;
+      padding: 14px 16px 8px;
+    }
+
+    h3 {
+      margin: 0;
+      font-size: 17px;
+    }
+
+    .link-button {
+      border: none;
+      background: transparent;
+      color: var(--ios-blue, #007AFF);
+      font-size: 14px;
+      font-weight: 600;
+      font-family: inherit;
+      cursor: pointer;
+    }
+
+    .link-button:disabled {
+      opacity: 0.6;
+      cursor: default;
+    }
+
+    .load-more {
+      display: block;
+      width: 100%;
+      padding: 12px;
+    }
+
+    .list {
+      list-style: none;
+      margin: 0;
+      padding: 0;
+    }
+
+    .item {
+      display: flex;
+      align-items: flex-start;
+      gap: 10px;
+      padding: 10px 16px;
+      border-top: 0.5px solid var(--ios-separator, rgba(60, 60, 67, 0.12));
+      cursor: pointer;
+    }
+
+    .item:active {
+      background: var(--ios-gray6, #F2F2F7);
+    }
+
+    .item-main {
+      display: flex;
+      flex: 1;
+      flex-direction: column;
+      gap: 2px;
+      overflow-wrap: anywhere;
+    }
+
+    .message {
+      font-size: 15px;
+    }
+
+    .item.unread .message {
+      font-weight: 600;
+    }
+
+    .meta {
+      color: var(--ios-gray, #8E8E93);
+      font-size: 13px;
+    }
+
+    /* A dot for unread notifications, a ring for read ones; clicking switches between them */
+    .read-toggle {
+      flex-shrink: 0;
+      width: 10px;
+      height: 10px;
+      margin-top: 6px;
+      padding: 0;
+      border: 1.5px solid var(--ios-gray3, #C7C7CC);
+      border-radius: 50%;
+      background: transparent;
+      cursor: pointer;
+    }
+
+    .item.unread .read-toggle {
+      border-color: var(--ios-blue, #007AFF);
+      background: var(--ios-blue, #007AFF);
+    }
+
+    .push-setting {
+      display: flex;
+      align-items: center;
+      justify-content: space-between;
+      gap: 12px;
+      padding: 12px 16px;
+      border-top: 0.5px solid var(--ios-separator, rgba(60, 60, 67, 0.12));
+      font-size: 15px;
+    }
+
+    .push-setting > span {
+      display: flex;
+      flex-direction: column;
+      gap: 2px;
+    }
+
+    .empty-message {
+      margin: 0;
+      padding: 8px 16px 16px;
+      color: var(--ios-gray, #8E8E93);
+      font-size: 14px;
+    }
+
+    .error-message {
+      margin: 0 16px 8px;
+      padding: 8px 12px;
+      border-radius: 10px;
+      background: rgba(255, 59, 48, 0.1);
+      color: var(--ios-red, #FF3B30);
+      font-size: 14px;
+    }
+
+    @media (max-width: 480px) {
+      .panel {
+        position: fixed;
+        top: calc(env(safe-area-inset-top, 0px) + 120px);
+        left: 16px;
+        right: 16px;
+        width: auto;
+        transform: none;
+      }
+    }
+  `;
+}
+
+customElements.define('notification-bell', NotificationBell);
@@ -0,0 +1,224 @@
+import { LitElement, html, css } from 'lit';
+import { authAPI, syncAPI } from '../services/api';
+
+const ACTION_LABELS = { create: 'New', update: 'Change to', patch: 'Change to', delete: 'Delete' };
+const KIND_LABELS = { tender: 'tender', siteVisit: 'site visit for', task: 'task' };
+
+// Banner showing the state of the changes made offline: that they are being kept on this
+// device while there's no connection, how many are still waiting once it's back, and any
+// the server refused. A refused change can be discarded, and one that lost to someone
+// else's edit (a version conflict) can be saved over it instead.
+class SyncStatus extends LitElement {
+  static properties = {
+    online: { type: Boolean },
+    changes: { type: Array },
+    syncing: { type: Boolean },
+  };
+
+  constructor() {
+    super();
+    this.online = navigator.onLine;
+    this.changes = [];
+    this.syncing = false;
+    this._handleOnline = this._handleOnline.bind(this);
+    this._handleOffline = this._handleOffline.bind(this);
+    this._refresh = this._refresh.bind(this);
+    this._handleAuthChanged = this._handleAuthChanged.bind(this);
+  }
+
+  connectedCallback() {
+    super.connectedCallback();
+    window.addEventListener('online', this._handleOnline);
+    window.addEventListener('offline', this._handleOffline);
+    window.addEventListener('outbox-changed', this._refresh);
+    window.addEventListener('outbox-synced', this._refresh);
+    window.addEventListener('auth-changed', this._handleAuthChanged);
+    this._refresh();
+    // Changes left over from an earlier visit go as soon as the app opens
+    this._sync();
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+    window.removeEventListener('online', this._handleOnline);
+    window.removeEventListener('offline', this._handleOffline);
+    window.removeEventListener('outbox-changed', this._refresh);
+    window.removeEventListener('outbox-synced', this._refresh);
+    window.removeEventListener('auth-changed', this._handleAuthChanged);
+  }
+
+  _refresh() {
+    this.changes = syncAPI.pending();
+  }
+
+  _handleOnline() {
+    this.online = true;
+    this._sync();
+  }
+
+  _handleOffline() {
+    this.online = false;
+  }
+
+  _handleAuthChanged(e) {
+    this._refresh();
+    if (e.detail.user) this._sync();
+  }
+
+  async _sync() {
+    if (!this.online || !authAPI.currentUser()) return;
+
+    this.syncing = true;
+    try {
+      await syncAPI.sync();
+    } catch (error) {
+      console.error('Error syncing offline changes:', error);
+    } finally {
+      this.syncing = false;
+      this._refresh();
+    }
+  }
+
+  async _keepMine(change) {
+    this.syncing = true;
+    try {
+      await syncAPI.retry(change.id);
+    } catch (error) {
+      console.error('Error resending change:', error);
+    } finally {
+      this.syncing = false;
+      this._refresh();
+    }
+  }
+
+  _discard(change) {
+    syncAPI.discard(change.id);
+    this._refresh();
+  }
+
+  _describe(change) {
+    return `${ACTION_LABELS[change.action]} ${KIND_LABELS[change.kind]}${change.name ? ` ${change.name}` : ''}`;
+  }
+
+  render() {
+    const refused = this.changes.filter(change => change.error);
+    const waiting = this.changes.length - refused.length;
+    if (this.online && this.changes.length === 0) return '';
+
+    return html`
+      <div class="banner ${this.online ? '' : 'offline'}" role="status" aria-live="polite">
+        ${!this.online ? html`
+          <div class="summary">
+            <span>
+              You are offline. Changes are saved on this device and sent when you reconnect.
+              ${waiting > 0 ? html`<strong>${waiting} waiting.</strong>` : ''}
+            </span>
+          </div>
+        ` : waiting > 0 ? html`
+          <div class="summary">
+            <span>${waiting} ${waiting === 1 ? 'change' : 'changes'} made offline ${this.syncing ? 'sending...' : 'waiting to be sent.'}</span>
+            <button class="action" ?disabled="${this.syncing}" @click="${this._sync}">Sync Now</button>
+          </div>
+        ` : ''}
+
+        ${refused.map(change => html`
+          <div class="refused">
+            <div class="refused-text">
+              <strong>${this._describe(change)} was not saved.</strong>
+              <span>${change.error}</span>
+            </div>
+            <div class="refused-actions">
+              ${change.conflict ? html`
+                <button class="action" ?disabled="${this.syncing || !this.online}" @click="${() => this._keepMine(change)}">Keep Mine</button>
+              ` : ''}
+              <button class="action destructive" ?disabled="${this.syncing}" @click="${() => this._discard(change)}">Discard</button>
+            </div>
+          </div>
+        `)}
+      </div>
+    `;
+  }
+
+  static styles = css`
+    :host {
+      display: block;
+    }
+
+    .banner {
+      display: flex;
+      flex-direction: column;
+      gap: 8px;
+      margin: 0 16px 16px;
+      padding: 12px 16px;
+      border-radius: 12px;
+      background: rgba(0, 122, 255, 0.1);
+      color: var(--ios-text, #000000);
+      font-size: 15px;
+    }
+
+    .banner.offline {
+      background: rgba(255, 149, 0, 0.12);
+    }
+
+    .summary, .refused {
+      display: flex;
+      align-items: center;
+      justify-content: space-between;
+      gap: 12px;
+    }
+
+    .refused {
+      padding-top: 8px;
+      border-top: 0.5px solid var(--ios-separator, rgba(60, 60, 67, 0.29));
+    }
+
+    .refused-text {
+      display: flex;
+      flex-direction: column;
+      gap: 2px;
+      overflow-wrap: anywhere;
+    }
+
+    .refused-text span {
+      color: var(--ios-text-secondary, #3C3C43);
+      font-size: 13px;
+    }
+
+    .refused-actions {
+      display: flex;
+      flex-shrink: 0;
+      gap: 8px;
+    }
+
+    .action {
+      flex-shrink: 0;
+      padding: 6px 12px;
+      border: none;
+      border-radius: 8px;
+      background: var(--ios-blue, #007AFF);
+      color: white;
+      font-size: 14px;
+      font-weight: 600;
+      font-family: inherit;
+      cursor: pointer;
+    }
+
+    .action.destructive {
+      background: var(--ios-red, #FF3B30);
+    }
+
+    .action:disabled {
+      opacity: 0.6;
+      cursor: default;
+    }
+
+    @media (max-width: 480px) {
+      .summary, .refused {
+        flex-direction: column;
+        align-items: stretch;
+      }
+    }
+  `;
+}
+
+customElements.define('sync-status', SyncStatus);
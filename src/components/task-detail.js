@@ -0,0 +1,566 @@
+import { LitElement, html, css } from 'lit';
+import { format } from 'date-fns';
+import {
+  ApiError, authAPI, taskAPI, commentAPI, transformTask, transformComment, transformStatusChange,
+} from '../services/api';
+import { LiveUpdatesController } from '../controllers/live-updates';
+import './activity-timeline.js';
+
+const STATUS_OPTIONS = ['PENDING', 'SENT', 'COMPLETED'];
+
+// Full page for one task at /tasks/:id, so a link to a task can be shared directly
+class TaskDetail extends LitElement {
+  static properties = {
+    task: { type: Object },
+    history: { type: Array },
+    comments: { type: Array },
+    loading: { type: Boolean },
+    error: { type: String },
+    notFound: { type: Boolean },
+    commentText: { type: String },
+    commentErrors: { type: Object },
+    postingComment: { type: Boolean },
+    linkCopied: { type: Boolean },
+  };
+
+  constructor() {
+    super();
+    this.task = null;
+    this.history = [];
+    this.comments = [];
+    this.loading = true;
+    this.error = null;
+    this.notFound = false;
+    this.commentText = '';
+    this.commentErrors = {};
+    this.postingComment = false;
+    this.linkCopied = false;
+    this.taskId = null;
+    this._live = new LiveUpdatesController(this);
+  }
+
+  // Called by Vaadin Router when navigating to this component
+  async onAfterEnter(location) {
+    this.taskId = location.params.id;
+    await this._loadTask();
+  }
+
+  async _loadTask() {
+    try {
+      this.loading = true;
+      this.error = null;
+      this.notFound = false;
+
+      const [task, history, comments] = await Promise.all([
+        taskAPI.get(this.taskId),
+        taskAPI.getHistory(this.taskId),
+        commentAPI.getAll('tasks', this.taskId),
+      ]);
+
+      this.task = transformTask(task);
+      this.history = history.map(transformStatusChange);
+      this.comments = comments.map(transformComment);
+    } catch (error) {
+      console.error('Error loading task:', error);
+      if (error instanceof ApiError && error.status === 404) {
+        this.notFound = true;
+      } else {
+        this.error = 'Failed to load task. Please try again.';
+      }
+    } finally {
+      this.loading = false;
+    }
+  }
+
+  render() {
+    return html`
+      <div class="container">
+        <a href="/tasks" class="back-link">‹ All Tasks</a>
+
+        ${this.error ? html`<div class="error-message">${this.error}</div>` : ''}
+
+        ${this.loading
+          ? html`<p class="loading-message">Loading task...</p>`
+          : this.notFound
+          ? html`<p class="empty-message">This task does not exist or has been deleted.</p>`
+          : this.task ? this._renderTask() : ''
+        }
+      </div>
+    `;
+  }
+
+  _renderTask() {
+    const task = this.task;
+    const canChangeStatus = authAPI.can('tasks:update') ||
+      (authAPI.can('tasks:update-own-status') && authAPI.isAssignedTo(task));
+
+    return html`
+      <div class="card">
+        <div class="task-header">
+          <span class="status-badge status-${task.status.toLowerCase()}">${task.status}</span>
+          <button class="btn-link" @click="${this._copyLink}">${this.linkCopied ? 'Link copied' : 'Copy link'}</button>
+        </div>
+        <p class="description">${task.description}</p>
+        <dl class="fields">
+          <dt>Assigned to</dt>
+          <dd>${task.assignedTo}</dd>
+          <dt>Due</dt>
+          <dd>${format(new Date(task.dueDate), 'dd/MM/yyyy')}</dd>
+          <dt>Tender</dt>
+          <dd>
+            ${task.tenderId
+              ? html`<a href="/tenders/${task.tenderId}">${task.tenderNumber}</a>`
+              : 'Not linked to a tender'}
+          </dd>
+        </dl>
+        ${canChangeStatus ? html`
+          <select
+            class="status-select"
+            .value="${task.status}"
+            @change="${(e) => this._updateStatus(e.target.value)}"
+            aria-label="Status"
+          >
+            ${STATUS_OPTIONS.map(status => html`
+              <option value="${status}" ?selected="${task.status === status}">${status}</option>
+            `)}
+          </select>
+        ` : ''}
+      </div>
+
+      ${this._renderHistory()}
+      ${this._renderComments()}
+      <section class="card">
+        <h3>Activity</h3>
+        <activity-timeline .taskId="${task.id}"></activity-timeline>
+      </section>
+    `;
+  }
+
+  // Picks up the audit events for a change made on this page
+  _refreshActivity() {
+    const timeline = this.shadowRoot.querySelector('activity-timeline');
+    if (timeline) timeline.reload();
+  }
+
+  _renderHistory() {
+    return html`
+      <section class="card">
+        <h3>Status History</h3>
+        <ol class="timeline">
+          ${[...this.history].reverse().map(change => html`
+            <li class="timeline-event">
+              <span class="timeline-dot status-${change.toStatus.toLowerCase()}"></span>
+              <span class="row-main">
+                <span class="row-title">
+                  ${change.fromStatus ? `${change.fromStatus} → ${change.toStatus}` : `Created as ${change.toStatus}`}
+                </span>
+                <span class="row-meta">
+                  ${format(new Date(change.changedAt), 'dd/MM/yyyy HH:mm')}${change.changedBy ? ` by ${change.changedBy}` : ''}
+                </span>
+              </span>
+            </li>
+          `)}
+        </ol>
+      </section>
+    `;
+  }
+
+  _renderComments() {
+    const user = authAPI.currentUser();
+
+    return html`
+      <section class="card">
+        <h3>Comments</h3>
+        ${this.comments.length === 0 ? html`<p class="empty-section">No comments yet.</p>` : html`
+          <ul class="rows">
+            ${this.comments.map(comment => html`
+              <li class="row">
+                <span class="row-main">
+                  <span class="row-meta">
+                    <strong>${comment.authorName || 'Former user'}</strong>
+                    · ${format(new Date(comment.createdAt), 'dd/MM/yyyy HH:mm')}
+                  </span>
+                  <span class="comment-body">${comment.body}</span>
+                </span>
+                ${user && (comment.authorId === user.id || authAPI.can('comments:delete')) ? html`
+                  <button class="btn-remove" @click="${() => this._deleteComment(comment)}" aria-label="Delete comment">×</button>
+                ` : ''}
+              </li>
+            `)}
+          </ul>
+        `}
+        ${authAPI.can('comments:create') ? html`
+          <form class="comment-form" @submit="${this._postComment}">
+            <textarea
+              .value="${this.commentText}"
+              @input="${(e) => this.commentText = e.target.value}"
+              placeholder="Add a comment (type @ and a name to notify someone)"
+              maxlength="5000"
+              rows="3"
+              required
+            ></textarea>
+            ${this.commentErrors.body ? html`<span class="field-error">${this.commentErrors.body}</span>` : ''}
+            <button type="submit" class="btn-primary" ?disabled="${this.postingComment}">
+              ${this.postingComment ? 'Posting...' : 'Post Comment'}
+            </button>
+          </form>
+        ` : ''}
+      </section>
+    `;
+  }
+
+  async _copyLink() {
+    try {
+      await navigator.clipboard.writeText(window.location.href);
+      this.linkCopied = true;
+      setTimeout(() => { this.linkCopied = false; }, 2000);
+    } catch (error) {
+      console.error('Error copying link:', error);
+      this.error = 'Could not copy the link. Copy it from the address bar instead.';
+    }
+  }
+
+  async _updateStatus(status) {
+    try {
+      this.error = null;
+      const dbTask = await taskAPI.patch(this.task.id, { status });
+      this.task = transformTask(dbTask);
+      this.history = (await taskAPI.getHistory(this.task.id)).map(transformStatusChange);
+      this._refreshActivity();
+    } catch (error) {
+      console.error('Error updating task status:', error);
+      if (error instanceof ApiError && error.status === 409 && error.current) {
+        // Someone else saved the task first: show it as it now is
+        this.task = transformTask(error.current);
+        this.error = error.message;
+      } else {
+        this.error = 'Failed to update task status. Please try again.';
+      }
+    }
+  }
+
+  async _postComment(e) {
+    e.preventDefault();
+
+    try {
+      this.postingComment = true;
+      this.error = null;
+      this.commentErrors = {};
+      const dbComment = await commentAPI.create('tasks', this.task.id, this.commentText);
+      this.comments = [...this.comments, transformComment(dbComment)];
+      this.commentText = '';
+      this._refreshActivity();
+    } catch (error) {
+      console.error('Error posting comment:', error);
+      if (error instanceof ApiError && Object.keys(error.fields).length > 0) {
+        this.commentErrors = error.fields;
+      } else {
+        this.error = 'Failed to post comment. Please try again.';
+      }
+    } finally {
+      this.postingComment = false;
+    }
+  }
+
+  async _deleteComment(comment) {
+    if (!confirm('Delete this comment?')) return;
+
+    try {
+      this.error = null;
+      await commentAPI.delete('tasks', this.task.id, comment.id);
+      this.comments = this.comments.filter(c => c.id !== comment.id);
+      this._refreshActivity();
+    } catch (error) {
+      console.error('Error deleting comment:', error);
+      this.error = 'Failed to delete comment. Please try again.';
+    }
+  }
+
+  static styles = css`
+    .container {
+      padding: 20px;
+      max-width: 600px;
+      margin: 0 auto;
+      animation: fadeIn 0.5s cubic-bezier(0.25, 0.46, 0.45, 0.94);
+    }
+
+    @keyframes fadeIn {
+      from {
+        opacity: 0;
+        transform: translateY(10px);
+        filter: blur(5px);
+      }
+      to {
+        opacity: 1;
+        transform: translateY(0);
+        filter: blur(0);
+      }
+    }
+
+    .back-link {
+      display: inline-block;
+      margin: 0 4px 16px;
+      color: var(--ios-blue, #007AFF);
+      font-size: 17px;
+      text-decoration: none;
+    }
+
+    .card {
+      background: var(--ios-card, #FFFFFF);
+      border-radius: 16px;
+      padding: 20px;
+      margin-bottom: 16px;
+      box-shadow: 0 2px 12px rgba(0, 0, 0, 0.06);
+    }
+
+    .task-header {
+      display: flex;
+      justify-content: space-between;
+      align-items: center;
+      margin-bottom: 12px;
+    }
+
+    h3 {
+      margin: 0 0 12px;
+      color: var(--ios-text, #000);
+      font-size: 17px;
+      font-weight: 600;
+    }
+
+    .description {
+      margin: 0 0 16px;
+      color: var(--ios-text, #000);
+      font-size: 17px;
+      line-height: 1.5;
+      white-space: pre-wrap;
+    }
+
+    .fields {
+      display: grid;
+      grid-template-columns: auto 1fr;
+      gap: 8px 16px;
+      margin: 0 0 16px;
+      font-size: 15px;
+    }
+
+    dt {
+      color: var(--ios-gray, #8E8E93);
+    }
+
+    dd {
+      margin: 0;
+      color: var(--ios-text, #000);
+    }
+
+    dd a {
+      color: var(--ios-blue, #007AFF);
+      text-decoration: none;
+      font-weight: 600;
+    }
+
+    .status-badge {
+      padding: 4px 10px;
+      border-radius: 12px;
+      font-size: 12px;
+      font-weight: 600;
+      color: white;
+    }
+
+    .status-pending {
+      background-color: var(--ios-orange, #FF9500);
+    }
+
+    .status-sent {
+      background-color: var(--ios-blue, #007AFF);
+    }
+
+    .status-completed {
+      background-color: var(--ios-green, #34C759);
+    }
+
+    .status-select {
+      width: 100%;
+      padding: 10px 12px;
+      border: 1px solid var(--ios-gray4, #D1D1D6);
+      border-radius: 10px;
+      font-size: 15px;
+      font-family: inherit;
+      background: var(--ios-card, #FFFFFF);
+      color: var(--ios-text, #000);
+    }
+
+    .btn-link {
+      padding: 0;
+      border: none;
+      background: none;
+      color: var(--ios-blue, #007AFF);
+      font-size: 15px;
+      font-weight: 600;
+      cursor: pointer;
+    }
+
+    .empty-section {
+      margin: 0;
+      color: var(--ios-gray, #8E8E93);
+      font-size: 15px;
+    }
+
+    .rows, .timeline {
+      list-style: none;
+      margin: 0;
+      padding: 0;
+    }
+
+    .row {
+      display: flex;
+      align-items: flex-start;
+      gap: 10px;
+      padding: 10px 0;
+      border-bottom: 1px solid var(--ios-separator, rgba(60, 60, 67, 0.12));
+    }
+
+    .row:last-child {
+      border-bottom: none;
+    }
+
+    .row-main {
+      flex: 1;
+      display: flex;
+      flex-direction: column;
+      gap: 2px;
+      min-width: 0;
+    }
+
+    .row-title {
+      color: var(--ios-text, #000);
+      font-size: 15px;
+    }
+
+    .row-meta {
+      color: var(--ios-gray, #8E8E93);
+      font-size: 13px;
+    }
+
+    .comment-body {
+      color: var(--ios-text, #000);
+      font-size: 15px;
+      line-height: 1.4;
+      white-space: pre-wrap;
+      overflow-wrap: anywhere;
+    }
+
+    .btn-remove {
+      flex-shrink: 0;
+      width: 28px;
+      height: 28px;
+      border: none;
+      border-radius: 14px;
+      background: var(--ios-gray6, #F2F2F7);
+      color: var(--ios-red, #FF3B30);
+      font-size: 18px;
+      cursor: pointer;
+    }
+
+    .comment-form {
+      display: flex;
+      flex-direction: column;
+      gap: 8px;
+      margin-top: 12px;
+    }
+
+    textarea {
+      padding: 10px 12px;
+      border: 1px solid var(--ios-gray4, #D1D1D6);
+      border-radius: 10px;
+      font-size: 15px;
+      font-family: inherit;
+      background: var(--ios-card, #FFFFFF);
+      color: var(--ios-text, #000);
+      box-sizing: border-box;
+      resize: vertical;
+      -webkit-appearance: none;
+    }
+
+    textarea:focus {
+      outline: none;
+      border-color: var(--ios-blue, #007AFF);
+    }
+
+    .btn-primary {
+      align-self: flex-end;
+      padding: 10px 16px;
+      border: none;
+      border-radius: 10px;
+      background-color: var(--ios-blue, #007AFF);
+      color: white;
+      font-size: 15px;
+      font-weight: 600;
+      cursor: pointer;
+      transition: all 0.2s cubic-bezier(0.25, 0.46, 0.45, 0.94);
+    }
+
+    .btn-primary:active {
+      transform: scale(0.97);
+      opacity: 0.8;
+    }
+
+    .btn-primary:disabled {
+      opacity: 0.6;
+      cursor: default;
+    }
+
+    .field-error {
+      color: var(--ios-red, #FF3B30);
+      font-size: 13px;
+    }
+
+    .timeline-event {
+      position: relative;
+      display: flex;
+      gap: 12px;
+      padding: 0 0 14px;
+    }
+
+    .timeline-event:not(:last-child)::before {
+      content: '';
+      position: absolute;
+      left: 4px;
+      top: 14px;
+      bottom: 0;
+      width: 2px;
+      background: var(--ios-gray5, #E5E5EA);
+    }
+
+    .timeline-dot {
+      width: 10px;
+      height: 10px;
+      margin-top: 4px;
+      border-radius: 5px;
+      flex-shrink: 0;
+    }
+
+    .error-message {
+      background: var(--ios-red, #FF3B30);
+      color: white;
+      padding: 12px 16px;
+      border-radius: 12px;
+      margin-bottom: 16px;
+      font-size: 15px;
+    }
+
+    .empty-message, .loading-message {
+      text-align: center;
+      color: var(--ios-gray, #8E8E93);
+      padding: 40px 20px;
+      font-size: 17px;
+    }
+
+    @media (max-width: 480px) {
+      .container {
+        padding: 16px;
+      }
+    }
+  `;
+}
+
+customElements.define('task-detail', TaskDetail);
@@ -1,40 +1,99 @@
 import { LitElement, html, css } from 'lit';
 import { Router } from '@vaadin/router';
-import { taskAPI, transformTask } from '../services/api';
-import { format } from 'date-fns';
+import { ApiError, authAPI, taskAPI, tenderAPI, transformTask, transformTender, isOffline } from '../services/api';
+import { LiveUpdatesController } from '../controllers/live-updates';
+import { sortedIndex } from '../utils/listOrder';
+import { format, parseISO } from 'date-fns';
+import { filtersFromUrl, filtersToUrl, hasActiveFilters } from './list-toolbar';
+import './activity-timeline';
+import './undo-toast';
+import { mergeEdits } from './conflict-dialog';
+
+const STATUS_FILTERS = [
+  { value: 'PENDING', label: 'Pending' },
+  { value: 'SENT', label: 'Sent' },
+  { value: 'COMPLETED', label: 'Completed' },
+];
+
+function statusLabel(status) {
+  const filter = STATUS_FILTERS.find(option => option.value === status);
+  return filter ? filter.label : status;
+}
+
+const SORT_OPTIONS = [
+  { sort: 'created_at', order: 'desc', label: 'Newest first' },
+  { sort: 'due_date', order: 'asc', label: 'Due soonest' },
+  { sort: 'due_date', order: 'desc', label: 'Due latest' },
+];
+
+const FILTER_DEFAULTS = { sort: 'created_at', order: 'desc' };
+
+// The task field each sort orders by, for placing tasks added while the list is open
+const SORT_FIELDS = { created_at: 'createdAt', due_date: 'dueDate', status: 'status' };
+
+// Edit form fields compared when someone else saved the task first
+const CONFLICT_FIELDS = [
+  { key: 'description', label: 'Description' },
+  { key: 'assignedTo', label: 'Assigned To' },
+  { key: 'dueDate', label: 'Due Date', display: value => value ? format(parseISO(value), 'dd/MM/yyyy') : '' },
+  { key: 'status', label: 'Status' },
+  { key: 'tenderId', label: 'Tender' },
+];
 
 class TaskList extends LitElement {
   static properties = {
     tasks: { type: Array },
+    pagination: { type: Object },
+    filters: { type: Object },
+    loadingMore: { type: Boolean },
     showForm: { type: Boolean },
     formData: { type: Object },
     statusOptions: { type: Array },
     loading: { type: Boolean },
     error: { type: String },
     editingId: { type: Number },
+    fieldErrors: { type: Object },
+    tenderOptions: { type: Array },
+    activityOpenId: { type: Number },
+    conflict: { type: Object },
   };
 
   constructor() {
     super();
     this.tasks = [];
+    this.pagination = null;
+    this.filters = filtersFromUrl(FILTER_DEFAULTS);
+    this.loadingMore = false;
     this.showForm = false;
     this.formData = {
       description: '',
       assignedTo: '',
       dueDate: '',
-      status: 'PENDING'
+      status: 'PENDING',
+      tenderId: ''
     };
     this.statusOptions = ['PENDING', 'SENT', 'COMPLETED'];
     this.loading = true;
     this.error = null;
     this._locationObserver = null;
     this.editingId = null;
+    this.fieldErrors = {};
+    this.tenderOptions = [];
+    this.activityOpenId = null;
+    this.conflict = null;
+    // The form's values when it was opened, to tell the user's edits from other people's
+    this._editBase = null;
+    this._live = new LiveUpdatesController(this, {
+      onChange: change => this._applyChange(change),
+      onSync: () => this._loadTasks(),
+    });
   }
 
   async connectedCallback() {
     super.connectedCallback();
     
     // Load tasks when first connected
+    this._loadTenderOptions();
     await this._loadTasks();
     
     // Set up location observer to reload when navigating back to this route
@@ -58,46 +117,244 @@ class TaskList extends LitElement {
 
   // Called by Vaadin Router when navigating to this component
   async onAfterEnter() {
+    this._openFormFromUrl();
     // Always reload data when navigating to this route
     await this._loadTasks();
   }
 
+  // Brings the list up to date after a change to a task. The task is fetched again through
+  // the current filters: it is then updated in place, added where the sort puts it, or
+  // dropped if it no longer matches.
+  async _applyChange(change) {
+    if (change.entity !== 'task') return;
+    const id = change.entityId;
+
+    try {
+      const { data } = await taskAPI.getAll({ ...this.filters, id });
+      const task = data.length > 0 ? transformTask(data[0]) : null;
+      const shown = this.tasks.some(t => t.id === id);
+
+      if (task && shown) {
+        this._replaceTask(task);
+      } else if (task) {
+        this._addTask(task);
+      } else if (shown) {
+        this._removeTask({ id });
+      }
+    } catch (error) {
+      // Not worth interrupting anyone for; the next reload catches up
+      console.error('Error applying task change:', error);
+    }
+  }
+
+  // The tender list links here with ?new=1&tender_id=N to start a task for that tender
+  _openFormFromUrl() {
+    const params = new URLSearchParams(window.location.search);
+    if (params.get('new') !== '1') return;
+
+    // Drop `new` so reloading the page does not open the form again
+    filtersToUrl(filtersFromUrl(FILTER_DEFAULTS), FILTER_DEFAULTS);
+    if (!authAPI.can('tasks:create')) return;
+
+    this.editingId = null;
+    this._resetForm();
+    this.formData = { ...this.formData, tenderId: params.get('tender_id') || '' };
+    this.showForm = true;
+  }
+
+  // Tenders still being worked on, offered in the task form's tender picker
+  async _loadTenderOptions() {
+    try {
+      const { data } = await tenderAPI.getAll({
+        status: ['IDENTIFIED', 'PREPARING', 'SUBMITTED'],
+        sort: 'closing_date',
+        order: 'asc',
+        pageSize: 200,
+      });
+      this.tenderOptions = data.map(transformTender);
+    } catch (error) {
+      // The picker is a convenience; tasks can still be saved without it
+      console.error('Error loading tenders:', error);
+    }
+  }
+
   async _loadTasks() {
     try {
-      this.loading = true;
       this.error = null;
-      const dbTasks = await taskAPI.getAll();
-      this.tasks = dbTasks.map(transformTask);
+      // The URL is the source of truth, so back/forward and shared links restore the same view
+      this.filters = filtersFromUrl(FILTER_DEFAULTS);
+      // Show the list kept from last time while the current one loads
+      const cached = taskAPI.getCached(this.filters);
+      if (cached) {
+        this.tasks = cached.data.map(transformTask);
+        this.pagination = cached.pagination;
+      }
+      this.loading = !cached;
+      const { data, pagination } = await taskAPI.getAll(this.filters);
+      this.tasks = data.map(transformTask);
+      this.pagination = pagination;
     } catch (error) {
       console.error('Error loading tasks:', error);
-      this.error = 'Failed to load tasks. Please try again.';
+      this.error = isOffline(error)
+        ? 'You are offline and these tasks have not been loaded on this device yet.'
+        : 'Failed to load tasks. Please try again.';
     } finally {
       this.loading = false;
     }
   }
 
+  async _loadMoreTasks() {
+    try {
+      this.loadingMore = true;
+      this.error = null;
+      const { data, pagination } = await taskAPI.getAll({ ...this.filters, page: this.pagination.page + 1 });
+      // Skip rows already shown (e.g. added locally since the first page loaded)
+      const shown = new Set(this.tasks.map(item => item.id));
+      this.tasks = [...this.tasks, ...data.map(transformTask).filter(item => !shown.has(item.id))];
+      this.pagination = pagination;
+    } catch (error) {
+      console.error('Error loading more tasks:', error);
+      this.error = 'Failed to load more tasks. Please try again.';
+    } finally {
+      this.loadingMore = false;
+    }
+  }
+
+  _handleFiltersChanged(e) {
+    filtersToUrl(e.detail, FILTER_DEFAULTS);
+    this._loadTasks();
+  }
+
+  // Someone else saved the task while it was open in the form. The list shows their copy
+  // from now on, and the form takes their changes to fields the user left alone; the dialog
+  // asks which value to keep where both changed the same field.
+  async _showConflict(current) {
+    this._replaceTask(current);
+    const theirs = this._formValues(current);
+    const { values, fields } = mergeEdits(CONFLICT_FIELDS, this._editBase || theirs, this.formData, theirs);
+    this.formData = { ...values, version: current.version };
+    this._editBase = theirs;
+
+    if (fields.length === 0) {
+      // The two saves changed different fields, so the merged values can simply be saved
+      await this._saveTask();
+      return;
+    }
+    this.conflict = {
+      task: current,
+      fields: fields.map(field => ({
+        ...field,
+        display: field.key === 'tenderId' ? (id => id ? this._tenderLabel(Number(id)) : '') : field.display,
+      })),
+    };
+  }
+
+  _renderConflictDialog() {
+    return html`
+      <conflict-dialog
+        heading="Task was changed"
+        .fields="${this.conflict.fields}"
+        @conflict-resolved="${this._resolveConflict}"
+        @conflict-discarded="${this._discardConflict}"
+      ></conflict-dialog>
+    `;
+  }
+
+  async _resolveConflict(e) {
+    this.formData = { ...this.formData, ...e.detail.values, version: this.conflict.task.version };
+    this.conflict = null;
+    await this._saveTask();
+  }
+
+  _discardConflict() {
+    this.conflict = null;
+    this._cancelForm();
+  }
+
+  _tenderLabel(id) {
+    const choice = this._tenderChoices().find(tender => tender.id === id);
+    return choice ? choice.tenderNumber : `#${id}`;
+  }
+
+  // Picker choices, keeping the edited task's tender even if it is no longer active
+  _tenderChoices() {
+    const choices = this.tenderOptions.map(tender => ({ id: tender.id, tenderNumber: tender.tenderNumber }));
+    const editing = this.editingId && this.tasks.find(task => task.id === this.editingId);
+    if (editing && editing.tenderId && !choices.some(choice => choice.id === editing.tenderId)) {
+      choices.push({ id: editing.tenderId, tenderNumber: editing.tenderNumber });
+    }
+    return choices;
+  }
+
+  _scopedTenderNumber() {
+    const id = Number(this.filters.tenderId);
+    const tender = this.tenderOptions.find(option => option.id === id);
+    const task = this.tasks.find(item => item.tenderId === id);
+    return tender ? tender.tenderNumber : task ? task.tenderNumber : `#${id}`;
+  }
+
+  _showAllTasks() {
+    filtersToUrl({ ...this.filters, tenderId: '' }, FILTER_DEFAULTS);
+    this._loadTasks();
+  }
+
+  // Names offered as suggestions in the assignee filter
+  _knownAssignees() {
+    return [...new Set(this.tasks.map(task => task.assignedTo).filter(Boolean))].sort();
+  }
+
   render() {
     return html`
       <div class="container">
         <div class="header">
           <h2>Task Management (OUR PRODUCTIVITY)</h2>
-          <button class="fab" @click="${this._toggleForm}">
-            ${this.showForm ? '×' : '+'}
-          </button>
+          ${authAPI.can('tasks:create') ? html`
+            <button class="fab" @click="${this._toggleForm}">
+              ${this.showForm ? '×' : '+'}
+            </button>
+          ` : ''}
         </div>
 
         ${this.showForm ? this._renderModal() : ''}
+        ${this.conflict ? this._renderConflictDialog() : ''}
 
         ${this.error ? html`<div class="error-message">${this.error}</div>` : ''}
 
+        ${this.filters.tenderId ? html`
+          <div class="tender-scope">
+            <span>Tasks for tender <strong>${this._scopedTenderNumber()}</strong></span>
+            <button type="button" class="btn-link" @click="${this._showAllTasks}">Show all tasks</button>
+          </div>
+        ` : ''}
+
+        <list-toolbar
+          .filters="${this.filters}"
+          .statusOptions="${STATUS_FILTERS}"
+          .sortOptions="${SORT_OPTIONS}"
+          .assignees="${this._knownAssignees()}"
+          showAssignee
+          searchPlaceholder="Search description or assignee"
+          @filters-changed="${this._handleFiltersChanged}"
+        ></list-toolbar>
+
         <div class="task-list">
           ${this.loading
             ? html`<p class="loading-message">Loading tasks...</p>`
+            : this.tasks.length === 0 && hasActiveFilters(this.filters)
+            ? html`<p class="empty-message">No tasks match these filters.</p>`
             : this.tasks.length === 0
-            ? html`<p class="empty-message">No tasks assigned yet. Click + to add your first task.</p>`
+            ? html`<p class="empty-message">No tasks assigned yet.${authAPI.can('tasks:create') ? ' Click + to add your first task.' : ''}</p>`
             : this.tasks.map(task => this._renderTaskCard(task))
           }
         </div>
+
+        ${!this.loading && this.pagination && this.pagination.page < this.pagination.totalPages ? html`
+          <button class="btn-load-more" ?disabled="${this.loadingMore}" @click="${this._loadMoreTasks}">
+            ${this.loadingMore ? 'Loading...' : `Load more (${this.pagination.total - this.tasks.length} remaining)`}
+          </button>
+        ` : ''}
+
+        <undo-toast></undo-toast>
       </div>
     `;
   }
@@ -125,29 +382,33 @@ class TaskList extends LitElement {
           </button>
         </div>
         <form @submit="${this._handleSubmit}">
-          <div class="form-group">
+          <div class="form-group ${this.fieldErrors.description ? 'invalid' : ''}">
             <label>Task Description *</label>
             <textarea
               .value="${this.formData.description}"
               @input="${(e) => this._updateFormData('description', e.target.value)}"
               required
+              maxlength="2000"
               placeholder="Enter task description"
               rows="3"
             ></textarea>
+            ${this._renderFieldError('description')}
           </div>
 
-          <div class="form-group">
+          <div class="form-group ${this.fieldErrors.assignedTo ? 'invalid' : ''}">
             <label>Assigned To *</label>
             <input
               type="text"
               .value="${this.formData.assignedTo}"
               @input="${(e) => this._updateFormData('assignedTo', e.target.value)}"
               required
+              maxlength="100"
               placeholder="Enter assignee name"
             />
+            ${this._renderFieldError('assignedTo')}
           </div>
 
-          <div class="form-group">
+          <div class="form-group ${this.fieldErrors.dueDate ? 'invalid' : ''}">
             <label>Due Date *</label>
             <input
               type="date"
@@ -155,9 +416,10 @@ class TaskList extends LitElement {
               @input="${(e) => this._updateFormData('dueDate', e.target.value)}"
               required
             />
+            ${this._renderFieldError('dueDate')}
           </div>
 
-          <div class="form-group">
+          <div class="form-group ${this.fieldErrors.status ? 'invalid' : ''}">
             <label>Status</label>
             <select
               .value="${this.formData.status}"
@@ -169,6 +431,23 @@ class TaskList extends LitElement {
                 </option>
               `)}
             </select>
+            ${this._renderFieldError('status')}
+          </div>
+
+          <div class="form-group ${this.fieldErrors.tenderId ? 'invalid' : ''}">
+            <label>Tender</label>
+            <select
+              .value="${String(this.formData.tenderId || '')}"
+              @change="${(e) => this._updateFormData('tenderId', e.target.value)}"
+            >
+              <option value="" ?selected="${!this.formData.tenderId}">No tender</option>
+              ${this._tenderChoices().map(tender => html`
+                <option value="${tender.id}" ?selected="${String(this.formData.tenderId) === String(tender.id)}">
+                  ${tender.tenderNumber}
+                </option>
+              `)}
+            </select>
+            ${this._renderFieldError('tenderId')}
           </div>
 
           <div class="form-actions">
@@ -180,36 +459,71 @@ class TaskList extends LitElement {
     `;
   }
 
+  _renderFieldError(field) {
+    return this.fieldErrors[field] ? html`<span class="field-error">${this.fieldErrors[field]}</span>` : '';
+  }
+
   _renderTaskCard(task) {
+    const canEdit = authAPI.can('tasks:update');
+    const canDelete = authAPI.can('tasks:delete');
+    const canChangeStatus = canEdit || (authAPI.can('tasks:update-own-status') && authAPI.isAssignedTo(task));
+
     return html`
-      <div class="task-card">
+      <div class="task-card" @click="${() => Router.go(`/tasks/${task.id}`)}">
         <div class="task-header">
           <span class="task-description">${task.description}</span>
+          ${task.pending ? html`<span class="pending-badge" title="Saved on this device; sent when you are back online">Not synced</span>` : ''}
           <span class="status-badge status-${task.status.toLowerCase()}">${task.status}</span>
         </div>
         <div class="task-details">
           <p><strong>Assigned to:</strong> ${task.assignedTo}</p>
           <p><strong>Due:</strong> ${format(new Date(task.dueDate), 'dd/MM/yyyy')}</p>
+          ${task.tenderNumber ? html`<p><strong>Tender:</strong> ${task.tenderNumber}</p>` : ''}
         </div>
-        <div class="card-actions">
-          <select 
-            class="status-select" 
-            .value="${task.status}"
-            @change="${(e) => this._updateTaskStatus(task.id, e.target.value)}"
-          >
-            ${this.statusOptions.map(status => html`
-              <option value="${status}" ?selected="${task.status === status}">
-                ${status}
-              </option>
-            `)}
-          </select>
-          <button class="btn-edit" @click="${() => this._editTask(task)}">Edit</button>
-          <button class="btn-delete" @click="${() => this._deleteTask(task.id)}">Delete</button>
-        </div>
+        ${canChangeStatus || canEdit || canDelete ? html`
+          <div class="card-actions" @click="${this._stopPropagation}">
+            ${canChangeStatus ? html`
+              <select 
+                class="status-select" 
+                .value="${task.status}"
+                @change="${(e) => this._updateTaskStatus(task, e.target.value)}"
+              >
+                ${this.statusOptions.map(status => html`
+                  <option value="${status}" ?selected="${task.status === status}">
+                    ${status}
+                  </option>
+                `)}
+              </select>
+            ` : ''}
+            ${canEdit ? html`<button class="btn-edit" @click="${() => this._editTask(task)}">Edit</button>` : ''}
+            ${canDelete ? html`<button class="btn-delete" @click="${() => this._deleteTask(task)}">Delete</button>` : ''}
+          </div>
+        ` : ''}
+        ${this._renderActivity(task)}
       </div>
     `;
   }
 
+  _toggleActivity(e, id) {
+    e.stopPropagation();
+    this.activityOpenId = this.activityOpenId === id ? null : id;
+  }
+
+  _renderActivity(task) {
+    const open = this.activityOpenId === task.id;
+
+    return html`
+      <button class="activity-toggle" aria-expanded="${open}" @click="${(e) => this._toggleActivity(e, task.id)}">
+        ${open ? 'Hide activity' : 'Show activity'}
+      </button>
+      ${open ? html`
+        <div class="card-activity" @click="${(e) => e.stopPropagation()}">
+          <activity-timeline .taskId="${task.id}"></activity-timeline>
+        </div>
+      ` : ''}
+    `;
+  }
+
   _toggleForm() {
     this.showForm = !this.showForm;
     if (!this.showForm) {
@@ -221,6 +535,7 @@ class TaskList extends LitElement {
     this.showForm = false;
     this._resetForm();
     this.editingId = null;
+    this._editBase = null;
   }
 
   _resetForm() {
@@ -228,15 +543,21 @@ class TaskList extends LitElement {
       description: '',
       assignedTo: '',
       dueDate: '',
-      status: 'PENDING'
+      status: 'PENDING',
+      tenderId: ''
     };
+    this.fieldErrors = {};
   }
 
   async _handleSubmit(e) {
     e.preventDefault();
+    await this._saveTask();
+  }
 
+  async _saveTask() {
     try {
       this.error = null;
+      this.fieldErrors = {};
       
       if (this.editingId) {
         // Update existing task
@@ -249,34 +570,57 @@ class TaskList extends LitElement {
         // Create new task
         const dbTask = await taskAPI.create(this.formData);
         const newTask = transformTask(dbTask);
-        this.tasks = [newTask, ...this.tasks];
+        this.tasks = [newTask, ...this.tasks.filter(t => t.id !== newTask.id)];
       }
       
       this._cancelForm();
     } catch (error) {
       console.error('Error saving task:', error);
-      this.error = `Failed to ${this.editingId ? 'update' : 'create'} task. Please try again.`;
+      if (error instanceof ApiError && error.status === 409 && error.current) {
+        await this._showConflict(transformTask(error.current));
+      } else if (error instanceof ApiError && Object.keys(error.fields).length > 0) {
+        // Keep the form open with the messages next to the offending inputs
+        this.fieldErrors = error.fields;
+      } else {
+        this.error = `Failed to ${this.editingId ? 'update' : 'create'} task. Please try again.`;
+      }
     }
     this.requestUpdate();
   }
 
-  async _updateTaskStatus(id, newStatus) {
+  // The new status shows straight away; Undo sets the previous one back
+  async _updateTaskStatus(task, newStatus) {
+    const updated = await this._saveStatus(task, newStatus);
+    if (!updated) return;
+
+    this._toast().show({
+      message: `Task marked ${statusLabel(newStatus)}`,
+      undo: () => this._saveStatus(updated, task.status),
+    });
+  }
+
+  // Shows the new status at once and saves just that field, putting `task` back if the save fails
+  async _saveStatus(task, status) {
+    this._replaceTask({ ...task, status });
+
     try {
       this.error = null;
-      const task = this.tasks.find(t => t.id === id);
-      if (task) {
-        const updatedTask = { ...task, status: newStatus };
-        const dbTask = await taskAPI.update(id, updatedTask);
-        const transformedTask = transformTask(dbTask);
-        this.tasks = this.tasks.map(t => 
-          t.id === id ? transformedTask : t
-        );
-      }
+      const dbTask = await taskAPI.patch(task.id, { status });
+      const saved = transformTask(dbTask);
+      this._replaceTask(saved);
+      return saved;
     } catch (error) {
       console.error('Error updating task status:', error);
-      this.error = 'Failed to update task status. Please try again.';
+      if (error instanceof ApiError && error.status === 409 && error.current) {
+        // Show the task as it now is; the user can pick the status again from there
+        this._replaceTask(transformTask(error.current));
+        this.error = error.message;
+      } else {
+        this._replaceTask(task);
+        this.error = 'Failed to update task status. Please try again.';
+      }
+      return null;
     }
-    this.requestUpdate();
   }
 
   _updateFormData(field, value) {
@@ -294,32 +638,94 @@ class TaskList extends LitElement {
     e.stopPropagation();
   }
 
-  _editTask(task) {
-    this.editingId = task.id;
-    this.formData = {
+  // The edit form's values for a task, including the version the edit is based on
+  _formValues(task) {
+    return {
       description: task.description,
       assignedTo: task.assignedTo,
-      dueDate: task.dueDate,
-      status: task.status
+      // Format the due date for the date input (YYYY-MM-DD)
+      dueDate: task.dueDate ? format(new Date(task.dueDate), 'yyyy-MM-dd') : '',
+      status: task.status,
+      tenderId: task.tenderId || '',
+      version: task.version
     };
+  }
+
+  _editTask(task) {
+    this.editingId = task.id;
+    this.formData = this._formValues(task);
+    this._editBase = { ...this.formData };
     this.showForm = true;
     this.requestUpdate();
   }
 
-  async _deleteTask(id) {
-    if (confirm('Are you sure you want to delete this task?')) {
-      try {
-        this.error = null;
-        await taskAPI.delete(id);
-        this.tasks = this.tasks.filter(t => t.id !== id);
-      } catch (error) {
-        console.error('Error deleting task:', error);
-        this.error = 'Failed to delete task. Please try again.';
-      }
-      this.requestUpdate();
+  // The task leaves the list straight away; Undo brings it back out of the trash
+  async _deleteTask(task) {
+    const index = this._removeTask(task);
+
+    try {
+      this.error = null;
+      await taskAPI.delete(task.id);
+      this._toast().show({
+        message: 'Task moved to the trash',
+        undo: () => this._undoDelete(task, index),
+      });
+    } catch (error) {
+      console.error('Error deleting task:', error);
+      this._insertTask(task, index);
+      this.error = 'Failed to delete task. Please try again.';
+    }
+  }
+
+  async _undoDelete(task, index) {
+    this._insertTask(task, index);
+
+    try {
+      this.error = null;
+      const dbTask = await taskAPI.restore(task.id);
+      this._replaceTask(transformTask(dbTask));
+    } catch (error) {
+      console.error('Error restoring task:', error);
+      this._removeTask(task);
+      this.error = 'Failed to restore task. Please try again.';
     }
   }
 
+  _toast() {
+    return this.shadowRoot.querySelector('undo-toast');
+  }
+
+  _replaceTask(task) {
+    this.tasks = this.tasks.map(t => t.id === task.id ? task : t);
+  }
+
+  // Returns where the task was, so an undo can put it back in the same place
+  _removeTask(task) {
+    const index = this.tasks.findIndex(t => t.id === task.id);
+    this.tasks = this.tasks.filter(t => t.id !== task.id);
+    if (this.pagination) this.pagination = { ...this.pagination, total: this.pagination.total - 1 };
+    return index;
+  }
+
+  // A task that has just come into the list. One that sorts after everything loaded so far
+  // is left for "Load more" to fetch.
+  _addTask(task) {
+    const index = sortedIndex(this.tasks, task, SORT_FIELDS[this.filters.sort], this.filters.order);
+    const allLoaded = !this.pagination || this.pagination.page >= this.pagination.totalPages;
+    if (index < this.tasks.length || allLoaded) {
+      this._insertTask(task, index);
+    } else {
+      this.pagination = { ...this.pagination, total: this.pagination.total + 1 };
+    }
+  }
+
+  _insertTask(task, index) {
+    const tasks = this.tasks.filter(t => t.id !== task.id);
+    tasks.splice(index < 0 ? tasks.length : index, 0, task);
+    this.tasks = tasks;
+    if (this.pagination) this.pagination = { ...this.pagination, total: this.pagination.total + 1 };
+  }
+
   static styles = css`
     .container {
       padding: 20px;
@@ -421,6 +827,17 @@ class TaskList extends LitElement {
       border-bottom: none;
     }
 
+    .form-group.invalid label {
+      color: var(--ios-red, #FF3B30);
+    }
+
+    .field-error {
+      display: block;
+      padding: 0 20px 12px;
+      color: var(--ios-red, #FF3B30);
+      font-size: 13px;
+    }
+
     label {
       display: block;
       padding: 12px 20px 6px;
@@ -516,6 +933,54 @@ class TaskList extends LitElement {
       gap: 16px;
     }
 
+    .tender-scope {
+      display: flex;
+      justify-content: space-between;
+      align-items: center;
+      gap: 8px;
+      margin-bottom: 12px;
+      padding: 12px 16px;
+      border-radius: 12px;
+      background: rgba(0, 122, 255, 0.08);
+      font-size: 15px;
+      color: var(--ios-text, #000);
+    }
+
+    .btn-link {
+      padding: 0;
+      border: none;
+      background: none;
+      color: var(--ios-blue, #007AFF);
+      font-size: 15px;
+      font-weight: 600;
+      cursor: pointer;
+    }
+
+    .btn-load-more {
+      display: block;
+      width: 100%;
+      margin-top: 16px;
+      padding: 14px 20px;
+      border: none;
+      border-radius: 12px;
+      background: var(--ios-card, #FFFFFF);
+      color: var(--ios-blue, #007AFF);
+      font-size: 17px;
+      font-weight: 600;
+      cursor: pointer;
+      transition: all 0.2s cubic-bezier(0.25, 0.46, 0.45, 0.94);
+    }
+
+    .btn-load-more:active {
+      transform: scale(0.98);
+      opacity: 0.8;
+    }
+
+    .btn-load-more:disabled {
+      opacity: 0.6;
+      cursor: default;
+    }
+
     .empty-message, .loading-message {
       text-align: center;
       color: var(--ios-gray, #8E8E93);
@@ -544,6 +1009,7 @@ class TaskList extends LitElement {
       box-shadow: 0 2px 12px rgba(0, 0, 0, 0.04);
       transition: all 0.3s cubic-bezier(0.25, 0.46, 0.45, 0.94);
       animation: cardEntry 0.5s cubic-bezier(0.25, 0.46, 0.45, 0.94) backwards;
+      cursor: pointer;
     }
 
     @keyframes cardEntry {
@@ -598,6 +1064,16 @@ class TaskList extends LitElement {
       backdrop-filter: blur(20px);
     }
 
+    .pending-badge {
+      padding: 6px 14px;
+      margin-right: 8px;
+      border-radius: 20px;
+      font-size: 13px;
+      font-weight: 600;
+      background: rgba(255, 149, 0, 0.12);
+      color: var(--ios-orange, #FF9500);
+    }
+
     .status-pending {
       background-color: var(--ios-orange, #FF9500);
       color: white;
@@ -637,6 +1113,26 @@ class TaskList extends LitElement {
       border-top: 1px solid var(--ios-separator, rgba(60, 60, 67, 0.12));
     }
 
+    .activity-toggle {
+      display: block;
+      margin-top: 12px;
+      padding: 0;
+      border: none;
+      background: none;
+      color: var(--ios-blue, #007AFF);
+      font-size: 13px;
+      font-weight: 600;
+      font-family: inherit;
+      cursor: pointer;
+    }
+
+    .card-activity {
+      margin-top: 12px;
+      padding-top: 12px;
+      border-top: 1px solid var(--ios-separator, rgba(60, 60, 67, 0.12));
+      cursor: default;
+    }
+
     .status-select {
       flex: 1;
       padding: 10px 14px;
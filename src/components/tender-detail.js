@@ -0,0 +1,802 @@
+import { LitElement, html, css } from 'lit';
+import { format, parseISO, isPast, isToday } from 'date-fns';
+import {
+  ApiError, authAPI, tenderAPI, siteVisitAPI, documentAPI, commentAPI, taskAPI,
+  transformTender, transformSiteVisit, transformDocument, transformComment, transformTask,
+} from '../services/api';
+import { LiveUpdatesController } from '../controllers/live-updates';
+import { TENDER_STATUS_LABELS, isActiveStatus } from '../utils/tenderStatus';
+import './activity-timeline.js';
+
+// Full page for one tender at /tenders/:id: description, site visits, document links,
+// related tasks, comments and an activity timeline.
+class TenderDetail extends LitElement {
+  static properties = {
+    tender: { type: Object },
+    documents: { type: Array },
+    tasks: { type: Array },
+    comments: { type: Array },
+    loading: { type: Boolean },
+    error: { type: String },
+    notFound: { type: Boolean },
+    documentForm: { type: Object },
+    documentErrors: { type: Object },
+    commentText: { type: String },
+    commentErrors: { type: Object },
+    postingComment: { type: Boolean },
+    updatingFollow: { type: Boolean },
+  };
+
+  constructor() {
+    super();
+    this.tender = null;
+    this.documents = [];
+    this.tasks = [];
+    this.comments = [];
+    this.loading = true;
+    this.error = null;
+    this.notFound = false;
+    this.documentForm = { title: '', url: '' };
+    this.documentErrors = {};
+    this.commentText = '';
+    this.commentErrors = {};
+    this.postingComment = false;
+    this.updatingFollow = false;
+    this.tenderId = null;
+    this._live = new LiveUpdatesController(this);
+  }
+
+  // Called by Vaadin Router when navigating to this component
+  async onAfterEnter(location) {
+    this.tenderId = location.params.id;
+    await this._loadTender();
+  }
+
+  async _loadTender() {
+    try {
+      this.loading = true;
+      this.error = null;
+      this.notFound = false;
+
+      const [tender, documents, comments, tasks] = await Promise.all([
+        tenderAPI.get(this.tenderId),
+        documentAPI.getAll(this.tenderId),
+        commentAPI.getAll('tenders', this.tenderId),
+        taskAPI.getAll({ tenderId: this.tenderId, sort: 'due_date', order: 'asc', pageSize: 200 }),
+      ]);
+
+      this.tender = transformTender(tender);
+      this.documents = documents.map(transformDocument);
+      this.comments = comments.map(transformComment);
+      this.tasks = tasks.data.map(transformTask);
+    } catch (error) {
+      console.error('Error loading tender:', error);
+      if (error instanceof ApiError && error.status === 404) {
+        this.notFound = true;
+      } else {
+        this.error = 'Failed to load tender. Please try again.';
+      }
+    } finally {
+      this.loading = false;
+    }
+  }
+
+  render() {
+    return html`
+      <div class="container">
+        <a href="/" class="back-link">‹ All Tenders</a>
+
+        ${this.error ? html`<div class="error-message">${this.error}</div>` : ''}
+
+        ${this.loading
+          ? html`<p class="loading-message">Loading tender...</p>`
+          : this.notFound
+          ? html`<p class="empty-message">This tender does not exist or has been deleted.</p>`
+          : this.tender ? this._renderTender() : ''
+        }
+      </div>
+    `;
+  }
+
+  _renderTender() {
+    const tender = this.tender;
+    const closingDate = new Date(tender.closingDate);
+    const active = isActiveStatus(tender.status);
+    const isClosed = isPast(closingDate) && !isToday(closingDate);
+
+    return html`
+      <div class="card">
+        <div class="tender-title">
+          <h2>${tender.tenderNumber}</h2>
+          <span class="status-badge status-${tender.status.toLowerCase().replace('_', '-')}">
+            ${TENDER_STATUS_LABELS[tender.status]}
+          </span>
+          <button
+            class="btn-follow ${tender.following ? 'following' : ''}"
+            ?disabled="${this.updatingFollow}"
+            @click="${this._toggleFollow}"
+            title="${tender.following ? 'Stop being notified about this tender' : 'Be notified as this tender nears its closing date'}"
+          >
+            ${tender.following ? 'Following' : 'Follow'}
+          </button>
+        </div>
+        <p class="meta ${active && isClosed ? 'overdue' : ''}">
+          ${active && isClosed ? 'Deadline passed' : 'Closing'}: ${format(closingDate, 'dd/MM/yyyy')}
+          ${tender.submittedAt ? html` · Submitted: ${format(parseISO(tender.submittedAt), 'dd/MM/yyyy')}` : ''}
+        </p>
+        <p class="description">${tender.description}</p>
+        ${tender.outcomeReason ? html`
+          <p class="outcome"><strong>${TENDER_STATUS_LABELS[tender.status]}:</strong> ${tender.outcomeReason}</p>
+        ` : ''}
+      </div>
+
+      ${this._renderSiteVisits()}
+      ${this._renderDocuments()}
+      ${this._renderTasks()}
+      ${this._renderComments()}
+      ${this._renderTimeline()}
+    `;
+  }
+
+  _renderSiteVisits() {
+    const visits = this.tender.siteVisits;
+    const canComplete = authAPI.can('siteVisits:complete');
+
+    return html`
+      <section class="card">
+        <h3>Site Visits</h3>
+        ${visits.length === 0 ? html`<p class="empty-section">No site visits recorded.</p>` : html`
+          <ul class="rows">
+            ${visits.map(visit => html`
+              <li class="row site-visit ${visit.completed ? 'completed' : ''} ${canComplete ? '' : 'readonly'}"
+                  @click="${() => canComplete && this._toggleSiteVisit(visit)}">
+                <span class="visit-checkbox ${visit.completed ? 'checked' : ''}">
+                  <svg class="check-icon" width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="3">
+                    <polyline points="20,6 9,17 4,12"></polyline>
+                  </svg>
+                </span>
+                <span class="row-main">
+                  <span class="row-title">
+                    ${visit.visitDate ? format(parseISO(visit.visitDate), 'dd/MM/yyyy') : 'Date to be confirmed'}
+                    ${visit.visitTime ? ` ${visit.visitTime.substring(0, 5)}` : ''}
+                  </span>
+                  <span class="row-meta">
+                    ${[visit.location, visit.contact && `Contact: ${visit.contact}`, visit.attendee && `Attendee: ${visit.attendee}`]
+                      .filter(Boolean).join(' · ')}
+                  </span>
+                  ${visit.notes ? html`<span class="row-meta">${visit.notes}</span>` : ''}
+                </span>
+              </li>
+            `)}
+          </ul>
+        `}
+      </section>
+    `;
+  }
+
+  _renderDocuments() {
+    const canEdit = authAPI.can('tenders:update');
+
+    return html`
+      <section class="card">
+        <h3>Documents</h3>
+        ${this.documents.length === 0 ? html`<p class="empty-section">No documents linked.</p>` : html`
+          <ul class="rows">
+            ${this.documents.map(document => html`
+              <li class="row">
+                <span class="row-main">
+                  <a class="row-title" href="${document.url}" target="_blank" rel="noopener noreferrer">${document.title}</a>
+                  <span class="row-meta">
+                    Added ${format(new Date(document.createdAt), 'dd/MM/yyyy')}${document.addedBy ? ` by ${document.addedBy}` : ''}
+                  </span>
+                </span>
+                ${canEdit ? html`
+                  <button class="btn-remove" @click="${() => this._deleteDocument(document)}" aria-label="Remove document">×</button>
+                ` : ''}
+              </li>
+            `)}
+          </ul>
+        `}
+        ${canEdit ? html`
+          <form class="inline-form" @submit="${this._addDocument}">
+            <input
+              type="text"
+              .value="${this.documentForm.title}"
+              @input="${(e) => this.documentForm = { ...this.documentForm, title: e.target.value }}"
+              placeholder="Title"
+              maxlength="200"
+              required
+              aria-label="Document title"
+            />
+            <input
+              type="url"
+              .value="${this.documentForm.url}"
+              @input="${(e) => this.documentForm = { ...this.documentForm, url: e.target.value }}"
+              placeholder="https://..."
+              maxlength="2000"
+              required
+              aria-label="Document link"
+            />
+            <button type="submit" class="btn-primary">Add Link</button>
+          </form>
+          ${Object.values(this.documentErrors).map(message => html`<span class="field-error">${message}</span>`)}
+        ` : ''}
+      </section>
+    `;
+  }
+
+  _renderTasks() {
+    const completed = this.tasks.filter(task => task.status === 'COMPLETED').length;
+
+    return html`
+      <section class="card">
+        <div class="section-header">
+          <h3>Tasks${this.tasks.length > 0 ? ` · ${completed}/${this.tasks.length} completed` : ''}</h3>
+          ${authAPI.can('tasks:create') ? html`
+            <a class="section-link" href="/tasks?tender_id=${this.tender.id}&new=1">+ Add Task</a>
+          ` : ''}
+        </div>
+        ${this.tasks.length === 0 ? html`<p class="empty-section">No tasks for this tender yet.</p>` : html`
+          <ul class="rows">
+            ${this.tasks.map(task => html`
+              <li class="row">
+                <span class="row-main">
+                  <a class="row-title" href="/tasks/${task.id}">${task.description}</a>
+                  <span class="row-meta">${task.assignedTo} · Due ${format(new Date(task.dueDate), 'dd/MM/yyyy')}</span>
+                </span>
+                <span class="task-status status-${task.status.toLowerCase()}">${task.status}</span>
+              </li>
+            `)}
+          </ul>
+          <a class="section-link" href="/tasks?tender_id=${this.tender.id}">Open in task list</a>
+        `}
+      </section>
+    `;
+  }
+
+  _renderComments() {
+    const user = authAPI.currentUser();
+
+    return html`
+      <section class="card">
+        <h3>Comments</h3>
+        ${this.comments.length === 0 ? html`<p class="empty-section">No comments yet.</p>` : html`
+          <ul class="rows">
+            ${this.comments.map(comment => html`
+              <li class="row comment">
+                <span class="row-main">
+                  <span class="row-meta">
+                    <strong>${comment.authorName || 'Former user'}</strong>
+                    · ${format(new Date(comment.createdAt), 'dd/MM/yyyy HH:mm')}
+                  </span>
+                  <span class="comment-body">${comment.body}</span>
+                </span>
+                ${user && (comment.authorId === user.id || authAPI.can('comments:delete')) ? html`
+                  <button class="btn-remove" @click="${() => this._deleteComment(comment)}" aria-label="Delete comment">×</button>
+                ` : ''}
+              </li>
+            `)}
+          </ul>
+        `}
+        ${authAPI.can('comments:create') ? html`
+          <form class="comment-form" @submit="${this._postComment}">
+            <textarea
+              .value="${this.commentText}"
+              @input="${(e) => this.commentText = e.target.value}"
+              placeholder="Add a comment (type @ and a name to notify someone)"
+              maxlength="5000"
+              rows="3"
+              required
+            ></textarea>
+            ${this.commentErrors.body ? html`<span class="field-error">${this.commentErrors.body}</span>` : ''}
+            <button type="submit" class="btn-primary" ?disabled="${this.postingComment}">
+              ${this.postingComment ? 'Posting...' : 'Post Comment'}
+            </button>
+          </form>
+        ` : ''}
+      </section>
+    `;
+  }
+
+  _renderTimeline() {
+    return html`
+      <section class="card">
+        <h3>Activity</h3>
+        <activity-timeline .tenderId="${this.tender.id}"></activity-timeline>
+      </section>
+    `;
+  }
+
+  // Picks up the audit events for a change made on this page
+  _refreshActivity() {
+    const timeline = this.shadowRoot.querySelector('activity-timeline');
+    if (timeline) timeline.reload();
+  }
+
+  async _toggleFollow() {
+    try {
+      this.updatingFollow = true;
+      this.error = null;
+      const { following } = this.tender.following
+        ? await tenderAPI.unfollow(this.tender.id)
+        : await tenderAPI.follow(this.tender.id);
+      this.tender = { ...this.tender, following };
+    } catch (error) {
+      console.error('Error updating tender follow:', error);
+      this.error = this.tender.following
+        ? 'Failed to unfollow tender. Please try again.'
+        : 'Failed to follow tender. Please try again.';
+    } finally {
+      this.updatingFollow = false;
+    }
+  }
+
+  async _toggleSiteVisit(visit) {
+    try {
+      this.error = null;
+      const dbVisit = await siteVisitAPI.patch(this.tender.id, visit.id, { completed: !visit.completed });
+      const updated = transformSiteVisit(dbVisit);
+      this.tender = {
+        ...this.tender,
+        siteVisits: this.tender.siteVisits.map(v => v.id === visit.id ? updated : v),
+      };
+      this._refreshActivity();
+    } catch (error) {
+      console.error('Error updating site visit status:', error);
+      this.error = 'Failed to update site visit status. Please try again.';
+    }
+  }
+
+  async _addDocument(e) {
+    e.preventDefault();
+
+    try {
+      this.error = null;
+      this.documentErrors = {};
+      const dbDocument = await documentAPI.create(this.tender.id, this.documentForm);
+      this.documents = [...this.documents, transformDocument(dbDocument)];
+      this.documentForm = { title: '', url: '' };
+      this._refreshActivity();
+    } catch (error) {
+      console.error('Error adding document:', error);
+      if (error instanceof ApiError && Object.keys(error.fields).length > 0) {
+        this.documentErrors = error.fields;
+      } else {
+        this.error = 'Failed to add document. Please try again.';
+      }
+    }
+  }
+
+  async _deleteDocument(document) {
+    if (!confirm(`Remove the link to "${document.title}"?`)) return;
+
+    try {
+      this.error = null;
+      await documentAPI.delete(this.tender.id, document.id);
+      this.documents = this.documents.filter(d => d.id !== document.id);
+      this._refreshActivity();
+    } catch (error) {
+      console.error('Error deleting document:', error);
+      this.error = 'Failed to remove document. Please try again.';
+    }
+  }
+
+  async _postComment(e) {
+    e.preventDefault();
+
+    try {
+      this.postingComment = true;
+      this.error = null;
+      this.commentErrors = {};
+      const dbComment = await commentAPI.create('tenders', this.tender.id, this.commentText);
+      this.comments = [...this.comments, transformComment(dbComment)];
+      this.commentText = '';
+      this._refreshActivity();
+    } catch (error) {
+      console.error('Error posting comment:', error);
+      if (error instanceof ApiError && Object.keys(error.fields).length > 0) {
+        this.commentErrors = error.fields;
+      } else {
+        this.error = 'Failed to post comment. Please try again.';
+      }
+    } finally {
+      this.postingComment = false;
+    }
+  }
+
+  async _deleteComment(comment) {
+    if (!confirm('Delete this comment?')) return;
+
+    try {
+      this.error = null;
+      await commentAPI.delete('tenders', this.tender.id, comment.id);
+      this.comments = this.comments.filter(c => c.id !== comment.id);
+      this._refreshActivity();
+    } catch (error) {
+      console.error('Error deleting comment:', error);
+      this.error = 'Failed to delete comment. Please try again.';
+    }
+  }
+
+  static styles = css`
+    .container {
+      padding: 20px;
+      max-width: 600px;
+      margin: 0 auto;
+      animation: fadeIn 0.5s cubic-bezier(0.25, 0.46, 0.45, 0.94);
+    }
+
+    @keyframes fadeIn {
+      from {
+        opacity: 0;
+        transform: translateY(10px);
+        filter: blur(5px);
+      }
+      to {
+        opacity: 1;
+        transform: translateY(0);
+        filter: blur(0);
+      }
+    }
+
+    .back-link {
+      display: inline-block;
+      margin: 0 4px 16px;
+      color: var(--ios-blue, #007AFF);
+      font-size: 17px;
+      text-decoration: none;
+    }
+
+    .card {
+      background: var(--ios-card, #FFFFFF);
+      border-radius: 16px;
+      padding: 20px;
+      margin-bottom: 16px;
+      box-shadow: 0 2px 12px rgba(0, 0, 0, 0.06);
+    }
+
+    .tender-title {
+      display: flex;
+      align-items: center;
+      gap: 10px;
+      margin-bottom: 8px;
+    }
+
+    .btn-follow {
+      margin-left: auto;
+      padding: 6px 14px;
+      border: 1px solid var(--ios-blue, #007AFF);
+      border-radius: 16px;
+      background: transparent;
+      color: var(--ios-blue, #007AFF);
+      font-size: 14px;
+      font-weight: 600;
+      font-family: inherit;
+      cursor: pointer;
+    }
+
+    .btn-follow.following {
+      background: var(--ios-blue, #007AFF);
+      color: white;
+    }
+
+    .btn-follow:disabled {
+      opacity: 0.6;
+      cursor: default;
+    }
+
+    h2 {
+      margin: 0;
+      color: var(--ios-blue, #007AFF);
+      font-size: 22px;
+      font-weight: 600;
+      letter-spacing: -0.3px;
+    }
+
+    h3 {
+      margin: 0 0 12px;
+      color: var(--ios-text, #000);
+      font-size: 17px;
+      font-weight: 600;
+    }
+
+    .meta {
+      margin: 0 0 12px;
+      font-size: 13px;
+      color: var(--ios-gray, #8E8E93);
+    }
+
+    .meta.overdue {
+      color: var(--ios-red, #FF3B30);
+      font-weight: 600;
+    }
+
+    .description {
+      margin: 0;
+      color: var(--ios-text, #000);
+      font-size: 15px;
+      line-height: 1.5;
+      white-space: pre-wrap;
+    }
+
+    .outcome {
+      margin: 12px 0 0;
+      font-size: 15px;
+      color: var(--ios-text-secondary, #3C3C43);
+    }
+
+    .status-badge {
+      font-size: 12px;
+      font-weight: 600;
+      padding: 4px 10px;
+      border-radius: 12px;
+      text-transform: uppercase;
+      letter-spacing: 0.2px;
+      background: var(--ios-gray5, #E5E5EA);
+      color: var(--ios-text-secondary, #3C3C43);
+    }
+
+    .status-badge.status-preparing {
+      background: rgba(0, 122, 255, 0.12);
+      color: var(--ios-blue, #007AFF);
+    }
+
+    .status-badge.status-submitted {
+      background: rgba(175, 82, 222, 0.12);
+      color: var(--ios-purple, #AF52DE);
+    }
+
+    .status-badge.status-won {
+      background: var(--ios-green, #34C759);
+      color: white;
+    }
+
+    .status-badge.status-lost {
+      background: var(--ios-red, #FF3B30);
+      color: white;
+    }
+
+    .status-badge.status-cancelled, .status-badge.status-no-bid {
+      background: var(--ios-gray, #8E8E93);
+      color: white;
+    }
+
+    .section-header {
+      display: flex;
+      justify-content: space-between;
+      align-items: baseline;
+      gap: 8px;
+    }
+
+    .section-link {
+      display: inline-block;
+      margin-top: 8px;
+      color: var(--ios-blue, #007AFF);
+      font-size: 15px;
+      font-weight: 600;
+      text-decoration: none;
+    }
+
+    .empty-section {
+      margin: 0;
+      color: var(--ios-gray, #8E8E93);
+      font-size: 15px;
+    }
+
+    .rows {
+      list-style: none;
+      margin: 0;
+      padding: 0;
+    }
+
+    .row {
+      display: flex;
+      align-items: flex-start;
+      gap: 10px;
+      padding: 10px 0;
+      border-bottom: 1px solid var(--ios-separator, rgba(60, 60, 67, 0.12));
+    }
+
+    .row:last-child {
+      border-bottom: none;
+    }
+
+    .row-main {
+      flex: 1;
+      display: flex;
+      flex-direction: column;
+      gap: 2px;
+      min-width: 0;
+    }
+
+    .row-title {
+      color: var(--ios-text, #000);
+      font-size: 15px;
+      overflow-wrap: anywhere;
+    }
+
+    a.row-title {
+      color: var(--ios-blue, #007AFF);
+      text-decoration: none;
+    }
+
+    .row-meta {
+      color: var(--ios-gray, #8E8E93);
+      font-size: 13px;
+    }
+
+    .site-visit {
+      cursor: pointer;
+    }
+
+    .site-visit.readonly {
+      cursor: default;
+    }
+
+    .site-visit.completed .row-title {
+      color: var(--ios-green, #34C759);
+      text-decoration: line-through;
+    }
+
+    .visit-checkbox {
+      width: 18px;
+      height: 18px;
+      margin-top: 1px;
+      border: 2px solid var(--ios-gray4, #D1D1D6);
+      border-radius: 9px;
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      flex-shrink: 0;
+      transition: all 0.2s cubic-bezier(0.25, 0.46, 0.45, 0.94);
+    }
+
+    .visit-checkbox.checked {
+      background: var(--ios-green, #34C759);
+      border-color: var(--ios-green, #34C759);
+    }
+
+    .check-icon {
+      color: white;
+      opacity: 0;
+    }
+
+    .visit-checkbox.checked .check-icon {
+      opacity: 1;
+    }
+
+    .task-status {
+      flex-shrink: 0;
+      padding: 4px 10px;
+      border-radius: 12px;
+      font-size: 12px;
+      font-weight: 600;
+      color: white;
+      background: var(--ios-orange, #FF9500);
+    }
+
+    .task-status.status-sent {
+      background: var(--ios-blue, #007AFF);
+    }
+
+    .task-status.status-completed {
+      background: var(--ios-green, #34C759);
+    }
+
+    .comment-body {
+      color: var(--ios-text, #000);
+      font-size: 15px;
+      line-height: 1.4;
+      white-space: pre-wrap;
+      overflow-wrap: anywhere;
+    }
+
+    .btn-remove {
+      flex-shrink: 0;
+      width: 28px;
+      height: 28px;
+      border: none;
+      border-radius: 14px;
+      background: var(--ios-gray6, #F2F2F7);
+      color: var(--ios-red, #FF3B30);
+      font-size: 18px;
+      cursor: pointer;
+    }
+
+    .inline-form, .comment-form {
+      display: flex;
+      gap: 8px;
+      margin-top: 12px;
+    }
+
+    .comment-form {
+      flex-direction: column;
+    }
+
+    input, textarea {
+      flex: 1;
+      min-width: 0;
+      padding: 10px 12px;
+      border: 1px solid var(--ios-gray4, #D1D1D6);
+      border-radius: 10px;
+      font-size: 15px;
+      font-family: inherit;
+      background: var(--ios-card, #FFFFFF);
+      color: var(--ios-text, #000);
+      box-sizing: border-box;
+      -webkit-appearance: none;
+    }
+
+    textarea {
+      resize: vertical;
+    }
+
+    input:focus, textarea:focus {
+      outline: none;
+      border-color: var(--ios-blue, #007AFF);
+    }
+
+    .btn-primary {
+      flex-shrink: 0;
+      padding: 10px 16px;
+      border: none;
+      border-radius: 10px;
+      background-color: var(--ios-blue, #007AFF);
+      color: white;
+      font-size: 15px;
+      font-weight: 600;
+      cursor: pointer;
+      transition: all 0.2s cubic-bezier(0.25, 0.46, 0.45, 0.94);
+    }
+
+    .comment-form .btn-primary {
+      align-self: flex-end;
+    }
+
+    .btn-primary:active {
+      transform: scale(0.97);
+      opacity: 0.8;
+    }
+
+    .btn-primary:disabled {
+      opacity: 0.6;
+      cursor: default;
+    }
+
+    .field-error {
+      display: block;
+      margin-top: 6px;
+      color: var(--ios-red, #FF3B30);
+      font-size: 13px;
+    }
+
+
+    .error-message {
+      background: var(--ios-red, #FF3B30);
+      color: white;
+      padding: 12px 16px;
+      border-radius: 12px;
+      margin-bottom: 16px;
+      font-size: 15px;
+    }
+
+    .empty-message, .loading-message {
+      text-align: center;
+      color: var(--ios-gray, #8E8E93);
+      padding: 40px 20px;
+      font-size: 17px;
+    }
+
+    @media (max-width: 480px) {
+      .container {
+        padding: 16px;
+      }
+
+      .inline-form {
+        flex-direction: column;
+      }
+    }
+  `;
+}
+
+customElements.define('tender-detail', TenderDetail);
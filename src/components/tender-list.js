@@ -1,11 +1,44 @@
 import { LitElement, html, css } from 'lit';
 import { Router } from '@vaadin/router';
-import { tenderAPI, transformTender } from '../services/api';
+import { ApiError, authAPI, tenderAPI, siteVisitAPI, transformTender, transformSiteVisit, isOffline } from '../services/api';
 import { format, parseISO, isPast, isToday } from 'date-fns';
+import { filtersFromUrl, filtersToUrl, hasActiveFilters } from './list-toolbar';
+import './activity-timeline';
+import './undo-toast';
+import { mergeEdits } from './conflict-dialog';
+import { LiveUpdatesController } from '../controllers/live-updates';
+import { sortedIndex } from '../utils/listOrder';
+import { TENDER_STATUS_LABELS, nextStatuses, isActiveStatus, isOutcomeStatus, requiresReason } from '../utils/tenderStatus';
+
+const STATUS_FILTERS = [
+  { value: 'open', label: 'Open' },
+  { value: 'closing_today', label: 'Closing Today' },
+  { value: 'closed', label: 'Closed' },
+];
+
+const SORT_OPTIONS = [
+  { sort: 'created_at', order: 'desc', label: 'Newest first' },
+  { sort: 'closing_date', order: 'asc', label: 'Closing soonest' },
+  { sort: 'closing_date', order: 'desc', label: 'Closing latest' },
+];
+
+const FILTER_DEFAULTS = { sort: 'created_at', order: 'desc' };
+
+// The tender field each sort orders by, for placing tenders added while the list is open
+const SORT_FIELDS = { created_at: 'createdAt', closing_date: 'closingDate', tender_number: 'tenderNumber' };
+
+// Edit form fields compared when someone else saved the tender first
+const CONFLICT_FIELDS = [
+  { key: 'description', label: 'Description' },
+  { key: 'closingDate', label: 'Closing Date', display: value => value ? format(parseISO(value), 'dd/MM/yyyy') : '' },
+];
 
 class TenderList extends LitElement {
   static properties = {
     tenders: { type: Array },
+    pagination: { type: Object },
+    filters: { type: Object },
+    loadingMore: { type: Boolean },
     showForm: { type: Boolean },
     formData: { type: Object },
     loading: { type: Boolean },
@@ -13,23 +46,43 @@ class TenderList extends LitElement {
     editingId: { type: Number },
     siteVisitInputs: { type: Array },
     openMenuId: { type: String },
+    fieldErrors: { type: Object },
+    siteVisitErrors: { type: Object },
+    statusChange: { type: Object },
+    statusErrors: { type: Object },
+    activityOpenId: { type: Number },
+    conflict: { type: Object },
   };
 
   constructor() {
     super();
     this.tenders = [];
+    this.pagination = null;
+    this.filters = filtersFromUrl(FILTER_DEFAULTS);
+    this.loadingMore = false;
     this.showForm = false;
     this.formData = {
       description: '',
-      closingDate: '',
-      siteVisits: ''
+      closingDate: ''
     };
     this.loading = true;
     this.error = null;
     this._locationObserver = null;
     this.editingId = null;
-    this.siteVisitInputs = [''];
+    this.siteVisitInputs = [this._emptySiteVisit()];
     this.openMenuId = null;
+    this.fieldErrors = {};
+    this.siteVisitErrors = {};
+    this.statusChange = null;
+    this.statusErrors = {};
+    this.activityOpenId = null;
+    this.conflict = null;
+    // The form's values when it was opened, to tell the user's edits from other people's
+    this._editBase = null;
+    this._live = new LiveUpdatesController(this, {
+      onChange: change => this._applyChange(change),
+      onSync: () => this._loadTenders(),
+    });
   }
 
   async connectedCallback() {
@@ -63,44 +116,126 @@ class TenderList extends LitElement {
     await this._loadTenders();
   }
 
+  // Brings the list up to date after a change to a tender, or to a site visit or task of a
+  // tender on screen. The tender is fetched again through the current filters: it is then
+  // updated in place, added where the sort puts it, or dropped if it no longer matches.
+  async _applyChange(change) {
+    const id = change.entity === 'tender' ? change.entityId : change.tenderId;
+    if (!id || change.entity === 'comment') return;
+    if (change.entity !== 'tender' && !this.tenders.some(t => t.id === id)) return;
+
+    try {
+      const { data } = await tenderAPI.getAll({ ...this.filters, id });
+      const tender = data.length > 0 ? transformTender(data[0]) : null;
+      const shown = this.tenders.some(t => t.id === id);
+
+      if (tender && shown) {
+        this._replaceTender(tender);
+      } else if (tender) {
+        this._addTender(tender);
+      } else if (shown) {
+        this._removeTender({ id });
+      }
+    } catch (error) {
+      // Not worth interrupting anyone for; the next reload catches up
+      console.error('Error applying tender change:', error);
+    }
+  }
+
   async _loadTenders() {
     try {
-      this.loading = true;
       this.error = null;
-      const dbTenders = await tenderAPI.getAll();
-      this.tenders = dbTenders.map(transformTender);
+      // The URL is the source of truth, so back/forward and shared links restore the same view
+      this.filters = filtersFromUrl(FILTER_DEFAULTS);
+      // Show the list kept from last time while the current one loads
+      const cached = tenderAPI.getCached(this.filters);
+      if (cached) {
+        this.tenders = cached.data.map(transformTender);
+        this.pagination = cached.pagination;
+      }
+      this.loading = !cached;
+      const { data, pagination } = await tenderAPI.getAll(this.filters);
+      this.tenders = data.map(transformTender);
+      this.pagination = pagination;
     } catch (error) {
       console.error('Error loading tenders:', error);
-      this.error = 'Failed to load tenders. Please try again.';
+      this.error = isOffline(error)
+        ? 'You are offline and these tenders have not been loaded on this device yet.'
+        : 'Failed to load tenders. Please try again.';
     } finally {
       this.loading = false;
     }
   }
 
+  async _loadMoreTenders() {
+    try {
+      this.loadingMore = true;
+      this.error = null;
+      const { data, pagination } = await tenderAPI.getAll({ ...this.filters, page: this.pagination.page + 1 });
+      // Skip rows already shown (e.g. added locally since the first page loaded)
+      const shown = new Set(this.tenders.map(item => item.id));
+      this.tenders = [...this.tenders, ...data.map(transformTender).filter(item => !shown.has(item.id))];
+      this.pagination = pagination;
+    } catch (error) {
+      console.error('Error loading more tenders:', error);
+      this.error = 'Failed to load more tenders. Please try again.';
+    } finally {
+      this.loadingMore = false;
+    }
+  }
+
+  _handleFiltersChanged(e) {
+    filtersToUrl(e.detail, FILTER_DEFAULTS);
+    this._loadTenders();
+  }
+
   render() {
     return html`
       <div class="container">
         <div class="header">
           <h2>Tender Management</h2>
           <div class="header-actions">
-            <button class="fab" @click="${this._toggleForm}">
-              ${this.showForm ? '×' : '+'}
-            </button>
+            ${authAPI.can('tenders:create') ? html`
+              <button class="fab" @click="${this._toggleForm}">
+                ${this.showForm ? '×' : '+'}
+              </button>
+            ` : ''}
           </div>
         </div>
 
         ${this.showForm ? this._renderModal() : ''}
+        ${this.statusChange ? this._renderStatusDialog() : ''}
+        ${this.conflict ? this._renderConflictDialog() : ''}
 
         ${this.error ? html`<div class="error-message">${this.error}</div>` : ''}
 
+        <list-toolbar
+          .filters="${this.filters}"
+          .statusOptions="${STATUS_FILTERS}"
+          chipKey="closing"
+          .sortOptions="${SORT_OPTIONS}"
+          searchPlaceholder="Search description or tender number"
+          @filters-changed="${this._handleFiltersChanged}"
+        ></list-toolbar>
+
         <div class="tender-list">
           ${this.loading
             ? html`<p class="loading-message">Loading tenders...</p>`
+            : this.tenders.length === 0 && hasActiveFilters(this.filters)
+            ? html`<p class="empty-message">No tenders match these filters.</p>`
             : this.tenders.length === 0
-            ? html`<p class="empty-message">No tenders logged yet. Click + to add your first tender.</p>`
+            ? html`<p class="empty-message">No tenders logged yet.${authAPI.can('tenders:create') ? ' Click + to add your first tender.' : ''}</p>`
             : this.tenders.map(tender => this._renderTenderCard(tender))
           }
         </div>
+
+        ${!this.loading && this.pagination && this.pagination.page < this.pagination.totalPages ? html`
+          <button class="btn-load-more" ?disabled="${this.loadingMore}" @click="${this._loadMoreTenders}">
+            ${this.loadingMore ? 'Loading...' : `Load more (${this.pagination.total - this.tenders.length} remaining)`}
+          </button>
+        ` : ''}
+
+        <undo-toast></undo-toast>
       </div>
     `;
   }
@@ -128,18 +263,20 @@ class TenderList extends LitElement {
           </button>
         </div>
         <form @submit="${this._handleSubmit}">
-          <div class="form-group">
+          <div class="form-group ${this.fieldErrors.description ? 'invalid' : ''}">
             <label>Description *</label>
             <textarea
               .value="${this.formData.description}"
               @input="${(e) => this._updateFormData('description', e.target.value)}"
               required
+              maxlength="2000"
               placeholder="Enter tender description"
               rows="3"
             ></textarea>
+            ${this._renderFieldError(this.fieldErrors.description)}
           </div>
 
-          <div class="form-group">
+          <div class="form-group ${this.fieldErrors.closingDate ? 'invalid' : ''}">
             <label>Closing Date *</label>
             <input
               type="date"
@@ -147,32 +284,25 @@ class TenderList extends LitElement {
               @input="${(e) => this._updateFormData('closingDate', e.target.value)}"
               required
             />
+            ${this._renderFieldError(this.fieldErrors.closingDate)}
           </div>
 
           <div class="form-group site-visits-group">
             <label>Site Visits</label>
             <div class="site-visits-container">
-              ${this.siteVisitInputs.map((visit, index) => {
-                // Check if visit is completed and get clean text for input
-                const isCompleted = visit.startsWith('✓');
-                const inputValue = isCompleted ? visit.substring(1).trim() : visit;
-                
-                return html`
-                  <div class="site-visit-row ${isCompleted ? 'completed-visit' : ''}">
-                    ${isCompleted ? html`
-                      <div class="completion-indicator">
-                        <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="3">
-                          <polyline points="20,6 9,17 4,12"></polyline>
-                        </svg>
-                      </div>
-                    ` : ''}
-                    <input
-                      type="text"
-                      .value="${inputValue}"
-                      @input="${(e) => this._updateSiteVisit(index, e.target.value, isCompleted)}"
-                      placeholder="Enter site visit date (e.g., 15/01/2025)"
-                      class="site-visit-input ${isCompleted ? 'completed' : ''}"
-                    />
+              ${this.siteVisitInputs.map((visit, index) => html`
+                <div class="site-visit-row ${visit.completed ? 'completed-visit' : ''}">
+                  <div class="site-visit-row-header">
+                    <span class="site-visit-row-title">
+                      ${visit.completed ? html`
+                        <span class="completion-indicator">
+                          <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="3">
+                            <polyline points="20,6 9,17 4,12"></polyline>
+                          </svg>
+                        </span>
+                      ` : ''}
+                      Visit ${index + 1}
+                    </span>
                     ${this.siteVisitInputs.length > 1 ? html`
                       <button 
                         type="button" 
@@ -184,8 +314,57 @@ class TenderList extends LitElement {
                       </button>
                     ` : ''}
                   </div>
-                `;
-              })}
+                  <div class="site-visit-fields">
+                    <input
+                      type="date"
+                      .value="${visit.visitDate}"
+                      @input="${(e) => this._updateSiteVisit(index, 'visitDate', e.target.value)}"
+                      class="site-visit-input"
+                      aria-label="Visit date"
+                    />
+                    <input
+                      type="time"
+                      .value="${visit.visitTime}"
+                      @input="${(e) => this._updateSiteVisit(index, 'visitTime', e.target.value)}"
+                      class="site-visit-input"
+                      aria-label="Visit time"
+                    />
+                    <input
+                      type="text"
+                      .value="${visit.location}"
+                      @input="${(e) => this._updateSiteVisit(index, 'location', e.target.value)}"
+                      placeholder="Location"
+                      maxlength="200"
+                      class="site-visit-input wide"
+                    />
+                    <input
+                      type="text"
+                      .value="${visit.contact}"
+                      @input="${(e) => this._updateSiteVisit(index, 'contact', e.target.value)}"
+                      placeholder="Contact"
+                      maxlength="200"
+                      class="site-visit-input"
+                    />
+                    <input
+                      type="text"
+                      .value="${visit.attendee}"
+                      @input="${(e) => this._updateSiteVisit(index, 'attendee', e.target.value)}"
+                      placeholder="Attendee"
+                      maxlength="200"
+                      class="site-visit-input"
+                    />
+                    <input
+                      type="text"
+                      .value="${visit.notes}"
+                      @input="${(e) => this._updateSiteVisit(index, 'notes', e.target.value)}"
+                      placeholder="Notes"
+                      maxlength="2000"
+                      class="site-visit-input wide"
+                    />
+                  </div>
+                  ${Object.values(this.siteVisitErrors[index] || {}).map(message => this._renderFieldError(message))}
+                </div>
+              `)}
               <button 
                 type="button" 
                 class="btn-add-visit"
@@ -209,16 +388,29 @@ class TenderList extends LitElement {
     const closingDate = new Date(tender.closingDate);
     const isClosed = isPast(closingDate) && !isToday(closingDate);
     const closingToday = isToday(closingDate);
+    // The deadline only matters while the bid is still being worked on
+    const active = isActiveStatus(tender.status);
+    const transitions = nextStatuses(tender.status);
+    const canEdit = authAPI.can('tenders:update');
+    const canDelete = authAPI.can('tenders:delete');
+    const canAddTask = authAPI.can('tasks:create');
     
     return html`
-      <div class="tender-card ${isClosed ? 'closed' : ''}">
+      <div class="tender-card ${isOutcomeStatus(tender.status) ? 'closed' : ''}" @click="${() => Router.go(`/tenders/${tender.id}`)}">
         <div class="tender-header">
           <div class="tender-info">
-            <span class="tender-number">${tender.tenderNumber}</span>
-            <span class="closing-date ${isClosed ? 'closed' : closingToday ? 'closing-today' : ''}">
-              ${isClosed ? 'Closed' : closingToday ? 'Closing Today' : 'Closing'}: ${format(closingDate, 'dd/MM/yyyy')}
+            <span class="tender-title">
+              <span class="tender-number">${tender.tenderNumber}</span>
+              <span class="status-badge status-${tender.status.toLowerCase().replace('_', '-')}">
+                ${TENDER_STATUS_LABELS[tender.status]}
+              </span>
+              ${tender.pending ? html`<span class="pending-badge" title="Saved on this device; sent when you are back online">Not synced</span>` : ''}
+            </span>
+            <span class="closing-date ${active && isClosed ? 'closed' : active && closingToday ? 'closing-today' : ''}">
+              ${active && isClosed ? 'Deadline Passed' : active && closingToday ? 'Closing Today' : 'Closing'}: ${format(closingDate, 'dd/MM/yyyy')}
             </span>
           </div>
+          ${canEdit || canDelete || canAddTask ? html`
           <div class="card-menu" @click="${(e) => this._toggleMenu(e, tender.id)}">
             <button class="menu-trigger" aria-label="More options">
               <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
@@ -229,6 +421,7 @@ class TenderList extends LitElement {
             </button>
             ${this.openMenuId === tender.id ? html`
               <div class="menu-dropdown">
+                ${canEdit ? html`
                 <button class="menu-item" @click="${(e) => this._handleMenuAction(e, 'edit', tender)}">
                   <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                     <path d="m18 2 4 4L8 20l-4 4-4-4L14 6l4-4z"></path>
@@ -236,6 +429,25 @@ class TenderList extends LitElement {
                   </svg>
                   Edit
                 </button>
+                ${transitions.map(status => html`
+                  <button class="menu-item" @click="${(e) => this._handleMenuAction(e, 'status', tender, status)}">
+                    <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                      <polyline points="9,18 15,12 9,6"></polyline>
+                    </svg>
+                    Mark ${TENDER_STATUS_LABELS[status]}
+                  </button>
+                `)}
+                ` : ''}
+                ${canAddTask ? html`
+                <button class="menu-item" @click="${(e) => this._handleMenuAction(e, 'add-task', tender)}">
+                  <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                    <line x1="12" y1="5" x2="12" y2="19"></line>
+                    <line x1="5" y1="12" x2="19" y2="12"></line>
+                  </svg>
+                  Add Task
+                </button>
+                ` : ''}
+                ${canDelete ? html`
                 <button class="menu-item delete" @click="${(e) => this._handleMenuAction(e, 'delete', tender)}">
                   <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                     <polyline points="3,6 5,6 21,6"></polyline>
@@ -243,47 +455,106 @@ class TenderList extends LitElement {
                   </svg>
                   Delete
                 </button>
+                ` : ''}
               </div>
             ` : ''}
           </div>
+          ` : ''}
         </div>
         <p class="description">${tender.description}</p>
-        ${tender.siteVisits ? this._renderSiteVisits(tender.siteVisits) : ''}
+        ${tender.submittedAt || tender.outcomeReason ? html`
+          <div class="status-details">
+            ${tender.submittedAt ? html`<span>Submitted: ${format(parseISO(tender.submittedAt), 'dd/MM/yyyy')}</span>` : ''}
+            ${tender.outcomeReason ? html`<span>${TENDER_STATUS_LABELS[tender.status]}: ${tender.outcomeReason}</span>` : ''}
+          </div>
+        ` : ''}
+        ${this._renderSiteVisits(tender)}
+        ${this._renderTaskProgress(tender)}
+        ${this._renderActivity(tender)}
       </div>
     `;
   }
 
-  _renderSiteVisits(siteVisits) {
-    const visits = siteVisits.split(';').map(visit => visit.trim()).filter(visit => visit !== '');
-    
-    if (visits.length === 0) return '';
+  _toggleActivity(e, id) {
+    e.stopPropagation();
+    this.activityOpenId = this.activityOpenId === id ? null : id;
+  }
+
+  _renderActivity(tender) {
+    const open = this.activityOpenId === tender.id;
+
+    return html`
+      <button class="activity-toggle" aria-expanded="${open}" @click="${(e) => this._toggleActivity(e, tender.id)}">
+        ${open ? 'Hide activity' : 'Show activity'}
+      </button>
+      ${open ? html`
+        <div class="card-activity" @click="${(e) => e.stopPropagation()}">
+          <activity-timeline .tenderId="${tender.id}"></activity-timeline>
+        </div>
+      ` : ''}
+    `;
+  }
+
+  _openTenderTasks(e, tender) {
+    e.stopPropagation();
+    Router.go(`/tasks?tender_id=${tender.id}`);
+  }
+
+  _renderTaskProgress(tender) {
+    if (!tender.taskCount) return '';
+    const percent = Math.round((tender.tasksCompleted / tender.taskCount) * 100);
+
+    return html`
+      <button class="tasks-progress" @click="${(e) => this._openTenderTasks(e, tender)}">
+        <span class="tasks-progress-label">
+          Tasks: ${tender.tasksCompleted}/${tender.taskCount} completed
+        </span>
+        <span class="progress-track">
+          <span class="progress-fill" style="width: ${percent}%"></span>
+        </span>
+      </button>
+    `;
+  }
+
+  _renderSiteVisits(tender) {
+    if (!tender.siteVisits || tender.siteVisits.length === 0) return '';
+    const canComplete = authAPI.can('siteVisits:complete');
     
     return html`
       <div class="site-visits-display">
         <span class="site-visits-label">Site Visits:</span>
         <div class="site-visits-list">
-          ${visits.map((visit, index) => {
-            // Check if visit is marked as completed (starts with ✓)
-            const isCompleted = visit.startsWith('✓');
-            const visitText = isCompleted ? visit.substring(1).trim() : visit;
-            
-            return html`
-              <div class="site-visit-item ${isCompleted ? 'completed' : ''}" 
-                   @click="${(e) => this._toggleSiteVisitStatus(e, index, visit)}">
-                <div class="visit-checkbox ${isCompleted ? 'checked' : ''}">
-                  <svg class="check-icon" width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="3">
-                    <polyline points="20,6 9,17 4,12"></polyline>
-                  </svg>
-                </div>
-                <span class="visit-text">${visitText}</span>
+          ${tender.siteVisits.map(visit => html`
+            <div class="site-visit-item ${visit.completed ? 'completed' : ''} ${canComplete ? '' : 'readonly'}" 
+                 @click="${(e) => canComplete && this._toggleSiteVisitStatus(e, tender, visit)}">
+              <div class="visit-checkbox ${visit.completed ? 'checked' : ''}">
+                <svg class="check-icon" width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="3">
+                  <polyline points="20,6 9,17 4,12"></polyline>
+                </svg>
               </div>
-            `;
-          })}
+              <span class="visit-text">${this._formatSiteVisit(visit)}</span>
+            </div>
+          `)}
         </div>
       </div>
     `;
   }
 
+  _renderFieldError(message) {
+    return message ? html`<span class="field-error">${message}</span>` : '';
+  }
+
+  _formatSiteVisit(visit) {
+    const parts = [];
+    if (visit.visitDate) {
+      parts.push(format(parseISO(visit.visitDate), 'dd/MM/yyyy') + (visit.visitTime ? ` ${visit.visitTime.substring(0, 5)}` : ''));
+    }
+    if (visit.location) parts.push(visit.location);
+    if (visit.attendee) parts.push(visit.attendee);
+    if (parts.length === 0 && visit.notes) parts.push(visit.notes);
+    return parts.join(' · ');
+  }
+
   _toggleForm() {
     this.showForm = !this.showForm;
     if (!this.showForm) {
@@ -295,74 +566,148 @@ class TenderList extends LitElement {
     this.showForm = false;
     this._resetForm();
     this.editingId = null;
+    this._editBase = null;
   }
 
   _resetForm() {
     this.formData = {
       description: '',
-      closingDate: '',
-      siteVisits: ''
+      closingDate: ''
+    };
+    this.siteVisitInputs = [this._emptySiteVisit()];
+    this.fieldErrors = {};
+    this.siteVisitErrors = {};
+  }
+
+  _emptySiteVisit() {
+    return {
+      id: null,
+      visitDate: '',
+      visitTime: '',
+      location: '',
+      contact: '',
+      attendee: '',
+      completed: false,
+      notes: ''
     };
-    this.siteVisitInputs = [''];
+  }
+
+  _isBlankSiteVisit(visit) {
+    return ['visitDate', 'visitTime', 'location', 'contact', 'attendee', 'notes']
+      .every(field => !visit[field] || String(visit[field]).trim() === '');
   }
 
   _addSiteVisit() {
-    this.siteVisitInputs = [...this.siteVisitInputs, ''];
+    this.siteVisitInputs = [...this.siteVisitInputs, this._emptySiteVisit()];
     this.requestUpdate();
   }
 
   _removeSiteVisit(index) {
     if (this.siteVisitInputs.length > 1) {
       this.siteVisitInputs = this.siteVisitInputs.filter((_, i) => i !== index);
-      this._updateSiteVisitsFormData();
       this.requestUpdate();
     }
   }
 
-  _updateSiteVisit(index, value, wasCompleted = false) {
-    // If the visit was completed and we're editing it, preserve the completion status
-    const updatedValue = wasCompleted ? '✓' + value : value;
-    
+  _updateSiteVisit(index, field, value) {
     this.siteVisitInputs = this.siteVisitInputs.map((visit, i) => 
-      i === index ? updatedValue : visit
+      i === index ? { ...visit, [field]: value } : visit
     );
-    this._updateSiteVisitsFormData();
     this.requestUpdate();
   }
 
-  _updateSiteVisitsFormData() {
-    // Join non-empty site visits with semicolons
-    const validVisits = this.siteVisitInputs.filter(visit => visit.trim() !== '');
-    this.formData = { 
-      ...this.formData, 
-      siteVisits: validVisits.join('; ') 
-    };
+  // Create, update and delete site visits so the tender matches the form. Created rows get
+  // their new id, so retrying after a failed visit doesn't create the others twice.
+  async _saveSiteVisits(tenderId, originalVisits = []) {
+    try {
+      const keptIds = new Set(this.siteVisitInputs
+        .filter(visit => visit.id && !this._isBlankSiteVisit(visit))
+        .map(visit => visit.id));
+
+      for (const original of originalVisits) {
+        if (!keptIds.has(original.id)) {
+          await siteVisitAPI.delete(tenderId, original.id);
+        }
+      }
+
+      for (const [index, visit] of this.siteVisitInputs.entries()) {
+        if (this._isBlankSiteVisit(visit)) continue;
+
+        try {
+          if (visit.id) {
+            await siteVisitAPI.update(tenderId, visit.id, visit);
+          } else {
+            const created = await siteVisitAPI.create(tenderId, visit);
+            this.siteVisitInputs = this.siteVisitInputs.map((v, i) => 
+              i === index ? { ...v, id: created.id } : v
+            );
+          }
+        } catch (error) {
+          error.siteVisitIndex = index;
+          throw error;
+        }
+      }
+    } finally {
+      // Whatever happened, show the tender's visits as the server now has them. Offline, or
+      // for a tender still waiting in the outbox, the cached copy already has the changes.
+      const dbVisits = tenderId < 0 || !navigator.onLine
+        ? siteVisitAPI.getCached(tenderId)
+        : await siteVisitAPI.getAll(tenderId);
+      const siteVisits = dbVisits.map(transformSiteVisit);
+      this.tenders = this.tenders.map(t => 
+        t.id === tenderId ? { ...t, siteVisits } : t
+      );
+    }
   }
 
   async _handleSubmit(e) {
     e.preventDefault();
+    await this._saveTender();
+  }
+
+  async _saveTender() {
+    const action = this.editingId ? 'update' : 'create';
     
     try {
       this.error = null;
+      this.fieldErrors = {};
+      this.siteVisitErrors = {};
       
       if (this.editingId) {
         // Update existing tender
+        const existing = this.tenders.find(t => t.id === this.editingId);
         const dbTender = await tenderAPI.update(this.editingId, this.formData);
         const updatedTender = transformTender(dbTender);
         this.tenders = this.tenders.map(t => 
           t.id === this.editingId ? updatedTender : t
         );
+        await this._saveSiteVisits(this.editingId, existing ? existing.siteVisits : []);
       } else {
         // Create new tender
         const dbTender = await tenderAPI.create(this.formData);
         const newTender = transformTender(dbTender);
-        this.tenders = [newTender, ...this.tenders];
+        this.tenders = [newTender, ...this.tenders.filter(t => t.id !== newTender.id)];
+        // The form now edits the new tender, so a retry after a failed site visit doesn't create it twice
+        this.editingId = newTender.id;
+        this._editBase = this._formValues(newTender);
+        await this._saveSiteVisits(newTender.id);
       }
       
       this._cancelForm();
     } catch (error) {
       console.error('Error saving tender:', error);
-      this.error = `Failed to ${this.editingId ? 'update' : 'create'} tender. Please try again.`;
+      if (error instanceof ApiError && error.status === 409 && error.current) {
+        await this._showConflict(transformTender(error.current));
+      } else if (error instanceof ApiError && Object.keys(error.fields).length > 0) {
+        // Keep the form open with the messages next to the offending inputs
+        if (error.siteVisitIndex !== undefined) {
+          this.siteVisitErrors = { [error.siteVisitIndex]: error.fields };
+        } else {
+          this.fieldErrors = error.fields;
+        }
+      } else {
+        this.error = `Failed to ${action} tender. Please try again.`;
+      }
     }
     this.requestUpdate();
   }
@@ -401,58 +746,36 @@ class TenderList extends LitElement {
   }
 
 
-  _handleMenuAction(e, action, tender) {
+  _handleMenuAction(e, action, tender, status) {
     e.stopPropagation();
     this.openMenuId = null;
     
     if (action === 'edit') {
       this._editTender(tender);
+    } else if (action === 'status') {
+      this._startStatusChange(tender, status);
+    } else if (action === 'add-task') {
+      Router.go(`/tasks?tender_id=${tender.id}&new=1`);
     } else if (action === 'delete') {
-      this._deleteTender(tender.id);
+      this._deleteTender(tender);
     }
     
     this.requestUpdate();
   }
 
-  async _toggleSiteVisitStatus(e, index, currentVisit) {
+  async _toggleSiteVisitStatus(e, tender, visit) {
     e.stopPropagation();
     
-    // Find the tender that contains this site visit
-    const tender = this.tenders.find(t => {
-      if (!t.siteVisits) return false;
-      const visits = t.siteVisits.split(';').map(v => v.trim());
-      return visits.includes(currentVisit);
-    });
-    
-    if (!tender) return;
-    
     try {
-      const visits = tender.siteVisits.split(';').map(v => v.trim());
-      const isCompleted = currentVisit.startsWith('✓');
-      
-      // Toggle completion status
-      if (isCompleted) {
-        // Remove checkmark
-        visits[index] = currentVisit.substring(1).trim();
-      } else {
-        // Add checkmark
-        visits[index] = '✓' + currentVisit;
-      }
-      
-      const updatedSiteVisits = visits.join('; ');
-      const updatedTender = { ...tender, siteVisits: updatedSiteVisits };
-      
       // Update in database
-      const dbTender = await tenderAPI.update(tender.id, {
-        description: tender.description,
-        closingDate: tender.closingDate,
-        siteVisits: updatedSiteVisits
-      });
+      const dbVisit = await siteVisitAPI.patch(tender.id, visit.id, { completed: !visit.completed });
       
       // Update local state
-      const transformedTender = transformTender(dbTender);
+      const updatedVisit = transformSiteVisit(dbVisit);
       this.tenders = this.tenders.map(t => 
-        t.id === tender.id ? transformedTender : t
+        t.id === tender.id
+          ? { ...t, siteVisits: t.siteVisits.map(v => v.id === visit.id ? updatedVisit : v) }
+          : t
       );
       
       this.requestUpdate();
@@ -463,9 +786,170 @@ class TenderList extends LitElement {
     }
   }
 
-  _editTender(tender) {
-    this.editingId = tender.id;
-    
+  _startStatusChange(tender, status) {
+    // Submission and outcomes ask for details first; other moves apply straight away
+    if (status === 'SUBMITTED' || isOutcomeStatus(status)) {
+      this.statusErrors = {};
+      this.statusChange = {
+        tender,
+        status,
+        submittedAt: status === 'SUBMITTED' ? format(new Date(), 'yyyy-MM-dd') : '',
+        outcomeReason: '',
+      };
+    } else {
+      this._changeStatus(tender, { status });
+    }
+  }
+
+  _cancelStatusChange() {
+    this.statusChange = null;
+    this.statusErrors = {};
+  }
+
+  async _handleStatusSubmit(e) {
+    e.preventDefault();
+    const { tender, ...change } = this.statusChange;
+    await this._changeStatus(tender, change);
+  }
+
+  async _changeStatus(tender, change) {
+    // Moves made straight from the menu show at once; ones from the dialog wait for the
+    // server, which may reject the details entered
+    if (!this.statusChange) {
+      this._replaceTender({ ...tender, status: change.status });
+    }
+
+    try {
+      this.error = null;
+      this.statusErrors = {};
+      const dbTender = await tenderAPI.changeStatus(tender.id, change);
+      const updated = transformTender(dbTender);
+      this._replaceTender(updated);
+      this.statusChange = null;
+      this._toast().show({
+        message: `${tender.tenderNumber} marked ${TENDER_STATUS_LABELS[updated.status]}`,
+        undo: () => this._undoStatusChange(tender, updated),
+      });
+    } catch (error) {
+      console.error('Error updating tender status:', error);
+      this._replaceTender(tender);
+      const hasFields = error instanceof ApiError && Object.keys(error.fields).length > 0;
+      if (this.statusChange && hasFields) {
+        this.statusErrors = error.fields;
+      } else {
+        // Invalid moves (400), concurrent changes (409) and lost connections carry a message worth showing
+        this.statusChange = null;
+        this.error = (error instanceof ApiError && error.status === 409) || isOffline(error)
+          ? error.message
+          : hasFields
+          ? Object.values(error.fields).join(' ')
+          : 'Failed to update tender status. Please try again.';
+      }
+    }
+  }
+
+  // Someone else saved the tender while it was open in the form. The list shows their copy
+  // from now on, and the form takes their changes to fields the user left alone; the dialog
+  // asks which value to keep where both changed the same field.
+  async _showConflict(current) {
+    this._replaceTender(current);
+    const theirs = this._formValues(current);
+    const { values, fields } = mergeEdits(CONFLICT_FIELDS, this._editBase || theirs, this.formData, theirs);
+    this.formData = { ...values, version: current.version };
+    this._editBase = theirs;
+
+    if (fields.length === 0) {
+      // The two saves changed different fields, so the merged values can simply be saved
+      await this._saveTender();
+      return;
+    }
+    this.conflict = { tender: current, fields };
+  }
+
+  _renderConflictDialog() {
+    return html`
+      <conflict-dialog
+        heading="${this.conflict.tender.tenderNumber} was changed"
+        .fields="${this.conflict.fields}"
+        @conflict-resolved="${this._resolveConflict}"
+        @conflict-discarded="${this._discardConflict}"
+      ></conflict-dialog>
+    `;
+  }
+
+  async _resolveConflict(e) {
+    this.formData = { ...this.formData, ...e.detail.values, version: this.conflict.tender.version };
+    this.conflict = null;
+    await this._saveTender();
+  }
+
+  _discardConflict() {
+    this.conflict = null;
+    this._cancelForm();
+  }
+
+  _renderStatusDialog() {
+    const { tender, status } = this.statusChange;
+    const update = (field, value) => {
+      this.statusChange = { ...this.statusChange, [field]: value };
+    };
+
+    return html`
+      <div class="modal-overlay" @click="${(e) => e.target === e.currentTarget && this._cancelStatusChange()}">
+        <div class="modal-container" @click="${this._stopPropagation}">
+          <div class="form-container">
+            <div class="form-header">
+              <h3>Mark ${tender.tenderNumber} ${TENDER_STATUS_LABELS[status]}</h3>
+              <button type="button" class="modal-close" @click="${this._cancelStatusChange}" aria-label="Close">
+                <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                  <line x1="18" y1="6" x2="6" y2="18"></line>
+                  <line x1="6" y1="6" x2="18" y2="18"></line>
+                </svg>
+              </button>
+            </div>
+            <form @submit="${this._handleStatusSubmit}">
+              ${this.statusErrors.status ? html`
+                <div class="form-group invalid">${this._renderFieldError(this.statusErrors.status)}</div>
+              ` : ''}
+              ${status === 'SUBMITTED' ? html`
+                <div class="form-group ${this.statusErrors.submittedAt ? 'invalid' : ''}">
+                  <label>Submission Date *</label>
+                  <input
+                    type="date"
+                    .value="${this.statusChange.submittedAt}"
+                    @input="${(e) => update('submittedAt', e.target.value)}"
+                    required
+                  />
+                  ${this._renderFieldError(this.statusErrors.submittedAt)}
+                </div>
+              ` : html`
+                <div class="form-group ${this.statusErrors.outcomeReason ? 'invalid' : ''}">
+                  <label>${requiresReason(status) ? 'Reason *' : 'Notes'}</label>
+                  <textarea
+                    .value="${this.statusChange.outcomeReason}"
+                    @input="${(e) => update('outcomeReason', e.target.value)}"
+                    ?required="${requiresReason(status)}"
+                    maxlength="2000"
+                    placeholder="${requiresReason(status) ? 'Why did this tender end this way?' : 'Optional notes on the award'}"
+                    rows="3"
+                  ></textarea>
+                  ${this._renderFieldError(this.statusErrors.outcomeReason)}
+                </div>
+              `}
+
+              <div class="form-actions">
+                <button type="submit" class="btn-primary">Mark ${TENDER_STATUS_LABELS[status]}</button>
+                <button type="button" class="btn-secondary" @click="${this._cancelStatusChange}">Cancel</button>
+              </div>
+            </form>
+          </div>
+        </div>
+      </div>
+    `;
+  }
+
+  // The edit form's values for a tender, including the version the edit is based on
+  _formValues(tender) {
     // Format the closing date for the date input (YYYY-MM-DD)
     let formattedClosingDate = '';
     if (tender.closingDate) {
@@ -478,38 +962,122 @@ class TenderList extends LitElement {
         formattedClosingDate = tender.closingDate;
       }
     }
-    
-    this.formData = {
+
+    return {
       description: tender.description,
       closingDate: formattedClosingDate,
-      siteVisits: tender.siteVisits || ''
+      version: tender.version
     };
+  }
+
+  _editTender(tender) {
+    this.editingId = tender.id;
+    this.formData = this._formValues(tender);
+    this._editBase = { ...this.formData };
     
-    // Parse existing site visits into individual inputs, preserving completion status
-    if (tender.siteVisits && tender.siteVisits.trim() !== '') {
-      this.siteVisitInputs = tender.siteVisits.split(';').map(visit => visit.trim());
+    // Copy existing site visits into editable rows, preserving completion status
+    if (tender.siteVisits && tender.siteVisits.length > 0) {
+      this.siteVisitInputs = tender.siteVisits.map(visit => ({
+        ...this._emptySiteVisit(),
+        ...visit,
+        visitDate: visit.visitDate || '',
+        visitTime: visit.visitTime ? visit.visitTime.substring(0, 5) : '',
+        location: visit.location || '',
+        contact: visit.contact || '',
+        attendee: visit.attendee || '',
+        notes: visit.notes || ''
+      }));
     } else {
-      this.siteVisitInputs = [''];
+      this.siteVisitInputs = [this._emptySiteVisit()];
     }
     
     this.showForm = true;
     this.requestUpdate();
   }
 
-  async _deleteTender(id) {
-    if (confirm('Are you sure you want to delete this tender?')) {
-      try {
-        this.error = null;
-        await tenderAPI.delete(id);
-        this.tenders = this.tenders.filter(t => t.id !== id);
-      } catch (error) {
-        console.error('Error deleting tender:', error);
-        this.error = 'Failed to delete tender. Please try again.';
-      }
-      this.requestUpdate();
+  async _undoStatusChange(previous, updated) {
+    this._replaceTender(previous);
+
+    try {
+      this.error = null;
+      const dbTender = await tenderAPI.undoStatusChange(previous.id);
+      this._replaceTender(transformTender(dbTender));
+    } catch (error) {
+      console.error('Error undoing tender status change:', error);
+      this._replaceTender(updated);
+      this.error = error instanceof ApiError && error.status === 409
+        ? error.message
+        : 'Failed to undo the status change. Please try again.';
+    }
+  }
+
+  // The tender leaves the list straight away; Undo brings it back out of the trash
+  async _deleteTender(tender) {
+    const index = this._removeTender(tender);
+
+    try {
+      this.error = null;
+      await tenderAPI.delete(tender.id);
+      this._toast().show({
+        message: `${tender.tenderNumber} moved to the trash`,
+        undo: () => this._undoDelete(tender, index),
+      });
+    } catch (error) {
+      console.error('Error deleting tender:', error);
+      this._insertTender(tender, index);
+      this.error = 'Failed to delete tender. Please try again.';
     }
   }
 
+  async _undoDelete(tender, index) {
+    this._insertTender(tender, index);
+
+    try {
+      this.error = null;
+      const dbTender = await tenderAPI.restore(tender.id);
+      this._replaceTender(transformTender(dbTender));
+    } catch (error) {
+      console.error('Error restoring tender:', error);
+      this._removeTender(tender);
+      this.error = 'Failed to restore tender. Please try again.';
+    }
+  }
+
+  _toast() {
+    return this.shadowRoot.querySelector('undo-toast');
+  }
+
+  _replaceTender(tender) {
+    this.tenders = this.tenders.map(t => t.id === tender.id ? tender : t);
+  }
+
+  // Returns where the tender was, so an undo can put it back in the same place
+  _removeTender(tender) {
+    const index = this.tenders.findIndex(t => t.id === tender.id);
+    this.tenders = this.tenders.filter(t => t.id !== tender.id);
+    if (this.pagination) this.pagination = { ...this.pagination, total: this.pagination.total - 1 };
+    return index;
+  }
+
+  // A tender that has just come into the list. One that sorts after everything loaded so far
+  // is left for "Load more" to fetch.
+  _addTender(tender) {
+    const index = sortedIndex(this.tenders, tender, SORT_FIELDS[this.filters.sort], this.filters.order);
+    const allLoaded = !this.pagination || this.pagination.page >= this.pagination.totalPages;
+    if (index < this.tenders.length || allLoaded) {
+      this._insertTender(tender, index);
+    } else {
+      this.pagination = { ...this.pagination, total: this.pagination.total + 1 };
+    }
+  }
+
+  _insertTender(tender, index) {
+    const tenders = this.tenders.filter(t => t.id !== tender.id);
+    tenders.splice(index < 0 ? tenders.length : index, 0, tender);
+    this.tenders = tenders;
+    if (this.pagination) this.pagination = { ...this.pagination, total: this.pagination.total + 1 };
+  }
+
   static styles = css`
     .container {
       padding: 20px;
@@ -708,6 +1276,21 @@ class TenderList extends LitElement {
       background-color: var(--ios-gray6, rgba(242, 242, 247, 0.3));
     }
 
+    .form-group.invalid label {
+      color: var(--ios-red, #FF3B30);
+    }
+
+    .field-error {
+      display: block;
+      padding: 0 20px 12px;
+      color: var(--ios-red, #FF3B30);
+      font-size: 13px;
+    }
+
+    .site-visit-row .field-error {
+      padding: 8px 0 0;
+    }
+
     label {
       display: block;
       padding: 16px 20px 6px;
@@ -831,6 +1414,31 @@ class TenderList extends LitElement {
       gap: 16px;
     }
 
+    .btn-load-more {
+      display: block;
+      width: 100%;
+      margin-top: 16px;
+      padding: 14px 20px;
+      border: none;
+      border-radius: 12px;
+      background: var(--ios-card, #FFFFFF);
+      color: var(--ios-blue, #007AFF);
+      font-size: 17px;
+      font-weight: 600;
+      cursor: pointer;
+      transition: all 0.2s cubic-bezier(0.25, 0.46, 0.45, 0.94);
+    }
+
+    .btn-load-more:active {
+      transform: scale(0.98);
+      opacity: 0.8;
+    }
+
+    .btn-load-more:disabled {
+      opacity: 0.6;
+      cursor: default;
+    }
+
     .empty-message, .loading-message {
       text-align: center;
       color: var(--ios-gray, #8E8E93);
@@ -860,6 +1468,7 @@ class TenderList extends LitElement {
       transition: all 0.4s cubic-bezier(0.25, 0.46, 0.45, 0.94), transform 0.4s cubic-bezier(0.25, 0.46, 0.45, 0.94);
       animation: cardEntry 0.5s cubic-bezier(0.25, 0.46, 0.45, 0.94) backwards;
       will-change: transform;
+      cursor: pointer;
     }
 
 
@@ -940,6 +1549,66 @@ class TenderList extends LitElement {
       color: white;
     }
 
+    .tender-title {
+      display: flex;
+      align-items: center;
+      gap: 8px;
+    }
+
+    .status-badge {
+      font-size: 12px;
+      font-weight: 600;
+      padding: 4px 10px;
+      border-radius: 12px;
+      text-transform: uppercase;
+      letter-spacing: 0.2px;
+      background: var(--ios-gray5, #E5E5EA);
+      color: var(--ios-text-secondary, #3C3C43);
+    }
+
+    .pending-badge {
+      font-size: 12px;
+      font-weight: 600;
+      padding: 4px 10px;
+      border-radius: 12px;
+      background: rgba(255, 149, 0, 0.12);
+      color: var(--ios-orange, #FF9500);
+    }
+
+    .status-badge.status-preparing {
+      background: rgba(0, 122, 255, 0.12);
+      color: var(--ios-blue, #007AFF);
+    }
+
+    .status-badge.status-submitted {
+      background: rgba(175, 82, 222, 0.12);
+      color: var(--ios-purple, #AF52DE);
+    }
+
+    .status-badge.status-won {
+      background: var(--ios-green, #34C759);
+      color: white;
+    }
+
+    .status-badge.status-lost {
+      background: var(--ios-red, #FF3B30);
+      color: white;
+    }
+
+    .status-badge.status-cancelled, .status-badge.status-no-bid {
+      background: var(--ios-gray, #8E8E93);
+      color: white;
+    }
+
+    .status-details {
+      display: flex;
+      flex-direction: column;
+      gap: 4px;
+      margin: 0 0 12px;
+      font-size: 13px;
+      color: var(--ios-text-secondary, #3C3C43);
+    }
+
     .description {
       color: var(--ios-text, #000);
       margin: 0 0 12px;
@@ -947,6 +1616,63 @@ class TenderList extends LitElement {
       font-size: 15px;
     }
 
+    .tasks-progress {
+      display: flex;
+      flex-direction: column;
+      gap: 6px;
+      width: 100%;
+      margin-top: 12px;
+      padding: 0;
+      border: none;
+      background: none;
+      text-align: left;
+      font-family: inherit;
+      cursor: pointer;
+    }
+
+    .tasks-progress-label {
+      font-size: 13px;
+      font-weight: 600;
+      color: var(--ios-gray, #8E8E93);
+    }
+
+    .progress-track {
+      display: block;
+      width: 100%;
+      height: 6px;
+      border-radius: 3px;
+      background: var(--ios-gray5, #E5E5EA);
+      overflow: hidden;
+    }
+
+    .progress-fill {
+      display: block;
+      height: 100%;
+      border-radius: 3px;
+      background: var(--ios-green, #34C759);
+      transition: width 0.3s ease;
+    }
+
+    .activity-toggle {
+      display: block;
+      margin-top: 12px;
+      padding: 0;
+      border: none;
+      background: none;
+      color: var(--ios-blue, #007AFF);
+      font-size: 13px;
+      font-weight: 600;
+      font-family: inherit;
+      cursor: pointer;
+    }
+
+    .card-activity {
+      margin-top: 12px;
+      padding-top: 12px;
+      border-top: 1px solid var(--ios-separator, rgba(60, 60, 67, 0.12));
+      cursor: default;
+    }
+
     /* Site Visits Display Styles */
     .site-visits-display {
       margin: 12px 0 0;
@@ -988,6 +1714,15 @@ class TenderList extends LitElement {
       transform: translateY(0) scale(0.98);
     }
 
+    .site-visit-item.readonly {
+      cursor: default;
+    }
+
+    .site-visit-item.readonly:hover,
+    .site-visit-item.readonly:active {
+      transform: none;
+    }
+
     .site-visit-item.completed {
       background: rgba(52, 199, 89, 0.1);
       color: var(--ios-green, #34C759);
@@ -1183,19 +1918,49 @@ class TenderList extends LitElement {
     }
 
     .site-visit-row {
+      margin-bottom: 16px;
+      padding-bottom: 16px;
+      border-bottom: 1px solid var(--ios-separator, rgba(60, 60, 67, 0.12));
+      transition: all 0.2s ease;
+    }
+
+    .site-visit-row-header {
+      display: flex;
+      justify-content: space-between;
+      align-items: center;
+      margin-bottom: 8px;
+    }
+
+    .site-visit-row-title {
       display: flex;
       align-items: center;
-      gap: 12px;
-      margin-bottom: 12px;
-      transition: all 0.2s ease;
+      gap: 6px;
+      font-size: 13px;
+      font-weight: 600;
+      color: var(--ios-gray, #8E8E93);
     }
 
-    .site-visit-row:last-child {
-      margin-bottom: 0;
+    .completed-visit .site-visit-row-title,
+    .completion-indicator {
+      color: var(--ios-green, #34C759);
+    }
+
+    .completion-indicator {
+      display: inline-flex;
+    }
+
+    .site-visit-fields {
+      display: grid;
+      grid-template-columns: 1fr 1fr;
+      gap: 8px;
+    }
+
+    .site-visit-input.wide {
+      grid-column: 1 / -1;
     }
 
     .site-visit-input {
-      flex: 1;
+      min-width: 0;
       padding: 12px 16px !important;
       border: 1px solid var(--ios-gray4, #D1D1D6);
       border-radius: 10px;
@@ -0,0 +1,124 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { storage } from '../utils/storage';
+import { cacheList, queuedChanges } from '../services/offline';
+import { transformTender } from '../services/api';
+import './tender-list';
+
+const USER = { id: 7, name: 'Pat Admin', role: 'admin' };
+
+const SAVED_TENDER = {
+  id: 12, tender_number: 'TND-00012', description: 'Pool resurfacing', closing_date: '2026-11-30',
+  status: 'IDENTIFIED', version: 3, task_count: 0, tasks_completed: 0, created_at: '2026-10-01T08:00:00Z',
+  site_visits: [{
+    id: 40, tender_id: 12, visit_date: '2026-11-10', visit_time: null, location: 'Main pool',
+    contact: null, attendee: null, completed: false, notes: null,
+  }],
+};
+
+function setOnline(online) {
+  Object.defineProperty(navigator, 'onLine', { configurable: true, get: () => online });
+}
+
+function tenderList() {
+  return document.createElement('tender-list');
+}
+
+describe('tender-list saving offline', () => {
+  beforeEach(() => {
+    localStorage.clear();
+    storage.saveSession({ token: 'token', expiresAt: new Date(Date.now() + 3600000).toISOString(), user: USER });
+    cacheList('tender', { sort: 'created_at', order: 'desc' }, {
+      data: [SAVED_TENDER],
+      pagination: { page: 1, pageSize: 50, total: 1, totalPages: 1 },
+    });
+    setOnline(false);
+    vi.stubGlobal('fetch', vi.fn(() => Promise.reject(new TypeError('Failed to fetch'))));
+  });
+
+  it('queues a new tender and its site visits and shows the visits from the cache', async () => {
+    const list = tenderList();
+    list.formData = { description: 'Sports hall lighting', closingDate: '2026-12-15' };
+    list.siteVisitInputs = [{ ...list._emptySiteVisit(), visitDate: '2026-12-01', location: 'Sports hall' }];
+
+    await list._saveTender();
+
+    expect(list.error).toBe(null);
+    expect(list.showForm).toBe(false);
+    const [tender] = list.tenders;
+    expect(tender.id).toBeLessThan(0);
+    expect(tender.siteVisits.map(visit => visit.location)).toEqual(['Sports hall']);
+    expect(queuedChanges(USER.id).map(change => `${change.kind} ${change.action}`))
+      .toEqual(['tender create', 'siteVisit create']);
+    expect(fetch).not.toHaveBeenCalled();
+  });
+
+  it('queues changes to a saved tender and its site visits once', async () => {
+    const list = tenderList();
+    list.tenders = [transformTender(SAVED_TENDER)];
+    list._editTender(list.tenders[0]);
+    list.formData = { ...list.formData, description: 'Pool resurfacing and tiling' };
+    list.siteVisitInputs = [
+      { ...list.siteVisitInputs[0], location: 'Learner pool' },
+      { ...list._emptySiteVisit(), visitDate: '2026-11-20', location: 'Plant room' },
+    ];
+
+    await list._saveTender();
+
+    expect(list.error).toBe(null);
+    expect(list.showForm).toBe(false);
+    expect(list.tenders[0].description).toBe('Pool resurfacing and tiling');
+    expect(list.tenders[0].siteVisits.map(visit => visit.location)).toEqual(['Learner pool', 'Plant room']);
+    expect(queuedChanges(USER.id).map(change => `${change.kind} ${change.action}`))
+      .toEqual(['tender update', 'siteVisit update', 'siteVisit create']);
+  });
+});
+
+describe('tender-list changing status', () => {
+  beforeEach(() => {
+    localStorage.clear();
+    storage.saveSession({ token: 'token', expiresAt: new Date(Date.now() + 3600000).toISOString(), user: USER });
+    setOnline(true);
+  });
+
+  function respondWith(status, body) {
+    vi.stubGlobal('fetch', vi.fn(() => Promise.resolve(new Response(JSON.stringify(body), { status }))));
+  }
+
+  it('puts the status back and explains a refused move from the menu', async () => {
+    respondWith(403, { error: 'Forbidden' });
+    const list = tenderList();
+    const tender = transformTender(SAVED_TENDER);
+    list.tenders = [tender];
+
+    await list._changeStatus(tender, { status: 'PREPARING' });
+
+    expect(list.tenders[0].status).toBe('IDENTIFIED');
+    expect(list.error).toBe('Failed to update tender status. Please try again.');
+  });
+
+  it('closes the dialog and shows the message when someone else changed the status', async () => {
+    respondWith(409, { error: 'This tender was changed by someone else.', current: SAVED_TENDER });
+    const list = tenderList();
+    const tender = transformTender(SAVED_TENDER);
+    list.tenders = [tender];
+    list.statusChange = { tender, status: 'SUBMITTED', submittedAt: '2026-10-19', outcomeReason: '' };
+
+    await list._changeStatus(tender, { status: 'SUBMITTED', submittedAt: '2026-10-19' });
+
+    expect(list.statusChange).toBe(null);
+    expect(list.error).toBe('This tender was changed by someone else.');
+  });
+
+  it('keeps the dialog open with the messages for the details entered', async () => {
+    respondWith(400, { error: 'Validation failed', details: { submitted_at: 'Submitted date must be a date' } });
+    const list = tenderList();
+    const tender = transformTender(SAVED_TENDER);
+    list.tenders = [tender];
+    list.statusChange = { tender, status: 'SUBMITTED', submittedAt: 'soon', outcomeReason: '' };
+
+    await list._changeStatus(tender, { status: 'SUBMITTED', submittedAt: 'soon' });
+
+    expect(list.statusChange).not.toBe(null);
+    expect(list.statusErrors).toEqual({ submittedAt: 'Submitted date must be a date' });
+  });
+});
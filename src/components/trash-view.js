@@ -0,0 +1,398 @@
+import { LitElement, html, css } from 'lit';
+import { format } from 'date-fns';
+import { authAPI, tenderAPI, taskAPI, transformTender, transformTask } from '../services/api';
+import { LiveUpdatesController } from '../controllers/live-updates';
+
+const PAGE_SIZE = 50;
+
+// One section per kind of record that can be in the trash. Each is only shown to users
+// who may delete (and so restore or purge) that kind of record.
+const SECTIONS = [
+  {
+    key: 'tenders',
+    title: 'Tenders',
+    noun: 'tender',
+    permission: 'tenders:delete',
+    api: tenderAPI,
+    transform: transformTender,
+    titleOf: tender => tender.tenderNumber,
+    detailOf: tender => tender.description,
+  },
+  {
+    key: 'tasks',
+    title: 'Tasks',
+    noun: 'task',
+    permission: 'tasks:delete',
+    api: taskAPI,
+    transform: transformTask,
+    titleOf: task => task.description,
+    detailOf: task => `Assigned to ${task.assignedTo}${task.tenderNumber ? ` · ${task.tenderNumber}` : ''}`,
+  },
+];
+
+// Deleted tenders and tasks at /trash, each with Restore and Delete Forever actions.
+// Anything left here is purged automatically once its retention period is up.
+class TrashView extends LitElement {
+  static properties = {
+    trash: { type: Object },
+    loading: { type: Boolean },
+    error: { type: String },
+    busyKey: { type: String },
+  };
+
+  constructor() {
+    super();
+    this.trash = {};
+    this.loading = true;
+    this.error = null;
+    this.busyKey = null;
+    // The sections shown depend on the signed-in user's permissions
+    this._live = new LiveUpdatesController(this, { onAuthChange: () => this._loadTrash() });
+  }
+
+  // Called by Vaadin Router when navigating to this component
+  async onAfterEnter() {
+    await this._loadTrash();
+  }
+
+  _sections() {
+    return SECTIONS.filter(section => authAPI.can(section.permission));
+  }
+
+  async _loadTrash() {
+    try {
+      this.loading = true;
+      this.error = null;
+
+      const sections = this._sections();
+      const results = await Promise.all(sections.map(section => section.api.getTrash({ pageSize: PAGE_SIZE })));
+
+      const trash = {};
+      sections.forEach((section, index) => {
+        trash[section.key] = {
+          items: results[index].data.map(section.transform),
+          pagination: results[index].pagination,
+        };
+      });
+      this.trash = trash;
+    } catch (error) {
+      console.error('Error loading trash:', error);
+      this.error = 'Failed to load the trash. Please try again.';
+    } finally {
+      this.loading = false;
+    }
+  }
+
+  async _loadMore(section) {
+    const current = this.trash[section.key];
+
+    try {
+      this.busyKey = `${section.key}:more`;
+      this.error = null;
+      const result = await section.api.getTrash({ page: current.pagination.page + 1, pageSize: PAGE_SIZE });
+      this._setSection(section, {
+        items: [...current.items, ...result.data.map(section.transform)],
+        pagination: result.pagination,
+      });
+    } catch (error) {
+      console.error('Error loading trash:', error);
+      this.error = 'Failed to load the trash. Please try again.';
+    } finally {
+      this.busyKey = null;
+    }
+  }
+
+  render() {
+    const sections = this._sections();
+
+    return html`
+      <div class="container">
+        <h2>Trash</h2>
+        <p class="intro">
+          Deleted tenders and tasks stay here until they are restored or permanently deleted.
+          Anything left in the trash is removed for good on the date shown.
+        </p>
+
+        ${this.error ? html`<div class="error-message">${this.error}</div>` : ''}
+
+        ${this.loading
+          ? html`<p class="loading-message">Loading trash...</p>`
+          : sections.length === 0
+          ? html`<p class="empty-message">You don't have permission to manage deleted items.</p>`
+          : sections.map(section => this._renderSection(section))
+        }
+      </div>
+    `;
+  }
+
+  _renderSection(section) {
+    const { items, pagination } = this.trash[section.key] || { items: [], pagination: null };
+    const hasMore = pagination && pagination.page < pagination.totalPages;
+
+    return html`
+      <section class="card">
+        <h3>${section.title}${pagination && pagination.total > 0 ? html` <span class="count">${pagination.total}</span>` : ''}</h3>
+        ${items.length === 0 ? html`
+          <p class="empty-section">No deleted ${section.title.toLowerCase()}.</p>
+        ` : html`
+          <ul class="rows">
+            ${items.map(item => this._renderItem(section, item))}
+          </ul>
+        `}
+        ${hasMore ? html`
+          <button class="btn-link" ?disabled="${this.busyKey === `${section.key}:more`}" @click="${() => this._loadMore(section)}">
+            ${this.busyKey === `${section.key}:more` ? 'Loading...' : 'Show more'}
+          </button>
+        ` : ''}
+      </section>
+    `;
+  }
+
+  _renderItem(section, item) {
+    const busy = this.busyKey === `${section.key}:${item.id}`;
+
+    return html`
+      <li class="row">
+        <span class="row-main">
+          <span class="row-title">${section.titleOf(item)}</span>
+          <span class="row-detail">${section.detailOf(item)}</span>
+          <span class="row-meta">
+            Deleted ${format(new Date(item.deletedAt), 'dd/MM/yyyy HH:mm')}${item.deletedBy ? ` by ${item.deletedBy}` : ''}
+            · Removed for good on ${format(new Date(item.purgeAt), 'dd/MM/yyyy')}
+          </span>
+        </span>
+        <span class="row-actions">
+          <button class="btn-restore" ?disabled="${busy}" @click="${() => this._restore(section, item)}">Restore</button>
+          <button class="btn-purge" ?disabled="${busy}" @click="${() => this._purge(section, item)}">Delete Forever</button>
+        </span>
+      </li>
+    `;
+  }
+
+  async _restore(section, item) {
+    try {
+      this.busyKey = `${section.key}:${item.id}`;
+      this.error = null;
+      await section.api.restore(item.id);
+      this._removeItem(section, item);
+    } catch (error) {
+      console.error(`Error restoring ${section.noun}:`, error);
+      this.error = `Failed to restore ${section.noun}. Please try again.`;
+    } finally {
+      this.busyKey = null;
+    }
+  }
+
+  async _purge(section, item) {
+    if (!confirm(`Permanently delete this ${section.noun}? This cannot be undone.`)) return;
+
+    try {
+      this.busyKey = `${section.key}:${item.id}`;
+      this.error = null;
+      await section.api.purge(item.id);
+      this._removeItem(section, item);
+    } catch (error) {
+      console.error(`Error permanently deleting ${section.noun}:`, error);
+      this.error = `Failed to permanently delete ${section.noun}. Please try again.`;
+    } finally {
+      this.busyKey = null;
+    }
+  }
+
+  _removeItem(section, item) {
+    const { items, pagination } = this.trash[section.key];
+    this._setSection(section, {
+      items: items.filter(i => i.id !== item.id),
+      pagination: { ...pagination, total: pagination.total - 1 },
+    });
+  }
+
+  _setSection(section, value) {
+    this.trash = { ...this.trash, [section.key]: value };
+  }
+
+  static styles = css`
+    .container {
+      padding: 20px;
+      max-width: 600px;
+      margin: 0 auto;
+      animation: fadeIn 0.5s cubic-bezier(0.25, 0.46, 0.45, 0.94);
+    }
+
+    @keyframes fadeIn {
+      from {
+        opacity: 0;
+        transform: translateY(10px);
+        filter: blur(5px);
+      }
+      to {
+        opacity: 1;
+        transform: translateY(0);
+        filter: blur(0);
+      }
+    }
+
+    h2 {
+      margin: 0 4px 8px;
+      color: var(--ios-text, #000);
+      font-size: 28px;
+      font-weight: 700;
+      letter-spacing: -0.5px;
+    }
+
+    .intro {
+      margin: 0 4px 20px;
+      color: var(--ios-gray, #8E8E93);
+      font-size: 15px;
+      line-height: 1.4;
+    }
+
+    .card {
+      background: var(--ios-card, #FFFFFF);
+      border-radius: 16px;
+      padding: 20px;
+      margin-bottom: 16px;
+      box-shadow: 0 2px 12px rgba(0, 0, 0, 0.06);
+    }
+
+    h3 {
+      margin: 0 0 12px;
+      color: var(--ios-text, #000);
+      font-size: 17px;
+      font-weight: 600;
+    }
+
+    .count {
+      margin-left: 4px;
+      padding: 2px 8px;
+      border-radius: 10px;
+      background: var(--ios-gray5, #E5E5EA);
+      color: var(--ios-text-secondary, #3C3C43);
+      font-size: 13px;
+    }
+
+    .empty-section {
+      margin: 0;
+      color: var(--ios-gray, #8E8E93);
+      font-size: 15px;
+    }
+
+    .rows {
+      list-style: none;
+      margin: 0;
+      padding: 0;
+    }
+
+    .row {
+      display: flex;
+      align-items: flex-start;
+      gap: 10px;
+      padding: 12px 0;
+      border-bottom: 1px solid var(--ios-separator, rgba(60, 60, 67, 0.12));
+    }
+
+    .row:last-child {
+      border-bottom: none;
+    }
+
+    .row-main {
+      flex: 1;
+      display: flex;
+      flex-direction: column;
+      gap: 2px;
+      min-width: 0;
+    }
+
+    .row-title {
+      color: var(--ios-text, #000);
+      font-size: 15px;
+      font-weight: 600;
+      overflow-wrap: anywhere;
+    }
+
+    .row-detail {
+      color: var(--ios-text-secondary, #3C3C43);
+      font-size: 15px;
+      overflow-wrap: anywhere;
+    }
+
+    .row-meta {
+      color: var(--ios-gray, #8E8E93);
+      font-size: 13px;
+    }
+
+    .row-actions {
+      display: flex;
+      flex-direction: column;
+      gap: 6px;
+      flex-shrink: 0;
+    }
+
+    .btn-restore, .btn-purge {
+      padding: 8px 12px;
+      border: none;
+      border-radius: 10px;
+      font-size: 14px;
+      font-weight: 600;
+      font-family: inherit;
+      cursor: pointer;
+      transition: all 0.2s cubic-bezier(0.25, 0.46, 0.45, 0.94);
+    }
+
+    .btn-restore {
+      background: var(--ios-blue, #007AFF);
+      color: white;
+    }
+
+    .btn-purge {
+      background: var(--ios-gray6, #F2F2F7);
+      color: var(--ios-red, #FF3B30);
+    }
+
+    .btn-restore:active, .btn-purge:active {
+      transform: scale(0.97);
+      opacity: 0.8;
+    }
+
+    .btn-restore:disabled, .btn-purge:disabled, .btn-link:disabled {
+      opacity: 0.6;
+      cursor: default;
+    }
+
+    .btn-link {
+      margin-top: 8px;
+      padding: 0;
+      border: none;
+      background: none;
+      color: var(--ios-blue, #007AFF);
+      font-size: 15px;
+      font-weight: 600;
+      font-family: inherit;
+      cursor: pointer;
+    }
+
+    .error-message {
+      background: var(--ios-red, #FF3B30);
+      color: white;
+      padding: 12px 16px;
+      border-radius: 12px;
+      margin-bottom: 16px;
+      font-size: 15px;
+    }
+
+    .empty-message, .loading-message {
+      text-align: center;
+      color: var(--ios-gray, #8E8E93);
+      padding: 40px 20px;
+      font-size: 17px;
+    }
+
+    @media (max-width: 480px) {
+      .container {
+        padding: 16px;
+      }
+    }
+  `;
+}
+
+customElements.define('trash-view', TrashView);
@@ -0,0 +1,139 @@
+import { LitElement, html, css } from 'lit';
+
+const DEFAULT_DURATION = 6000;
+
+// Snackbar offering to undo a change that has just been made. The owner renders one
+// <undo-toast> and calls `show({ message, undo })` after each change; `undo` is called
+// if the user presses Undo before the toast times out. Showing a new toast replaces the
+// current one, whose change then stays.
+class UndoToast extends LitElement {
+  static properties = {
+    message: { type: String },
+    open: { type: Boolean, reflect: true },
+    undoing: { type: Boolean },
+  };
+
+  constructor() {
+    super();
+    this.message = '';
+    this.open = false;
+    this.undoing = false;
+    this._undo = null;
+    this._timer = null;
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+    this.dismiss();
+  }
+
+  show({ message, undo, duration = DEFAULT_DURATION }) {
+    clearTimeout(this._timer);
+    this.message = message;
+    this._undo = undo;
+    this.undoing = false;
+    this.open = true;
+    this._timer = setTimeout(() => this.dismiss(), duration);
+  }
+
+  dismiss() {
+    clearTimeout(this._timer);
+    this._timer = null;
+    this._undo = null;
+    this.open = false;
+  }
+
+  async _handleUndo() {
+    const undo = this._undo;
+    if (!undo) return;
+
+    clearTimeout(this._timer);
+    this.undoing = true;
+    try {
+      await undo();
+    } finally {
+      // A newer toast may have been shown while the undo was running
+      if (this._undo === undo) this.dismiss();
+    }
+  }
+
+  render() {
+    return html`
+      <div class="toast" role="status" aria-live="polite">
+        <span class="message">${this.message}</span>
+        <button class="undo" ?disabled="${this.undoing}" @click="${this._handleUndo}">
+          ${this.undoing ? 'Undoing...' : 'Undo'}
+        </button>
+      </div>
+    `;
+  }
+
+  static styles = css`
+    :host {
+      position: fixed;
+      left: 50%;
+      bottom: 24px;
+      z-index: 1000;
+      width: max-content;
+      max-width: calc(100% - 32px);
+      transform: translate(-50%, 120px);
+      opacity: 0;
+      pointer-events: none;
+      transition: all 0.3s cubic-bezier(0.25, 0.46, 0.45, 0.94);
+    }
+
+    :host([open]) {
+      transform: translate(-50%, 0);
+      opacity: 1;
+      pointer-events: auto;
+    }
+
+    .toast {
+      display: flex;
+      align-items: center;
+      gap: 16px;
+      padding: 12px 12px 12px 18px;
+      border-radius: 14px;
+      background: rgba(28, 28, 30, 0.94);
+      color: white;
+      font-size: 15px;
+      box-shadow: 0 8px 24px rgba(0, 0, 0, 0.2);
+      backdrop-filter: blur(20px);
+      -webkit-backdrop-filter: blur(20px);
+    }
+
+    .message {
+      overflow-wrap: anywhere;
+    }
+
+    .undo {
+      flex-shrink: 0;
+      padding: 6px 12px;
+      border: none;
+      border-radius: 8px;
+      background: transparent;
+      color: var(--ios-teal, #5AC8FA);
+      font-size: 15px;
+      font-weight: 600;
+      font-family: inherit;
+      cursor: pointer;
+    }
+
+    .undo:active {
+      background: rgba(255, 255, 255, 0.12);
+    }
+
+    .undo:disabled {
+      opacity: 0.6;
+      cursor: default;
+    }
+
+    @media (max-width: 480px) {
+      :host {
+        bottom: 88px;
+      }
+    }
+  `;
+}
+
+customElements.define('undo-toast', UndoToast);
@@ -0,0 +1,119 @@
+import { LitElement, html, css } from 'lit';
+import { applyUpdate, updateAvailable } from '../services/pwa';
+
+// Tells the user a new version of the app has been downloaded and offers to switch to it.
+// "Later" hides the prompt; the new version is then used the next time the app is opened.
+class UpdatePrompt extends LitElement {
+  static properties = {
+    open: { type: Boolean, reflect: true },
+    updating: { type: Boolean },
+  };
+
+  constructor() {
+    super();
+    this.open = updateAvailable();
+    this.updating = false;
+    this._handleUpdate = () => {
+      this.open = true;
+    };
+  }
+
+  connectedCallback() {
+    super.connectedCallback();
+    window.addEventListener('app-update-available', this._handleUpdate);
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+    window.removeEventListener('app-update-available', this._handleUpdate);
+  }
+
+  _reload() {
+    this.updating = true;
+    // The page reloads once the new version has taken over
+    applyUpdate();
+  }
+
+  render() {
+    return html`
+      <div class="prompt" role="status" aria-live="polite">
+        <span class="message">A new version of the app is available.</span>
+        <button class="later" @click="${() => { this.open = false; }}">Later</button>
+        <button class="reload" ?disabled="${this.updating}" @click="${this._reload}">
+          ${this.updating ? 'Updating...' : 'Reload'}
+        </button>
+      </div>
+    `;
+  }
+
+  static styles = css`
+    :host {
+      position: fixed;
+      left: 50%;
+      top: calc(env(safe-area-inset-top, 0px) + 16px);
+      z-index: 1000;
+      width: max-content;
+      max-width: calc(100% - 32px);
+      transform: translate(-50%, -160px);
+      opacity: 0;
+      pointer-events: none;
+      transition: all 0.3s cubic-bezier(0.25, 0.46, 0.45, 0.94);
+    }
+
+    :host([open]) {
+      transform: translate(-50%, 0);
+      opacity: 1;
+      pointer-events: auto;
+    }
+
+    .prompt {
+      display: flex;
+      align-items: center;
+      gap: 8px;
+      padding: 12px 12px 12px 18px;
+      border-radius: 14px;
+      background: rgba(28, 28, 30, 0.94);
+      color: white;
+      font-size: 15px;
+      box-shadow: 0 8px 24px rgba(0, 0, 0, 0.2);
+      backdrop-filter: blur(20px);
+      -webkit-backdrop-filter: blur(20px);
+    }
+
+    .message {
+      margin-right: 8px;
+      overflow-wrap: anywhere;
+    }
+
+    button {
+      flex-shrink: 0;
+      padding: 6px 12px;
+      border: none;
+      border-radius: 8px;
+      background: transparent;
+      font-size: 15px;
+      font-weight: 600;
+      font-family: inherit;
+      cursor: pointer;
+    }
+
+    .later {
+      color: var(--ios-gray3, #C7C7CC);
+    }
+
+    .reload {
+      color: var(--ios-teal, #5AC8FA);
+    }
+
+    button:active {
+      background: rgba(255, 255, 255, 0.12);
+    }
+
+    button:disabled {
+      opacity: 0.6;
+      cursor: default;
+    }
+  `;
+}
+
+customElements.define('update-prompt', UpdatePrompt);
@@ -0,0 +1,63 @@
+import { subscribeToChanges } from '../services/changes';
+
+// Changes often come in bursts (e.g. a tender and its tasks); `onChanges` waits this long
+// for them to settle
+const CHANGE_DEBOUNCE_MS = 1000;
+
+// Keeps a component in step with what happens outside it while it is on the page. Each
+// hook is optional:
+//   - `onChange(change)` gets every change (see services/changes.js), one at a time and in
+//     the order they happened, each once the last has been dealt with. That includes the
+//     user's own changes, from this tab as well as others, so applying one must be safe to
+//     repeat for a record the view has already updated
+//   - `onChanges()` is called once a burst of changes has settled, for views that simply
+//     load everything again
+//   - `onSync()` is called when changes made offline have been sent, so records created
+//     offline now have real ids
+//   - `onAuthChange()` is called when the signed-in user, and so their permissions, change;
+//     it re-renders the component unless given
+export class LiveUpdatesController {
+  constructor(host, { onChange, onChanges, onSync, onAuthChange } = {}) {
+    this.host = host;
+    this.onChange = onChange;
+    this.onChanges = onChanges;
+    this.onSync = onSync;
+    this.onAuthChange = onAuthChange || (() => host.requestUpdate());
+    this._queue = Promise.resolve();
+    this._timer = null;
+    this._unsubscribe = null;
+    this._handleSync = () => this.onSync();
+    this._handleAuth = () => this.onAuthChange();
+    host.addController(this);
+  }
+
+  hostConnected() {
+    if (this.onChange || this.onChanges) {
+      this._unsubscribe = subscribeToChanges(change => this._receive(change));
+    }
+    if (this.onSync) window.addEventListener('outbox-synced', this._handleSync);
+    window.addEventListener('auth-changed', this._handleAuth);
+  }
+
+  hostDisconnected() {
+    if (this._unsubscribe) {
+      this._unsubscribe();
+      this._unsubscribe = null;
+    }
+    clearTimeout(this._timer);
+    window.removeEventListener('outbox-synced', this._handleSync);
+    window.removeEventListener('auth-changed', this._handleAuth);
+  }
+
+  _receive(change) {
+    if (this.onChange) {
+      this._queue = this._queue
+        .then(() => this.onChange(change))
+        .catch(error => console.error('Error applying change:', error));
+    }
+    if (this.onChanges) {
+      clearTimeout(this._timer);
+      this._timer = setTimeout(() => this.onChanges(), CHANGE_DEBOUNCE_MS);
+    }
+  }
+}
@@ -1,13 +1,25 @@
 import { LitElement, css, html } from 'lit'
 import { Router } from '@vaadin/router';
+import { authAPI } from './services/api.js';
 import './components/tender-list.js';
+import './components/tender-detail.js';
 import './components/task-list.js';
+import './components/task-detail.js';
+import './components/calendar-view.js';
+import './components/trash-view.js';
+import './components/login-view.js';
+import './components/sync-status.js';
+import './components/notification-bell.js';
+import './components/calendar-feed.js';
+import './components/update-prompt.js';
+import { registerServiceWorker } from './services/pwa.js';
 
 export class MyElement extends LitElement {
   static get properties() {
     return {
       currentView: { type: String },
       isDarkMode: { type: Boolean },
+      currentUser: { type: Object },
     }
   }
 
@@ -17,26 +29,68 @@ export class MyElement extends LitElement {
     this.isDarkMode = localStorage.getItem('theme') === 'dark' || 
                       (window.matchMedia && window.matchMedia('(prefers-color-scheme: dark)').matches);
     this._applyTheme();
+    this.currentUser = authAPI.currentUser();
+    this._handleAuthChanged = this._handleAuthChanged.bind(this);
+  }
+
+  connectedCallback() {
+    super.connectedCallback();
+    window.addEventListener('auth-changed', this._handleAuthChanged);
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+    window.removeEventListener('auth-changed', this._handleAuthChanged);
   }
 
   firstUpdated() {
+    if (this.currentUser) {
+      authAPI.refresh().catch(error => console.error('Error refreshing user:', error));
+    }
+
     const outlet = this.shadowRoot.getElementById('outlet');
     const router = new Router(outlet);
     
     router.setRoutes([
+      {
+        path: '/login',
+        component: 'login-view',
+        action: (context, commands) => {
+          if (authAPI.currentUser()) {
+            return commands.redirect('/');
+          }
+          this.currentView = 'login';
+        }
+      },
       { 
         path: '/', 
         component: 'tender-list',
-        action: () => { 
-          this.currentView = 'tenders';
-        }
+        action: (context, commands) => this._requireLogin(commands, 'tenders')
+      },
+      {
+        path: '/tenders/:id',
+        component: 'tender-detail',
+        action: (context, commands) => this._requireLogin(commands, 'tenders')
       },
       { 
         path: '/tasks', 
         component: 'task-list',
-        action: () => { 
-          this.currentView = 'tasks';
-        }
+        action: (context, commands) => this._requireLogin(commands, 'tasks')
+      },
+      {
+        path: '/tasks/:id',
+        component: 'task-detail',
+        action: (context, commands) => this._requireLogin(commands, 'tasks')
+      },
+      {
+        path: '/calendar',
+        component: 'calendar-view',
+        action: (context, commands) => this._requireLogin(commands, 'calendar')
+      },
+      {
+        path: '/trash',
+        component: 'trash-view',
+        action: (context, commands) => this._requireLogin(commands, 'trash')
       },
       { path: '(.*)', redirect: '/' }
     ]);
@@ -53,9 +107,17 @@ export class MyElement extends LitElement {
         <header class="app-header">
           <h1>ELSPORT ENTERPRISE</h1>
           <p>Tender & Task Management</p>
+          ${this.currentUser ? html`
+            <div class="user-bar">
+              <notification-bell></notification-bell>
+              <calendar-feed></calendar-feed>
+              <span class="user-name">${this.currentUser.name}</span>
+              <button class="logout-button" @click="${this._logout}">Log Out</button>
+            </div>
+          ` : ''}
         </header>
 
-        <nav class="nav-tabs">
+        <nav class="nav-tabs" ?hidden="${this.currentView === 'login'}">
           <a 
             href="/" 
             class="nav-tab ${this.currentView === 'tenders' ? 'active' : ''}"
@@ -78,11 +140,41 @@ export class MyElement extends LitElement {
             </svg>
             <span>Tasks</span>
           </a>
+          <a
+            href="/calendar"
+            class="nav-tab ${this.currentView === 'calendar' ? 'active' : ''}"
+            @click=${(e) => this._handleNavClick(e, 'calendar')}
+          >
+            <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+              <rect x="3" y="4" width="18" height="18" rx="2" />
+              <path d="M16 2v4M8 2v4M3 10h18" />
+            </svg>
+            <span>Calendar</span>
+          </a>
+          ${authAPI.can('tenders:delete') || authAPI.can('tasks:delete') ? html`
+            <a
+              href="/trash"
+              class="nav-tab ${this.currentView === 'trash' ? 'active' : ''}"
+              @click=${(e) => this._handleNavClick(e, 'trash')}
+            >
+              <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                <polyline points="3 6 5 6 21 6" />
+                <path d="M19 6l-1 14a2 2 0 0 1-2 2H8a2 2 0 0 1-2-2L5 6" />
+                <path d="M10 11v6M14 11v6" />
+                <path d="M9 6V4a1 1 0 0 1 1-1h4a1 1 0 0 1 1 1v2" />
+              </svg>
+              <span>Trash</span>
+            </a>
+          ` : ''}
         </nav>
 
+        ${this.currentUser ? html`<sync-status></sync-status>` : ''}
+
         <main class="main-content">
           <div id="outlet"></div>
         </main>
+
+        <update-prompt></update-prompt>
         
         <button 
           class="theme-switcher ${this.isDarkMode ? 'dark' : 'light'}"
@@ -114,6 +206,30 @@ export class MyElement extends LitElement {
     this.currentView = view;
   }
 
+  // Route guard: sends signed-out users to /login (which returns them here afterwards)
+  _requireLogin(commands, view) {
+    if (!authAPI.currentUser()) {
+      return commands.redirect('/login');
+    }
+    this.currentView = view;
+  }
+
+  _handleAuthChanged(e) {
+    this.currentUser = e.detail.user;
+    if (!this.currentUser && window.location.pathname !== '/login') {
+      Router.go('/login');
+    }
+  }
+
+  async _logout() {
+    try {
+      await authAPI.logout();
+    } catch (error) {
+      // The local session is cleared either way
+      console.error('Error logging out:', error);
+    }
+  }
+
   _toggleTheme() {
     this.isDarkMode = !this.isDarkMode;
     this._applyTheme();
@@ -235,6 +351,40 @@ export class MyElement extends LitElement {
         opacity: 0.85;
       }
 
+      .user-bar {
+        display: flex;
+        align-items: center;
+        justify-content: center;
+        gap: 12px;
+        margin-top: 8px;
+        font-size: 15px;
+      }
+
+      .user-name {
+        opacity: 0.9;
+      }
+
+      .logout-button {
+        background: rgba(255, 255, 255, 0.2);
+        color: white;
+        border: none;
+        border-radius: 12px;
+        padding: 4px 12px;
+        font-size: 13px;
+        font-weight: 600;
+        cursor: pointer;
+        transition: all 0.2s cubic-bezier(0.25, 0.46, 0.45, 0.94);
+      }
+
+      .logout-button:active {
+        transform: scale(0.95);
+        opacity: 0.7;
+      }
+
+      .nav-tabs[hidden] {
+        display: none;
+      }
+
       .nav-tabs {
         display: flex;
         background-color: var(--ios-card);
@@ -494,3 +644,5 @@ export class MyElement extends LitElement {
 }
 
 window.customElements.define('my-element', MyElement)
+
+registerServiceWorker()
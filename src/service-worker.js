@@ -0,0 +1,142 @@
+// Service worker, served as /sw.js. It isn't bundled with the app: the build copies it out
+// with the list of built files filled in (see vite.config.js), so every build that changes
+// the app also changes this file, which is how the browser notices an update.
+//
+// - The app shell (index.html and the built scripts and styles) is cached on install and
+//   served from the cache, so the app opens without a connection.
+// - API list reads are served stale-while-revalidate: the cached copy straight away (when
+//   there is one) while a fresh one is fetched for next time. Single records (e.g.
+//   /api/tenders/12), which are opened to be read or edited, and requests made with
+//   `cache: 'no-cache'` go to the network first and only fall back to the cache offline.
+// - A new version waits until the page asks it to take over (see services/pwa.js).
+// - Push notifications ({ title, body, url, tag }, see server/notifications/push.js) are
+//   shown, and clicking one opens its tender or task in the app.
+
+const SHELL_FILES = self.__SHELL_FILES__;
+const BUILD_ID = self.__BUILD_ID__;
+
+const SHELL_CACHE = `elsport-shell-${BUILD_ID}`;
+const API_CACHE = 'elsport-api';
+
+// The event stream, the change feed and notifications are never cached; neither is signing
+// in and out
+const UNCACHED_API_PATHS = ['/events', '/changes', '/notifications', '/auth/'];
+
+const RECORD_PATH = /^\/[\w-]+\/\d+\/?$/;
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(caches.open(SHELL_CACHE).then(cache => cache.addAll(SHELL_FILES)));
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    const names = await caches.keys();
+    await Promise.all(names
+      .filter(name => name.startsWith('elsport-shell-') && name !== SHELL_CACHE)
+      .map(name => caches.delete(name)));
+    await self.clients.claim();
+  })());
+});
+
+self.addEventListener('message', (event) => {
+  if (event.data && event.data.type === 'SKIP_WAITING') {
+    self.skipWaiting();
+  }
+  // API responses belong to whoever was signed in when they were cached
+  if (event.data && event.data.type === 'CLEAR_API_CACHE') {
+    event.waitUntil(caches.delete(API_CACHE));
+  }
+});
+
+self.addEventListener('push', (event) => {
+  const payload = event.data ? event.data.json() : {};
+  event.waitUntil(self.registration.showNotification(payload.title || 'ELSPORT', {
+    body: payload.body,
+    tag: payload.tag,
+    icon: '/icons/icon-192.png',
+    badge: '/icons/icon-192.png',
+    data: { url: payload.url || '/' },
+  }));
+});
+
+// Opens the notification's page in the app, reusing an open window if there is one
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  const url = new URL(event.notification.data.url, self.location.origin).href;
+
+  event.waitUntil((async () => {
+    const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    const client = windows.find(other => new URL(other.url).origin === self.location.origin);
+    if (client) {
+      await client.focus();
+      return client.navigate(url);
+    }
+    return self.clients.openWindow(url);
+  })());
+});
+
+// The part of an API address after /api (or /.netlify/functions), or null for anything else
+function apiPath(url) {
+  const match = url.pathname.match(/^\/(?:api|\.netlify\/functions)(\/.*)$/);
+  return match ? match[1] : null;
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  const path = apiPath(url);
+
+  if (path !== null) {
+    if (request.method !== 'GET') {
+      event.respondWith(sendWrite(request));
+    } else if (request.cache !== 'no-store' && !UNCACHED_API_PATHS.some(prefix => path.startsWith(prefix))) {
+      const fresh = request.cache === 'no-cache' || RECORD_PATH.test(path);
+      event.respondWith(fresh ? networkFirst(request) : staleWhileRevalidate(request, event));
+    }
+    return;
+  }
+
+  if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+  // Every page of the app is index.html; the router takes it from there
+  if (request.mode === 'navigate') {
+    event.respondWith(fetch(request).catch(() => caches.match('/index.html', { cacheName: SHELL_CACHE })));
+  } else if (SHELL_FILES.includes(url.pathname)) {
+    event.respondWith(caches.match(url.pathname, { cacheName: SHELL_CACHE }).then(cached => cached || fetch(request)));
+  }
+});
+
+async function fetchAndCache(request) {
+  const response = await fetch(request);
+  if (response.ok) {
+    const cache = await caches.open(API_CACHE);
+    await cache.put(request, response.clone());
+  }
+  return response;
+}
+
+async function staleWhileRevalidate(request, event) {
+  const cached = await caches.match(request, { cacheName: API_CACHE });
+  const fresh = fetchAndCache(request);
+  if (!cached) return fresh;
+
+  event.waitUntil(fresh.catch(() => {}));
+  return cached;
+}
+
+async function networkFirst(request) {
+  try {
+    return await fetchAndCache(request);
+  } catch (error) {
+    const cached = await caches.match(request, { cacheName: API_CACHE });
+    if (cached) return cached;
+    throw error;
+  }
+}
+
+// Once something has been changed, cached reads may be out of date
+async function sendWrite(request) {
+  const response = await fetch(request);
+  if (response.ok) await caches.delete(API_CACHE);
+  return response;
+}
@@ -1,3 +1,10 @@
+import { storage } from '../utils/storage.js';
+import {
+  cacheList, cachedList, findCachedRow, replaceCachedRow, addCachedRow, removeCachedRow, temporaryId,
+  queuedChanges, queueChange, updateQueuedChange, removeQueuedChange, dropQueuedChanges,
+  remapQueuedChanges, rebaseQueuedChanges,
+} from './offline.js';
+
 // API configuration
 const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:3001/api';
 
@@ -13,106 +20,824 @@ function buildUrl(endpoint) {
   return `${API_BASE_URL}${endpoint}`;
 }
 
+// Error thrown for failed API calls. `fields` maps invalid form fields (camelCase,
+// e.g. `closingDate`) to the server's validation message. For a 409 version conflict,
+// `current` is the record as the server now has it (untransformed).
+class ApiError extends Error {
+  constructor(message, status, details, current) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.current = current || null;
+    this.fields = {};
+    for (const [field, fieldMessage] of Object.entries(details || {})) {
+      this.fields[field.replace(/_(\w)/g, (_, letter) => letter.toUpperCase())] = fieldMessage;
+    }
+  }
+}
+
+// Requests that can't reach the server fail with an ApiError of status 0
+const OFFLINE_MESSAGE = 'You are offline';
+
+function isOffline(error) {
+  return error instanceof ApiError && error.status === 0;
+}
+
 // Helper function for API calls
 async function fetchAPI(endpoint, options = {}) {
-  const response = await fetch(buildUrl(endpoint), {
-    headers: {
-      'Content-Type': 'application/json',
-      ...options.headers,
-    },
-    ...options,
-  });
+  if (!navigator.onLine) {
+    throw new ApiError(OFFLINE_MESSAGE, 0);
+  }
+
+  const session = storage.getSession();
+  let response;
+  try {
+    response = await fetch(buildUrl(endpoint), {
+      ...options,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(session ? { Authorization: `Bearer ${session.token}` } : {}),
+        ...options.headers,
+      },
+    });
+  } catch (error) {
+    throw new ApiError(OFFLINE_MESSAGE, 0);
+  }
 
   if (!response.ok) {
-    const error = await response.json();
-    throw new Error(error.error || 'API request failed');
+    const error = await response.json().catch(() => ({}));
+
+    // The session expired or was revoked: drop it and let the app send the user to /login
+    if (response.status === 401 && session) {
+      storage.clearSession();
+      window.dispatchEvent(new CustomEvent('auth-changed', { detail: { user: null } }));
+    }
+
+    throw new ApiError(error.error || 'API request failed', response.status, error.details, error.current);
   }
 
   return response.json();
 }
 
+// The body of a partial update, sent as a JSON Merge Patch. Only the fields in `changes`
+// (camelCase, e.g. { dueDate }) are sent, under their snake_case names; null clears a field
+// and anything left out is kept as it is.
+function toPatchBody(changes) {
+  const body = {};
+  for (const [key, value] of Object.entries(changes)) {
+    body[key.replace(/[A-Z]/g, letter => `_${letter.toLowerCase()}`)] = value;
+  }
+  return body;
+}
+
+// Reads a list, keeping a copy for when there's no connection (see services/offline.js).
+// Single-record lookups (the `id` option) aren't kept. Lists already show the kept copy
+// while they load, so the service worker is asked for a fresh one rather than its own.
+async function fetchList(kind, endpoint, options) {
+  try {
+    const result = await fetchAPI(endpoint, { cache: 'no-cache' });
+    if (!options.id) cacheList(kind, options, result);
+    return result;
+  } catch (error) {
+    const cached = isOffline(error) && cachedList(kind, options);
+    if (!cached) throw error;
+    return cached;
+  }
+}
+
+// Reads one tender or task, falling back to a cached list's copy when offline
+async function fetchRecord(kind, endpoint, id) {
+  try {
+    return await fetchAPI(endpoint);
+  } catch (error) {
+    const cached = isOffline(error) && findCachedRow(kind, Number(id));
+    if (!cached) throw error;
+    return cached;
+  }
+}
+
+// Changes to tenders, site visits and tasks are described as outbox entries
+// (`{ kind, action, recordId?, parentId?, body? }`, see services/offline.js) whether they go
+// straight to the server or wait in the outbox.
+const CHANGE_METHODS = { create: 'POST', update: 'PUT', patch: 'PATCH', delete: 'DELETE' };
+
+function changeEndpoint({ kind, action, recordId, parentId }) {
+  const collection = kind === 'tender' ? '/tenders' : kind === 'task' ? '/tasks' : `/tenders/${parentId}/site-visits`;
+  return action === 'create' ? collection : `${collection}/${recordId}`;
+}
+
+function sendChange(change) {
+  return fetchAPI(changeEndpoint(change), {
+    method: CHANGE_METHODS[change.action],
+    headers: change.action === 'patch' ? { 'Content-Type': 'application/merge-patch+json' } : {},
+    body: change.body ? JSON.stringify(change.body) : undefined,
+  });
+}
+
+// How the outbox names a change's record: a tender's number or a task's description
+function describeChange({ kind, recordId, parentId, body }) {
+  const row = (kind === 'task' ? findCachedRow('task', recordId) : findCachedRow('tender', kind === 'tender' ? recordId : parentId)) ||
+    body || {};
+  return kind === 'task' ? row.description : row.tender_number || row.description;
+}
+
+// Sends a change, or when there's no connection puts it in the outbox. `offline()` then
+// returns the record as it will be once the change is sent, updating the cache to match.
+// A change to a record that was itself created offline (and so has no real id yet) always
+// waits its turn in the outbox.
+async function sendOrQueue(change, offline) {
+  const user = authAPI.currentUser();
+  const unsaved = change.recordId < 0 || change.parentId < 0 || Boolean(change.body && change.body.tender_id < 0);
+
+  if (!unsaved) {
+    try {
+      return await sendChange(change);
+    } catch (error) {
+      if (!isOffline(error) || !user) throw error;
+    }
+  }
+
+  const name = describeChange(change);
+  const row = change.action === 'delete' && change.kind !== 'siteVisit' ? findCachedRow(change.kind, change.recordId) : null;
+  const result = offline();
+
+  // Partial updates are checked against the version they were made on, so anything someone
+  // else changed in the meantime is reported as a conflict when the change is sent
+  const body = change.action === 'patch' && change.kind !== 'siteVisit' && change.body.version == null
+    ? { ...change.body, version: result.version }
+    : change.body;
+
+  queueChange({ ...change, body, recordId: change.recordId || result.id, name, row, userId: user.id });
+  if (navigator.onLine) syncAPI.sync();
+  return result;
+}
+
+// The cached tender or task with `values` applied, marked as waiting to be sent
+function updateCachedRecord(kind, id, values) {
+  const row = findCachedRow(kind, id);
+  if (!row) throw new ApiError(OFFLINE_MESSAGE, 0);
+
+  const { version, ...fields } = values;
+  const updated = { ...row, ...fields, pending: true };
+  replaceCachedRow(kind, updated);
+  return updated;
+}
+
+// Applies `update(visits)` to a cached tender's site visits
+function updateCachedVisits(tenderId, update) {
+  const tender = findCachedRow('tender', tenderId);
+  if (!tender) throw new ApiError(OFFLINE_MESSAGE, 0);
+  replaceCachedRow('tender', { ...tender, site_visits: update(tender.site_visits || []) });
+}
+
+function updateCachedVisit(tenderId, id, values) {
+  let updated = null;
+  updateCachedVisits(tenderId, visits => visits.map((visit) => {
+    if (visit.id !== id) return visit;
+    updated = { ...visit, ...values, pending: true };
+    return updated;
+  }));
+  if (!updated) throw new ApiError(OFFLINE_MESSAGE, 0);
+  return updated;
+}
+
+// Undoing a delete that is still in the outbox just takes it out again
+function unqueueDelete(kind, id) {
+  const user = authAPI.currentUser();
+  const queued = user && queuedChanges(user.id)
+    .find(change => change.kind === kind && change.action === 'delete' && change.recordId === id && !change.error);
+  if (!queued || !queued.row) return null;
+
+  removeQueuedChange(queued.id);
+  addCachedRow(kind, queued.row);
+  return queued.row;
+}
+
+// Builds a query string from list options, e.g. { closingFrom: '2025-01-01', status: ['open', 'closed'] }
+// becomes '?closing_from=2025-01-01&status=open,closed'. Empty options are left out.
+function toQueryString(options = {}) {
+  const params = new URLSearchParams();
+  for (const [key, value] of Object.entries(options)) {
+    if (value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0)) continue;
+    const name = key.replace(/[A-Z]/g, letter => `_${letter.toLowerCase()}`);
+    params.set(name, Array.isArray(value) ? value.join(',') : value);
+  }
+  const query = params.toString();
+  return query ? `?${query}` : '';
+}
+
+// Auth API methods
+const authAPI = {
+  // Log in and remember the session
+  async login(email, password) {
+    const session = await fetchAPI('/auth/login', {
+      method: 'POST',
+      body: JSON.stringify({ email, password }),
+    });
+    storage.saveSession(session);
+    window.dispatchEvent(new CustomEvent('auth-changed', { detail: { user: session.user } }));
+    return session.user;
+  },
+
+  // Log out, revoking the session on the server
+  async logout() {
+    try {
+      await fetchAPI('/auth/logout', { method: 'POST' });
+    } finally {
+      storage.clearSession();
+      storage.clearCache();
+      window.dispatchEvent(new CustomEvent('auth-changed', { detail: { user: null } }));
+    }
+  },
+
+  // The signed-in user, or null
+  currentUser() {
+    const session = storage.getSession();
+    if (!session || new Date(session.expiresAt) <= new Date()) return null;
+    return session.user;
+  },
+
+  // Re-read the signed-in user so role changes apply without logging in again
+  async refresh() {
+    const user = await fetchAPI('/auth/me');
+    const session = storage.getSession();
+    if (session) {
+      storage.saveSession({ ...session, user });
+      window.dispatchEvent(new CustomEvent('auth-changed', { detail: { user } }));
+    }
+    return user;
+  },
+
+  // Whether the signed-in user's role grants a permission (e.g. 'tenders:create')
+  can(permission) {
+    const user = this.currentUser();
+    return Boolean(user && user.permissions && user.permissions.includes(permission));
+  },
+
+  // Tasks are assigned by name, matching the server's ownership check
+  isAssignedTo(task) {
+    const user = this.currentUser();
+    return Boolean(user && task.assignedTo) &&
+      task.assignedTo.trim().toLowerCase() === user.name.trim().toLowerCase();
+  },
+};
+
 // Tender API methods
 const tenderAPI = {
-  // Get all tenders
-  async getAll() {
-    return fetchAPI('/tenders');
+  // Get a page of tenders as { data, pagination }.
+  // Options: status (lifecycle status such as 'PREPARING', or an array),
+  // closing ('open' | 'closing_today' | 'closed', or an array), closingFrom, closingTo,
+  // id (just that tender, if it matches the other options), q (text search),
+  // sort ('created_at' | 'closing_date' | 'tender_number'), order ('asc' | 'desc'), page, pageSize
+  // Offline, the copy kept from the last time these options were fetched is returned instead.
+  async getAll(options = {}) {
+    return fetchList('tender', `/tenders${toQueryString(options)}`, options);
   },
 
-  // Create a new tender
+  // The copy of getAll(options) kept from last time, as { data, pagination, savedAt }, or null
+  getCached(options = {}) {
+    return cachedList('tender', options);
+  },
+
+  // Get a single tender
+  async get(id) {
+    return fetchRecord('tender', `/tenders/${id}`, id);
+  },
+
+  // Create a new tender. Offline, it waits in the outbox and gets a temporary negative id.
   async create(tender) {
-    return fetchAPI('/tenders', {
-      method: 'POST',
-      body: JSON.stringify({
-        // tender_number will be auto-generated by the database
-        description: tender.description,
-        closing_date: tender.closingDate,
-        site_visits: tender.siteVisits,
-      }),
+    const body = {
+      // tender_number will be auto-generated by the database
+      description: tender.description,
+      closing_date: tender.closingDate,
+    };
+    return sendOrQueue({ kind: 'tender', action: 'create', body }, () => {
+      const row = {
+        id: temporaryId(), tender_number: null, ...body, status: 'IDENTIFIED', site_visits: [],
+        task_count: 0, tasks_completed: 0, version: 1, created_at: new Date().toISOString(), pending: true,
+      };
+      addCachedRow('tender', row);
+      return row;
     });
   },
 
-  // Update a tender
+  // Update a tender. `tender.version` must be the version the changes are based on; if
+  // someone else has saved the tender since, this fails with a 409 ApiError.
   async update(id, tender) {
-    return fetchAPI(`/tenders/${id}`, {
+    const body = {
+      // tender_number is preserved automatically by the database
+      description: tender.description,
+      closing_date: tender.closingDate,
+      version: tender.version,
+    };
+    return sendOrQueue({ kind: 'tender', action: 'update', recordId: id, body }, () => updateCachedRecord('tender', id, body));
+  },
+
+  // Change only the given fields, e.g. { closingDate }. Include `version` to have the
+  // change refused (409) if someone else has saved the tender since.
+  async patch(id, changes) {
+    const body = toPatchBody(changes);
+    return sendOrQueue({ kind: 'tender', action: 'patch', recordId: id, body }, () => updateCachedRecord('tender', id, body));
+  },
+
+  // Move a tender to another lifecycle status, recording the submission date or outcome reason
+  async changeStatus(id, { status, submittedAt, outcomeReason }) {
+    return fetchAPI(`/tenders/${id}/status`, {
       method: 'PUT',
       body: JSON.stringify({
-        // tender_number is preserved automatically by the database
-        description: tender.description,
-        closing_date: tender.closingDate,
-        site_visits: tender.siteVisits,
+        status,
+        submitted_at: submittedAt || null,
+        outcome_reason: outcomeReason || null,
       }),
     });
   },
 
-  // Delete a tender
+  // Put back the status the tender had before the signed-in user's last status change.
+  // Only possible for a short while after the change.
+  async undoStatusChange(id) {
+    return fetchAPI(`/tenders/${id}/status/undo`, {
+      method: 'POST',
+    });
+  },
+
+  // Move a tender to the trash
   async delete(id) {
-    return fetchAPI(`/tenders/${id}`, {
+    return sendOrQueue({ kind: 'tender', action: 'delete', recordId: id }, () => {
+      removeCachedRow('tender', id);
+      return { message: 'Tender moved to the trash' };
+    });
+  },
+
+  // Get a page of deleted tenders as { data, pagination }, most recently deleted first.
+  // Takes the same options as getAll; sort may also be 'deleted_at'.
+  async getTrash(options = {}) {
+    return fetchAPI(`/tenders/trash${toQueryString(options)}`);
+  },
+
+  // Bring a tender back from the trash
+  async restore(id) {
+    return unqueueDelete('tender', id) || fetchAPI(`/tenders/${id}/restore`, {
+      method: 'POST',
+    });
+  },
+
+  // Permanently delete a tender that is in the trash
+  async purge(id) {
+    return fetchAPI(`/tenders/trash/${id}`, {
+      method: 'DELETE',
+    });
+  },
+
+  // Follow a tender, to be notified as it nears its closing date; resolves to { following }
+  async follow(id) {
+    return fetchAPI(`/tenders/${id}/follow`, {
+      method: 'PUT',
+    });
+  },
+
+  async unfollow(id) {
+    return fetchAPI(`/tenders/${id}/follow`, {
+      method: 'DELETE',
+    });
+  },
+};
+
+// Site visit API methods (nested under a tender)
+const siteVisitAPI = {
+  // Get all site visits for a tender, falling back to the cached tender's visits when offline
+  async getAll(tenderId) {
+    try {
+      return await fetchAPI(`/tenders/${tenderId}/site-visits`);
+    } catch (error) {
+      if (!isOffline(error)) throw error;
+      return this.getCached(tenderId);
+    }
+  },
+
+  // The visits of the cached tender, with any changes waiting in the outbox applied
+  getCached(tenderId) {
+    const tender = findCachedRow('tender', Number(tenderId));
+    return tender ? tender.site_visits || [] : [];
+  },
+
+  // Create a new site visit. Like the other changes below, this waits in the outbox when offline.
+  async create(tenderId, visit) {
+    const body = toSiteVisitPayload(visit);
+    return sendOrQueue({ kind: 'siteVisit', action: 'create', parentId: tenderId, body }, () => {
+      const row = { id: temporaryId(), tender_id: tenderId, ...body, pending: true };
+      updateCachedVisits(tenderId, visits => [...visits, row]);
+      return row;
+    });
+  },
+
+  // Update a site visit
+  async update(tenderId, id, visit) {
+    const body = toSiteVisitPayload(visit);
+    return sendOrQueue(
+      { kind: 'siteVisit', action: 'update', recordId: id, parentId: tenderId, body },
+      () => updateCachedVisit(tenderId, id, body),
+    );
+  },
+
+  // Change only the given fields of a site visit, e.g. { completed: true }
+  async patch(tenderId, id, changes) {
+    const body = toPatchBody(changes);
+    return sendOrQueue(
+      { kind: 'siteVisit', action: 'patch', recordId: id, parentId: tenderId, body },
+      () => updateCachedVisit(tenderId, id, body),
+    );
+  },
+
+  // Delete a site visit
+  async delete(tenderId, id) {
+    return sendOrQueue({ kind: 'siteVisit', action: 'delete', recordId: id, parentId: tenderId }, () => {
+      updateCachedVisits(tenderId, visits => visits.filter(visit => visit.id !== id));
+      return { message: 'Site visit deleted successfully' };
+    });
+  },
+};
+
+// Document link API methods (nested under a tender)
+const documentAPI = {
+  // Get all document links for a tender
+  async getAll(tenderId) {
+    return fetchAPI(`/tenders/${tenderId}/documents`);
+  },
+
+  // Add a document link
+  async create(tenderId, document) {
+    return fetchAPI(`/tenders/${tenderId}/documents`, {
+      method: 'POST',
+      body: JSON.stringify({ title: document.title, url: document.url }),
+    });
+  },
+
+  // Remove a document link
+  async delete(tenderId, id) {
+    return fetchAPI(`/tenders/${tenderId}/documents/${id}`, {
       method: 'DELETE',
     });
   },
 };
 
+// Comment API methods. `resource` is the parent collection ('tenders' or 'tasks').
+const commentAPI = {
+  // Get all comments on a tender or task, oldest first
+  async getAll(resource, id) {
+    return fetchAPI(`/${resource}/${id}/comments`);
+  },
+
+  // Post a comment as the signed-in user
+  async create(resource, id, body) {
+    return fetchAPI(`/${resource}/${id}/comments`, {
+      method: 'POST',
+      body: JSON.stringify({ body }),
+    });
+  },
+
+  // Delete a comment
+  async delete(resource, id, commentId) {
+    return fetchAPI(`/${resource}/${id}/comments/${commentId}`, {
+      method: 'DELETE',
+    });
+  },
+};
+
+function toSiteVisitPayload(visit) {
+  return {
+    visit_date: visit.visitDate || null,
+    visit_time: visit.visitTime || null,
+    location: visit.location,
+    contact: visit.contact,
+    attendee: visit.attendee,
+    completed: visit.completed,
+    notes: visit.notes,
+  };
+}
+
 // Task API methods
 const taskAPI = {
-  // Get all tasks
-  async getAll() {
-    return fetchAPI('/tasks');
+  // Get a page of tasks as { data, pagination }.
+  // Options: status ('PENDING' | 'SENT' | 'COMPLETED', or an array), assignedTo, tenderId, dueFrom, dueTo,
+  // id (just that task, if it matches the other options), q (text search),
+  // sort ('created_at' | 'due_date' | 'status'), order ('asc' | 'desc'), page, pageSize
+  // Offline, the copy kept from the last time these options were fetched is returned instead.
+  async getAll(options = {}) {
+    return fetchList('task', `/tasks${toQueryString(options)}`, options);
+  },
+
+  // The copy of getAll(options) kept from last time, as { data, pagination, savedAt }, or null
+  getCached(options = {}) {
+    return cachedList('task', options);
   },
 
-  // Create a new task
+  // Get a single task
+  async get(id) {
+    return fetchRecord('task', `/tasks/${id}`, id);
+  },
+
+  // Get every status the task has been in, oldest first
+  async getHistory(id) {
+    return fetchAPI(`/tasks/${id}/history`);
+  },
+
+  // Create a new task. Offline, it waits in the outbox and gets a temporary negative id.
   async create(task) {
-    return fetchAPI('/tasks', {
-      method: 'POST',
-      body: JSON.stringify({
-        description: task.description,
-        assigned_to: task.assignedTo,
-        due_date: task.dueDate,
-        status: task.status,
-      }),
+    const body = {
+      description: task.description,
+      assigned_to: task.assignedTo,
+      due_date: task.dueDate,
+      status: task.status,
+      tender_id: task.tenderId ? Number(task.tenderId) : null,
+    };
+    return sendOrQueue({ kind: 'task', action: 'create', body }, () => {
+      const tender = body.tender_id && findCachedRow('tender', body.tender_id);
+      const row = {
+        id: temporaryId(), ...body, tender_number: tender ? tender.tender_number : null,
+        version: 1, created_at: new Date().toISOString(), pending: true,
+      };
+      addCachedRow('task', row);
+      return row;
     });
   },
 
-  // Update a task
+  // Update a task. `task.version` must be the version the changes are based on; if
+  // someone else has saved the task since, this fails with a 409 ApiError.
   async update(id, task) {
-    return fetchAPI(`/tasks/${id}`, {
-      method: 'PUT',
-      body: JSON.stringify({
-        description: task.description,
-        assigned_to: task.assignedTo,
-        due_date: task.dueDate,
-        status: task.status,
-      }),
-    });
+    const body = {
+      description: task.description,
+      assigned_to: task.assignedTo,
+      due_date: task.dueDate,
+      status: task.status,
+      tender_id: task.tenderId ? Number(task.tenderId) : null,
+      version: task.version,
+    };
+    return sendOrQueue({ kind: 'task', action: 'update', recordId: id, body }, () => updateCachedRecord('task', id, body));
+  },
+
+  // Change only the given fields, e.g. { status: 'SENT' }. Include `version` to have the
+  // change refused (409) if someone else has saved the task since.
+  async patch(id, changes) {
+    const body = toPatchBody('tenderId' in changes
+      ? { ...changes, tenderId: changes.tenderId ? Number(changes.tenderId) : null }
+      : changes);
+    return sendOrQueue({ kind: 'task', action: 'patch', recordId: id, body }, () => updateCachedRecord('task', id, body));
   },
 
-  // Delete a task
+  // Move a task to the trash
   async delete(id) {
-    return fetchAPI(`/tasks/${id}`, {
+    return sendOrQueue({ kind: 'task', action: 'delete', recordId: id }, () => {
+      removeCachedRow('task', id);
+      return { message: 'Task moved to the trash' };
+    });
+  },
+
+  // Get a page of deleted tasks as { data, pagination }, most recently deleted first.
+  // Takes the same options as getAll; sort may also be 'deleted_at'.
+  async getTrash(options = {}) {
+    return fetchAPI(`/tasks/trash${toQueryString(options)}`);
+  },
+
+  // Bring a task back from the trash
+  async restore(id) {
+    return unqueueDelete('task', id) || fetchAPI(`/tasks/${id}/restore`, {
+      method: 'POST',
+    });
+  },
+
+  // Permanently delete a task that is in the trash
+  async purge(id) {
+    return fetchAPI(`/tasks/trash/${id}`, {
+      method: 'DELETE',
+    });
+  },
+};
+
+// Audit log API methods
+const auditAPI = {
+  // Get a page of audit events as { data, pagination }, newest first.
+  // Options: entityType ('tender' | 'site_visit' | 'document' | 'task' | 'comment'), entityId,
+  // tenderId, taskId, actorId, action ('create' | 'update' | 'delete' | 'restore' | 'purge'), from, to,
+  // page, pageSize
+  async getAll(options = {}) {
+    return fetchAPI(`/audit${toQueryString(options)}`);
+  },
+};
+
+// Notification API methods (the bell in the app header)
+const notificationAPI = {
+  // Get a page of the signed-in user's notifications as { data, pagination, unread }, newest
+  // first, where `unread` counts all their unread notifications.
+  // Options: unread (true for only unread, false for only read), type ('task_assigned' |
+  // 'task_status' | 'tender_closing' | 'comment_mention', or an array), page, pageSize
+  async getAll(options = {}) {
+    return fetchAPI(`/notifications${toQueryString(options)}`);
+  },
+
+  // Mark one notification read (or unread again)
+  async markRead(id, read = true) {
+    return fetchAPI(`/notifications/${id}`, {
+      method: 'PATCH',
+      headers: { 'Content-Type': 'application/merge-patch+json' },
+      body: JSON.stringify({ read }),
+    });
+  },
+
+  // Mark every notification read; resolves to { updated, unread }
+  async markAllRead() {
+    return fetchAPI('/notifications', {
+      method: 'PATCH',
+      headers: { 'Content-Type': 'application/merge-patch+json' },
+      body: JSON.stringify({ read: true }),
+    });
+  },
+};
+
+// Push subscription API methods (see services/push.js)
+const pushAPI = {
+  // Resolves to { publicKey }, null when the server doesn't send push notifications
+  async getKey() {
+    return fetchAPI('/push/key');
+  },
+
+  // Register this browser's push subscription ({ endpoint, p256dh, auth }) for the signed-in user
+  async subscribe(subscription) {
+    return fetchAPI('/push/subscriptions', {
+      method: 'POST',
+      body: JSON.stringify(subscription),
+    });
+  },
+
+  async unsubscribe(endpoint) {
+    return fetchAPI('/push/subscriptions', {
       method: 'DELETE',
+      body: JSON.stringify({ endpoint }),
     });
   },
 };
 
+// Calendar API methods: the dates shown in the app's calendar, and the signed-in user's
+// link for subscribing to them from other calendars
+const calendarAPI = {
+  // Tender closing dates, site visits and task due dates from `from` to `to` (yyyy-MM-dd,
+  // at most 92 days apart) as { tenders, site_visits, tasks }. See transformCalendar.
+  async getEvents(from, to) {
+    return fetchAPI(`/calendar/events${toQueryString({ from, to })}`, { cache: 'no-cache' });
+  },
+
+  // Resolves to the feed's address, or null while the feed is off
+  async getFeedUrl() {
+    const { token } = await fetchAPI('/calendar/feed');
+    return token ? feedUrl(token) : null;
+  },
+
+  // Turns the feed on, or replaces its address (the old one stops working)
+  async resetFeed() {
+    const { token } = await fetchAPI('/calendar/feed', { method: 'POST' });
+    return feedUrl(token);
+  },
+
+  async turnOffFeed() {
+    return fetchAPI('/calendar/feed', { method: 'DELETE' });
+  },
+};
+
+// Calendar apps need a full address. On Netlify the feed is only reachable through its /api
+// redirect, since function names can't contain a dot.
+function feedUrl(token) {
+  const path = isNetlifyFunctions ? '/api/calendar.ics' : buildUrl('/calendar.ics');
+  return new URL(`${path}?token=${encodeURIComponent(token)}`, window.location.origin).href;
+}
+
+// Outbox API methods: sending the changes made offline (see services/offline.js)
+let syncing = null;
+
+// The records a change touches, as 'kind:id' keys: its own, its tender's for a site visit,
+// and the tender a task is being linked to if that was created offline
+function changeKeys(change) {
+  const keys = [`${change.kind}:${change.recordId}`];
+  if (change.parentId) keys.push(`tender:${change.parentId}`);
+  if (change.body && change.body.tender_id < 0) keys.push(`tender:${change.body.tender_id}`);
+  return keys;
+}
+
+// The first change that can be sent: not refused itself, and not touching a record that
+// has a refused or waiting change ahead of it
+function nextChange(changes) {
+  const blocked = new Set();
+  for (const change of changes) {
+    const keys = changeKeys(change);
+    if (!change.error && !keys.some(key => blocked.has(key))) return change;
+    keys.forEach(key => blocked.add(key));
+  }
+  return null;
+}
+
+// Brings the cache up to date with a change the server has saved
+function applySavedChange(change, saved) {
+  if (change.action === 'create') {
+    remapQueuedChanges(change.kind, change.recordId, saved.id);
+  } else if (change.action !== 'delete' && change.kind !== 'siteVisit') {
+    rebaseQueuedChanges(change.kind, change.recordId, change.body.version, saved.version);
+  }
+
+  if (change.action === 'delete') return;
+  if (change.kind === 'siteVisit') {
+    const tender = findCachedRow('tender', change.parentId);
+    if (tender) {
+      replaceCachedRow('tender', {
+        ...tender,
+        site_visits: (tender.site_visits || []).map(visit => visit.id === change.recordId ? saved : visit),
+      });
+    }
+  } else {
+    replaceCachedRow(change.kind, saved, change.recordId);
+  }
+}
+
+async function sendQueuedChanges() {
+  let sent = 0;
+
+  for (let change = nextChange(syncAPI.pending()); change; change = nextChange(syncAPI.pending())) {
+    try {
+      const saved = await sendChange(change);
+      removeQueuedChange(change.id);
+      applySavedChange(change, saved);
+      sent += 1;
+    } catch (error) {
+      // No connection, signed out or a server fault: leave the rest for next time
+      if (isOffline(error) || error.status === 401 || error.status >= 500) break;
+      updateQueuedChange(change.id, { error: error.message, conflict: error.status === 409, current: error.current });
+    }
+  }
+
+  if (sent > 0) {
+    window.dispatchEvent(new CustomEvent('outbox-synced', { detail: { sent } }));
+  }
+  return sent;
+}
+
+const syncAPI = {
+  // The signed-in user's changes waiting in the outbox, oldest first
+  pending() {
+    const user = authAPI.currentUser();
+    return user ? queuedChanges(user.id) : [];
+  },
+
+  // Send the waiting changes, in the order they were made. A change the server refuses is
+  // kept with its error (see retry and discard) and later changes to the same record wait
+  // behind it. Fires 'outbox-synced' on window when anything was sent; resolves to the count.
+  sync() {
+    if (!syncing) {
+      syncing = sendQueuedChanges().finally(() => {
+        syncing = null;
+      });
+    }
+    return syncing;
+  },
+
+  // Send a refused change again. After a version conflict this saves the user's copy over
+  // the one someone else saved.
+  retry(id) {
+    const change = this.pending().find(queued => queued.id === id);
+    if (!change) return Promise.resolve(0);
+
+    const body = change.conflict && change.current ? { ...change.body, version: change.current.version } : change.body;
+    updateQueuedChange(id, { body, error: null, conflict: false, current: null });
+    return this.sync();
+  },
+
+  // Give up a refused change. Anything else waiting on a record it would have created goes too.
+  discard(id) {
+    const change = this.pending().find(queued => queued.id === id);
+    if (!change) return;
+
+    removeQueuedChange(id);
+    if (change.action === 'create') {
+      dropQueuedChanges(change.kind, change.recordId);
+      if (change.kind !== 'siteVisit') removeCachedRow(change.kind, change.recordId);
+    }
+    window.dispatchEvent(new CustomEvent('outbox-synced', { detail: { sent: 0 } }));
+  },
+};
+
+// Change feed API methods (see services/changes.js)
+const changeAPI = {
+  // Address of the live stream of changes, starting after the change with id `after` if
+  // given. EventSource can't send an Authorization header, so the session token goes in the
+  // query string instead.
+  streamUrl(after) {
+    const session = storage.getSession();
+    return `${buildUrl('/events')}${toQueryString({ accessToken: session ? session.token : '', lastEventId: after })}`;
+  },
+
+  // Get the changes made after the cursor `after` as { data, cursor }. Without `after` there
+  // are no changes, just the cursor to start from.
+  async getSince(after) {
+    return fetchAPI(`/changes${toQueryString({ after })}`);
+  },
+};
+
 // Helper to transform database records to frontend format
 function transformTender(dbTender) {
   return {
@@ -120,8 +845,163 @@ function transformTender(dbTender) {
     tenderNumber: dbTender.tender_number,
     description: dbTender.description,
     closingDate: dbTender.closing_date,
-    siteVisits: dbTender.site_visits,
+    status: dbTender.status,
+    submittedAt: toDateOnly(dbTender.submitted_at),
+    outcomeReason: dbTender.outcome_reason,
+    siteVisits: (dbTender.site_visits || []).map(transformSiteVisit),
+    taskCount: dbTender.task_count || 0,
+    tasksCompleted: dbTender.tasks_completed || 0,
+    version: dbTender.version,
+    // Only known for a single tender (tenderAPI.get)
+    following: Boolean(dbTender.following),
+    pending: Boolean(dbTender.pending),
     createdAt: dbTender.created_at,
+    deletedAt: dbTender.deleted_at,
+    deletedBy: dbTender.deleted_by_name,
+    purgeAt: dbTender.purge_at,
+  };
+}
+
+// DATE columns arrive as 'yyyy-MM-dd' from json_agg but as a serialized timestamp otherwise
+function toDateOnly(value) {
+  if (!value) return null;
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value)) return value;
+  const date = new Date(value);
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+function transformSiteVisit(dbVisit) {
+  return {
+    id: dbVisit.id,
+    tenderId: dbVisit.tender_id,
+    visitDate: toDateOnly(dbVisit.visit_date),
+    visitTime: dbVisit.visit_time,
+    location: dbVisit.location,
+    contact: dbVisit.contact,
+    attendee: dbVisit.attendee,
+    completed: dbVisit.completed,
+    notes: dbVisit.notes,
+    pending: Boolean(dbVisit.pending),
+  };
+}
+
+// Flattens calendarAPI.getEvents() into one list of entries:
+// { key, type: 'tender' | 'siteVisit' | 'task', id, tenderId, tenderNumber, date, time, title, detail, status, version }
+// `status` is the tender's or task's status, or 'COMPLETED' / 'SCHEDULED' for a site visit.
+// Site visits have no version; the others' is needed to reschedule them.
+function transformCalendar(dbCalendar) {
+  return [
+    ...dbCalendar.tenders.map(tender => ({
+      key: `tender-${tender.id}`,
+      type: 'tender',
+      id: tender.id,
+      tenderId: tender.id,
+      tenderNumber: tender.tender_number,
+      date: tender.due_on,
+      time: null,
+      title: `${tender.tender_number} closes`,
+      detail: tender.description,
+      status: tender.status,
+      version: tender.version,
+    })),
+    ...dbCalendar.site_visits.map(visit => ({
+      key: `siteVisit-${visit.id}`,
+      type: 'siteVisit',
+      id: visit.id,
+      tenderId: visit.tender_id,
+      tenderNumber: visit.tender_number,
+      date: visit.visit_on,
+      time: visit.visit_at,
+      title: `Site visit: ${visit.tender_number}`,
+      detail: visit.location || visit.tender_description,
+      status: visit.completed ? 'COMPLETED' : 'SCHEDULED',
+      version: null,
+    })),
+    ...dbCalendar.tasks.map(task => ({
+      key: `task-${task.id}`,
+      type: 'task',
+      id: task.id,
+      tenderId: task.tender_id,
+      tenderNumber: task.tender_number,
+      date: task.due_on,
+      time: null,
+      title: task.description,
+      detail: [task.assigned_to, task.tender_number].filter(Boolean).join(' · '),
+      status: task.status,
+      version: task.version,
+    })),
+  ];
+}
+
+function transformDocument(dbDocument) {
+  return {
+    id: dbDocument.id,
+    tenderId: dbDocument.tender_id,
+    title: dbDocument.title,
+    url: dbDocument.url,
+    addedBy: dbDocument.added_by_name,
+    createdAt: dbDocument.created_at,
+  };
+}
+
+function transformComment(dbComment) {
+  return {
+    id: dbComment.id,
+    authorId: dbComment.author_id,
+    authorName: dbComment.author_name,
+    body: dbComment.body,
+    createdAt: dbComment.created_at,
+  };
+}
+
+function transformStatusChange(dbChange) {
+  return {
+    id: dbChange.id,
+    fromStatus: dbChange.from_status,
+    toStatus: dbChange.to_status,
+    changedBy: dbChange.changed_by_name,
+    changedAt: dbChange.changed_at,
+  };
+}
+
+function transformAuditEvent(dbEvent) {
+  return {
+    id: dbEvent.id,
+    actorName: dbEvent.actor_name,
+    entityType: dbEvent.entity_type,
+    entityId: dbEvent.entity_id,
+    action: dbEvent.action,
+    changes: dbEvent.changes || {},
+    tenderId: dbEvent.tender_id,
+    taskId: dbEvent.task_id,
+    createdAt: dbEvent.created_at,
+  };
+}
+
+function transformNotification(dbNotification) {
+  return {
+    id: dbNotification.id,
+    type: dbNotification.type,
+    message: dbNotification.message,
+    tenderId: dbNotification.tender_id,
+    tenderNumber: dbNotification.tender_number,
+    taskId: dbNotification.task_id,
+    taskDescription: dbNotification.task_description,
+    actorName: dbNotification.actor_name,
+    read: Boolean(dbNotification.read_at),
+    createdAt: dbNotification.created_at,
+  };
+}
+
+function transformChange(dbChange) {
+  return {
+    id: dbChange.id,
+    entity: dbChange.entity,
+    entityId: dbChange.entity_id,
+    action: dbChange.action,
+    tenderId: dbChange.tender_id,
+    taskId: dbChange.task_id,
+    actorId: dbChange.actor_id,
   };
 }
 
@@ -132,9 +1012,21 @@ function transformTask(dbTask) {
     assignedTo: dbTask.assigned_to,
     dueDate: dbTask.due_date,
     status: dbTask.status,
+    tenderId: dbTask.tender_id,
+    tenderNumber: dbTask.tender_number,
+    version: dbTask.version,
+    pending: Boolean(dbTask.pending),
     createdAt: dbTask.created_at,
+    deletedAt: dbTask.deleted_at,
+    deletedBy: dbTask.deleted_by_name,
+    purgeAt: dbTask.purge_at,
   };
 }
 
 // Export all APIs and helpers
-export { tenderAPI, taskAPI, transformTender, transformTask };
+export {
+  ApiError, isOffline, authAPI, tenderAPI, siteVisitAPI, documentAPI, commentAPI, taskAPI, auditAPI, changeAPI, syncAPI,
+  notificationAPI, pushAPI, calendarAPI,
+  transformTender, transformSiteVisit, transformDocument, transformComment, transformTask, transformStatusChange,
+  transformAuditEvent, transformChange, transformNotification, transformCalendar,
+};
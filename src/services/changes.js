@@ -0,0 +1,116 @@
+import { storage } from '../utils/storage.js';
+import { changeAPI, transformChange } from './api';
+
+// Live changes to tenders, tasks and the records under them, made by anyone (including
+// this tab). Each change is { id, entity, entityId, action, tenderId, taskId, actorId }.
+//
+// Changes arrive over the Express server's event stream. Where that isn't available (the
+// Netlify functions refuse it) the feed falls back to polling /changes.
+
+const POLL_INTERVAL_MS = 15000;
+const RECONNECT_DELAY_MS = 5000;
+
+const listeners = new Set();
+let source = null;
+let pollTimer = null;
+let reconnectTimer = null;
+let cursor = null;
+let lastChangeId = null;
+let polling = false;
+let running = false;
+// Bumped on every stop, so a poll still in flight from before can tell it is stale
+let generation = 0;
+
+// Calls `listener(change)` for every change until the returned function is called
+export function subscribeToChanges(listener) {
+  listeners.add(listener);
+  if (listeners.size === 1) start();
+
+  return () => {
+    listeners.delete(listener);
+    if (listeners.size === 0) stop();
+  };
+}
+
+function emit(change) {
+  listeners.forEach(listener => listener(change));
+}
+
+function start() {
+  if (running || !storage.getSession()) return;
+  running = true;
+
+  if (polling || !window.EventSource) {
+    poll(generation);
+  } else {
+    openStream();
+  }
+}
+
+function stop() {
+  running = false;
+  generation += 1;
+  if (source) {
+    source.close();
+    source = null;
+  }
+  clearTimeout(pollTimer);
+  clearTimeout(reconnectTimer);
+  pollTimer = null;
+  reconnectTimer = null;
+  cursor = null;
+  lastChangeId = null;
+}
+
+function openStream() {
+  let opened = false;
+  // A stream opened again after a drop picks up where the last one stopped
+  source = new EventSource(changeAPI.streamUrl(lastChangeId));
+
+  source.onopen = () => {
+    opened = true;
+  };
+
+  source.addEventListener('change', (e) => {
+    const change = transformChange(JSON.parse(e.data));
+    lastChangeId = change.id;
+    emit(change);
+  });
+
+  // The browser reconnects by itself after a dropped connection. It gives up when the
+  // stream is refused: on the first try that means there's no stream here, so poll instead.
+  source.onerror = () => {
+    if (source.readyState !== EventSource.CLOSED) return;
+    source.close();
+    source = null;
+
+    if (opened) {
+      reconnectTimer = setTimeout(openStream, RECONNECT_DELAY_MS);
+    } else {
+      polling = true;
+      poll(generation);
+    }
+  };
+}
+
+async function poll(current) {
+  // Hidden tabs wait until they are looked at again
+  if (!document.hidden) {
+    try {
+      const result = await changeAPI.getSince(cursor);
+      if (current !== generation) return;
+      if (cursor !== null) result.data.map(transformChange).forEach(emit);
+      cursor = result.cursor;
+    } catch (error) {
+      console.error('Error checking for changes:', error);
+    }
+  }
+
+  if (current === generation) pollTimer = setTimeout(() => poll(current), POLL_INTERVAL_MS);
+}
+
+// A new session needs a new stream (the token is part of its address); no session, no feed
+window.addEventListener('auth-changed', () => {
+  stop();
+  if (listeners.size > 0) start();
+});
@@ -0,0 +1,155 @@
+import { storage } from '../utils/storage.js';
+
+// Offline support, kept in storage. Two parts:
+//
+// The list cache holds the tender and task lists fetched most recently (raw API rows), so a
+// list can be shown straight away and when there's no connection. Changes made offline are
+// applied to the cached rows too, marked `pending: true`.
+//
+// The outbox holds changes made offline until they can be sent, oldest first:
+//
+//   { id, userId, kind: 'tender' | 'siteVisit' | 'task', action: 'create' | 'update' | 'patch' | 'delete',
+//     recordId, parentId?, body?, name, row?, error?, conflict?, current? }
+//
+// `parentId` is a site visit's tender; `name` describes the record for people (a tender
+// number or task description); `row` is a deleted record, kept so the delete can be undone.
+// Records created offline get negative ids until the server gives them real ones. A change
+// the server refused keeps its `error` (and for a version conflict, `conflict` and the
+// server's `current` copy) until the user retries or discards it. See syncAPI in api.js.
+
+const MAX_CACHED_LISTS = 5;
+
+const STORES = {
+  tender: { load: storage.getTenders, save: storage.saveTenders },
+  task: { load: storage.getTasks, save: storage.saveTasks },
+};
+
+// Lists are cached by their options; later pages are added to the list's first page
+function listKey(options) {
+  const { page, ...rest } = options;
+  return JSON.stringify(Object.keys(rest).sort().map(key => [key, rest[key]]));
+}
+
+export function cacheList(kind, options, { data, pagination }) {
+  const store = STORES[kind];
+  const key = listKey(options);
+  const lists = store.load();
+  const existing = lists.find(list => list.key === key);
+
+  let list;
+  if (pagination.page === 1) {
+    list = { key, data, pagination, savedAt: new Date().toISOString() };
+  } else if (existing) {
+    const ids = new Set(data.map(row => row.id));
+    list = { ...existing, data: [...existing.data.filter(row => !ids.has(row.id)), ...data], pagination };
+  } else {
+    return;
+  }
+
+  store.save([list, ...lists.filter(other => other.key !== key)].slice(0, MAX_CACHED_LISTS));
+}
+
+// The cached list for these options as { data, pagination, savedAt }, or null
+export function cachedList(kind, options) {
+  const key = listKey(options);
+  return STORES[kind].load().find(list => list.key === key) || null;
+}
+
+export function findCachedRow(kind, id) {
+  for (const list of STORES[kind].load()) {
+    const row = list.data.find(other => other.id === id);
+    if (row) return row;
+  }
+  return null;
+}
+
+function updateLists(kind, update) {
+  const store = STORES[kind];
+  store.save(store.load().map(update));
+}
+
+// Replaces the row with id `previousId` (a temporary id, for a record just created) wherever it is cached
+export function replaceCachedRow(kind, row, previousId = row.id) {
+  updateLists(kind, list => ({ ...list, data: list.data.map(other => other.id === previousId ? row : other) }));
+}
+
+// A record created offline goes at the top of every cached list
+export function addCachedRow(kind, row) {
+  updateLists(kind, list => ({
+    ...list,
+    data: [row, ...list.data],
+    pagination: { ...list.pagination, total: list.pagination.total + 1 },
+  }));
+}
+
+export function removeCachedRow(kind, id) {
+  updateLists(kind, (list) => {
+    const data = list.data.filter(row => row.id !== id);
+    return { ...list, data, pagination: { ...list.pagination, total: list.pagination.total - (list.data.length - data.length) } };
+  });
+}
+
+export function temporaryId() {
+  return -(Date.now() * 1000 + Math.floor(Math.random() * 1000));
+}
+
+function saveOutbox(outbox) {
+  storage.saveOutbox(outbox);
+  window.dispatchEvent(new CustomEvent('outbox-changed', { detail: { count: outbox.length } }));
+}
+
+// The signed-in user's waiting changes, oldest first
+export function queuedChanges(userId) {
+  return storage.getOutbox().filter(change => change.userId === userId);
+}
+
+export function queueChange(change) {
+  const queued = { ...change, id: crypto.randomUUID(), queuedAt: new Date().toISOString() };
+  saveOutbox([...storage.getOutbox(), queued]);
+  return queued;
+}
+
+export function updateQueuedChange(id, values) {
+  saveOutbox(storage.getOutbox().map(change => change.id === id ? { ...change, ...values } : change));
+}
+
+export function removeQueuedChange(id) {
+  saveOutbox(storage.getOutbox().filter(change => change.id !== id));
+}
+
+// Whether a change is to the record, or (for a tender) to one of its site visits
+function concerns(change, kind, recordId) {
+  return (change.kind === kind && change.recordId === recordId) ||
+    (kind === 'tender' && change.kind === 'siteVisit' && change.parentId === recordId);
+}
+
+// Drops every waiting change to a record, e.g. when something created offline is deleted
+// before it was ever sent. Returns the changes dropped.
+export function dropQueuedChanges(kind, recordId) {
+  const outbox = storage.getOutbox();
+  saveOutbox(outbox.filter(change => !concerns(change, kind, recordId)));
+  return outbox.filter(change => concerns(change, kind, recordId));
+}
+
+// Once a record created offline has been saved, later changes use its real id
+export function remapQueuedChanges(kind, temporary, id) {
+  saveOutbox(storage.getOutbox().map((change) => {
+    const remapped = { ...change };
+    if (change.kind === kind && change.recordId === temporary) remapped.recordId = id;
+    if (kind === 'tender' && change.kind === 'siteVisit' && change.parentId === temporary) remapped.parentId = id;
+    if (kind === 'tender' && change.kind === 'task' && change.body && change.body.tender_id === temporary) {
+      remapped.body = { ...change.body, tender_id: id };
+    }
+    return remapped;
+  }));
+}
+
+// Changes queued one after another were all based on the same version. Once one is saved,
+// the rest are based on the version it produced.
+export function rebaseQueuedChanges(kind, recordId, from, to) {
+  saveOutbox(storage.getOutbox().map(change => (
+    change.kind === kind && change.recordId === recordId && change.body && change.body.version === from
+      ? { ...change, body: { ...change.body, version: to } }
+      : change
+  )));
+}
@@ -0,0 +1,76 @@
+import { ApiError, pushAPI } from './api';
+
+// Opting this browser in and out of push notifications. The service worker shows them (see
+// src/service-worker.js); it only exists in production builds, so push is never available in
+// the dev server. On iPhones, push only works once the app has been added to the home screen.
+
+export function pushSupported() {
+  return 'serviceWorker' in navigator && 'PushManager' in window && 'Notification' in window;
+}
+
+// This browser's subscription, or null
+export async function currentPushSubscription() {
+  if (!pushSupported()) return null;
+  const registration = await navigator.serviceWorker.getRegistration();
+  return registration ? registration.pushManager.getSubscription() : null;
+}
+
+// The VAPID key is sent as URL-safe base64; subscribe() wants the raw bytes
+function keyBytes(base64) {
+  const padded = `${base64}${'='.repeat((4 - (base64.length % 4)) % 4)}`.replace(/-/g, '+').replace(/_/g, '/');
+  return Uint8Array.from(atob(padded), char => char.charCodeAt(0));
+}
+
+// Why push can't be turned on, in words for the user
+export class PushUnavailableError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PushUnavailableError';
+  }
+}
+
+// Asks permission and subscribes. Throws a PushUnavailableError if push can't be turned on.
+export async function enablePush() {
+  const { publicKey } = await pushAPI.getKey();
+  if (!publicKey) {
+    throw new PushUnavailableError('Push notifications are not set up on this server.');
+  }
+
+  const permission = await Notification.requestPermission();
+  if (permission !== 'granted') {
+    throw new PushUnavailableError('Notifications are blocked for this app. Allow them in your browser or phone settings first.');
+  }
+
+  const registration = await navigator.serviceWorker.ready;
+  const subscription = await registration.pushManager.subscribe({
+    userVisibleOnly: true,
+    applicationServerKey: keyBytes(publicKey),
+  });
+  const { endpoint, keys } = subscription.toJSON();
+  await pushAPI.subscribe({ endpoint, p256dh: keys.p256dh, auth: keys.auth });
+}
+
+export async function disablePush() {
+  const subscription = await currentPushSubscription();
+  if (!subscription) return;
+
+  try {
+    await pushAPI.unsubscribe(subscription.endpoint);
+  } catch (error) {
+    // Already gone from the server, e.g. registered by someone else since
+    if (!(error instanceof ApiError && error.status === 404)) throw error;
+  }
+  await subscription.unsubscribe();
+}
+
+// Signing out stops this browser's notifications: they belong to the user who turned them on.
+// Once unsubscribed here the push service refuses further sends, and the server forgets it.
+window.addEventListener('auth-changed', async (e) => {
+  if (e.detail.user) return;
+  try {
+    const subscription = await currentPushSubscription();
+    if (subscription) await subscription.unsubscribe();
+  } catch (error) {
+    console.error('Error turning off push notifications:', error);
+  }
+});
@@ -0,0 +1,70 @@
+// Registers the service worker (src/service-worker.js, built as /sw.js) and reports updates.
+// The dev server has no built worker, so this only runs in production builds.
+//
+// When a new version has been installed and is waiting, 'app-update-available' is fired on
+// window; applyUpdate() then switches to it and reloads the page.
+
+// Long-open tabs (phones leave the app open for days) check for a new version this often
+const UPDATE_CHECK_INTERVAL_MS = 60 * 60 * 1000;
+
+let waitingWorker = null;
+
+export function registerServiceWorker() {
+  if (!import.meta.env.PROD || !('serviceWorker' in navigator)) return;
+
+  window.addEventListener('load', async () => {
+    try {
+      const registration = await navigator.serviceWorker.register('/sw.js');
+      watchForUpdates(registration);
+    } catch (error) {
+      console.error('Error registering service worker:', error);
+    }
+  });
+
+  // The new worker has taken over: reload so the page runs the matching version
+  let reloading = false;
+  navigator.serviceWorker.addEventListener('controllerchange', () => {
+    if (reloading) return;
+    reloading = true;
+    window.location.reload();
+  });
+
+  // Cached API responses belong to whoever was signed in
+  window.addEventListener('auth-changed', () => {
+    if (navigator.serviceWorker.controller) {
+      navigator.serviceWorker.controller.postMessage({ type: 'CLEAR_API_CACHE' });
+    }
+  });
+}
+
+function watchForUpdates(registration) {
+  // A worker already waiting when the page loads is an update from an earlier visit
+  if (registration.waiting && navigator.serviceWorker.controller) {
+    announce(registration.waiting);
+  }
+
+  registration.addEventListener('updatefound', () => {
+    const worker = registration.installing;
+    worker.addEventListener('statechange', () => {
+      // With no controller this is the first install, not an update
+      if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+        announce(worker);
+      }
+    });
+  });
+
+  setInterval(() => registration.update().catch(() => {}), UPDATE_CHECK_INTERVAL_MS);
+}
+
+function announce(worker) {
+  waitingWorker = worker;
+  window.dispatchEvent(new CustomEvent('app-update-available'));
+}
+
+export function updateAvailable() {
+  return waitingWorker !== null;
+}
+
+export function applyUpdate() {
+  if (waitingWorker) waitingWorker.postMessage({ type: 'SKIP_WAITING' });
+}
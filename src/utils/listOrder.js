@@ -0,0 +1,18 @@
+// Where `item` belongs in `items`, a list already ordered by `field` in `order` ('asc' or
+// 'desc') with ties broken by id, the way the list endpoints order their pages. Empty
+// values sort last either way.
+export function sortedIndex(items, item, field, order) {
+  const direction = order === 'asc' ? 1 : -1;
+  const compare = (a, b) => {
+    if (a[field] == null || b[field] == null) {
+      if (a[field] != null) return -1;
+      if (b[field] != null) return 1;
+    } else if (a[field] !== b[field]) {
+      return (a[field] < b[field] ? -1 : 1) * direction;
+    }
+    return (a.id - b.id) * direction;
+  };
+
+  const index = items.findIndex(other => compare(item, other) < 0);
+  return index < 0 ? items.length : index;
+}
@@ -1,11 +1,13 @@
 // Storage utility for persisting data
 const STORAGE_KEYS = {
   TENDERS: 'elsport_tenders',
-  TASKS: 'elsport_tasks'
+  TASKS: 'elsport_tasks',
+  OUTBOX: 'elsport_outbox',
+  SESSION: 'elsport_session'
 };
 
 export const storage = {
-  // Tender operations
+  // Cached tender lists (see services/offline.js)
   getTenders: () => {
     try {
       const tenders = localStorage.getItem(STORAGE_KEYS.TENDERS);
@@ -26,7 +28,7 @@ export const storage = {
     }
   },
 
-  // Task operations
+  // Cached task lists
   getTasks: () => {
     try {
       const tasks = localStorage.getItem(STORAGE_KEYS.TASKS);
@@ -47,9 +49,63 @@ export const storage = {
     }
   },
 
+  // Changes made offline, waiting to be sent
+  getOutbox: () => {
+    try {
+      const outbox = localStorage.getItem(STORAGE_KEYS.OUTBOX);
+      return outbox ? JSON.parse(outbox) : [];
+    } catch (error) {
+      console.error('Error loading outbox:', error);
+      return [];
+    }
+  },
+
+  saveOutbox: (outbox) => {
+    try {
+      localStorage.setItem(STORAGE_KEYS.OUTBOX, JSON.stringify(outbox));
+      return true;
+    } catch (error) {
+      console.error('Error saving outbox:', error);
+      return false;
+    }
+  },
+
+  // Session operations (login token and signed-in user)
+  getSession: () => {
+    try {
+      const session = localStorage.getItem(STORAGE_KEYS.SESSION);
+      return session ? JSON.parse(session) : null;
+    } catch (error) {
+      console.error('Error loading session:', error);
+      return null;
+    }
+  },
+
+  saveSession: (session) => {
+    try {
+      localStorage.setItem(STORAGE_KEYS.SESSION, JSON.stringify(session));
+      return true;
+    } catch (error) {
+      console.error('Error saving session:', error);
+      return false;
+    }
+  },
+
+  clearSession: () => {
+    localStorage.removeItem(STORAGE_KEYS.SESSION);
+  },
+
+  // Forget cached lists, e.g. when the user logs out. The outbox is kept for their next login.
+  clearCache: () => {
+    localStorage.removeItem(STORAGE_KEYS.TENDERS);
+    localStorage.removeItem(STORAGE_KEYS.TASKS);
+  },
+
   // Clear all data
   clearAll: () => {
     localStorage.removeItem(STORAGE_KEYS.TENDERS);
     localStorage.removeItem(STORAGE_KEYS.TASKS);
+    localStorage.removeItem(STORAGE_KEYS.OUTBOX);
+    localStorage.removeItem(STORAGE_KEYS.SESSION);
   }
 };
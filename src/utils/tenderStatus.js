@@ -0,0 +1,41 @@
+// Tender lifecycle as enforced by the API (server/validation/tenderLifecycle.js)
+
+export const TENDER_STATUS_LABELS = {
+  IDENTIFIED: 'Identified',
+  PREPARING: 'Preparing',
+  SUBMITTED: 'Submitted',
+  WON: 'Won',
+  LOST: 'Lost',
+  CANCELLED: 'Cancelled',
+  NO_BID: 'No-bid',
+};
+
+const TRANSITIONS = {
+  IDENTIFIED: ['PREPARING', 'NO_BID', 'CANCELLED'],
+  PREPARING: ['SUBMITTED', 'NO_BID', 'CANCELLED'],
+  SUBMITTED: ['WON', 'LOST', 'CANCELLED'],
+  WON: [],
+  LOST: [],
+  CANCELLED: [],
+  NO_BID: [],
+};
+
+// Statuses that end a tender and may record an outcome reason; all but WON require one
+const OUTCOME_STATUSES = ['WON', 'LOST', 'CANCELLED', 'NO_BID'];
+
+export function nextStatuses(status) {
+  return TRANSITIONS[status] || [];
+}
+
+// Whether the tender is still being worked on (its closing date still matters)
+export function isActiveStatus(status) {
+  return status === 'IDENTIFIED' || status === 'PREPARING';
+}
+
+export function isOutcomeStatus(status) {
+  return OUTCOME_STATUSES.includes(status);
+}
+
+export function requiresReason(status) {
+  return isOutcomeStatus(status) && status !== 'WON';
+}
@@ -0,0 +1,36 @@
+import { createHash } from 'node:crypto';
+import { readFileSync } from 'node:fs';
+import { defineConfig } from 'vite';
+
+// Files outside the bundle (copied from public/) that the app shell needs offline
+const PUBLIC_SHELL_FILES = ['/manifest.webmanifest', '/icons/icon.svg', '/icons/icon-192.png'];
+
+// Writes src/service-worker.js to the build as /sw.js, with the built files it should cache.
+// The file names carry content hashes, so the worker changes exactly when the app does.
+function serviceWorker() {
+  return {
+    name: 'elsport-service-worker',
+    apply: 'build',
+    enforce: 'post',
+    generateBundle(options, bundle) {
+      const files = [
+        ...Object.keys(bundle).filter(file => !file.endsWith('.map')).map(file => `/${file}`),
+        ...PUBLIC_SHELL_FILES,
+      ];
+      const buildId = createHash('sha256').update(files.join('\n')).digest('hex').slice(0, 12);
+      const source = readFileSync('src/service-worker.js', 'utf8')
+        .replace('self.__SHELL_FILES__', JSON.stringify(files))
+        .replace('self.__BUILD_ID__', JSON.stringify(buildId));
+
+      this.emitFile({ type: 'asset', fileName: 'sw.js', source });
+    },
+  };
+}
+
+export default defineConfig({
+  plugins: [serviceWorker()],
+  // Components are tested against a simulated DOM (npm test)
+  test: {
+    environment: 'happy-dom',
+  },
+});